@@ -0,0 +1,41 @@
+// AI provider configuration
+// AI_PROVIDERS is the fallback chain, tried left to right, e.g. "gemini,openai,ollama,mock".
+// Leave "mock" out to make analysis fail instead of falling back to the rule-based analyzer.
+
+const toInt = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return isNaN(number) ? fallback : number;
+};
+
+module.exports = {
+  chain: (process.env.AI_PROVIDERS || 'gemini,mock')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean),
+
+  providers: {
+    gemini: {
+      apiKey: process.env.GEMINI_API_KEY,
+      model: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+      baseUrl: process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta',
+      timeoutMs: toInt(process.env.GEMINI_TIMEOUT_MS, 30000),
+      retries: toInt(process.env.GEMINI_RETRIES, 1)
+    },
+    openai: {
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      timeoutMs: toInt(process.env.OPENAI_TIMEOUT_MS, 30000),
+      retries: toInt(process.env.OPENAI_RETRIES, 1)
+    },
+    ollama: {
+      model: process.env.OLLAMA_MODEL || 'llama3.1',
+      baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+      timeoutMs: toInt(process.env.OLLAMA_TIMEOUT_MS, 120000),
+      retries: toInt(process.env.OLLAMA_RETRIES, 0)
+    },
+    mock: {
+      model: 'rule-based'
+    }
+  }
+};
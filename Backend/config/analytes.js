@@ -0,0 +1,220 @@
+// Analyte catalog
+// Each analyte has a canonical unit every extracted value is converted to.
+// `conversions` maps a normalized unit key (see unitConversionService.unitKey)
+// to either a multiplication factor or a function returning the canonical value.
+// `defaultUnit` is assumed when the report prints no unit at all.
+// `loinc` is the LOINC code for the analyte in its canonical unit (FHIR export).
+
+const analytes = [
+  {
+    code: 'hemoglobin',
+    loinc: '718-7',
+    name: 'Hemoglobin',
+    aliases: ['hemoglobin', 'haemoglobin', 'hb', 'hgb'],
+    canonicalUnit: 'g/dL',
+    conversions: { 'g/dl': 1, 'g/l': 0.1, 'mmol/l': 1.611 }
+  },
+  {
+    code: 'glucose',
+    loinc: '2345-7',
+    name: 'Glucose',
+    aliases: ['glucose', 'blood sugar', 'sugar', 'fbs', 'rbs', 'ppbs', 'glucose/sugar'],
+    canonicalUnit: 'mg/dL',
+    conversions: { 'mg/dl': 1, 'mmol/l': 18.016 }
+  },
+  {
+    code: 'cholesterol',
+    loinc: '2093-3',
+    name: 'Total Cholesterol',
+    aliases: ['cholesterol', 'total cholesterol'],
+    canonicalUnit: 'mg/dL',
+    conversions: { 'mg/dl': 1, 'mmol/l': 38.67 }
+  },
+  {
+    code: 'ldl',
+    loinc: '2089-1',
+    name: 'LDL Cholesterol',
+    aliases: ['ldl', 'ldl cholesterol', 'ldl-c'],
+    canonicalUnit: 'mg/dL',
+    conversions: { 'mg/dl': 1, 'mmol/l': 38.67 }
+  },
+  {
+    code: 'hdl',
+    loinc: '2085-9',
+    name: 'HDL Cholesterol',
+    aliases: ['hdl', 'hdl cholesterol', 'hdl-c'],
+    canonicalUnit: 'mg/dL',
+    conversions: { 'mg/dl': 1, 'mmol/l': 38.67 }
+  },
+  {
+    code: 'triglycerides',
+    loinc: '2571-8',
+    name: 'Triglycerides',
+    aliases: ['triglycerides', 'triglyceride', 'tg'],
+    canonicalUnit: 'mg/dL',
+    conversions: { 'mg/dl': 1, 'mmol/l': 88.57 }
+  },
+  {
+    code: 'creatinine',
+    loinc: '2160-0',
+    name: 'Creatinine',
+    aliases: ['creatinine', 'serum creatinine', 's. creatinine'],
+    canonicalUnit: 'mg/dL',
+    conversions: { 'mg/dl': 1, 'umol/l': 1 / 88.42 }
+  },
+  {
+    code: 'urea',
+    loinc: '3091-6',
+    name: 'Urea',
+    aliases: ['urea', 'blood urea'],
+    canonicalUnit: 'mg/dL',
+    conversions: { 'mg/dl': 1, 'mmol/l': 6.006 }
+  },
+  {
+    code: 'egfr',
+    loinc: '62238-1',
+    name: 'eGFR',
+    aliases: ['egfr', 'gfr', 'estimated gfr'],
+    canonicalUnit: 'mL/min/1.73m2',
+    defaultUnit: 'mL/min/1.73m2',
+    conversions: { 'ml/min/1.73m2': 1, 'ml/min': 1 }
+  },
+  {
+    code: 'sodium',
+    loinc: '2951-2',
+    name: 'Sodium',
+    aliases: ['sodium', 'na', 'serum sodium'],
+    canonicalUnit: 'mmol/L',
+    defaultUnit: 'mmol/L',
+    conversions: { 'mmol/l': 1, 'meq/l': 1 }
+  },
+  {
+    code: 'potassium',
+    loinc: '2823-3',
+    name: 'Potassium',
+    aliases: ['potassium', 'k', 'serum potassium'],
+    canonicalUnit: 'mmol/L',
+    defaultUnit: 'mmol/L',
+    conversions: { 'mmol/l': 1, 'meq/l': 1 }
+  },
+  {
+    code: 'calcium',
+    loinc: '17861-6',
+    name: 'Calcium',
+    aliases: ['calcium', 'serum calcium'],
+    canonicalUnit: 'mg/dL',
+    conversions: { 'mg/dl': 1, 'mmol/l': 4.008 }
+  },
+  {
+    code: 'bilirubin',
+    loinc: '1975-2',
+    name: 'Bilirubin',
+    aliases: ['bilirubin', 'total bilirubin'],
+    canonicalUnit: 'mg/dL',
+    conversions: { 'mg/dl': 1, 'umol/l': 1 / 17.1 }
+  },
+  {
+    code: 'albumin',
+    loinc: '1751-7',
+    name: 'Albumin',
+    aliases: ['albumin', 'serum albumin'],
+    canonicalUnit: 'g/dL',
+    conversions: { 'g/dl': 1, 'g/l': 0.1 }
+  },
+  {
+    code: 'tsh',
+    loinc: '3016-3',
+    name: 'TSH',
+    aliases: ['tsh', 'thyroid stimulating hormone'],
+    canonicalUnit: 'mIU/L',
+    defaultUnit: 'mIU/L',
+    conversions: { 'miu/l': 1, 'uiu/ml': 1, 'miu/ml': 1000 }
+  },
+  {
+    code: 'hba1c',
+    loinc: '4548-4',
+    name: 'HbA1c',
+    aliases: ['hba1c', 'glycated hemoglobin', 'glycosylated hemoglobin', 'a1c', 'hemoglobin a1c', 'haemoglobin a1c'],
+    canonicalUnit: '%',
+    defaultUnit: '%',
+    // IFCC (mmol/mol) to NGSP (%) master equation
+    conversions: { '%': 1, 'mmol/mol': value => value / 10.929 + 2.15 }
+  },
+  {
+    code: 'wbc',
+    loinc: '6690-2',
+    name: 'WBC Count',
+    aliases: ['wbc', 'wbc count', 'white blood cells', 'white blood cell', 'total leucocyte count', 'tlc'],
+    canonicalUnit: '10^3/uL',
+    conversions: { '10^3/ul': 1, '10^9/l': 1, '/ul': 0.001, 'cells/ul': 0.001, '/cumm': 0.001 }
+  },
+  {
+    code: 'rbc',
+    loinc: '789-8',
+    name: 'RBC Count',
+    aliases: ['rbc', 'rbc count', 'red blood cells', 'red blood cell'],
+    canonicalUnit: '10^6/uL',
+    conversions: { '10^6/ul': 1, '10^12/l': 1, 'million/ul': 1, 'million/cumm': 1 }
+  },
+  {
+    code: 'platelets',
+    loinc: '777-3',
+    name: 'Platelet Count',
+    aliases: ['platelet', 'platelets', 'platelet count', 'plt'],
+    canonicalUnit: '10^3/uL',
+    conversions: { '10^3/ul': 1, '10^9/l': 1, '/ul': 0.001, '/cumm': 0.001, 'lakhs/cumm': 100, 'lakh/cumm': 100 }
+  },
+  {
+    code: 'troponin',
+    loinc: '10839-9',
+    name: 'Troponin I',
+    aliases: ['troponin', 'troponin i', 'trop i', 'hs-troponin'],
+    canonicalUnit: 'ng/mL',
+    conversions: { 'ng/ml': 1, 'ng/l': 0.001, 'pg/ml': 0.001 }
+  },
+  {
+    code: 'troponin_t',
+    loinc: '6598-7',
+    name: 'Troponin T',
+    aliases: ['troponin t', 'trop t', 'hs-troponin t', 'hs-tnt'],
+    canonicalUnit: 'ng/mL',
+    conversions: { 'ng/ml': 1, 'ug/l': 1, 'ng/l': 0.001, 'pg/ml': 0.001 }
+  },
+  {
+    code: 'temperature',
+    loinc: '8310-5',
+    name: 'Temperature',
+    aliases: ['temperature', 'temp'],
+    canonicalUnit: '°C',
+    conversions: { 'c': 1, 'f': value => (value - 32) * 5 / 9 }
+  },
+  {
+    code: 'heart_rate',
+    loinc: '8867-4',
+    name: 'Heart Rate',
+    aliases: ['heart rate', 'pulse', 'hr'],
+    canonicalUnit: 'bpm',
+    defaultUnit: 'bpm',
+    conversions: { 'bpm': 1, '/min': 1 }
+  },
+  {
+    code: 'spo2',
+    loinc: '59408-5',
+    name: 'SpO2',
+    aliases: ['spo2', 'oxygen saturation', 'o2', 'spo2/oxygen'],
+    canonicalUnit: '%',
+    defaultUnit: '%',
+    conversions: { '%': 1 }
+  },
+  {
+    code: 'bmi',
+    loinc: '39156-5',
+    name: 'BMI',
+    aliases: ['bmi', 'body mass index'],
+    canonicalUnit: 'kg/m2',
+    defaultUnit: 'kg/m2',
+    conversions: { 'kg/m2': 1 }
+  }
+];
+
+module.exports = analytes;
@@ -0,0 +1,28 @@
+// Qualitative results that are critical whenever the report calls them
+// positive. Numeric critical limits (e.g. glucose < 50, sodium < 120) are the
+// criticalLow/criticalHigh of config/referenceRanges.js, which doctors can
+// override per clinic.
+// Patterns only accept the result right after the test name, so reference
+// text such as "Troponin: negative (positive > 0.04)" doesn't match.
+
+const qualitativeCriticals = [
+  {
+    code: 'troponin',
+    name: 'Troponin',
+    pattern: /\b(?:hs-)?trop(?:onin)?(?:\s*i)?\s*[:-]?\s*(positive|detected|reactive)\b/i
+  },
+  {
+    code: 'troponin_t',
+    name: 'Troponin T',
+    pattern: /\b(?:hs-)?trop(?:onin)?\s*t\s*[:-]?\s*(positive|detected|reactive)\b/i
+  },
+  {
+    code: 'blood_culture',
+    name: 'Blood culture',
+    pattern: /\bblood\s+culture\s*[:-]?\s*(positive|growth\s+detected)\b/i
+  }
+];
+
+module.exports = {
+  qualitativeCriticals
+};
@@ -0,0 +1,19 @@
+// PHI de-identification for prompts sent to external AI providers
+// (providers with `external = true`, e.g. Gemini and OpenAI; Ollama and the
+// mock analyzer run locally and get the original text).
+// PHI_DEIDENTIFY=false turns it off for deployments where the provider is
+// covered by an agreement that allows PHI. PHI_DEIDENTIFY_CATEGORIES limits
+// what is replaced, e.g. "name,phone,email".
+
+const CATEGORIES = ['name', 'dob', 'phone', 'email', 'address', 'mrn'];
+
+const categories = (process.env.PHI_DEIDENTIFY_CATEGORIES || CATEGORIES.join(','))
+  .split(',')
+  .map(category => category.trim().toLowerCase())
+  .filter(category => CATEGORIES.includes(category));
+
+module.exports = {
+  enabled: process.env.PHI_DEIDENTIFY !== 'false',
+  categories,
+  CATEGORIES
+};
@@ -0,0 +1,33 @@
+// Partner systems allowed to push results (HL7 ingestion).
+// LAB_PARTNER_KEYS lists "<partner>:<api key>" pairs, e.g. "citylab:3f9a...,metrolab:81bc...".
+// Partners send their key in the X-API-Key header.
+
+const crypto = require('crypto');
+
+const partners = (process.env.LAB_PARTNER_KEYS || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const separator = entry.indexOf(':');
+    return {
+      name: entry.slice(0, separator).trim(),
+      key: entry.slice(separator + 1).trim()
+    };
+  })
+  .filter(partner => partner.name && partner.key);
+
+const sameKey = (a, b) => {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+};
+
+module.exports = {
+  partners,
+
+  findPartnerByKey(key) {
+    if (!key) return undefined;
+    return partners.find(partner => sameKey(partner.key, key));
+  }
+};
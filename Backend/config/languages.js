@@ -0,0 +1,31 @@
+const path = require('path');
+
+// Languages supported for report OCR and AI output. `code` is the Tesseract
+// traineddata name; `script` is the Unicode script used to auto-detect it.
+const languages = [
+  { code: 'eng', name: 'English', script: 'Latin' },
+  { code: 'hin', name: 'Hindi', script: 'Devanagari' },
+  { code: 'mar', name: 'Marathi', script: 'Devanagari' },
+  { code: 'kan', name: 'Kannada', script: 'Kannada' },
+  { code: 'tam', name: 'Tamil', script: 'Tamil' },
+  { code: 'tel', name: 'Telugu', script: 'Telugu' },
+  { code: 'ben', name: 'Bengali', script: 'Bengali' }
+];
+
+module.exports = {
+  languages,
+  codes: languages.map(language => language.code),
+  defaultLanguage: 'eng',
+
+  // Loaded together when the uploader asks for auto-detection
+  autoDetect: (process.env.OCR_AUTO_LANGUAGES || 'eng+hin+kan').split('+'),
+
+  // Local directory with <code>.traineddata(.gz) files. Report images never
+  // leave the server, so the language data is not fetched from a CDN either.
+  tessdataPath: process.env.TESSDATA_PATH || path.join(__dirname, '../tessdata'),
+  tessdataGzip: process.env.TESSDATA_GZIP !== 'false',
+
+  getLanguage(code) {
+    return languages.find(language => language.code === code);
+  }
+};
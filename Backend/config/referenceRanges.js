@@ -0,0 +1,97 @@
+// Default reference ranges used when the lab's own range is missing from the report.
+// Values are in the analyte's canonical unit (see config/analytes.js).
+// minAge is inclusive and maxAge exclusive, both in years. sex is 'any', 'male' or 'female'.
+// Doctors can override any of these for their own patients (models/ReferenceRange.js).
+
+const referenceRanges = {
+  hemoglobin: [
+    { sex: 'any', minAge: 0, maxAge: 12, low: 11.0, high: 14.5, criticalLow: 7, criticalHigh: 20 },
+    { sex: 'male', minAge: 12, maxAge: 200, low: 13.5, high: 17.5, criticalLow: 7, criticalHigh: 20 },
+    { sex: 'female', minAge: 12, maxAge: 200, low: 12.0, high: 15.5, criticalLow: 7, criticalHigh: 20 },
+    { sex: 'any', minAge: 12, maxAge: 200, low: 12.0, high: 17.5, criticalLow: 7, criticalHigh: 20 }
+  ],
+  glucose: [
+    { sex: 'any', minAge: 0, maxAge: 200, low: 70, high: 100, criticalLow: 50, criticalHigh: 400 }
+  ],
+  cholesterol: [
+    { sex: 'any', minAge: 0, maxAge: 20, high: 170 },
+    { sex: 'any', minAge: 20, maxAge: 200, high: 200 }
+  ],
+  ldl: [
+    { sex: 'any', minAge: 0, maxAge: 200, high: 100 }
+  ],
+  hdl: [
+    { sex: 'male', minAge: 0, maxAge: 200, low: 40 },
+    { sex: 'female', minAge: 0, maxAge: 200, low: 50 },
+    { sex: 'any', minAge: 0, maxAge: 200, low: 40 }
+  ],
+  triglycerides: [
+    { sex: 'any', minAge: 0, maxAge: 200, high: 150, criticalHigh: 1000 }
+  ],
+  creatinine: [
+    { sex: 'any', minAge: 0, maxAge: 18, low: 0.3, high: 0.7, criticalHigh: 4.0 },
+    { sex: 'male', minAge: 18, maxAge: 200, low: 0.74, high: 1.35, criticalHigh: 4.0 },
+    { sex: 'female', minAge: 18, maxAge: 200, low: 0.59, high: 1.04, criticalHigh: 4.0 },
+    { sex: 'any', minAge: 18, maxAge: 200, low: 0.59, high: 1.35, criticalHigh: 4.0 }
+  ],
+  urea: [
+    { sex: 'any', minAge: 0, maxAge: 200, low: 15, high: 45, criticalHigh: 200 }
+  ],
+  egfr: [
+    { sex: 'any', minAge: 0, maxAge: 200, low: 90, criticalLow: 15 }
+  ],
+  sodium: [
+    { sex: 'any', minAge: 0, maxAge: 200, low: 135, high: 145, criticalLow: 120, criticalHigh: 160 }
+  ],
+  potassium: [
+    { sex: 'any', minAge: 0, maxAge: 200, low: 3.5, high: 5.1, criticalLow: 2.5, criticalHigh: 6.0 }
+  ],
+  calcium: [
+    { sex: 'any', minAge: 0, maxAge: 200, low: 8.6, high: 10.3, criticalLow: 6.5, criticalHigh: 13 }
+  ],
+  bilirubin: [
+    { sex: 'any', minAge: 0, maxAge: 200, low: 0.1, high: 1.2, criticalHigh: 15 }
+  ],
+  albumin: [
+    { sex: 'any', minAge: 0, maxAge: 200, low: 3.5, high: 5.0 }
+  ],
+  tsh: [
+    { sex: 'any', minAge: 0, maxAge: 200, low: 0.4, high: 4.0 }
+  ],
+  hba1c: [
+    { sex: 'any', minAge: 0, maxAge: 200, low: 4.0, high: 5.6, criticalHigh: 14 }
+  ],
+  wbc: [
+    { sex: 'any', minAge: 0, maxAge: 200, low: 4.0, high: 11.0, criticalLow: 2.0, criticalHigh: 30 }
+  ],
+  rbc: [
+    { sex: 'male', minAge: 12, maxAge: 200, low: 4.7, high: 6.1 },
+    { sex: 'female', minAge: 12, maxAge: 200, low: 4.2, high: 5.4 },
+    { sex: 'any', minAge: 0, maxAge: 200, low: 4.0, high: 6.1 }
+  ],
+  platelets: [
+    { sex: 'any', minAge: 0, maxAge: 200, low: 150, high: 400, criticalLow: 50, criticalHigh: 1000 }
+  ],
+  troponin: [
+    { sex: 'any', minAge: 0, maxAge: 200, high: 0.04, criticalHigh: 0.1 }
+  ],
+  troponin_t: [
+    { sex: 'any', minAge: 0, maxAge: 200, high: 0.014, criticalHigh: 0.1 }
+  ],
+  temperature: [
+    { sex: 'any', minAge: 0, maxAge: 200, low: 36.1, high: 37.2, criticalLow: 35, criticalHigh: 40 }
+  ],
+  heart_rate: [
+    { sex: 'any', minAge: 0, maxAge: 1, low: 100, high: 160, criticalLow: 80, criticalHigh: 200 },
+    { sex: 'any', minAge: 1, maxAge: 12, low: 70, high: 120, criticalLow: 50, criticalHigh: 180 },
+    { sex: 'any', minAge: 12, maxAge: 200, low: 60, high: 100, criticalLow: 40, criticalHigh: 130 }
+  ],
+  spo2: [
+    { sex: 'any', minAge: 0, maxAge: 200, low: 95, high: 100, criticalLow: 88 }
+  ],
+  bmi: [
+    { sex: 'any', minAge: 18, maxAge: 200, low: 18.5, high: 24.9 }
+  ]
+};
+
+module.exports = referenceRanges;
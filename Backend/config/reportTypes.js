@@ -0,0 +1,79 @@
+// Canonical report types assigned by services/reportClassifier.js.
+// `headers` are regex sources matched (case-insensitively) against the OCR text,
+// `analytes` are codes from config/analytes.js that point to the type.
+// A header hit is a much stronger signal than a single analyte.
+// `loinc` is the panel/document code used for FHIR export, where one fits.
+
+const reportTypes = [
+  {
+    code: 'cbc',
+    loinc: '58410-2',
+    label: 'Complete Blood Count',
+    headers: [String.raw`complete blood (?:count|picture)`, String.raw`\bcbc\b`, String.raw`\bhaemogram\b|\bhemogram\b`, String.raw`differential (?:leu[ck]ocyte )?count`],
+    analytes: ['hemoglobin', 'wbc', 'rbc', 'platelets']
+  },
+  {
+    code: 'lipid_panel',
+    loinc: '57698-3',
+    label: 'Lipid Panel',
+    headers: [String.raw`lipid (?:profile|panel)`, String.raw`\bvldl\b`, String.raw`chol(?:esterol)?\s*/\s*hdl ratio`],
+    analytes: ['cholesterol', 'ldl', 'hdl', 'triglycerides']
+  },
+  {
+    code: 'lft',
+    loinc: '24325-3',
+    label: 'Liver Function Test',
+    headers: [String.raw`liver function`, String.raw`\blft\b`, String.raw`\b(?:sgot|sgpt|alt|ast)\b`, String.raw`alkaline phosphatase`],
+    analytes: ['bilirubin', 'albumin']
+  },
+  {
+    code: 'kft',
+    loinc: '24362-6',
+    label: 'Kidney Function Test',
+    headers: [String.raw`(?:kidney|renal) function`, String.raw`\b(?:kft|rft)\b`, String.raw`\bbun\b`, String.raw`uric acid`],
+    analytes: ['creatinine', 'urea', 'egfr', 'sodium', 'potassium']
+  },
+  {
+    code: 'thyroid',
+    label: 'Thyroid Profile',
+    headers: [String.raw`thyroid (?:profile|function|panel)`, String.raw`\b(?:free )?t[34]\b`, String.raw`\bthyroxine\b`],
+    analytes: ['tsh']
+  },
+  {
+    code: 'hba1c',
+    loinc: '4548-4',
+    label: 'HbA1c / Diabetes',
+    headers: [String.raw`glycated (?:haemoglobin|hemoglobin)`, String.raw`\bhba1c\b|\ba1c\b`, String.raw`estimated average glucose`],
+    analytes: ['hba1c', 'glucose']
+  },
+  {
+    code: 'urinalysis',
+    loinc: '24356-8',
+    label: 'Urinalysis',
+    headers: [String.raw`urin(?:e )?(?:analysis|examination|routine)`, String.raw`\burinalysis\b`, String.raw`specific gravity`, String.raw`pus cells`, String.raw`epithelial cells`],
+    analytes: []
+  },
+  {
+    code: 'radiology',
+    loinc: '18748-4',
+    label: 'Radiology / Imaging',
+    headers: [String.raw`\bx-?ray\b`, String.raw`\bmri\b`, String.raw`\bct (?:scan|abdomen|chest|head|brain)\b`, String.raw`\bultrasound\b|\busg\b|sonograph`, String.raw`\bimpression\s*:`, String.raw`\bradiolog`],
+    analytes: []
+  },
+  {
+    code: 'discharge_summary',
+    loinc: '18842-5',
+    label: 'Discharge Summary',
+    headers: [String.raw`discharge summary`, String.raw`date of (?:admission|discharge)`, String.raw`hospital course`, String.raw`condition (?:at|on) discharge`],
+    analytes: []
+  }
+];
+
+module.exports = {
+  reportTypes,
+  codes: [...reportTypes.map(type => type.code), 'other'],
+
+  getReportType(code) {
+    return reportTypes.find(type => type.code === code);
+  }
+};
@@ -0,0 +1,60 @@
+// Built-in risk scoring rules, copied into the RiskRule collection on startup
+// (models/RiskRule.js). Doctors can edit or disable them there; `key` keeps
+// the copy linked to its definition so a restart doesn't add it twice.
+// Thresholds are in the analyte's canonical unit (see config/analytes.js).
+// Operator 'flagged' matches the result's H/L/critical flag instead of a
+// threshold, and code '*' matches any analyte.
+// A rule without `points` scores the default for its severity.
+
+const SEVERITY_POINTS = {
+  critical: 50,
+  high: 30,
+  medium: 15,
+  low: 5
+};
+
+// Risk level a fired rule puts the report at, at least
+const SEVERITY_LEVELS = {
+  critical: 'high',
+  high: 'high',
+  medium: 'medium',
+  low: 'low'
+};
+
+const defaultRules = [
+  { key: 'potassium-critical-high', name: 'Severe hyperkalemia', code: 'potassium', operator: '>', threshold: 6.0, severity: 'critical' },
+  { key: 'potassium-critical-low', name: 'Severe hypokalemia', code: 'potassium', operator: '<', threshold: 2.5, severity: 'critical' },
+  { key: 'potassium-high', name: 'Hyperkalemia', code: 'potassium', operator: '>', threshold: 5.5, severity: 'medium' },
+  { key: 'sodium-critical-low', name: 'Severe hyponatremia', code: 'sodium', operator: '<', threshold: 120, severity: 'critical' },
+  { key: 'sodium-critical-high', name: 'Severe hypernatremia', code: 'sodium', operator: '>', threshold: 160, severity: 'critical' },
+  { key: 'egfr-kidney-failure', name: 'Kidney failure (eGFR < 15)', code: 'egfr', operator: '<', threshold: 15, severity: 'critical' },
+  { key: 'egfr-severe', name: 'Severely reduced kidney function', code: 'egfr', operator: '<', threshold: 30, severity: 'high' },
+  { key: 'egfr-moderate', name: 'Moderately reduced kidney function', code: 'egfr', operator: '<', threshold: 60, severity: 'medium' },
+  { key: 'glucose-critical-high', name: 'Severe hyperglycemia', code: 'glucose', operator: '>', threshold: 400, severity: 'critical' },
+  { key: 'glucose-critical-low', name: 'Severe hypoglycemia', code: 'glucose', operator: '<', threshold: 50, severity: 'critical' },
+  { key: 'glucose-high', name: 'Hyperglycemia', code: 'glucose', operator: '>', threshold: 250, severity: 'high' },
+  { key: 'hba1c-uncontrolled', name: 'Poorly controlled diabetes', code: 'hba1c', operator: '>=', threshold: 9, severity: 'high' },
+  { key: 'hba1c-diabetes', name: 'HbA1c in diabetic range', code: 'hba1c', operator: '>=', threshold: 6.5, severity: 'medium' },
+  { key: 'hemoglobin-critical', name: 'Severe anemia', code: 'hemoglobin', operator: '<', threshold: 7, severity: 'critical' },
+  { key: 'hemoglobin-moderate', name: 'Moderate anemia', code: 'hemoglobin', operator: '<', threshold: 10, severity: 'medium' },
+  { key: 'platelets-critical', name: 'Severe thrombocytopenia', code: 'platelets', operator: '<', threshold: 50, severity: 'critical' },
+  { key: 'troponin-critical', name: 'Troponin suggests myocardial injury', code: 'troponin', operator: '>', threshold: 0.1, severity: 'critical' },
+  { key: 'troponin-high', name: 'Elevated troponin', code: 'troponin', operator: '>', threshold: 0.04, severity: 'high' },
+  { key: 'troponin-t-critical', name: 'Troponin T suggests myocardial injury', code: 'troponin_t', operator: '>', threshold: 0.1, severity: 'critical' },
+  { key: 'troponin-t-high', name: 'Elevated troponin T', code: 'troponin_t', operator: '>', threshold: 0.014, severity: 'high' },
+  { key: 'spo2-critical', name: 'Severe hypoxemia', code: 'spo2', operator: '<', threshold: 88, severity: 'critical' },
+  { key: 'creatinine-critical', name: 'Markedly raised creatinine', code: 'creatinine', operator: '>', threshold: 4.0, severity: 'critical' },
+  { key: 'any-critical-flag', name: 'Value outside critical limits', code: '*', operator: 'flagged', flag: 'critical', severity: 'critical' },
+  { key: 'any-high-flag', name: 'Value above reference range', code: '*', operator: 'flagged', flag: 'H', severity: 'low' },
+  { key: 'any-low-flag', name: 'Value below reference range', code: '*', operator: 'flagged', flag: 'L', severity: 'low' }
+];
+
+module.exports = {
+  defaultRules,
+  SEVERITY_POINTS,
+  SEVERITY_LEVELS,
+  OPERATORS: ['>', '>=', '<', '<=', 'flagged'],
+  FLAGS: ['H', 'L', 'critical'],
+  ANY_ANALYTE: '*',
+  SEVERITIES: Object.keys(SEVERITY_POINTS)
+};
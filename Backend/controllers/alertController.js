@@ -8,6 +8,7 @@ exports.getAlerts = async (req, res) => {
     const alerts = await Alert.find({ doctor: req.user._id })
       .populate('patient', 'name email')
       .populate('report', 'fileName reportType riskLevel')
+      .populate('acknowledgedBy', 'name')
       .sort({ createdAt: -1 });
 
     res.status(200).json({
@@ -24,20 +25,13 @@ exports.getAlerts = async (req, res) => {
   }
 };
 
-// @desc    Acknowledge alert
+// @desc    Acknowledge alert (urgent alerts need a note on the action taken)
 // @route   PUT /api/alerts/:id/acknowledge
 // @access  Private (Doctor)
 exports.acknowledgeAlert = async (req, res) => {
   try {
-    const alert = await Alert.findByIdAndUpdate(
-      req.params.id,
-      {
-        acknowledged: true,
-        acknowledgedAt: new Date(),
-        acknowledgedBy: req.user._id
-      },
-      { new: true }
-    );
+    const note = req.body.note?.trim();
+    const alert = await Alert.findById(req.params.id);
 
     if (!alert) {
       return res.status(404).json({
@@ -46,6 +40,22 @@ exports.acknowledgeAlert = async (req, res) => {
       });
     }
 
+    if (alert.alertType === 'urgent' && !note) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please add a note on the action taken to acknowledge an urgent alert'
+      });
+    }
+
+    alert.set({
+      acknowledged: true,
+      acknowledgedAt: new Date(),
+      acknowledgedBy: req.user._id,
+      acknowledgementNote: note
+    });
+    await alert.save();
+    await alert.populate('acknowledgedBy', 'name');
+
     res.status(200).json({
       success: true,
       message: 'Alert acknowledged',
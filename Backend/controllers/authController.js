@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { codes: languageCodes } = require('../config/languages');
 
 // Generate JWT Token
 const generateToken = (id) => {
@@ -13,7 +14,14 @@ const generateToken = (id) => {
 // @access  Public
 exports.registerPatient = async (req, res) => {
   try {
-    const { name, email, password, phone, dateOfBirth, doctorCode } = req.body;
+    const { name, email, password, phone, dateOfBirth, sex, preferredLanguage, doctorCode } = req.body;
+
+    if (preferredLanguage && !languageCodes.includes(preferredLanguage)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported language'
+      });
+    }
 
     // Check if user exists
     const existingUser = await User.findOne({ email });
@@ -46,6 +54,8 @@ exports.registerPatient = async (req, res) => {
       password,
       phone,
       dateOfBirth,
+      sex: sex || undefined,
+      preferredLanguage: preferredLanguage || undefined,
       userType: 'patient',
       assignedDoctor: doctor?._id
     });
@@ -68,6 +78,7 @@ exports.registerPatient = async (req, res) => {
         email: user.email,
         userType: user.userType,
         phone: user.phone,
+        preferredLanguage: user.preferredLanguage,
         assignedDoctor: {
           _id: doctor._id,
           name: doctor.name,
@@ -189,7 +200,8 @@ exports.login = async (req, res) => {
         userType: user.userType,
         specialization: user.specialization,
         doctorCode: user.doctorCode,
-        assignedDoctor: user.assignedDoctor
+        assignedDoctor: user.assignedDoctor,
+        preferredLanguage: user.preferredLanguage
       },
       token
     });
@@ -225,6 +237,40 @@ exports.getMe = async (req, res) => {
   }
 };
 
+// @desc    Update current user's preferences
+// @route   PUT /api/auth/preferences
+// @access  Private
+exports.updatePreferences = async (req, res) => {
+  try {
+    const { preferredLanguage } = req.body;
+
+    if (preferredLanguage && !languageCodes.includes(preferredLanguage)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unsupported language'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { preferredLanguage },
+      { new: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Preferences updated',
+      user
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update preferences',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get all patients for a doctor
 // @route   GET /api/auth/my-patients
 // @access  Private (Doctor)
@@ -241,7 +287,7 @@ exports.getMyPatients = async (req, res) => {
     const patients = await User.find({ 
       userType: 'patient', 
       assignedDoctor: req.user._id 
-    }).select('name email phone dateOfBirth createdAt');
+    }).select('name email phone dateOfBirth sex createdAt');
 
     res.status(200).json({
       success: true,
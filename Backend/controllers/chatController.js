@@ -1,6 +1,7 @@
 const Message = require('../models/Message');
 const User = require('../models/User');
 const Report = require('../models/Report');
+const RedactionAudit = require('../models/RedactionAudit');
 const aiService = require('../services/aiService');
 
 // @desc    Send message
@@ -173,11 +174,15 @@ exports.chatbotQuery = async (req, res) => {
       });
     }
 
+    let report = null;
     let reportContext = null;
+    // Whose details to de-identify before the question goes to an external AI
+    let patient = req.user.userType === 'patient' ? req.user : null;
 
     if (reportId) {
-      const report = await Report.findById(reportId);
+      report = await Report.findById(reportId).populate('patient', 'name email phone dateOfBirth');
       if (report) {
+        patient = report.patient;
         reportContext = {
           summary: report.summary,
           keyFindings: report.keyFindings,
@@ -188,7 +193,15 @@ exports.chatbotQuery = async (req, res) => {
       }
     }
 
-    const answer = await aiService.chatbotQuery(question, reportContext);
+    const { answer, redaction } = await aiService.chatbotQuery(question, reportContext, patient);
+    // Only questions about a report carry report content worth auditing
+    if (report && redaction) {
+      await RedactionAudit.create({
+        report: report._id,
+        analysisVersion: report.currentAnalysisVersion,
+        ...redaction
+      });
+    }
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const fhirService = require('../services/fhirService');
+const fhirImportService = require('../services/fhirImportService');
+const reportProcessor = require('../services/reportProcessor');
+const { canAccessPatient, canAccessReport } = require('../utils/accessControl');
+
+// FHIR clients expect resources and OperationOutcome errors as application/fhir+json
+const sendResource = (res, status, resource) => {
+  res.status(status).type('application/fhir+json').send(JSON.stringify(resource));
+};
+
+const uploadDir = path.join(__dirname, '../uploads');
+
+const baseUrlOf = (req) => process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+// @desc    Get a report as a FHIR DiagnosticReport with contained Observations
+// @route   GET /api/fhir/DiagnosticReport/:id
+// @access  Private
+exports.getDiagnosticReport = async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id).select('-extractedText -ocrPages');
+
+    if (!report) {
+      return sendResource(res, 404, fhirService.operationOutcome('not-found', 'Report not found'));
+    }
+    if (!(await canAccessReport(req.user, report))) {
+      return sendResource(res, 403, fhirService.operationOutcome('forbidden', 'Not authorized to access this report'));
+    }
+
+    sendResource(res, 200, fhirService.diagnosticReportResource(report, baseUrlOf(req)));
+  } catch (error) {
+    sendResource(res, 500, fhirService.operationOutcome('exception', error.message));
+  }
+};
+
+// @desc    Get a patient as a FHIR Patient
+// @route   GET /api/fhir/Patient/:id
+// @access  Private
+exports.getPatient = async (req, res) => {
+  try {
+    const patient = await User.findOne({ _id: req.params.id, userType: 'patient' });
+
+    if (!patient) {
+      return sendResource(res, 404, fhirService.operationOutcome('not-found', 'Patient not found'));
+    }
+    if (!(await canAccessPatient(req.user, patient._id))) {
+      return sendResource(res, 403, fhirService.operationOutcome('forbidden', 'Not authorized to access this patient'));
+    }
+
+    sendResource(res, 200, fhirService.patientResource(patient));
+  } catch (error) {
+    sendResource(res, 500, fhirService.operationOutcome('exception', error.message));
+  }
+};
+
+// @desc    Get a patient and all their reports as a FHIR Bundle
+// @route   GET /api/fhir/Patient/:id/$everything
+// @access  Private
+exports.getPatientEverything = async (req, res) => {
+  try {
+    const patient = await User.findOne({ _id: req.params.id, userType: 'patient' });
+
+    if (!patient) {
+      return sendResource(res, 404, fhirService.operationOutcome('not-found', 'Patient not found'));
+    }
+    if (!(await canAccessPatient(req.user, patient._id))) {
+      return sendResource(res, 403, fhirService.operationOutcome('forbidden', 'Not authorized to access this patient'));
+    }
+
+    const reports = await Report.find({ patient: patient._id })
+      .sort({ createdAt: -1 })
+      .select('-extractedText -ocrPages');
+
+    sendResource(res, 200, fhirService.patientBundle(patient, reports, baseUrlOf(req)));
+  } catch (error) {
+    sendResource(res, 500, fhirService.operationOutcome('exception', error.message));
+  }
+};
+
+// @desc    Import a FHIR Bundle of earlier results as historical reports
+// @route   POST /api/fhir/Patient/:id/import?confirmPatient=true
+// @access  Private
+// Answers in the app's JSON format with one issue per rejected resource.
+// A Bundle whose Patient differs in birth date or name is refused with 409
+// unless confirmPatient is set.
+exports.importPatientBundle = async (req, res) => {
+  try {
+    const patient = await User.findOne({ _id: req.params.id, userType: 'patient' });
+
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+    if (!(await canAccessPatient(req.user, patient._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this patient'
+      });
+    }
+
+    let bundle;
+    try {
+      bundle = fhirImportService.readBundle(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid FHIR Bundle',
+        error: error.message
+      });
+    }
+
+    // Results of someone else must not land in this record unless the doctor
+    // confirms the differences (e.g. a name changed since the results)
+    const confirmed = req.query.confirmPatient === 'true';
+    const mismatches = fhirImportService.comparePatient(bundle.patient, patient).map(message => ({
+      resource: `Patient/${bundle.patient.id || ''}`,
+      severity: confirmed ? 'warning' : 'error',
+      message
+    }));
+    const issues = [...mismatches, ...bundle.issues];
+    if (mismatches.length > 0 && !confirmed) {
+      return res.status(409).json({
+        success: false,
+        message: `The Bundle's patient does not match ${patient.name}`,
+        patientMismatch: true,
+        issues
+      });
+    }
+
+    const sourceIds = bundle.reports.map(draft => draft.sourceId).filter(Boolean);
+    const existing = await Report.find({ patient: patient._id, sourceId: { $in: sourceIds } }).select('sourceId');
+    const imported = new Set(existing.map(report => report.sourceId));
+
+    const reports = [];
+    let skipped = 0;
+    for (const draft of bundle.reports) {
+      if (draft.sourceId && imported.has(draft.sourceId)) {
+        skipped++;
+        continue;
+      }
+
+      // Keep the resources each report came from, like the original file of an upload
+      const fileName = `fhir-${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+      const filePath = path.join(uploadDir, fileName);
+      fs.writeFileSync(filePath, JSON.stringify({
+        resourceType: 'Bundle',
+        type: 'collection',
+        entry: draft.resources.map(resource => ({ resource }))
+      }, null, 2));
+
+      const report = await Report.create({
+        patient: patient._id,
+        fileName,
+        originalName: `${draft.title}${draft.performer ? ` (${draft.performer})` : ''}`,
+        filePath,
+        fileType: 'fhir',
+        source: 'fhir',
+        sourceId: draft.sourceId,
+        reportType: draft.title,
+        reportDate: draft.reportDate,
+        extractedText: draft.text,
+        labResults: draft.labResults,
+        status: 'processing'
+      });
+      await reportProcessor.enqueue(report._id);
+      if (draft.sourceId) imported.add(draft.sourceId);
+
+      reports.push({
+        _id: report._id,
+        reportType: report.reportType,
+        reportDate: report.reportDate,
+        resultCount: report.labResults.length
+      });
+    }
+
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+    const status = reports.length > 0 ? 201 : errors > 0 ? 422 : 200;
+    res.status(status).json({
+      success: reports.length > 0 || errors === 0,
+      message: `Imported ${reports.length} report(s)` +
+        (skipped > 0 ? `, ${skipped} already imported` : '') +
+        (errors > 0 ? `, ${errors} resource(s) rejected` : ''),
+      imported: reports.length,
+      skipped,
+      reports,
+      issues
+    });
+  } catch (error) {
+    console.error('FHIR Import Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import FHIR Bundle',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,287 @@
+const fs = require('fs');
+const path = require('path');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const IncomingResult = require('../models/IncomingResult');
+const hl7Service = require('../services/hl7Service');
+const reportProcessor = require('../services/reportProcessor');
+const { canAccessPatient, accessiblePatientIds } = require('../utils/accessControl');
+
+const uploadDir = path.join(__dirname, '../uploads');
+
+// Queue entry as a doctor may see it: only candidates among their own patients.
+// Returns null when the entry concerns none of their patients; unmatched
+// entries without any candidate are open to every doctor.
+const scopeEntry = (entry, patientIds, user) => {
+  const candidates = (entry.candidates || []).filter(candidate => patientIds.has((candidate._id || candidate).toString()));
+  const reportPatient = entry.report?.patient?.toString();
+  const visible = candidates.length > 0 ||
+    (reportPatient && patientIds.has(reportPatient)) ||
+    entry.reviewedBy?._id?.toString() === user._id.toString() ||
+    (entry.status === 'pending_review' && (entry.candidates || []).length === 0);
+  if (!visible) return null;
+
+  return { ...entry.toObject(), candidates, report: entry.report?._id };
+};
+
+// Create a report from one patient group of a parsed HL7 message and queue its analysis
+const createReportFromHl7 = async (parsed, group, patientId) => {
+  const testNames = group.orders.map(order => order.testName).filter(Boolean);
+  const fileName = `hl7-${Date.now()}-${Math.round(Math.random() * 1E9)}.hl7`;
+  const filePath = path.join(uploadDir, fileName);
+  fs.writeFileSync(filePath, group.segments.join('\r'));
+
+  const report = await Report.create({
+    patient: patientId,
+    fileName,
+    originalName: `${testNames.join(', ') || 'Lab results'}${parsed.sendingFacility ? ` (${parsed.sendingFacility})` : ''}`,
+    filePath,
+    fileType: 'hl7',
+    source: 'hl7',
+    reportType: testNames[0] || 'Lab Results',
+    reportDate: hl7Service.reportDate(group),
+    extractedText: hl7Service.toText(parsed, group),
+    labResults: hl7Service.toLabResults(group.orders),
+    status: 'processing'
+  });
+
+  await reportProcessor.enqueue(report._id);
+  return report;
+};
+
+// @desc    Receive an HL7 v2 ORU^R01 result message from a partner lab
+// @route   POST /api/integrations/hl7/oru
+// @access  Partner (API key)
+exports.receiveHl7Oru = async (req, res) => {
+  const message = typeof req.body === 'string' ? req.body : req.body?.message;
+
+  let parsed;
+  try {
+    parsed = hl7Service.parse(message);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid HL7 message',
+      error: error.message,
+      ack: hl7Service.buildAck(null, 'AR', error.message)
+    });
+  }
+
+  if (parsed.type !== 'ORU^R01' || !parsed.controlId || parsed.groups.length === 0) {
+    const reason = parsed.type !== 'ORU^R01'
+      ? `Unsupported message type ${parsed.type}`
+      : !parsed.controlId ? 'Missing message control ID' : 'Message has no PID segment';
+    return res.status(400).json({
+      success: false,
+      message: reason,
+      ack: hl7Service.buildAck(parsed, 'AR', reason)
+    });
+  }
+
+  try {
+    const results = [];
+
+    for (const [groupIndex, group] of parsed.groups.entries()) {
+      // Partners re-send messages they got no ACK for; answer with what was stored
+      const existing = await IncomingResult.findOne({
+        partner: req.partner.name,
+        messageControlId: parsed.controlId,
+        groupIndex
+      });
+      if (existing) {
+        results.push({ status: existing.status, report: existing.report, duplicate: true });
+        continue;
+      }
+
+      const { patient, candidates } = await hl7Service.matchPatient(group.patient);
+      const report = patient ? await createReportFromHl7(parsed, group, patient._id) : null;
+
+      const entry = await IncomingResult.create({
+        source: 'hl7',
+        partner: req.partner.name,
+        messageControlId: parsed.controlId,
+        groupIndex,
+        sendingFacility: parsed.sendingFacility,
+        message: group.segments.join('\r'),
+        patientDetails: group.patient,
+        testNames: group.orders.map(order => order.testName).filter(Boolean),
+        resultCount: group.orders.reduce((count, order) => count + order.observations.length, 0),
+        reportDate: hl7Service.reportDate(group),
+        status: patient ? 'matched' : 'pending_review',
+        candidates: candidates.map(candidate => candidate._id),
+        report: report?._id
+      });
+
+      results.push({ status: entry.status, report: report?._id, queueId: patient ? undefined : entry._id });
+    }
+
+    const queued = results.filter(result => result.status === 'pending_review').length;
+    res.status(201).json({
+      success: true,
+      message: queued > 0
+        ? `${results.length - queued} result set(s) matched, ${queued} queued for review`
+        : 'Results received',
+      results,
+      ack: hl7Service.buildAck(parsed, 'AA')
+    });
+  } catch (error) {
+    console.error('HL7 Ingestion Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process HL7 message',
+      error: error.message,
+      ack: hl7Service.buildAck(parsed, 'AE', 'Internal error')
+    });
+  }
+};
+
+// @desc    Get incoming results waiting for a patient match
+// @route   GET /api/integrations/review-queue
+// @access  Private (Doctor)
+exports.getReviewQueue = async (req, res) => {
+  try {
+    const status = req.query.status || 'pending_review';
+
+    const [found, patientIds] = await Promise.all([
+      IncomingResult.find({ status })
+        .select('-message')
+        .populate('candidates', 'name email phone dateOfBirth')
+        .populate('reviewedBy', 'name')
+        .populate('report', 'patient')
+        .sort({ createdAt: -1 }),
+      accessiblePatientIds(req.user)
+    ]);
+    const entries = found
+      .map(entry => scopeEntry(entry, patientIds, req.user))
+      .filter(Boolean);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      entries
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch review queue',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Assign an unmatched incoming result to a patient
+// @route   POST /api/integrations/review-queue/:id/assign
+// @access  Private (Doctor)
+exports.assignIncomingResult = async (req, res) => {
+  try {
+    const { patientId, note } = req.body;
+
+    const [entry, patientIds] = await Promise.all([
+      IncomingResult.findById(req.params.id),
+      accessiblePatientIds(req.user)
+    ]);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Queue entry not found'
+      });
+    }
+    if (!scopeEntry(entry, patientIds, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'These results do not concern your patients'
+      });
+    }
+    if (entry.status !== 'pending_review') {
+      return res.status(409).json({
+        success: false,
+        message: `This entry was already ${entry.status === 'rejected' ? 'rejected' : 'assigned'}`
+      });
+    }
+
+    const patient = patientId ? await User.findOne({ _id: patientId, userType: 'patient' }) : null;
+    if (!patient) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please select a patient'
+      });
+    }
+    if (!(await canAccessPatient(req.user, patient._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This patient is not assigned to you'
+      });
+    }
+
+    const parsed = hl7Service.parse(entry.message);
+    const report = await createReportFromHl7(parsed, parsed.groups[0], patient._id);
+
+    entry.status = 'assigned';
+    entry.report = report._id;
+    entry.reviewedBy = req.user._id;
+    entry.reviewedAt = new Date();
+    entry.reviewNote = note;
+    await entry.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Results assigned to ${patient.name}`,
+      entry,
+      reportId: report._id
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign results',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reject an unmatched incoming result (wrong practice, test message...)
+// @route   POST /api/integrations/review-queue/:id/reject
+// @access  Private (Doctor)
+exports.rejectIncomingResult = async (req, res) => {
+  try {
+    const [pending, patientIds] = await Promise.all([
+      IncomingResult.findOne({ _id: req.params.id, status: 'pending_review' }).select('candidates status'),
+      accessiblePatientIds(req.user)
+    ]);
+    if (pending && !scopeEntry(pending, patientIds, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'These results do not concern your patients'
+      });
+    }
+
+    const entry = await IncomingResult.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending_review' },
+      {
+        status: 'rejected',
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+        reviewNote: req.body.note
+      },
+      { new: true }
+    ).select('-message');
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Queue entry not found or already reviewed'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Results rejected',
+      entry
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject results',
+      error: error.message
+    });
+  }
+};
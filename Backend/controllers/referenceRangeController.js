@@ -0,0 +1,180 @@
+const ReferenceRange = require('../models/ReferenceRange');
+const referenceRanges = require('../config/referenceRanges');
+const analytes = require('../config/analytes');
+
+const RANGE_FIELDS = ['code', 'sex', 'minAge', 'maxAge', 'low', 'high', 'criticalLow', 'criticalHigh', 'notes'];
+
+const pickRangeFields = (body) => {
+  const fields = {};
+  RANGE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+const LIMITS = ['low', 'high', 'criticalLow', 'criticalHigh'];
+const isSet = value => value !== undefined && value !== null;
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+// Error message for an invalid range, or null. Limits may be left out (or
+// null to clear them); the ones given must be numbers in the right order.
+const validateRange = (range) => {
+  if (!analytes.some(analyte => analyte.code === range.code)) {
+    return `Unknown analyte code '${range.code}'`;
+  }
+  if (isSet(range.sex) && !['any', 'male', 'female'].includes(range.sex)) {
+    return 'Sex must be one of any, male, female';
+  }
+  for (const field of ['minAge', 'maxAge']) {
+    if (isSet(range[field]) && !(isNumber(range[field]) && range[field] >= 0)) {
+      return `${field} must be a number of at least 0`;
+    }
+  }
+  if (isSet(range.minAge) && isSet(range.maxAge) && range.minAge > range.maxAge) {
+    return 'minAge must not be above maxAge';
+  }
+
+  const invalid = LIMITS.find(field => isSet(range[field]) && !isNumber(range[field]));
+  if (invalid) return `${invalid} must be a number`;
+  if (!LIMITS.some(field => isSet(range[field]))) return 'Please provide at least one limit';
+
+  const { low, high, criticalLow, criticalHigh } = range;
+  if (isSet(low) && isSet(high) && low >= high) return 'low must be below high';
+  if (isSet(criticalLow) && isSet(criticalHigh) && criticalLow >= criticalHigh) {
+    return 'criticalLow must be below criticalHigh';
+  }
+  if (isSet(criticalLow) && isSet(low) && criticalLow > low) return 'criticalLow must not be above low';
+  if (isSet(criticalHigh) && isSet(high) && criticalHigh < high) return 'criticalHigh must not be below high';
+  return null;
+};
+
+// @desc    Get default reference ranges and the doctor's clinic overrides
+// @route   GET /api/reference-ranges
+// @access  Private (Doctor)
+exports.getReferenceRanges = async (req, res) => {
+  try {
+    const overrides = await ReferenceRange.find({ doctor: req.user._id }).sort({ code: 1, minAge: 1 });
+
+    const catalog = analytes.map(analyte => ({
+      code: analyte.code,
+      name: analyte.name,
+      unit: analyte.canonicalUnit,
+      ranges: referenceRanges[analyte.code] || []
+    }));
+
+    res.status(200).json({
+      success: true,
+      catalog,
+      overrides
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reference ranges',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create clinic reference range override
+// @route   POST /api/reference-ranges
+// @access  Private (Doctor)
+exports.createReferenceRange = async (req, res) => {
+  try {
+    const fields = pickRangeFields(req.body);
+
+    const invalid = validateRange(fields);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const range = await ReferenceRange.create({
+      ...fields,
+      doctor: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reference range saved',
+      range
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save reference range',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update clinic reference range override
+// @route   PUT /api/reference-ranges/:id
+// @access  Private (Doctor)
+exports.updateReferenceRange = async (req, res) => {
+  try {
+    const fields = pickRangeFields(req.body);
+
+    const range = await ReferenceRange.findOne({ _id: req.params.id, doctor: req.user._id });
+
+    if (!range) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reference range not found'
+      });
+    }
+
+    // Checked together with the limits already saved
+    const invalid = validateRange({ ...range.toObject(), ...fields });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    range.set(fields);
+    await range.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Reference range updated',
+      range
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update reference range',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete clinic reference range override
+// @route   DELETE /api/reference-ranges/:id
+// @access  Private (Doctor)
+exports.deleteReferenceRange = async (req, res) => {
+  try {
+    const range = await ReferenceRange.findOneAndDelete({ _id: req.params.id, doctor: req.user._id });
+
+    if (!range) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reference range not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Reference range removed'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove reference range',
+      error: error.message
+    });
+  }
+};
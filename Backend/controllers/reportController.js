@@ -1,9 +1,118 @@
+const fs = require('fs');
 const Report = require('../models/Report');
-const Alert = require('../models/Alert');
 const User = require('../models/User');
-const ocrService = require('../services/ocrService');
-const aiService = require('../services/aiService');
-const path = require('path');
+const AnalysisVersion = require('../models/AnalysisVersion');
+const ReportVerification = require('../models/ReportVerification');
+const RedactionAudit = require('../models/RedactionAudit');
+const reportProcessor = require('../services/reportProcessor');
+const jobQueue = require('../services/jobQueue');
+const duplicateDetector = require('../services/duplicateDetector');
+const dicomService = require('../services/dicomService');
+const labExportService = require('../services/labExportService');
+const pdfReportService = require('../services/pdfReportService');
+const { fileTypeOf } = require('../middleware/uploadMiddleware');
+const { codes: languageCodes } = require('../config/languages');
+const { canAccessPatient, canAccessReport } = require('../utils/accessControl');
+
+// Create a report from one or more uploaded files (pages, in upload order) and queue it
+const createReportFromUpload = async (req, res, files) => {
+  const { reportType, notes, language } = req.body;
+
+  if (language && language !== 'auto' && !languageCodes.includes(language)) {
+    files.forEach(file => fs.unlink(file.path, () => {}));
+    return res.status(400).json({
+      success: false,
+      message: 'Unsupported document language'
+    });
+  }
+
+  // The same file(s) uploaded again: point to the existing report instead of re-analyzing
+  const fileHash = await duplicateDetector.hashFiles(files.map(file => file.path));
+  const existing = await duplicateDetector.findByFileHash(req.user._id, fileHash);
+  if (existing) {
+    files.forEach(file => fs.unlink(file.path, () => {}));
+    return res.status(200).json({
+      success: true,
+      duplicate: true,
+      message: `This file was already uploaded on ${existing.createdAt.toLocaleDateString()}`,
+      report: {
+        _id: existing._id,
+        fileName: existing.originalName,
+        reportType: existing.reportType,
+        status: existing.status,
+        createdAt: existing.createdAt
+      }
+    });
+  }
+
+  // One entry per file, in the order the patient arranged the pages
+  const pages = files.map((file, index) => ({
+    order: index + 1,
+    fileName: file.filename,
+    originalName: file.originalname,
+    filePath: file.path,
+    fileType: fileTypeOf(file)
+  }));
+  const [first] = pages;
+
+  // Read DICOM headers before accepting the upload. The report keeps the first
+  // file's tags (and preview); any file naming another patient flags it.
+  let dicom;
+  for (const page of pages.filter(entry => entry.fileType === 'dicom')) {
+    let study;
+    try {
+      study = await dicomService.inspect(page.filePath, req.user, { preview: !dicom });
+    } catch (error) {
+      files.forEach(file => fs.unlink(file.path, () => {}));
+      return res.status(400).json({
+        success: false,
+        message: `${page.originalName} is not a valid DICOM file`,
+        error: error.message
+      });
+    }
+    if (!dicom) {
+      dicom = study;
+    } else if (study.patientMatch === 'mismatch') {
+      dicom.patientMatch = 'mismatch';
+    }
+  }
+
+  // Create report record; the first file doubles as the report's main file
+  const report = await Report.create({
+    patient: req.user._id,
+    fileName: first.fileName,
+    originalName: pages.length > 1 ? `${first.originalName} (+${pages.length - 1} pages)` : first.originalName,
+    filePath: first.filePath,
+    fileType: first.fileType,
+    pages: pages.length > 1 ? pages : [],
+    reportType: reportType || 'General',
+    notes,
+    language: language || undefined,
+    dicom,
+    fileHash,
+    status: 'processing'
+  });
+
+  // Queue for background processing before responding so the upload is never lost
+  await reportProcessor.enqueue(report._id);
+
+  // Send immediate response
+  res.status(201).json({
+    success: true,
+    message: 'Report uploaded successfully. Processing...',
+    report: {
+      _id: report._id,
+      fileName: report.originalName,
+      reportType: report.reportType,
+      pageCount: pages.length,
+      ...(dicom?.patientMatch === 'mismatch' && {
+        warning: `The patient name in the DICOM file (${dicom.patientName}) does not match your account`
+      }),
+      status: report.status,
+      createdAt: report.createdAt
+    }
+  });
+};
 
 // @desc    Upload and analyze report
 // @route   POST /api/reports/upload
@@ -17,40 +126,7 @@ exports.uploadReport = async (req, res) => {
       });
     }
 
-    const { reportType, notes } = req.body;
-    const file = req.file;
-
-    // Determine file type
-    const fileType = file.mimetype === 'application/pdf' ? 'pdf' : 'image';
-
-    // Create report record
-    const report = await Report.create({
-      patient: req.user._id,
-      fileName: file.filename,
-      originalName: file.originalname,
-      filePath: file.path,
-      fileType,
-      reportType: reportType || 'General',
-      notes,
-      status: 'processing'
-    });
-
-    // Send immediate response
-    res.status(201).json({
-      success: true,
-      message: 'Report uploaded successfully. Processing...',
-      report: {
-        _id: report._id,
-        fileName: report.originalName,
-        reportType: report.reportType,
-        status: report.status,
-        createdAt: report.createdAt
-      }
-    });
-
-    // Process in background
-    processReport(report._id, file.path, fileType, reportType, req.user);
-
+    await createReportFromUpload(req, res, [req.file]);
   } catch (error) {
     console.error('Upload Error:', error);
     res.status(500).json({
@@ -61,84 +137,28 @@ exports.uploadReport = async (req, res) => {
   }
 };
 
-// Background processing function
-async function processReport(reportId, filePath, fileType, reportType, user) {
+// @desc    Upload several files as the pages of one report
+// @route   POST /api/reports/upload-batch
+// @access  Private (Patient)
+exports.uploadReportBatch = async (req, res) => {
   try {
-    // Step 1: Extract text using OCR
-    let extractedText = await ocrService.extractText(filePath, fileType);
-    extractedText = ocrService.cleanText(extractedText);
-
-    // Step 2: Analyze with AI
-    const analysis = await aiService.analyzeReport(extractedText, reportType);
-
-    // Step 3: Update report with results
-    const updatedReport = await Report.findByIdAndUpdate(
-      reportId,
-      {
-        extractedText,
-        summary: analysis.summary,
-        keyFindings: analysis.keyFindings,
-        abnormalities: analysis.abnormalities,
-        riskLevel: analysis.riskLevel,
-        riskScore: analysis.riskScore,
-        recommendations: analysis.recommendations,
-        status: 'completed'
-      },
-      { new: true }
-    ).populate('patient', 'name email assignedDoctor');
-
-    // Step 4: Create alert if high risk
-    if (analysis.riskLevel === 'high' || analysis.abnormalities.length > 0) {
-      await createAlert(updatedReport, user);
-    }
-
-    // Emit socket event for real-time update
-    if (global.io) {
-      global.io.emit('reportProcessed', {
-        reportId,
-        status: 'completed',
-        riskLevel: analysis.riskLevel
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload at least one file'
       });
     }
 
+    await createReportFromUpload(req, res, req.files);
   } catch (error) {
-    console.error(`❌ Processing failed for report ${reportId}:`, error);
-    
-    await Report.findByIdAndUpdate(reportId, {
-      status: 'failed',
-      processingError: error.message
+    console.error('Batch Upload Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload report',
+      error: error.message
     });
   }
-}
-
-// Create alert for doctor
-async function createAlert(report, user) {
-  try {
-    const patient = await User.findById(user._id).populate('assignedDoctor');
-    
-    if (!patient?.assignedDoctor) {
-      return;
-    }
-
-    const alert = await Alert.create({
-      patient: user._id,
-      patientName: user.name,
-      doctor: patient.assignedDoctor._id,
-      report: report._id,
-      reportId: report._id,
-      message: `${report.riskLevel === 'high' ? '🚨 HIGH RISK: ' : '⚠️ '} New ${report.reportType} report from ${user.name}. ${report.abnormalities.length} abnormalities detected.`,
-      severity: report.riskLevel,
-      alertType: report.riskLevel === 'high' ? 'high_risk' : 'abnormality'
-    });
-
-    // Emit socket event
-    if (global.io) {
-      global.io.to(`doctor_${patient.assignedDoctor._id}`).emit('newAlert', alert);
-    }
-  } catch (error) {
-    console.error('Alert creation failed:', error);
-  }
-}
+};
 
 // @desc    Get patient's reports
 // @route   GET /api/reports/my-reports
@@ -147,7 +167,7 @@ exports.getMyReports = async (req, res) => {
   try {
     const reports = await Report.find({ patient: req.user._id })
       .sort({ createdAt: -1 })
-      .select('-extractedText');
+      .select('-extractedText -ocrPages');
 
     res.status(200).json({
       success: true,
@@ -188,7 +208,7 @@ exports.getAllReports = async (req, res) => {
     })
       .populate('patient', 'name email phone')
       .sort({ createdAt: -1 })
-      .select('-extractedText');
+      .select('-extractedText -ocrPages');
 
     res.status(200).json({
       success: true,
@@ -213,7 +233,8 @@ exports.getReportById = async (req, res) => {
   try {
     const report = await Report.findById(req.params.id)
       .populate('patient', 'name email phone')
-      .populate('reviewedBy', 'name');
+      .populate('reviewedBy', 'name')
+      .populate('possibleDuplicateOf', 'originalName reportType createdAt');
 
     if (!report) {
       return res.status(404).json({
@@ -243,6 +264,128 @@ exports.getReportById = async (req, res) => {
   }
 };
 
+// @desc    Download the analysis as a printable PDF with a verification ID
+// @route   GET /api/reports/:id/pdf
+// @access  Private
+exports.downloadReportPdf = async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id)
+      .select('-extractedText -ocrPages')
+      .populate('patient', 'name dateOfBirth')
+      .populate('reviewedBy', 'name');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+    if (!(await canAccessReport(req.user, report))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this report'
+      });
+    }
+    if (report.status !== 'completed') {
+      return res.status(409).json({
+        success: false,
+        message: 'The analysis is not finished yet'
+      });
+    }
+
+    // Downloading the same content again reuses its verification ID
+    const contentHash = pdfReportService.contentHash(report);
+    let verification = await ReportVerification.findOne({ report: report._id, contentHash });
+    if (!verification) {
+      verification = await ReportVerification.create({
+        verificationId: pdfReportService.generateVerificationId(),
+        report: report._id,
+        issuedTo: req.user._id,
+        contentHash,
+        analysisVersion: report.currentAnalysisVersion,
+        // Only a review of the printed analysis version counts
+        ...(pdfReportService.reviewStatus(report).reviewed && {
+          reviewedBy: report.reviewedBy._id,
+          reviewedAt: report.reviewedAt
+        })
+      });
+    }
+
+    const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    const pdf = await pdfReportService.render(report, {
+      verificationId: verification.verificationId,
+      verifyUrl: `${baseUrl}/api/reports/verify/${verification.verificationId}`
+    });
+
+    res.attachment(`analysis-${report._id}.pdf`);
+    res.type('application/pdf');
+    res.send(pdf);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create PDF',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Check a verification ID printed on an analysis PDF
+// @route   GET /api/reports/verify/:verificationId
+// @access  Public
+exports.verifyReportPdf = async (req, res) => {
+  try {
+    const verification = await ReportVerification.findOne({
+      verificationId: req.params.verificationId.trim().toUpperCase()
+    }).populate('reviewedBy', 'name');
+
+    if (!verification) {
+      return res.status(404).json({
+        success: false,
+        valid: false,
+        message: 'Unknown verification ID'
+      });
+    }
+
+    const report = await Report.findById(verification.report)
+      .select('-extractedText -ocrPages')
+      .populate('patient', 'name');
+    // The PDF is current while the analysis, notes and review are unchanged
+    const current = !!report && pdfReportService.contentHash(report) === verification.contentHash;
+    const initials = report?.patient?.name
+      ?.split(/\s+/)
+      .map(part => part.charAt(0).toUpperCase())
+      .join('');
+
+    res.status(200).json({
+      success: true,
+      valid: true,
+      current,
+      message: !report
+        ? 'This PDF was issued here, but the report has since been deleted'
+        : current
+          ? 'This PDF matches the current analysis'
+          : 'This PDF was issued here, but the analysis or review has changed since',
+      verification: {
+        verificationId: verification.verificationId,
+        issuedAt: verification.createdAt,
+        patientInitials: initials,
+        reportType: report?.reportType,
+        reportDate: report ? report.reportDate || report.createdAt : undefined,
+        analysisVersion: verification.analysisVersion,
+        reviewed: !!verification.reviewedBy,
+        reviewedBy: verification.reviewedBy?.name,
+        reviewedAt: verification.reviewedAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify PDF',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Add doctor notes to report
 // @route   PUT /api/reports/:id/notes
 // @access  Private (Doctor)
@@ -250,23 +393,26 @@ exports.addDoctorNotes = async (req, res) => {
   try {
     const { doctorNotes } = req.body;
 
+    const current = await Report.findById(req.params.id).select('currentAnalysisVersion');
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
     const report = await Report.findByIdAndUpdate(
       req.params.id,
       {
         doctorNotes,
         reviewedBy: req.user._id,
-        reviewedAt: new Date()
+        reviewedAt: new Date(),
+        reviewedVersion: current.currentAnalysisVersion
       },
       { new: true }
     );
 
-    if (!report) {
-      return res.status(404).json({
-        success: false,
-        message: 'Report not found'
-      });
-    }
-
     res.status(200).json({
       success: true,
       message: 'Notes added successfully',
@@ -308,7 +454,7 @@ exports.getPatientReports = async (req, res) => {
 
     const reports = await Report.find({ patient: patientId })
       .sort({ createdAt: -1 })
-      .select('-extractedText');
+      .select('-extractedText -ocrPages');
 
     res.status(200).json({
       success: true,
@@ -322,4 +468,241 @@ exports.getPatientReports = async (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Export a patient's lab values, one row per measurement
+// @route   GET /api/reports/patient/:patientId/lab-values?format=csv|xlsx
+// @access  Private (Doctor)
+exports.exportPatientLabValues = async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv or xlsx'
+      });
+    }
+
+    const patient = await User.findOne({ _id: req.params.patientId, userType: 'patient' });
+    if (!patient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Patient not found'
+      });
+    }
+    if (!(await canAccessPatient(req.user, patient._id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This patient is not assigned to you'
+      });
+    }
+
+    // Re-uploads of the same report would list every value twice
+    const reports = await Report.find({
+      patient: patient._id,
+      status: 'completed',
+      possibleDuplicateOf: { $exists: false }
+    })
+      .select('originalName fileName reportType reportDate createdAt labResults');
+    const rows = labExportService.rows(reports);
+
+    res.attachment(labExportService.fileName(patient, format));
+    if (format === 'xlsx') {
+      res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.send(Buffer.from(await labExportService.toXlsx(rows, patient)));
+    } else {
+      res.type('text/csv; charset=utf-8');
+      res.send(labExportService.toCsv(rows));
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export lab values',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get processing job state for a report
+// @route   GET /api/reports/:id/jobs
+// @access  Private
+exports.getReportJobs = async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id).select('patient status processingError');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (!(await canAccessReport(req.user, report))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this report'
+      });
+    }
+
+    const jobs = await jobQueue.getJobsForReport(report._id);
+
+    res.status(200).json({
+      success: true,
+      status: report.status,
+      processingError: report.processingError,
+      jobs: jobs.map(job => ({
+        _id: job._id,
+        type: job.type,
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        runAt: job.runAt,
+        startedAt: job.startedAt,
+        completedAt: job.completedAt,
+        lastError: job.lastError,
+        createdAt: job.createdAt
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch report jobs',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Re-run analysis for a report, optionally re-running OCR
+// @route   POST /api/reports/:id/reanalyze
+// @access  Private (Patient owner or assigned Doctor)
+exports.reanalyzeReport = async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (!(await canAccessReport(req.user, report))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to re-analyze this report'
+      });
+    }
+
+    if (await reportProcessor.isProcessing(report._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This report is already being processed'
+      });
+    }
+
+    const rerunOcr = req.body.rerunOcr === true || req.body.rerunOcr === 'true';
+
+    // Keep the current analysis visible while the new one runs
+    report.status = 'processing';
+    report.processingError = null;
+    await report.save();
+
+    const job = await reportProcessor.enqueue(report._id, {
+      rerunOcr,
+      trigger: 'reanalyze',
+      requestedBy: req.user._id
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Re-analysis queued',
+      jobId: job._id,
+      status: report.status
+    });
+  } catch (error) {
+    console.error('Re-analyze Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue re-analysis',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get analysis version history for a report
+// @route   GET /api/reports/:id/analyses
+// @access  Private (Patient owner or assigned Doctor)
+exports.getReportAnalyses = async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id).select('patient currentAnalysisVersion');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (!(await canAccessReport(req.user, report))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this report'
+      });
+    }
+
+    const versions = await AnalysisVersion.find({ report: report._id })
+      .sort({ version: -1 })
+      .select('-extractedText')
+      .populate('requestedBy', 'name userType');
+
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      currentVersion: report.currentAnalysisVersion,
+      versions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch analysis history',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the PHI redactions made before sending the report to external AI
+// @route   GET /api/reports/:id/redactions
+// @access  Private (Doctor)
+exports.getReportRedactions = async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id).select('patient');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    if (!(await canAccessReport(req.user, report))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this report'
+      });
+    }
+
+    const audits = await RedactionAudit.find({ report: report._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: audits.length,
+      audits
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch redaction audit',
+      error: error.message
+    });
+  }
+};
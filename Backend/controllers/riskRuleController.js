@@ -0,0 +1,199 @@
+const RiskRule = require('../models/RiskRule');
+const riskRuleService = require('../services/riskRuleService');
+const analytes = require('../config/analytes');
+const { OPERATORS, SEVERITIES, SEVERITY_POINTS, FLAGS, ANY_ANALYTE } = require('../config/riskRules');
+
+const RULE_FIELDS = ['name', 'code', 'operator', 'threshold', 'flag', 'severity', 'points', 'enabled', 'notes'];
+
+const pickRuleFields = (body) => {
+  const fields = {};
+  RULE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// Error message for an invalid rule, or null
+const validateRule = (rule) => {
+  if (!rule.name) return 'Please provide a rule name';
+  if (rule.code !== ANY_ANALYTE && !analytes.some(analyte => analyte.code === rule.code)) {
+    return `Unknown analyte code '${rule.code}'`;
+  }
+  if (!OPERATORS.includes(rule.operator)) return `Operator must be one of ${OPERATORS.join(', ')}`;
+  if (rule.operator === 'flagged' && !FLAGS.includes(rule.flag)) return `Flag must be one of ${FLAGS.join(', ')}`;
+  if (rule.operator !== 'flagged' && typeof rule.threshold !== 'number') return 'Please provide a numeric threshold';
+  if (!SEVERITIES.includes(rule.severity)) return `Severity must be one of ${SEVERITIES.join(', ')}`;
+  if (rule.points != null && (typeof rule.points !== 'number' || !(rule.points >= 0 && rule.points <= 100))) {
+    return 'Points must be a number from 0 to 100';
+  }
+  return null;
+};
+
+// Built-in rules and the doctor's own; other doctors' rules are not found
+const findRule = async (req) => {
+  const rule = await RiskRule.findById(req.params.id);
+  if (rule?.doctor && rule.doctor.toString() !== req.user._id.toString()) return null;
+  return rule;
+};
+
+// @desc    Get the risk rules for the doctor's patients and the options for editing them
+// @route   GET /api/risk-rules
+// @access  Private (Doctor)
+exports.getRiskRules = async (req, res) => {
+  try {
+    const rules = await riskRuleService.queryFor(req.user._id)
+      .populate('updatedBy', 'name')
+      .sort({ code: 1, threshold: 1 });
+
+    res.status(200).json({
+      success: true,
+      rules: riskRuleService.withoutOverridden(rules),
+      analytes: analytes.map(analyte => ({
+        code: analyte.code,
+        name: analyte.name,
+        unit: analyte.canonicalUnit
+      })),
+      operators: OPERATORS,
+      severities: SEVERITIES,
+      severityPoints: SEVERITY_POINTS,
+      flags: FLAGS
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch risk rules',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create risk rule
+// @route   POST /api/risk-rules
+// @access  Private (Doctor)
+exports.createRiskRule = async (req, res) => {
+  try {
+    const fields = pickRuleFields(req.body);
+
+    const invalid = validateRule(fields);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    const rule = await RiskRule.create({
+      ...fields,
+      doctor: req.user._id,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Risk rule saved',
+      rule
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save risk rule',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update risk rule. Changes to a built-in rule (e.g. a threshold, or
+//          disabling it) go into the doctor's own copy for their patients.
+// @route   PUT /api/risk-rules/:id
+// @access  Private (Doctor)
+exports.updateRiskRule = async (req, res) => {
+  try {
+    const fields = pickRuleFields(req.body);
+
+    let rule = await findRule(req);
+    if (rule?.key) {
+      rule = await RiskRule.findOne({ doctor: req.user._id, overrides: rule.key }) || new RiskRule({
+        ...Object.fromEntries(RULE_FIELDS.map(field => [field, rule[field]])),
+        doctor: req.user._id,
+        overrides: rule.key,
+        createdBy: req.user._id
+      });
+    }
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Risk rule not found'
+      });
+    }
+
+    const invalid = validateRule({ ...rule.toObject(), ...fields });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid
+      });
+    }
+
+    rule.set({ ...fields, updatedBy: req.user._id });
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Risk rule updated',
+      rule
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update risk rule',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete risk rule; deleting the copy of a built-in rule resets it to the default
+// @route   DELETE /api/risk-rules/:id
+// @access  Private (Doctor)
+exports.deleteRiskRule = async (req, res) => {
+  try {
+    const rule = await findRule(req);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Risk rule not found'
+      });
+    }
+
+    // Would be added again on the next start, so built-in rules are only disabled
+    if (rule.key) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in rules cannot be deleted, disable them instead'
+      });
+    }
+
+    await rule.deleteOne();
+
+    if (rule.overrides) {
+      const builtIn = await RiskRule.findOne({ key: rule.overrides }).populate('updatedBy', 'name');
+      return res.status(200).json({
+        success: true,
+        message: 'Risk rule reset to default',
+        rule: builtIn
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Risk rule removed'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove risk rule',
+      error: error.message
+    });
+  }
+};
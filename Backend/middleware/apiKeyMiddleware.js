@@ -0,0 +1,18 @@
+const { findPartnerByKey } = require('../config/integrations');
+
+// Protect machine-to-machine routes - verify a partner API key
+const protectPartner = (req, res, next) => {
+  const partner = findPartnerByKey(req.headers['x-api-key']);
+
+  if (!partner) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized, invalid or missing API key'
+    });
+  }
+
+  req.partner = { name: partner.name };
+  next();
+};
+
+module.exports = { protectPartner };
@@ -8,6 +8,11 @@ if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir, { recursive: true });
 }
 
+// Browsers rarely know the DICOM mime type, so the extension counts too
+const DICOM_EXTENSIONS = ['.dcm', '.dicom'];
+const isDicom = (file) => file.mimetype === 'application/dicom' ||
+  DICOM_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase());
+
 // Configure storage
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
@@ -30,10 +35,10 @@ const fileFilter = (req, file, cb) => {
     'image/png'
   ];
 
-  if (allowedTypes.includes(file.mimetype)) {
+  if (allowedTypes.includes(file.mimetype) || isDicom(file)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only PDF, JPEG, JPG, and PNG are allowed.'), false);
+    cb(new Error('Invalid file type. Only PDF, JPEG, JPG, PNG and DICOM are allowed.'), false);
   }
 };
 
@@ -46,4 +51,13 @@ const upload = multer({
   }
 });
 
+// Most files accepted as pages of a single report (batch upload)
+upload.MAX_PAGES = 20;
+
+// Upload file type stored on the report: 'pdf', 'dicom' or 'image'
+upload.fileTypeOf = (file) => {
+  if (file.mimetype === 'application/pdf') return 'pdf';
+  return isDicom(file) ? 'dicom' : 'image';
+};
+
 module.exports = upload;
\ No newline at end of file
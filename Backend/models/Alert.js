@@ -33,9 +33,11 @@ const alertSchema = new mongoose.Schema({
   },
   alertType: {
     type: String,
-    enum: ['abnormality', 'high_risk', 'new_report', 'urgent'],
+    enum: ['abnormality', 'high_risk', 'new_report', 'urgent', 'worsening_trend'],
     default: 'new_report'
   },
+  // Critical values behind an 'urgent' alert, e.g. "Glucose: 42 mg/dL"
+  criticalValues: [String],
   acknowledged: {
     type: Boolean,
     default: false
@@ -46,6 +48,11 @@ const alertSchema = new mongoose.Schema({
   acknowledgedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  },
+  // Action taken, required to acknowledge an 'urgent' alert
+  acknowledgementNote: {
+    type: String,
+    trim: true
   }
 }, {
   timestamps: true
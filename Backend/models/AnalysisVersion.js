@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const labResultSchema = require('./labResultSchema');
+const findingEvidenceSchema = require('./findingEvidenceSchema');
+const riskBreakdownSchema = require('./riskBreakdownSchema');
+
+// One analysis run of a report. The Report document mirrors the latest version;
+// older versions are kept here for comparison.
+const analysisVersionSchema = new mongoose.Schema({
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['upload', 'reanalyze', 'legacy'],
+    default: 'upload'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Whether OCR was run again for this version or the previous text was reused
+  ocrRerun: {
+    type: Boolean,
+    default: true
+  },
+  extractedText: {
+    type: String
+  },
+  summary: {
+    type: String
+  },
+  keyFindings: [{
+    type: String
+  }],
+  abnormalities: [{
+    type: String
+  }],
+  riskLevel: {
+    type: String,
+    enum: ['low', 'medium', 'high']
+  },
+  riskScore: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  recommendations: [{
+    type: String
+  }],
+  // AI and rule contributions to riskLevel/riskScore
+  riskBreakdown: riskBreakdownSchema,
+  labResults: [labResultSchema],
+  // Source passage of each key finding and abnormality
+  findingEvidence: [findingEvidenceSchema],
+  analyzedBy: {
+    provider: String,
+    model: String
+  },
+  analysisStatus: {
+    type: String,
+    enum: ['valid', 'repaired', 'unreliable', 'fallback']
+  },
+  analysisErrors: [{
+    type: String
+  }]
+}, {
+  timestamps: true
+});
+
+analysisVersionSchema.index({ report: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('AnalysisVersion', analysisVersionSchema);
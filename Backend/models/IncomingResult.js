@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Results pushed by partner systems, one entry per patient in a message.
+// Entries that could not be matched to a patient wait here ('pending_review')
+// until a doctor assigns them to a patient or rejects them.
+const incomingResultSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['hl7'],
+    required: true
+  },
+  // Partner name from config/integrations.js
+  partner: {
+    type: String,
+    required: true
+  },
+  messageControlId: {
+    type: String,
+    required: true
+  },
+  // Position of the patient within the message
+  groupIndex: {
+    type: Number,
+    default: 0
+  },
+  sendingFacility: {
+    type: String
+  },
+  // Raw message (MSH plus this patient's segments), re-parsed on assignment
+  message: {
+    type: String,
+    required: true
+  },
+  // Patient as identified by the sender
+  patientDetails: {
+    name: String,
+    dateOfBirth: Date,
+    sex: String,
+    phone: String,
+    email: String,
+    identifiers: [{
+      _id: false,
+      id: String,
+      type: { type: String }
+    }]
+  },
+  testNames: [{
+    type: String
+  }],
+  resultCount: {
+    type: Number,
+    default: 0
+  },
+  reportDate: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['matched', 'pending_review', 'assigned', 'rejected'],
+    required: true
+  },
+  // Possible patients (same email, phone or birth date) shown to the reviewer
+  candidates: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Re-sent messages are recognized by their control ID
+incomingResultSchema.index({ partner: 1, messageControlId: 1, groupIndex: 1 }, { unique: true });
+incomingResultSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('IncomingResult', incomingResultSchema);
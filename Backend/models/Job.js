@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  // Report the job works on, so job state can be looked up per report
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'dead'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  // Earliest time the job may run (used for retry backoff)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  lastError: {
+    type: String
+  },
+  errorHistory: [{
+    attempt: Number,
+    message: String,
+    at: Date
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for the worker's polling query
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ report: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Job', jobSchema);
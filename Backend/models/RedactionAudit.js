@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Record of report text sent to an external AI provider: which values were
+// replaced by placeholders (or that de-identification was off for the run)
+const redactionAuditSchema = new mongoose.Schema({
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    required: true
+  },
+  analysisVersion: {
+    type: Number
+  },
+  // The analysis call, the repair round after invalid output, the report type
+  // check or a chatbot question about the report
+  purpose: {
+    type: String,
+    enum: ['analysis', 'repair', 'classification', 'chat'],
+    default: 'analysis'
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  model: {
+    type: String
+  },
+  deidentified: {
+    type: Boolean,
+    required: true
+  },
+  entries: [{
+    _id: false,
+    placeholder: String,
+    category: {
+      type: String,
+      enum: ['name', 'dob', 'phone', 'email', 'address', 'mrn']
+    },
+    original: String
+  }]
+}, {
+  timestamps: true
+});
+
+redactionAuditSchema.index({ report: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RedactionAudit', redactionAuditSchema);
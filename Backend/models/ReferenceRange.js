@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Clinic-specific reference range set by a doctor. Applies to the doctor's
+// own patients and takes precedence over the default catalog.
+const referenceRangeSchema = new mongoose.Schema({
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Analyte code is required'],
+    trim: true,
+    lowercase: true
+  },
+  sex: {
+    type: String,
+    enum: ['any', 'male', 'female'],
+    default: 'any'
+  },
+  minAge: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  maxAge: {
+    type: Number,
+    min: 0,
+    default: 200
+  },
+  // All limits are in the analyte's canonical unit
+  low: {
+    type: Number
+  },
+  high: {
+    type: Number
+  },
+  criticalLow: {
+    type: Number
+  },
+  criticalHigh: {
+    type: Number
+  },
+  notes: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+referenceRangeSchema.index({ doctor: 1, code: 1 });
+
+module.exports = mongoose.model('ReferenceRange', referenceRangeSchema);
@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const labResultSchema = require('./labResultSchema');
+const findingEvidenceSchema = require('./findingEvidenceSchema');
+const riskBreakdownSchema = require('./riskBreakdownSchema');
+const analyteTrendSchema = require('./analyteTrendSchema');
+const ocrPageSchema = require('./ocrPageSchema');
+const { codes: languageCodes } = require('../config/languages');
+const { codes: reportTypeCodes } = require('../config/reportTypes');
 
 const reportSchema = new mongoose.Schema({
   patient: {
@@ -20,9 +27,58 @@ const reportSchema = new mongoose.Schema({
   },
   fileType: {
     type: String,
-    enum: ['pdf', 'image'],
+    enum: ['pdf', 'image', 'dicom', 'hl7', 'fhir'],
     required: true
   },
+  // 'upload' for patient uploads; other sources arrive with structured lab
+  // results and skip OCR (filePath then holds the received message)
+  source: {
+    type: String,
+    enum: ['upload', 'hl7', 'fhir'],
+    default: 'upload'
+  },
+  // Identity of the imported FHIR resource, used to skip re-imports
+  sourceId: {
+    type: String
+  },
+  // When the samples were collected, as given by the sender
+  reportDate: {
+    type: Date
+  },
+  // Files of a multi-file upload in page order; empty for single-file reports
+  // (fileName/filePath/fileType above then describe the first page)
+  pages: [{
+    _id: false,
+    order: Number,
+    fileName: String,
+    originalName: String,
+    filePath: String,
+    fileType: {
+      type: String,
+      enum: ['pdf', 'image', 'dicom']
+    }
+  }],
+  // Header tags of the (first) uploaded DICOM file, read locally on upload.
+  // patientMatch compares the patient tags with the uploading user.
+  dicom: {
+    modality: String,
+    studyDate: Date,
+    bodyPart: String,
+    institution: String,
+    studyDescription: String,
+    seriesDescription: String,
+    patientName: String,
+    patientId: String,
+    patientBirthDate: Date,
+    patientSex: String,
+    frames: Number,
+    // PNG of the first frame next to the upload, served from /uploads
+    previewFile: String,
+    patientMatch: {
+      type: String,
+      enum: ['match', 'mismatch', 'unknown']
+    }
+  },
   reportType: {
     type: String,
     required: true
@@ -34,6 +90,73 @@ const reportSchema = new mongoose.Schema({
   extractedText: {
     type: String
   },
+  // Duplicate detection: SHA-256 of the uploaded bytes, simhash of the OCR text
+  // and a hash of the extracted lab values (services/duplicateDetector.js)
+  fileHash: {
+    type: String
+  },
+  textSimhash: {
+    type: String
+  },
+  analyteFingerprint: {
+    type: String
+  },
+  // Earlier report with the same content; its analysis is reused and no alert is sent
+  possibleDuplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  },
+  duplicateReason: {
+    type: String,
+    enum: ['text', 'analytes']
+  },
+  // Canonical type detected from the report content (config/reportTypes.js);
+  // reportType above keeps what the patient selected
+  detectedReportType: {
+    type: String,
+    enum: reportTypeCodes
+  },
+  reportTypeConfidence: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  reportTypeSource: {
+    type: String,
+    enum: ['rules', 'ai']
+  },
+  // Document language chosen on upload ('auto' to detect) and the language OCR settled on
+  language: {
+    type: String,
+    enum: [...languageCodes, 'auto'],
+    default: 'eng'
+  },
+  detectedLanguage: {
+    type: String,
+    enum: languageCodes
+  },
+  // Words and lines with confidences and boxes; empty when the PDF had a text layer
+  ocrPages: [ocrPageSchema],
+  // Mean word confidence (0-100) across OCR'd pages
+  ocrConfidence: {
+    type: Number
+  },
+  // Set when OCR quality is too low to trust the extracted values without a manual check
+  needsReview: {
+    type: Boolean,
+    default: false
+  },
+  reviewReasons: [{
+    type: String
+  }],
+  // Image cleanup applied before OCR, one entry per OCR'd page
+  ocrPreprocessing: [{
+    _id: false,
+    page: Number,
+    steps: [String],
+    skewAngle: Number,
+    error: String
+  }],
   // AI Analysis Results
   summary: {
     type: String
@@ -58,6 +181,32 @@ const reportSchema = new mongoose.Schema({
   recommendations: [{
     type: String
   }],
+  // AI and rule contributions to riskLevel/riskScore
+  riskBreakdown: riskBreakdownSchema,
+  labResults: [labResultSchema],
+  // Source passage of each key finding and abnormality
+  findingEvidence: [findingEvidenceSchema],
+  // Change of each analyte since the patient's previous report
+  trends: [analyteTrendSchema],
+  // Which AI provider and model produced the analysis
+  analyzedBy: {
+    provider: String,
+    model: String
+  },
+  // Whether the AI output passed schema validation ('repaired' after the
+  // retry round); 'unreliable' analyses are the rule-based fallback for invalid
+  // output, 'fallback' ones come from it because no AI model answered
+  analysisStatus: {
+    type: String,
+    enum: ['valid', 'repaired', 'unreliable', 'fallback']
+  },
+  analysisErrors: [{
+    type: String
+  }],
+  // Latest AnalysisVersion mirrored in the fields above
+  currentAnalysisVersion: {
+    type: Number
+  },
   // Processing Status
   status: {
     type: String,
@@ -75,6 +224,10 @@ const reportSchema = new mongoose.Schema({
   reviewedAt: {
     type: Date
   },
+  // Analysis version the review applies to; re-analysis makes it stale
+  reviewedVersion: {
+    type: Number
+  },
   doctorNotes: {
     type: String
   }
@@ -85,5 +238,7 @@ const reportSchema = new mongoose.Schema({
 // Index for faster queries
 reportSchema.index({ patient: 1, createdAt: -1 });
 reportSchema.index({ riskLevel: 1 });
+reportSchema.index({ patient: 1, fileHash: 1 });
+reportSchema.index({ patient: 1, sourceId: 1 });
 
 module.exports = mongoose.model('Report', reportSchema);
\ No newline at end of file
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A printed analysis PDF. The verification ID is printed on the PDF so whoever
+// receives it can check that it was issued here and is still current.
+const reportVerificationSchema = new mongoose.Schema({
+  verificationId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    required: true
+  },
+  issuedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // sha256 of the printed analysis, notes and review (pdfReportService.contentHash)
+  contentHash: {
+    type: String,
+    required: true
+  },
+  analysisVersion: {
+    type: Number
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+reportVerificationSchema.index({ report: 1, contentHash: 1 });
+
+module.exports = mongoose.model('ReportVerification', reportVerificationSchema);
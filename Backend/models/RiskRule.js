@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { OPERATORS, SEVERITIES, FLAGS } = require('../config/riskRules');
+
+// Deterministic risk rule, e.g. "potassium > 6.0 → critical". Built-in rules
+// (config/riskRules.js) apply to every report; like clinic reference ranges,
+// a doctor's own rules and changes to built-in ones apply to their patients only.
+const riskRuleSchema = new mongoose.Schema({
+  // Set for built-in rules, links them to config/riskRules.js
+  key: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Doctor whose patients the rule applies to; unset for built-in rules
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Key of the built-in rule this doctor's copy replaces
+  overrides: {
+    type: String
+  },
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true
+  },
+  // Analyte code from config/analytes.js, or '*' for any analyte
+  code: {
+    type: String,
+    required: [true, 'Analyte code is required'],
+    trim: true,
+    lowercase: true
+  },
+  operator: {
+    type: String,
+    enum: OPERATORS,
+    required: true
+  },
+  // In the analyte's canonical unit
+  threshold: {
+    type: Number,
+    required: [function () { return this.operator !== 'flagged'; }, 'Threshold is required']
+  },
+  // Result flag matched by the 'flagged' operator
+  flag: {
+    type: String,
+    enum: FLAGS,
+    required: [function () { return this.operator === 'flagged'; }, 'Flag is required']
+  },
+  severity: {
+    type: String,
+    enum: SEVERITIES,
+    required: true
+  },
+  // Score contribution; the severity's default when unset
+  points: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+riskRuleSchema.index({ doctor: 1, code: 1 });
+riskRuleSchema.index(
+  { doctor: 1, overrides: 1 },
+  { unique: true, partialFilterExpression: { overrides: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('RiskRule', riskRuleSchema);
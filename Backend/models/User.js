@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { codes: languageCodes } = require('../config/languages');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -33,6 +34,17 @@ const userSchema = new mongoose.Schema({
   dateOfBirth: {
     type: Date
   },
+  // Used to pick sex-specific reference ranges
+  sex: {
+    type: String,
+    enum: ['male', 'female', 'other']
+  },
+  // Language the AI summary is written in (code from config/languages.js)
+  preferredLanguage: {
+    type: String,
+    enum: languageCodes,
+    default: 'eng'
+  },
   assignedDoctor: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
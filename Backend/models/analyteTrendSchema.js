@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Change of one analyte since the patient's previous report that measured it.
+// Values are in the analyte's canonical unit.
+const analyteTrendSchema = new mongoose.Schema({
+  // Catalog code from config/analytes.js
+  code: {
+    type: String,
+    required: true
+  },
+  name: String,
+  unit: String,
+  value: Number,
+  previousValue: Number,
+  previousDate: Date,
+  previousReport: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  },
+  // Earlier reports with a value for this analyte
+  priorCount: Number,
+  change: Number,
+  percentChange: Number,
+  // Change per month, in unit
+  ratePerMonth: Number,
+  direction: {
+    type: String,
+    enum: ['up', 'down', 'stable']
+  },
+  // Relative to the reference range: moving away from it is worsening
+  assessment: {
+    type: String,
+    enum: ['improving', 'worsening', 'stable', 'unknown']
+  },
+  // Worsening by at least TREND_SIGNIFICANT_PERCENT
+  significant: {
+    type: Boolean,
+    default: false
+  },
+  // e.g. "HbA1c up 1.2 points in 3 months"
+  summary: String
+}, { _id: false });
+
+module.exports = analyteTrendSchema;
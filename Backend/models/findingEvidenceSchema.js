@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Where in extractedText a key finding or abnormality is supported, as
+// verified server-side. Findings without support are possibly hallucinated.
+const findingEvidenceSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: ['keyFindings', 'abnormalities'],
+    required: true
+  },
+  // Position of the finding in its list
+  index: {
+    type: Number,
+    required: true
+  },
+  // Passage the model quoted for the finding
+  quote: {
+    type: String
+  },
+  // Character offsets into extractedText and the text between them
+  start: Number,
+  end: Number,
+  text: String,
+  // How the passage was found: the model's quote, a lab value the finding
+  // names, or the finding's own wording appearing in the report
+  method: {
+    type: String,
+    enum: ['quote', 'lab_result', 'finding_text']
+  },
+  supported: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String
+  },
+  // Region of the passage on the OCR'd page image
+  ocrBox: {
+    page: Number,
+    x0: Number,
+    y0: Number,
+    x1: Number,
+    y1: Number
+  }
+}, { _id: false });
+
+module.exports = findingEvidenceSchema;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Single structured analyte extracted from the report
+const labResultSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  // Catalog code from config/analytes.js, e.g. 'glucose'
+  code: {
+    type: String
+  },
+  value: {
+    type: Number,
+    required: true
+  },
+  unit: {
+    type: String
+  },
+  referenceLow: {
+    type: Number
+  },
+  referenceHigh: {
+    type: Number
+  },
+  flag: {
+    type: String,
+    enum: ['H', 'L', 'critical']
+  },
+  // Value converted to the analyte's canonical unit (value/unit keep the original)
+  normalizedValue: {
+    type: Number
+  },
+  normalizedUnit: {
+    type: String
+  },
+  normalizedReferenceLow: {
+    type: Number
+  },
+  normalizedReferenceHigh: {
+    type: Number
+  },
+  unitStatus: {
+    type: String,
+    enum: ['canonical', 'converted', 'assumed', 'missing', 'unknown', 'unknown_analyte']
+  },
+  // Where the reference range came from: printed by the lab, default catalog or clinic override
+  referenceSource: {
+    type: String,
+    enum: ['lab', 'catalog', 'clinic']
+  },
+  interpretation: {
+    type: String,
+    enum: ['normal', 'low', 'high', 'critical']
+  },
+  // Where in extractedText the value was read from
+  sourceSpan: {
+    start: Number,
+    end: Number,
+    text: String
+  },
+  // OCR confidence (0-100) of the word the value was read from, and where it is on the page
+  ocrConfidence: {
+    type: Number
+  },
+  lowConfidence: {
+    type: Boolean
+  },
+  ocrBox: {
+    page: Number,
+    x0: Number,
+    y0: Number,
+    x1: Number,
+    y1: Number
+  }
+}, { _id: false });
+
+module.exports = labResultSchema;
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Pixel box in the coordinates of the OCR'd page image
+const bboxSchema = new mongoose.Schema({
+  x0: Number,
+  y0: Number,
+  x1: Number,
+  y1: Number
+}, { _id: false });
+
+const ocrWordSchema = new mongoose.Schema({
+  text: String,
+  confidence: Number,
+  bbox: bboxSchema
+}, { _id: false });
+
+const ocrLineSchema = new mongoose.Schema({
+  text: String,
+  confidence: Number,
+  bbox: bboxSchema,
+  words: [ocrWordSchema]
+}, { _id: false });
+
+// Tesseract layout for one page: lines and words with confidences (0-100)
+const ocrPageSchema = new mongoose.Schema({
+  page: {
+    type: Number,
+    required: true
+  },
+  // Preprocessed page image the boxes refer to, served from /uploads
+  imageFile: {
+    type: String
+  },
+  width: {
+    type: Number
+  },
+  height: {
+    type: Number
+  },
+  confidence: {
+    type: Number
+  },
+  lines: [ocrLineSchema]
+}, { _id: false });
+
+module.exports = ocrPageSchema;
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// How riskLevel/riskScore were reached: the AI's assessment, the rules that
+// fired (models/RiskRule.js) and which of the two decided the final risk
+const riskBreakdownSchema = new mongoose.Schema({
+  ai: {
+    provider: String,
+    level: String,
+    score: Number
+  },
+  rules: {
+    level: String,
+    score: Number,
+    // Lab values the rules were checked against
+    evaluated: Number,
+    fired: [{
+      _id: false,
+      rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RiskRule'
+      },
+      name: String,
+      code: String,
+      analyte: String,
+      value: Number,
+      unit: String,
+      operator: String,
+      threshold: Number,
+      flag: String,
+      severity: String,
+      points: Number,
+      // Only the highest-scoring rule per analyte adds to the score
+      counted: Boolean
+    }]
+  },
+  decidedBy: {
+    type: String,
+    enum: ['ai', 'rules']
+  },
+  explanation: [String]
+}, { _id: false });
+
+module.exports = riskBreakdownSchema;
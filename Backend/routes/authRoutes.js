@@ -5,6 +5,7 @@ const {
   registerDoctor,
   login,
   getMe,
+  updatePreferences,
   getMyPatients,
   assignUnassignedPatients,
   generateDoctorCode
@@ -15,6 +16,7 @@ router.post('/register/patient', registerPatient);
 router.post('/register/doctor', registerDoctor);
 router.post('/login', login);
 router.get('/me', protect, getMe);
+router.put('/preferences', protect, updatePreferences);
 router.get('/my-patients', protect, getMyPatients);
 router.post('/assign-patients', protect, assignUnassignedPatients);
 router.post('/generate-doctor-code', protect, generateDoctorCode);
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getDiagnosticReport,
+  getPatient,
+  getPatientEverything,
+  importPatientBundle
+} = require('../controllers/fhirController');
+const { protect } = require('../middleware/authMiddleware');
+
+// Bundles with years of results outgrow the app-wide JSON limit, so they are
+// posted as application/fhir+json (small application/json bodies also work)
+const bundleBody = express.json({ type: 'application/fhir+json', limit: '20mb' });
+
+router.get('/DiagnosticReport/:id', protect, getDiagnosticReport);
+router.get('/Patient/:id/\\$everything', protect, getPatientEverything);
+router.get('/Patient/:id', protect, getPatient);
+router.post('/Patient/:id/import', protect, bundleBody, importPatientBundle);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+  receiveHl7Oru,
+  getReviewQueue,
+  assignIncomingResult,
+  rejectIncomingResult
+} = require('../controllers/integrationController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { protectPartner } = require('../middleware/apiKeyMiddleware');
+
+// HL7 messages are posted as plain text (or as JSON { message })
+const hl7Body = express.text({
+  type: ['application/hl7-v2', 'x-application/hl7-v2+er7', 'text/plain'],
+  limit: '1mb'
+});
+
+router.post('/hl7/oru', protectPartner, hl7Body, receiveHl7Oru);
+router.get('/review-queue', protect, authorize('doctor'), getReviewQueue);
+router.post('/review-queue/:id/assign', protect, authorize('doctor'), assignIncomingResult);
+router.post('/review-queue/:id/reject', protect, authorize('doctor'), rejectIncomingResult);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getReferenceRanges,
+  createReferenceRange,
+  updateReferenceRange,
+  deleteReferenceRange
+} = require('../controllers/referenceRangeController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+router.get('/', protect, authorize('doctor'), getReferenceRanges);
+router.post('/', protect, authorize('doctor'), createReferenceRange);
+router.put('/:id', protect, authorize('doctor'), updateReferenceRange);
+router.delete('/:id', protect, authorize('doctor'), deleteReferenceRange);
+
+module.exports = router;
@@ -2,20 +2,36 @@ const express = require('express');
 const router = express.Router();
 const {
   uploadReport,
+  uploadReportBatch,
   getMyReports,
   getAllReports,
   getReportById,
   addDoctorNotes,
-  getPatientReports
+  getPatientReports,
+  exportPatientLabValues,
+  getReportJobs,
+  reanalyzeReport,
+  getReportAnalyses,
+  getReportRedactions,
+  downloadReportPdf,
+  verifyReportPdf
 } = require('../controllers/reportController');
 const { protect, authorize } = require('../middleware/authMiddleware');
 const upload = require('../middleware/uploadMiddleware');
 
 router.post('/upload', protect, authorize('patient'), upload.single('file'), uploadReport);
+router.post('/upload-batch', protect, authorize('patient'), upload.array('files', upload.MAX_PAGES), uploadReportBatch);
 router.get('/my-reports', protect, authorize('patient'), getMyReports);
 router.get('/all', protect, authorize('doctor'), getAllReports);
 router.get('/patient/:patientId', protect, authorize('doctor'), getPatientReports);
+router.get('/patient/:patientId/lab-values', protect, authorize('doctor'), exportPatientLabValues);
+router.get('/verify/:verificationId', verifyReportPdf);
 router.get('/:id', protect, getReportById);
+router.get('/:id/pdf', protect, downloadReportPdf);
+router.get('/:id/jobs', protect, getReportJobs);
+router.get('/:id/analyses', protect, getReportAnalyses);
+router.get('/:id/redactions', protect, authorize('doctor'), getReportRedactions);
+router.post('/:id/reanalyze', protect, reanalyzeReport);
 router.put('/:id/notes', protect, authorize('doctor'), addDoctorNotes);
 
 module.exports = router;
\ No newline at end of file
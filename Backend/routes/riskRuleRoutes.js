@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRiskRules,
+  createRiskRule,
+  updateRiskRule,
+  deleteRiskRule
+} = require('../controllers/riskRuleController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+router.get('/', protect, authorize('doctor'), getRiskRules);
+router.post('/', protect, authorize('doctor'), createRiskRule);
+router.put('/:id', protect, authorize('doctor'), updateRiskRule);
+router.delete('/:id', protect, authorize('doctor'), deleteRiskRule);
+
+module.exports = router;
@@ -13,10 +13,19 @@ const authRoutes = require('./routes/authRoutes');
 const reportRoutes = require('./routes/reportRoutes');
 const chatRoutes = require('./routes/chatRoutes');
 const alertRoutes = require('./routes/alertRoutes');
+const referenceRangeRoutes = require('./routes/referenceRangeRoutes');
+const riskRuleRoutes = require('./routes/riskRuleRoutes');
+const integrationRoutes = require('./routes/integrationRoutes');
+const fhirRoutes = require('./routes/fhirRoutes');
 
 // Import socket handler
 const setupSocket = require('./utils/socketHandler');
 
+// Import background processing
+const jobQueue = require('./services/jobQueue');
+const reportProcessor = require('./services/reportProcessor');
+const riskRuleService = require('./services/riskRuleService');
+
 // Initialize express app
 const app = express();
 const server = http.createServer(app);
@@ -36,8 +45,21 @@ global.io = io;
 // Setup socket handlers
 setupSocket(io);
 
-// Connect to database
-connectDB();
+// Connect to database, add missing built-in risk rules, then recover
+// interrupted work and start the job worker
+connectDB().then(async () => {
+  try {
+    await riskRuleService.seedDefaults();
+  } catch (error) {
+    console.error('❌ Risk rule setup failed:', error.message);
+  }
+  try {
+    await reportProcessor.recover();
+  } catch (error) {
+    console.error('❌ Job recovery failed:', error.message);
+  }
+  jobQueue.start();
+});
 
 // Middleware
 app.use(cors({
@@ -55,6 +77,10 @@ app.use('/api/auth', authRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/alerts', alertRoutes);
+app.use('/api/reference-ranges', referenceRangeRoutes);
+app.use('/api/risk-rules', riskRuleRoutes);
+app.use('/api/integrations', integrationRoutes);
+app.use('/api/fhir', fhirRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,46 @@
+// Common behaviour for all AI providers: timeout, retries with backoff.
+// Subclasses implement request(prompt, options) and return the model's text output.
+class BaseProvider {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.model = config.model;
+    this.timeoutMs = config.timeoutMs || 30000;
+    this.retries = config.retries || 0;
+    // Whether prompts leave our infrastructure (used to decide on PHI handling)
+    this.external = true;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  // Errors worth retrying: network failures, timeouts, rate limits and 5xx
+  isRetryable(error) {
+    const status = error.response?.status;
+    if (!status) return true;
+    return status === 429 || status >= 500;
+  }
+
+  async complete(prompt, options = {}) {
+    let lastError;
+
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      try {
+        return await this.request(prompt, options);
+      } catch (error) {
+        lastError = error;
+        if (attempt === this.retries || !this.isRetryable(error)) break;
+        await new Promise(resolve => setTimeout(resolve, 500 * Math.pow(2, attempt)));
+      }
+    }
+
+    console.error(`${this.name} API Error:`, lastError.response?.data || lastError.message);
+    throw new Error(`${this.name} request failed: ${lastError.message}`);
+  }
+
+  async request() {
+    throw new Error(`${this.name} provider does not implement request()`);
+  }
+}
+
+module.exports = BaseProvider;
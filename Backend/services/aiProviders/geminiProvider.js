@@ -0,0 +1,47 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+// ============== Google Gemini API ==============
+class GeminiProvider extends BaseProvider {
+  constructor(config) {
+    super('gemini', config);
+    this.apiKey = config.apiKey;
+    this.baseUrl = config.baseUrl;
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey) && this.apiKey !== 'your_gemini_api_key' && this.apiKey !== 'your_gemini_api_key_here';
+  }
+
+  async request(prompt, { temperature = 0.3, maxTokens = 2000 } = {}) {
+    const response = await axios.post(
+      `${this.baseUrl}/models/${this.model}:generateContent`,
+      {
+        contents: [
+          {
+            parts: [{ text: prompt }]
+          }
+        ],
+        generationConfig: {
+          temperature,
+          maxOutputTokens: maxTokens
+        }
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'x-goog-api-key': this.apiKey
+        },
+        timeout: this.timeoutMs
+      }
+    );
+
+    const text = response.data.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) {
+      throw new Error('Invalid Gemini response');
+    }
+    return text;
+  }
+}
+
+module.exports = GeminiProvider;
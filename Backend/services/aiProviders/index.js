@@ -0,0 +1,27 @@
+const aiConfig = require('../../config/aiProviders');
+const GeminiProvider = require('./geminiProvider');
+const OpenAIProvider = require('./openAIProvider');
+const OllamaProvider = require('./ollamaProvider');
+const MockProvider = require('./mockProvider');
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAIProvider,
+  ollama: OllamaProvider,
+  mock: MockProvider
+};
+
+// Build the configured fallback chain, skipping unknown names
+const createProviderChain = (config = aiConfig) => {
+  return config.chain
+    .filter(name => {
+      if (!PROVIDERS[name]) {
+        console.error(`Unknown AI provider '${name}' in AI_PROVIDERS, skipping`);
+        return false;
+      }
+      return true;
+    })
+    .map(name => new PROVIDERS[name](config.providers[name] || {}));
+};
+
+module.exports = { createProviderChain, PROVIDERS };
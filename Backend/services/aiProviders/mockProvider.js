@@ -0,0 +1,19 @@
+const BaseProvider = require('./baseProvider');
+
+// Rule-based fallback. It can't answer arbitrary prompts, so callers pass the
+// local implementation to run as options.mock (e.g. AIService.mockAnalysis).
+class MockProvider extends BaseProvider {
+  constructor(config) {
+    super('mock', config);
+    this.external = false;
+  }
+
+  async request(prompt, { mock } = {}) {
+    if (typeof mock !== 'function') {
+      throw new Error('No mock implementation for this request');
+    }
+    return mock();
+  }
+}
+
+module.exports = MockProvider;
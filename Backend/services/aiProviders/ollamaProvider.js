@@ -0,0 +1,38 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+// ============== Local Ollama-style server ==============
+class OllamaProvider extends BaseProvider {
+  constructor(config) {
+    super('ollama', config);
+    this.baseUrl = config.baseUrl.replace(/\/$/, '');
+    this.external = false;
+  }
+
+  async request(prompt, { temperature = 0.3, maxTokens = 2000 } = {}) {
+    const response = await axios.post(
+      `${this.baseUrl}/api/generate`,
+      {
+        model: this.model,
+        prompt,
+        stream: false,
+        options: {
+          temperature,
+          num_predict: maxTokens
+        }
+      },
+      {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: this.timeoutMs
+      }
+    );
+
+    const text = response.data?.response;
+    if (!text) {
+      throw new Error('Invalid Ollama response');
+    }
+    return text;
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,46 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+
+// ============== OpenAI-compatible Chat Completions API ==============
+// Works with OpenAI and any server exposing /chat/completions (vLLM, LM Studio, Azure proxies...)
+class OpenAIProvider extends BaseProvider {
+  constructor(config) {
+    super('openai', config);
+    this.apiKey = config.apiKey;
+    this.baseUrl = config.baseUrl.replace(/\/$/, '');
+  }
+
+  isConfigured() {
+    // Self-hosted compatible servers usually don't need a key
+    return Boolean(this.apiKey) || !this.baseUrl.includes('api.openai.com');
+  }
+
+  async request(prompt, { temperature = 0.3, maxTokens = 2000 } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      {
+        model: this.model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature,
+        max_tokens: maxTokens
+      },
+      {
+        headers,
+        timeout: this.timeoutMs
+      }
+    );
+
+    const text = response.data.choices?.[0]?.message?.content;
+    if (!text) {
+      throw new Error('Invalid OpenAI-compatible response');
+    }
+    return text;
+  }
+}
+
+module.exports = OpenAIProvider;
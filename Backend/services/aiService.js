@@ -1,52 +1,43 @@
-const axios = require('axios');
+const labResultService = require('./labResultService');
+const referenceRangeService = require('./referenceRangeService');
+const deidentificationService = require('./deidentificationService');
+const analysisValidator = require('./analysisValidator');
+const { createProviderChain } = require('./aiProviders');
+const languageConfig = require('../config/languages');
 
 class AIService {
   constructor() {
-    // Google Gemini API
-    this.geminiApiKey = process.env.GEMINI_API_KEY;
+    // Configured provider fallback chain (see config/aiProviders.js)
+    this.providers = createProviderChain();
   }
 
-  // ============== Google Gemini Flash API ==============
-  async analyzeWithGemini(extractedText, reportType) {
-    try {
-      const prompt = this.buildAnalysisPrompt(extractedText, reportType);
-
-      const response = await axios.post(
-        `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${this.geminiApiKey}`,
-        {
-          contents: [
-            {
-              parts: [
-                {
-                  text: prompt
-                }
-              ]
-            }
-          ],
-          generationConfig: {
-            temperature: 0.3,
-            maxOutputTokens: 2000
-          }
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+  // ============== PROVIDER CHAIN ==============
+  // Try each configured provider in order and return the first successful output
+  // together with the provider and model that produced it.
+  // options.externalPrompt (de-identified) replaces the prompt for providers
+  // outside our infrastructure; `external` tells whether one of those answered.
+  async runProviders(prompt, options = {}) {
+    for (const provider of this.providers) {
+      if (!provider.isConfigured()) continue;
+      const useExternalPrompt = provider.external && options.externalPrompt !== undefined;
 
-      const aiResponse = response.data.candidates[0].content.parts[0].text;
-      return this.parseAnalysisResponse(aiResponse);
-    } catch (error) {
-      console.error('Gemini API Error:', error.response?.data || error.message);
-      throw new Error('Gemini analysis failed');
+      try {
+        const output = await provider.complete(useExternalPrompt ? options.externalPrompt : prompt, options);
+        return { output, provider: provider.name, model: provider.model, external: provider.external };
+      } catch (error) {
+        // Fall through to the next provider
+      }
     }
+
+    throw new Error('All AI providers failed');
   }
 
   // Build the analysis prompt
-  buildAnalysisPrompt(extractedText, reportType) {
+  // documentLanguage / outputLanguage are language names, e.g. 'Hindi'
+  buildAnalysisPrompt(extractedText, reportType, documentLanguage = 'English', outputLanguage = 'English') {
     return `
 Analyze the following ${reportType} medical report and provide a structured analysis.
+The report is written in ${documentLanguage}.
 
 MEDICAL REPORT TEXT:
 ${extractedText}
@@ -58,7 +49,14 @@ Please provide your analysis in the following JSON format:
   "abnormalities": ["Abnormality 1", "Abnormality 2"],
   "riskLevel": "low/medium/high",
   "riskScore": 0-100,
-  "recommendations": ["Recommendation 1", "Recommendation 2"]
+  "recommendations": ["Recommendation 1", "Recommendation 2"],
+  "labResults": [
+    { "name": "Hemoglobin", "value": 11.2, "unit": "g/dL", "referenceLow": 13.0, "referenceHigh": 17.0, "flag": "L" }
+  ],
+  "evidence": {
+    "keyFindings": ["Report text finding 1 is based on", "...", "..."],
+    "abnormalities": ["Report text abnormality 1 is based on", "..."]
+  }
 }
 
 Guidelines:
@@ -66,57 +64,60 @@ Guidelines:
 - riskLevel should be "medium" if there are moderate concerns
 - riskLevel should be "low" if results are mostly normal
 - riskScore should reflect the overall health concern (0 = no concern, 100 = critical)
+- riskScore must agree with riskLevel: ${analysisValidator.describeScoreBands()}
 - Be specific about abnormalities, mentioning exact values if available
 - Recommendations should be actionable
+- labResults should list every measured lab value with a numeric "value" exactly as printed in the report
+- Use the reference range printed in the report for referenceLow/referenceHigh, or null if none is printed
+- flag must be "H", "L", "critical" or null
+- Write summary, keyFindings, abnormalities and recommendations in ${outputLanguage}
+- Always use English test names in labResults, even when the report uses another language
+- evidence.keyFindings and evidence.abnormalities have one entry per keyFinding and abnormality, in the same order: the passage of the report text it is based on, copied exactly as printed (one line or phrase, not paraphrased or translated), or "" if no single passage supports it
 
 Respond ONLY with the JSON object, no additional text.
 `;
   }
 
-  // Parse the AI response
-  parseAnalysisResponse(response) {
-    try {
-      // Handle if response is already an object
-      if (typeof response === 'object' && response !== null) {
-        return {
-          summary: response.summary || 'Analysis completed',
-          keyFindings: response.keyFindings || [],
-          abnormalities: response.abnormalities || [],
-          riskLevel: response.riskLevel || 'low',
-          riskScore: response.riskScore || 0,
-          recommendations: response.recommendations || []
-        };
-      }
+  // Second chance for output that failed validation: the same request plus
+  // the rejected answer and what was wrong with it
+  buildRepairPrompt(prompt, output, errors) {
+    const previous = typeof output === 'string' ? output : JSON.stringify(output);
+    return `${prompt}
+Your previous answer was rejected because it does not match the required JSON format:
+${errors.map(error => `- ${error}`).join('\n')}
 
-      // Try to extract JSON from string response
-      const jsonMatch = response.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-        return {
-          summary: parsed.summary || 'Analysis completed',
-          keyFindings: parsed.keyFindings || [],
-          abnormalities: parsed.abnormalities || [],
-          riskLevel: parsed.riskLevel || 'low',
-          riskScore: parsed.riskScore || 0,
-          recommendations: parsed.recommendations || []
-        };
-      }
-      throw new Error('Could not parse AI response');
-    } catch (error) {
-      // Return default values if parsing fails
-      return {
-        summary: 'Report analyzed. Please review the extracted text for details.',
-        keyFindings: ['Report processed successfully'],
-        abnormalities: [],
-        riskLevel: 'low',
-        riskScore: 20,
-        recommendations: ['Consult with your healthcare provider for detailed analysis']
-      };
-    }
+PREVIOUS ANSWER:
+${String(previous).slice(0, 6000)}
+
+Return the corrected analysis as a single JSON object that fixes every problem listed above.
+Respond ONLY with the JSON object, no additional text.
+`;
+  }
+
+  // Redaction audit record (RedactionAudit fields without the report) for a
+  // runProviders call, or null when the text stayed on our infrastructure.
+  // redaction is the de-identification result, null when it was turned off.
+  auditRecord(purpose, call, redaction) {
+    if (!call.external) return null;
+    return {
+      purpose,
+      provider: call.provider,
+      model: call.model,
+      deidentified: !!redaction,
+      entries: redaction?.entries || []
+    };
+  }
+
+  languageName(code) {
+    return (languageConfig.getLanguage(code) || languageConfig.getLanguage(languageConfig.defaultLanguage)).name;
   }
 
   // ============== MAIN ANALYSIS METHOD ==============
-  async analyzeReport(extractedText, reportType) {
+  // patient is used to pick age/sex specific reference ranges and the output language;
+  // documentLanguage is the language code OCR detected for the report.
+  // options.labResults: results received in structured form, used instead of
+  // the ones extracted from the text
+  async analyzeReport(extractedText, reportType, patient = null, documentLanguage = languageConfig.defaultLanguage, options = {}) {
     // If no text extracted, return basic analysis
     if (!extractedText || extractedText.trim().length < 50) {
       return {
@@ -125,25 +126,119 @@ Respond ONLY with the JSON object, no additional text.
         abnormalities: [],
         riskLevel: 'low',
         riskScore: 10,
-        recommendations: ['Upload a clearer document or manually enter report details']
+        recommendations: ['Upload a clearer document or manually enter report details'],
+        labResults: [],
+        provider: 'none'
       };
     }
 
-    // Try Google Gemini API
-    if (this.geminiApiKey && this.geminiApiKey !== 'your_gemini_api_key_here') {
+    // Regex extraction (or the structured results) is used by the mock analyzer
+    // and when the model returns no lab values
+    const textLabResults = await referenceRangeService.classifyResults(
+      options.labResults || labResultService.extractFromText(extractedText),
+      patient
+    );
+
+    const buildPrompt = text => this.buildAnalysisPrompt(
+      text,
+      reportType,
+      this.languageName(documentLanguage),
+      this.languageName(patient?.preferredLanguage)
+    );
+    const redaction = deidentificationService.isEnabled()
+      ? deidentificationService.deidentify(extractedText, patient)
+      : null;
+
+    const prompt = buildPrompt(extractedText);
+    const externalPrompt = redaction ? buildPrompt(redaction.text) : undefined;
+    const first = await this.runProviders(prompt, {
+      temperature: 0.3,
+      maxTokens: 2000,
+      externalPrompt,
+      mock: () => this.mockAnalysis(extractedText, reportType, textLabResults)
+    });
+    let { provider, model, external } = first;
+    let entries = redaction?.entries || [];
+    // One record per call that left our infrastructure, for the redaction audit
+    const redactions = [];
+    const audit = (call) => {
+      const record = this.auditRecord(call === first ? 'analysis' : 'repair', call, redaction && { entries });
+      if (record) redactions.push(record);
+    };
+    audit(first);
+
+    // The rule-based analyzer builds its object locally; model output is validated.
+    // 'fallback' marks that no model produced the analysis at all.
+    let analysisStatus = provider === 'mock' ? 'fallback' : 'valid';
+    let validation = provider === 'mock'
+      ? { analysis: first.output, errors: ['No AI model was available; the rule-based analyzer was used'] }
+      : analysisValidator.validate(first.output);
+    let analysisErrors = validation.errors;
+
+    // One repair round, by a real model only (no mock fallback)
+    if (!validation.analysis) {
       try {
-        return await this.analyzeWithGemini(extractedText, reportType);
+        // A local model saw the original text and may have echoed PHI in its answer
+        const previous = redaction
+          ? deidentificationService.deidentify(first.output, patient, entries)
+          : null;
+        const repair = await this.runProviders(this.buildRepairPrompt(prompt, first.output, analysisErrors), {
+          temperature: 0,
+          maxTokens: 2000,
+          externalPrompt: externalPrompt && this.buildRepairPrompt(externalPrompt, previous.text, analysisErrors)
+        });
+        if (previous) entries = previous.entries;
+        audit(repair);
+        validation = analysisValidator.validate(repair.output);
+        if (validation.analysis) {
+          ({ provider, model, external } = repair);
+          analysisStatus = 'repaired';
+        } else {
+          analysisErrors = validation.errors;
+        }
       } catch (error) {
-        // Fall through to mock analysis
+        analysisErrors = [...analysisErrors, `Repair attempt failed: ${error.message}`];
       }
     }
 
-    // Fallback to mock analysis
-    return this.mockAnalysis(extractedText, reportType);
+    let analysis;
+    if (validation.analysis) {
+      analysis = validation.analysis;
+      if (redaction && external) {
+        analysis = deidentificationService.reidentifyAnalysis(analysis, entries);
+      }
+    } else {
+      // Fall back to the rule-based analysis of the actual values, marked so
+      // the doctor is alerted rather than reassured
+      console.error(`AI analysis failed validation (${provider}): ${analysisErrors.join('; ')}`);
+      analysis = this.mockAnalysis(extractedText, reportType, textLabResults);
+      analysisStatus = 'unreliable';
+      provider = 'mock';
+      model = 'rule-based';
+    }
+
+    analysis.provider = provider;
+    analysis.model = model;
+    analysis.analysisStatus = analysisStatus;
+    analysis.analysisErrors = analysisStatus === 'valid' ? [] : analysisErrors;
+    if (redactions.length > 0) {
+      analysis.redactions = redactions;
+    }
+
+    if (options.labResults) {
+      analysis.labResults = textLabResults;
+    } else if (provider !== 'mock') {
+      const labResults = labResultService.normalizeAIResults(analysis.labResults, extractedText);
+      analysis.labResults = labResults.length > 0
+        ? await referenceRangeService.classifyResults(labResults, patient)
+        : textLabResults;
+    }
+
+    return analysis;
   }
 
   // Mock analysis for development/testing - Extracts real data from report
-  mockAnalysis(extractedText, reportType) {
+  mockAnalysis(extractedText, reportType, labResults = labResultService.extractFromText(extractedText)) {
     const text = extractedText.toLowerCase();
     const originalText = extractedText;
     
@@ -156,35 +251,22 @@ Respond ONLY with the JSON object, no additional text.
     const abnormalities = [];
     const keyFindings = [];
 
-    // Extract common medical values using regex patterns
-    const patterns = [
-      { name: 'Hemoglobin', pattern: /hemoglobin[:\s]*(\d+\.?\d*)\s*(g\/dl|gm\/dl)?/i },
-      { name: 'Blood Pressure', pattern: /(?:bp|blood pressure)[:\s]*(\d+\/\d+)\s*(mmhg)?/i },
-      { name: 'Glucose/Sugar', pattern: /(?:glucose|sugar|fbs|rbs)[:\s]*(\d+\.?\d*)\s*(mg\/dl)?/i },
-      { name: 'Cholesterol', pattern: /cholesterol[:\s]*(\d+\.?\d*)\s*(mg\/dl)?/i },
-      { name: 'Creatinine', pattern: /creatinine[:\s]*(\d+\.?\d*)\s*(mg\/dl)?/i },
-      { name: 'WBC Count', pattern: /(?:wbc|white blood cells?)[:\s]*(\d+\.?\d*)/i },
-      { name: 'RBC Count', pattern: /(?:rbc|red blood cells?)[:\s]*(\d+\.?\d*)/i },
-      { name: 'Platelet Count', pattern: /platelet[s]?[:\s]*(\d+\.?\d*)/i },
-      { name: 'Temperature', pattern: /(?:temp|temperature)[:\s]*(\d+\.?\d*)\s*(°?[fc])?/i },
-      { name: 'Heart Rate', pattern: /(?:heart rate|pulse|hr)[:\s]*(\d+)\s*(bpm)?/i },
-      { name: 'SpO2/Oxygen', pattern: /(?:spo2|oxygen saturation|o2)[:\s]*(\d+\.?\d*)\s*%?/i },
-      { name: 'BMI', pattern: /bmi[:\s]*(\d+\.?\d*)/i },
-      { name: 'Urea', pattern: /urea[:\s]*(\d+\.?\d*)/i },
-      { name: 'Bilirubin', pattern: /bilirubin[:\s]*(\d+\.?\d*)/i },
-      { name: 'Albumin', pattern: /albumin[:\s]*(\d+\.?\d*)/i },
-      { name: 'TSH', pattern: /tsh[:\s]*(\d+\.?\d*)/i },
-      { name: 'HbA1c', pattern: /hba1c[:\s]*(\d+\.?\d*)\s*%?/i },
-    ];
-
-    // Extract values from text
-    patterns.forEach(({ name, pattern }) => {
-      const match = originalText.match(pattern);
-      if (match) {
-        keyFindings.push(`${name}: ${match[1]}${match[2] ? ' ' + match[2] : ''}`);
+    // Structured lab values, classified against the patient's reference ranges
+    labResults.forEach(result => {
+      keyFindings.push(labResultService.formatResult(result));
+
+      if (result.flag) {
+        riskScore += result.flag === 'critical' ? 25 : 10;
+        abnormalities.push(labResultService.formatAbnormality(result));
       }
     });
 
+    // Blood pressure is not a single numeric value, keep it as a finding only
+    const bpMatch = originalText.match(/(?:bp|blood pressure)[:\s]*(\d+\/\d+)\s*(mmhg)?/i);
+    if (bpMatch) {
+      keyFindings.push(`Blood Pressure: ${bpMatch[1]}${bpMatch[2] ? ' ' + bpMatch[2] : ''}`);
+    }
+
     // Extract lines with numbers (potential test results)
     const lines = originalText.split('\n');
     lines.forEach(line => {
@@ -269,46 +351,36 @@ Respond ONLY with the JSON object, no additional text.
         'Keep track of any changes in your values over time',
         riskLevel === 'high' ? '⚠️ Consider urgent consultation due to detected abnormalities' : 'Maintain regular health checkups',
         'Bring this report to your next doctor visit'
-      ]
+      ],
+      labResults
     };
   }
 
   // ============== CHATBOT QUERY HANDLER ==============
-  async chatbotQuery(question, reportContext = null) {
+  // patient (optional) is de-identified in the prompt like report text.
+  // Returns { answer, redaction }; redaction is the audit record when the
+  // prompt went to an external provider.
+  async chatbotQuery(question, reportContext = null, patient = null) {
     const prompt = this.buildChatbotPrompt(question, reportContext);
+    const redaction = deidentificationService.isEnabled()
+      ? deidentificationService.deidentify(prompt, patient)
+      : null;
 
-    // Try Gemini API
-    if (this.geminiApiKey && this.geminiApiKey !== 'your_gemini_api_key_here') {
-      try {
-        const response = await axios.post(
-          `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${this.geminiApiKey}`,
-          {
-            contents: [{ 
-              parts: [{ text: prompt }] 
-            }],
-            generationConfig: { 
-              temperature: 0.7, 
-              maxOutputTokens: 500 
-            }
-          },
-          {
-            headers: {
-              'Content-Type': 'application/json'
-            }
-          }
-        );
-        
-        if (response.data.candidates && response.data.candidates[0]?.content?.parts[0]?.text) {
-          return response.data.candidates[0].content.parts[0].text;
-        }
-        throw new Error('Invalid Gemini response');
-      } catch (error) {
-        // Fall through to mock response
-      }
+    try {
+      const call = await this.runProviders(prompt, {
+        temperature: 0.7,
+        maxTokens: 500,
+        externalPrompt: redaction?.text,
+        mock: () => this.getMockChatResponse(question, reportContext)
+      });
+      return {
+        answer: redaction && call.external ? deidentificationService.reidentify(call.output, redaction.entries) : call.output,
+        redaction: this.auditRecord('chat', call, redaction)
+      };
+    } catch (error) {
+      // Every provider failed and mock is not in the chain
+      return { answer: this.getMockChatResponse(question, reportContext), redaction: null };
     }
-
-    // Fallback to mock response
-    return this.getMockChatResponse(question, reportContext);
   }
 
   buildChatbotPrompt(question, reportContext) {
@@ -0,0 +1,147 @@
+const RISK_LEVELS = ['low', 'medium', 'high'];
+const FLAGS = ['H', 'L', 'critical'];
+// Score bands the analysis prompt asks for. Scores up to SCORE_TOLERANCE
+// outside the band still pass; further off, level and score contradict.
+const RISK_SCORE_BANDS = {
+  low: [0, 39],
+  medium: [40, 69],
+  high: [70, 100]
+};
+const SCORE_TOLERANCE = 10;
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isText = value => typeof value === 'string' && value.trim().length > 0;
+const isOptional = check => value => value === null || value === undefined || check(value);
+
+// Checks AI analysis output against the schema in AIService.buildAnalysisPrompt.
+// Nothing is defaulted: a missing or contradictory field is an error, so a
+// broken response can't pass as a low-risk result.
+class AnalysisValidator {
+  // { value } or { error }; accepts the bare object or one wrapped in a code fence
+  parseJson(output) {
+    if (output && typeof output === 'object') return { value: output };
+    if (!isText(output)) return { error: 'Response is empty' };
+
+    const text = output.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    if (!text.startsWith('{') || !text.endsWith('}')) {
+      return { error: 'Response is not a single JSON object' };
+    }
+    try {
+      return { value: JSON.parse(text) };
+    } catch (error) {
+      return { error: `Response is not valid JSON: ${error.message}` };
+    }
+  }
+
+  // Returns { analysis, errors }; analysis is only set when there are no
+  // errors, with strings trimmed
+  validate(output) {
+    const { value, error } = this.parseJson(output);
+    if (error) return { errors: [error] };
+    if (Array.isArray(value)) return { errors: ['Response must be a JSON object, not an array'] };
+
+    const errors = [];
+    if (!isText(value.summary)) errors.push('summary must be a non-empty string');
+    ['keyFindings', 'abnormalities', 'recommendations'].forEach(field => {
+      if (!Array.isArray(value[field])) {
+        errors.push(`${field} must be an array of strings`);
+      } else if (!value[field].every(isText)) {
+        errors.push(`${field} must only contain non-empty strings`);
+      }
+    });
+
+    if (!RISK_LEVELS.includes(value.riskLevel)) {
+      errors.push(`riskLevel must be one of ${RISK_LEVELS.join(', ')}`);
+    }
+    if (!isNumber(value.riskScore) || value.riskScore < 0 || value.riskScore > 100) {
+      errors.push('riskScore must be a number from 0 to 100');
+    } else if (RISK_LEVELS.includes(value.riskLevel)) {
+      const [low, high] = RISK_SCORE_BANDS[value.riskLevel];
+      if (value.riskScore < low - SCORE_TOLERANCE || value.riskScore > high + SCORE_TOLERANCE) {
+        errors.push(`riskScore ${value.riskScore} contradicts riskLevel "${value.riskLevel}" (expected ${low}-${high})`);
+      }
+    }
+
+    if (!Array.isArray(value.labResults)) {
+      errors.push('labResults must be an array');
+    } else {
+      value.labResults.forEach((result, index) => errors.push(...this.validateLabResult(result, index)));
+      if (value.riskLevel === 'low' && value.labResults.some(result => result?.flag === 'critical')) {
+        errors.push('riskLevel is "low" although a lab result is flagged critical');
+      }
+    }
+
+    // Evidence quotes are optional, the server verifies findings either way
+    if (value.evidence !== undefined && value.evidence !== null) {
+      if (typeof value.evidence !== 'object' || Array.isArray(value.evidence)) {
+        errors.push('evidence must be an object');
+      } else {
+        ['keyFindings', 'abnormalities'].forEach(field => {
+          const quotes = value.evidence[field];
+          if (quotes !== undefined && quotes !== null &&
+            (!Array.isArray(quotes) || !quotes.every(isOptional(quote => typeof quote === 'string')))) {
+            errors.push(`evidence.${field} must be an array of strings`);
+          }
+        });
+      }
+    }
+
+    if (errors.length > 0) return { errors };
+
+    const trim = text => text.trim();
+    return {
+      errors: [],
+      analysis: {
+        summary: value.summary.trim(),
+        keyFindings: value.keyFindings.map(trim),
+        abnormalities: value.abnormalities.map(trim),
+        riskLevel: value.riskLevel,
+        riskScore: Math.round(value.riskScore),
+        recommendations: value.recommendations.map(trim),
+        labResults: value.labResults,
+        evidence: {
+          keyFindings: (value.evidence?.keyFindings || []).map(quote => quote?.trim() || ''),
+          abnormalities: (value.evidence?.abnormalities || []).map(quote => quote?.trim() || '')
+        }
+      }
+    };
+  }
+
+  validateLabResult(result, index) {
+    const prefix = `labResults[${index}]`;
+    if (!result || typeof result !== 'object' || Array.isArray(result)) {
+      return [`${prefix} must be an object`];
+    }
+
+    const errors = [];
+    if (!isText(result.name)) errors.push(`${prefix}.name must be a non-empty string`);
+    if (!isNumber(result.value)) errors.push(`${prefix}.value must be a number`);
+    if (!isOptional(value => typeof value === 'string')(result.unit)) {
+      errors.push(`${prefix}.unit must be a string or null`);
+    }
+    ['referenceLow', 'referenceHigh'].forEach(field => {
+      if (!isOptional(isNumber)(result[field])) errors.push(`${prefix}.${field} must be a number or null`);
+    });
+    if (!isOptional(flag => FLAGS.includes(flag))(result.flag)) {
+      errors.push(`${prefix}.flag must be one of ${FLAGS.join(', ')} or null`);
+    }
+    return errors;
+  }
+
+  // [low, high] score band of a risk level
+  scoreBand(level) {
+    return RISK_SCORE_BANDS[level];
+  }
+
+  // Risk level whose band contains the score
+  levelForScore(score) {
+    return RISK_LEVELS.find(level => score <= RISK_SCORE_BANDS[level][1]) || 'high';
+  }
+
+  // Shown to the model in the prompt so it knows the bands it is held to
+  describeScoreBands() {
+    return RISK_LEVELS.map(level => `${level} ${RISK_SCORE_BANDS[level].join('-')}`).join(', ');
+  }
+}
+
+module.exports = new AnalysisValidator();
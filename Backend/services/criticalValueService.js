@@ -0,0 +1,79 @@
+const referenceRangeService = require('./referenceRangeService');
+const labResultService = require('./labResultService');
+const unitConversionService = require('./unitConversionService');
+const referenceRanges = require('../config/referenceRanges');
+const { qualitativeCriticals } = require('../config/criticalValues');
+
+const hasCriticalLimits = code => (referenceRanges[code] || [])
+  .some(range => range.criticalLow !== undefined || range.criticalHigh !== undefined);
+
+// Finds critical values in freshly extracted report text so the doctor can be
+// alerted before the AI analysis has finished
+class CriticalValueService {
+  // Returns [{ code, name, text }], e.g. { code: 'glucose', text: 'Glucose: 42 mg/dL' }.
+  // A value printed without a unit counts when it is critical in every unit
+  // the analyte is reported in ("Glucose: 38" is critical as mg/dL and mmol/L).
+  async detect(text, labResults, patient) {
+    const classified = await referenceRangeService.classifyResults(labResults, patient);
+    const numeric = classified
+      .filter(result => result.flag === 'critical')
+      .map(result => ({
+        code: result.code,
+        name: result.name,
+        text: labResultService.formatResult(result)
+      }));
+    const unitless = (await this.classifyInEveryUnit(labResults, patient))
+      .filter(check => check.critical)
+      .map(({ result, units }) => ({
+        code: result.code,
+        name: result.name,
+        text: `${labResultService.formatResult(result)} (no unit printed, critical as ${units.join(' or ')})`
+      }));
+    const found = [...numeric, ...unitless];
+
+    return [...found, ...this.detectQualitative(text, found)];
+  }
+
+  // Values whose critical limits couldn't be checked: the unit is unknown, or
+  // none was printed and the value is only critical in some units
+  // ("Glucose: 5.4" is critical as mg/dL but normal as mmol/L)
+  async uncheckedValues(labResults = [], patient) {
+    const unknownUnit = labResults.filter(result => result.unitStatus === 'unknown' && hasCriticalLimits(result.code));
+    const unitless = (await this.classifyInEveryUnit(labResults, patient))
+      .filter(check => !check.critical)
+      .map(check => check.result);
+
+    return [...unknownUnit, ...unitless];
+  }
+
+  // Classifies each unitless value once per unit its analyte converts from
+  async classifyInEveryUnit(labResults = [], patient) {
+    const unitless = labResults.filter(result => result.unitStatus === 'missing' && hasCriticalLimits(result.code));
+
+    return Promise.all(unitless.map(async result => {
+      const units = Object.keys(unitConversionService.getAnalyte(result.code).conversions);
+      const variants = await referenceRangeService.classifyResults(
+        units.map(unit => unitConversionService.normalizeResult({ ...result, unit })),
+        patient
+      );
+      return { result, units, critical: variants.every(variant => variant.flag === 'critical') };
+    }));
+  }
+
+  // Skips analytes already reported with a critical numeric value
+  detectQualitative(text, numeric = []) {
+    if (!text) return [];
+
+    return qualitativeCriticals
+      .filter(critical => !numeric.some(result => result.code === critical.code))
+      .map(critical => ({ critical, match: text.match(critical.pattern) }))
+      .filter(({ match }) => match)
+      .map(({ critical, match }) => ({
+        code: critical.code,
+        name: critical.name,
+        text: `${critical.name}: ${match[1].toLowerCase()}`
+      }));
+  }
+}
+
+module.exports = new CriticalValueService();
@@ -0,0 +1,213 @@
+const config = require('../config/deidentification');
+
+const PLACEHOLDER_PREFIX = {
+  name: 'NAME',
+  dob: 'DOB',
+  phone: 'PHONE',
+  email: 'EMAIL',
+  address: 'ADDRESS',
+  mrn: 'MRN'
+};
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+// A value ends at a line break, a tab, a column gap, a known label or the
+// next "Label:". OCR text is cleaned (ocrService.cleanText) before it gets
+// here, which collapses column gaps, so "Patient: John Doe Hemoglobin: 11"
+// relies on the label.
+const VALUE_END = '(?=\\s{2,}|\\t|\\n|\\||$|\\s+(?:age|sex|gender|dob|d\\.o\\.b|mrn|uhid|ref|phone|mobile)\\b|\\s+[A-Za-z][\\w.\'()/-]*\\s*:)';
+const DATE_VALUE = '\\d{1,4}[/.\\-]\\d{1,2}[/.\\-]\\d{1,4}|\\d{1,2}[\\s\\-]?[A-Za-z]{3,9}[\\s\\-,]*\\d{4}|[A-Za-z]{3,9}\\s+\\d{1,2},?\\s+\\d{4}';
+
+// Patterns for PHI printed on reports, tried in order. Labelled patterns
+// replace only the `value` group and keep the label for the model's context.
+const PATTERNS = [
+  {
+    category: 'email',
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+  },
+  {
+    category: 'name',
+    pattern: new RegExp(`(?<label>\\b(?:patient(?:'s)?\\s*name|pt\\.?\\s*name|name\\s+of\\s+(?:the\\s+)?patient|patient)\\s*[:\\-]\\s*)(?<value>[^\\n\\t:|]+?)${VALUE_END}`, 'gim')
+  },
+  {
+    // "Name:" alone only at the start of a line or column, not "Test Name:"
+    category: 'name',
+    pattern: new RegExp(`(?<label>(?:^|\\t|\\s{2,}|\\|)\\s*name\\s*[:\\-]\\s*)(?<value>[^\\n\\t:|]+?)${VALUE_END}`, 'gim')
+  },
+  {
+    category: 'name',
+    pattern: /(?<label>\b(?:Mr|Mrs|Ms|Miss|Master|Smt|Shri|Kumari|MR|MRS|MS|MISS|SMT)\.?\s+)(?<value>[A-Z][A-Za-z'-]+(?:[ ][A-Z][A-Za-z'-]+){0,2})/g
+  },
+  {
+    category: 'dob',
+    pattern: new RegExp(`(?<label>\\b(?:d\\.?\\s?o\\.?\\s?b\\.?|date\\s+of\\s+birth|birth\\s*date|born(?:\\s+on)?)\\s*[:\\-]?\\s*)(?<value>${DATE_VALUE})`, 'gi')
+  },
+  {
+    category: 'mrn',
+    pattern: /(?<label>\b(?:mrn|m\.r\.n\.?|uhid|medical\s+record\s+(?:no\.?|number)|patient\s+id|reg(?:istration)?\.?\s*(?:no|number|id)\.?|hospital\s+(?:no|number|id)\.?|[io]p\s*no\.?|lab\s*(?:no|id)\.?|sample\s*(?:no|id)\.?|accession\s*(?:no|number)\.?)\s*[:#\-]?\s*)(?<value>[A-Z0-9][A-Z0-9\-/]*\d[A-Z0-9\-/]*)/gi
+  },
+  {
+    category: 'address',
+    pattern: new RegExp(`(?<label>\\b(?:address|addr\\.?|residence)\\s*[:\\-]\\s*)(?<value>[^\\n\\t|]+?)${VALUE_END}`, 'gim')
+  },
+  {
+    category: 'phone',
+    pattern: /(?<label>\b(?:phone|ph|mobile|mob|cell|tel|telephone|contact(?:\s+no)?)\.?\s*(?:no\.?)?\s*[:\-]?\s*)(?<value>\+?\d[\d\s\-().]{6,}\d)/gi
+  }
+];
+
+// Unlabelled phone numbers: (555) 123-4567, 555-123-4567, +91 98765 43210 and
+// bare 10-12 digit numbers. Lab values never have that many digits.
+const PHONE_PATTERNS = [
+  /(?<![\d.])(?:\+\d{1,3}[\s-]?)?(?:\(\d{3}\)\s?|\d{3}[-.\s])\d{3}[-.\s]\d{4}(?![\d.])/g,
+  /(?<![\d.])\+\d{1,3}[\s-]?\d{4,5}[\s-]?\d{5,6}(?![\d.])/g,
+  /(?<![\d.])\+?\d{10,12}(?![\d.])/g
+];
+
+const PLACEHOLDER = /^\[[A-Z]+_\d+\]$/;
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// Replaces names, dates of birth, phone numbers, addresses, record numbers and
+// emails with placeholders such as [NAME_1] before text leaves our
+// infrastructure, and puts the originals back into the model's answer.
+// The same value always gets the same placeholder within one text.
+class DeidentificationService {
+  isEnabled() {
+    return config.enabled && config.categories.length > 0;
+  }
+
+  // Returns { text, entries: [{ placeholder, category, original }] }.
+  // patient (optional) adds the account's own name, phone, email and birth
+  // date, which catches them wherever they appear. previousEntries (optional)
+  // continues an earlier run so values keep the placeholders they got there.
+  deidentify(text, patient = null, previousEntries = []) {
+    const entries = [...previousEntries];
+    const byValue = new Map(entries.map(entry => [`${entry.category}:${entry.original.toLowerCase().replace(/\s+/g, ' ')}`, entry]));
+    const placeholderFor = (category, original) => {
+      const key = `${category}:${original.toLowerCase().replace(/\s+/g, ' ')}`;
+      if (!byValue.has(key)) {
+        const count = entries.filter(entry => entry.category === category).length + 1;
+        const entry = { placeholder: `[${PLACEHOLDER_PREFIX[category]}_${count}]`, category, original };
+        entries.push(entry);
+        byValue.set(key, entry);
+      }
+      return byValue.get(key).placeholder;
+    };
+
+    let result = String(text || '');
+    for (const { category, pattern } of [...PATTERNS, ...this.patientPatterns(patient), ...this.phonePatterns()]) {
+      if (!config.categories.includes(category)) continue;
+
+      result = result.replace(pattern, (...args) => {
+        const match = args[0];
+        const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : undefined;
+        const raw = groups?.value ?? match;
+        const value = raw.trim();
+        // Skip empty values and what an earlier pattern already replaced
+        if (!value || PLACEHOLDER.test(value)) return match;
+        const label = groups?.value !== undefined ? groups.label : '';
+        return `${label}${raw.replace(value, placeholderFor(category, value))}`;
+      });
+    }
+
+    return { text: result, entries };
+  }
+
+  // The account's own details, in the formats reports tend to print them
+  patientPatterns(patient) {
+    if (!patient) return [];
+    const patterns = [];
+
+    const nameParts = (patient.name || '').split(/\s+/).filter(part => part.replace(/[^\p{L}]/gu, '').length >= 3);
+    if (nameParts.length > 1) {
+      patterns.push({
+        category: 'name',
+        pattern: new RegExp(`\\b${nameParts.map(escapeRegExp).join('\\s+')}\\b`, 'gi')
+      });
+    }
+    nameParts.forEach(part => patterns.push({
+      category: 'name',
+      pattern: new RegExp(`(?<![\\p{L}])${escapeRegExp(part)}(?![\\p{L}])`, 'giu')
+    }));
+
+    if (patient.email) {
+      patterns.push({ category: 'email', pattern: new RegExp(escapeRegExp(patient.email), 'gi') });
+    }
+
+    // Last 10 digits with any separators in between, optional country code
+    const digits = String(patient.phone || '').replace(/\D/g, '').slice(-10);
+    if (digits.length >= 7) {
+      patterns.push({
+        category: 'phone',
+        pattern: new RegExp(`(?<!\\d)(?:\\+?\\d{1,3}[\\s-]?)?${digits.split('').join('[\\s\\-().]*')}(?!\\d)`, 'g')
+      });
+    }
+
+    if (patient.dateOfBirth) {
+      const date = new Date(patient.dateOfBirth);
+      const day = date.getUTCDate();
+      const month = date.getUTCMonth() + 1;
+      const year = date.getUTCFullYear();
+      const pad = number => String(number).padStart(2, '0');
+      const monthName = MONTHS[month - 1];
+      const numeric = [
+        `0?${day}[/.\\-]0?${month}[/.\\-]${year}`,
+        `0?${month}[/.\\-]0?${day}[/.\\-]${year}`,
+        `${year}[/.\\-]${pad(month)}[/.\\-]${pad(day)}`
+      ];
+      const named = [
+        `0?${day}[\\s\\-]?${monthName.slice(0, 3)}[a-z]*[\\s\\-,]*${year}`,
+        `${monthName.slice(0, 3)}[a-z]*\\s+0?${day},?\\s+${year}`
+      ];
+      patterns.push({
+        category: 'dob',
+        pattern: new RegExp(`(?<![\\d])(?:${[...numeric, ...named].join('|')})(?![\\d])`, 'gi')
+      });
+    }
+
+    return patterns;
+  }
+
+  phonePatterns() {
+    return PHONE_PATTERNS.map(pattern => ({ category: 'phone', pattern }));
+  }
+
+  // Put the originals back into text returned by the model
+  reidentify(text, entries) {
+    if (typeof text !== 'string' || !entries?.length) return text;
+    return entries.reduce(
+      (result, entry) => result.replace(new RegExp(escapeRegExp(entry.placeholder), 'g'), entry.original),
+      text
+    );
+  }
+
+  // reidentify() over the text fields of an analysis
+  reidentifyAnalysis(analysis, entries) {
+    const restore = value => this.reidentify(value, entries);
+    return {
+      ...analysis,
+      summary: restore(analysis.summary),
+      keyFindings: (analysis.keyFindings || []).map(restore),
+      abnormalities: (analysis.abnormalities || []).map(restore),
+      recommendations: (analysis.recommendations || []).map(restore),
+      labResults: (analysis.labResults || []).map(result => ({ ...result, name: restore(result.name) })),
+      ...(analysis.evidence && {
+        evidence: {
+          keyFindings: (analysis.evidence.keyFindings || []).map(restore),
+          abnormalities: (analysis.evidence.abnormalities || []).map(restore)
+        }
+      })
+    };
+  }
+
+  // Number of replaced values per category, e.g. { name: 2, phone: 1 }
+  summarize(entries) {
+    return entries.reduce((counts, entry) => {
+      counts[entry.category] = (counts[entry.category] || 0) + 1;
+      return counts;
+    }, {});
+  }
+}
+
+module.exports = new DeidentificationService();
@@ -0,0 +1,294 @@
+const dicomParser = require('dicom-parser');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Longest side of the preview image rendered for the viewer
+const PREVIEW_MAX_SIZE = 1024;
+
+const ENCAPSULATED_PDF_SOP_CLASS = '1.2.840.10008.5.1.4.1.1.104.1';
+// Transfer syntaxes whose pixel data can be read directly or decoded by sharp
+const UNCOMPRESSED_SYNTAXES = ['1.2.840.10008.1.2', '1.2.840.10008.1.2.1'];
+const JPEG_BASELINE_SYNTAX = '1.2.840.10008.1.2.4.50';
+
+const TAGS = {
+  transferSyntax: 'x00020010',
+  sopClassUid: 'x00080016',
+  studyDate: 'x00080020',
+  modality: 'x00080060',
+  institution: 'x00080080',
+  studyDescription: 'x00081030',
+  seriesDescription: 'x0008103e',
+  patientName: 'x00100010',
+  patientId: 'x00100020',
+  patientBirthDate: 'x00100030',
+  patientSex: 'x00100040',
+  bodyPart: 'x00180015',
+  imageComments: 'x00204000',
+  samplesPerPixel: 'x00280002',
+  photometric: 'x00280004',
+  numberOfFrames: 'x00280008',
+  rows: 'x00280010',
+  columns: 'x00280011',
+  bitsAllocated: 'x00280100',
+  pixelRepresentation: 'x00280103',
+  planarConfiguration: 'x00280006',
+  windowCenter: 'x00281050',
+  windowWidth: 'x00281051',
+  rescaleIntercept: 'x00281052',
+  rescaleSlope: 'x00281053',
+  encapsulatedDocument: 'x00420011',
+  contentSequence: 'x0040a730',
+  conceptName: 'x0040a043',
+  codeMeaning: 'x00080104',
+  textValue: 'x0040a160',
+  pixelData: 'x7fe00010'
+};
+
+// Reads DICOM files locally: header tags for the report, a PNG preview for the
+// viewer and any report text embedded in the file (structured reports,
+// encapsulated PDFs, comments). Nothing is sent to an external service;
+// ocrService turns the embedded report into text for the analysis.
+class DicomService {
+  // Throws when the file is not a DICOM Part 10 file
+  parse(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    return dicomParser.parseDicom(new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length));
+  }
+
+  // Tags stored on the report
+  readMetadata(dataSet) {
+    const value = tag => dataSet.string(tag)?.trim() || undefined;
+
+    return {
+      modality: value(TAGS.modality),
+      studyDate: this.parseDate(value(TAGS.studyDate)),
+      bodyPart: value(TAGS.bodyPart),
+      institution: value(TAGS.institution),
+      studyDescription: value(TAGS.studyDescription),
+      seriesDescription: value(TAGS.seriesDescription),
+      patientName: this.formatPersonName(value(TAGS.patientName)),
+      patientId: value(TAGS.patientId),
+      patientBirthDate: this.parseDate(value(TAGS.patientBirthDate)),
+      patientSex: value(TAGS.patientSex)
+    };
+  }
+
+  // DICOM dates are YYYYMMDD
+  parseDate(value) {
+    const match = value?.match(/^(\d{4})(\d{2})(\d{2})/);
+    if (!match) return undefined;
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return isNaN(date) ? undefined : date;
+  }
+
+  // 'Family^Given^Middle^Prefix^Suffix' (alphabetic group only) -> 'Given Middle Family'
+  formatPersonName(value) {
+    if (!value) return undefined;
+    const [family, given, middle, prefix, suffix] = value.split('=')[0].split('^').map(part => part.trim());
+    return [prefix, given, middle, family, suffix].filter(Boolean).join(' ') || undefined;
+  }
+
+  nameTokens(name) {
+    return (name || '')
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(token => token.length > 1);
+  }
+
+  // Compare the patient tags with the uploading user: 'match', 'mismatch' or
+  // 'unknown' (no usable tags). A hospital patient ID can't be verified here,
+  // so it only counts when it matches something known about the user.
+  matchPatient(metadata, user) {
+    const knownIds = [user._id?.toString(), user.email, user.phone].filter(Boolean).map(id => id.toLowerCase());
+    if (metadata.patientId && knownIds.includes(metadata.patientId.toLowerCase())) {
+      return 'match';
+    }
+
+    const dicomTokens = this.nameTokens(metadata.patientName);
+    if (dicomTokens.length === 0) return 'unknown';
+
+    const userTokens = new Set(this.nameTokens(user.name));
+    const shared = dicomTokens.filter(token => userTokens.has(token)).length;
+    // Both names must agree on at least two parts, or fully when one has a single part
+    const required = Math.min(2, dicomTokens.length, userTokens.size);
+    return shared >= required ? 'match' : 'mismatch';
+  }
+
+  // Report text stored in the file: structured report content and comments,
+  // plus the bytes of an encapsulated PDF report (null when there is none)
+  readEmbeddedReport(dataSet) {
+    const texts = [];
+    if (dataSet.elements[TAGS.contentSequence]) {
+      texts.push(this.readContentSequence(dataSet.elements[TAGS.contentSequence]));
+    }
+    const comments = dataSet.string(TAGS.imageComments);
+    if (comments) texts.push(comments);
+
+    let pdf = null;
+    const element = dataSet.elements[TAGS.encapsulatedDocument];
+    if (dataSet.string(TAGS.sopClassUid) === ENCAPSULATED_PDF_SOP_CLASS && element) {
+      pdf = Buffer.from(dataSet.byteArray.buffer, dataSet.byteArray.byteOffset + element.dataOffset, element.length);
+    }
+
+    return {
+      text: texts.map(text => text.trim()).filter(Boolean).join('\n\n'),
+      pdf
+    };
+  }
+
+  // Text items of a structured report, prefixed with their concept names
+  // (e.g. 'Findings: ...', 'Impression: ...')
+  readContentSequence(element) {
+    const lines = [];
+    for (const item of element.items || []) {
+      const { dataSet } = item;
+      const concept = dataSet.elements[TAGS.conceptName]?.items?.[0]?.dataSet.string(TAGS.codeMeaning);
+      const text = dataSet.string(TAGS.textValue);
+      if (text) {
+        lines.push(concept ? `${concept}: ${text}` : text);
+      } else if (concept && dataSet.elements[TAGS.contentSequence]) {
+        lines.push(`${concept}:`);
+      }
+      if (dataSet.elements[TAGS.contentSequence]) {
+        lines.push(this.readContentSequence(dataSet.elements[TAGS.contentSequence]));
+      }
+    }
+    return lines.filter(Boolean).join('\n');
+  }
+
+  // Text handed to the AI: study details followed by the report text
+  describeStudy(metadata, reportText) {
+    const details = [
+      ['Modality', metadata.modality],
+      ['Body Part', metadata.bodyPart],
+      ['Study', metadata.studyDescription],
+      ['Series', metadata.seriesDescription],
+      ['Study Date', metadata.studyDate?.toISOString().slice(0, 10)],
+      ['Institution', metadata.institution]
+    ].filter(([, value]) => value).map(([label, value]) => `${label}: ${value}`);
+
+    return [
+      'DICOM Radiology Study',
+      ...details,
+      '',
+      reportText || 'No radiologist report text is embedded in this file.'
+    ].join('\n');
+  }
+
+  // Render the first frame as a PNG next to the upload; resolves to the file
+  // name, or null when the pixel data is missing or in an unsupported encoding
+  async renderPreview(dataSet, filePath) {
+    const pixelElement = dataSet.elements[TAGS.pixelData];
+    if (!pixelElement) return null;
+
+    const transferSyntax = dataSet.string(TAGS.transferSyntax)?.replace(/\0/g, '').trim();
+    let image;
+    if (transferSyntax === JPEG_BASELINE_SYNTAX && pixelElement.encapsulatedPixelData) {
+      const frame = dicomParser.readEncapsulatedImageFrame(
+        dataSet, pixelElement, 0, dicomParser.createJPEGBasicOffsetTable(dataSet, pixelElement)
+      );
+      image = sharp(Buffer.from(frame));
+    } else if (UNCOMPRESSED_SYNTAXES.includes(transferSyntax) && !pixelElement.encapsulatedPixelData) {
+      image = this.readUncompressedFrame(dataSet, pixelElement);
+    }
+    if (!image) return null;
+
+    const { name } = path.parse(filePath);
+    const previewFile = `${name}-preview.png`;
+    await image
+      .resize(PREVIEW_MAX_SIZE, PREVIEW_MAX_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .png()
+      .toFile(path.join(path.dirname(filePath), previewFile));
+    return previewFile;
+  }
+
+  // First frame as an 8-bit sharp image, windowed for display
+  readUncompressedFrame(dataSet, pixelElement) {
+    const rows = dataSet.uint16(TAGS.rows);
+    const columns = dataSet.uint16(TAGS.columns);
+    const samples = dataSet.uint16(TAGS.samplesPerPixel) || 1;
+    const bitsAllocated = dataSet.uint16(TAGS.bitsAllocated);
+    const photometric = dataSet.string(TAGS.photometric)?.trim();
+    if (!rows || !columns || ![8, 16].includes(bitsAllocated)) return null;
+
+    const pixelCount = rows * columns;
+    const bytes = dataSet.byteArray;
+    const offset = bytes.byteOffset + pixelElement.dataOffset;
+
+    if (samples === 3 && bitsAllocated === 8) {
+      const data = Buffer.from(bytes.buffer, offset, pixelCount * 3);
+      const interleaved = dataSet.uint16(TAGS.planarConfiguration) === 1
+        ? this.interleavePlanes(data, pixelCount)
+        : data;
+      return sharp(interleaved, { raw: { width: columns, height: rows, channels: 3 } });
+    }
+    if (samples !== 1) return null;
+
+    // Copy so 16-bit reads are aligned regardless of where the element starts
+    const raw = Buffer.from(bytes.buffer.slice(offset, offset + pixelCount * (bitsAllocated / 8)));
+    const signed = dataSet.uint16(TAGS.pixelRepresentation) === 1;
+    const stored = bitsAllocated === 8
+      ? (signed ? new Int8Array(raw.buffer) : new Uint8Array(raw.buffer))
+      : (signed ? new Int16Array(raw.buffer) : new Uint16Array(raw.buffer));
+
+    const slope = dataSet.floatString(TAGS.rescaleSlope) || 1;
+    const intercept = dataSet.floatString(TAGS.rescaleIntercept) || 0;
+    const values = Float32Array.from(stored, value => value * slope + intercept);
+
+    let center = dataSet.floatString(TAGS.windowCenter, 0);
+    let width = dataSet.floatString(TAGS.windowWidth, 0);
+    if (!width || width <= 1) {
+      let min = Infinity;
+      let max = -Infinity;
+      for (const value of values) {
+        if (value < min) min = value;
+        if (value > max) max = value;
+      }
+      center = (min + max) / 2;
+      width = Math.max(max - min, 1);
+    }
+
+    const low = center - width / 2;
+    const output = Buffer.alloc(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+      const level = Math.min(255, Math.max(0, Math.round((values[i] - low) / width * 255)));
+      // MONOCHROME1 stores the lowest value as white
+      output[i] = photometric === 'MONOCHROME1' ? 255 - level : level;
+    }
+    return sharp(output, { raw: { width: columns, height: rows, channels: 1 } });
+  }
+
+  interleavePlanes(data, pixelCount) {
+    const output = Buffer.alloc(pixelCount * 3);
+    for (let i = 0; i < pixelCount; i++) {
+      output[i * 3] = data[i];
+      output[i * 3 + 1] = data[pixelCount + i];
+      output[i * 3 + 2] = data[pixelCount * 2 + i];
+    }
+    return output;
+  }
+
+  // Parse an uploaded file and compare it with the uploader. Resolves to the
+  // metadata stored on the report; throws when the file is not valid DICOM.
+  async inspect(filePath, user, { preview = true } = {}) {
+    const dataSet = this.parse(filePath);
+    const metadata = this.readMetadata(dataSet);
+
+    let previewFile = null;
+    try {
+      if (preview) previewFile = await this.renderPreview(dataSet, filePath);
+    } catch (error) {
+      console.warn(`DICOM preview failed for ${path.basename(filePath)}: ${error.message}`);
+    }
+
+    return {
+      ...metadata,
+      frames: parseInt(dataSet.string(TAGS.numberOfFrames), 10) || 1,
+      previewFile,
+      patientMatch: this.matchPatient(metadata, user)
+    };
+  }
+}
+
+module.exports = new DicomService();
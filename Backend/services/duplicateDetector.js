@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const Report = require('../models/Report');
+
+const SHINGLE_SIZE = 5;
+// Near-identical OCR text (a photo and a PDF of the same page) differs by a few bits
+const MAX_SIMHASH_DISTANCE = parseInt(process.env.DUPLICATE_MAX_SIMHASH_DISTANCE, 10) || 6;
+// Matching lab values only count as a duplicate when there are enough of them
+const MIN_MATCHING_ANALYTES = 3;
+
+// Detects re-uploads of the same report: identical files by hash, and the same
+// report in another form (photo vs PDF) by its text and lab values.
+class DuplicateDetector {
+  hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+    });
+  }
+
+  // One hash for a report's files; a single file keeps its own hash
+  async hashFiles(filePaths) {
+    const hashes = [];
+    for (const filePath of filePaths) {
+      hashes.push(await this.hashFile(filePath));
+    }
+    if (hashes.length === 1) return hashes[0];
+
+    return crypto.createHash('sha256').update(hashes.join(':')).digest('hex');
+  }
+
+  // Earlier upload of the exact same file(s) by this patient
+  async findByFileHash(patientId, fileHash) {
+    return Report.findOne({ patient: patientId, fileHash })
+      .sort({ createdAt: 1 })
+      .select('_id originalName reportType status createdAt');
+  }
+
+  // 64-bit simhash over character 5-grams, as hex. Character shingles keep
+  // single-letter OCR misreads from changing whole features, so copies of the
+  // same page only differ in a few bits.
+  textSimhash(text) {
+    const normalized = (text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    if (normalized.length < SHINGLE_SIZE * 4) return undefined;
+
+    const weights = new Array(64).fill(0);
+    for (let i = 0; i + SHINGLE_SIZE <= normalized.length; i++) {
+      const digest = crypto.createHash('sha1').update(normalized.slice(i, i + SHINGLE_SIZE)).digest();
+      const bits = digest.readBigUInt64BE(0);
+      for (let bit = 0; bit < 64; bit++) {
+        weights[bit] += (bits >> BigInt(bit)) & 1n ? 1 : -1;
+      }
+    }
+
+    let simhash = 0n;
+    weights.forEach((weight, bit) => {
+      if (weight > 0) simhash |= 1n << BigInt(bit);
+    });
+    return simhash.toString(16).padStart(16, '0');
+  }
+
+  hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+    while (diff) {
+      count += Number(diff & 1n);
+      diff >>= 1n;
+    }
+    return count;
+  }
+
+  // Hash of the sorted catalog analytes and their canonical values
+  analyteFingerprint(labResults = []) {
+    const entries = labResults
+      .filter(result => result.code)
+      .map(result => `${result.code}:${result.normalizedValue ?? result.value}`);
+    const unique = [...new Set(entries)].sort();
+    if (unique.length < MIN_MATCHING_ANALYTES) return undefined;
+
+    return crypto.createHash('sha256').update(unique.join('|')).digest('hex');
+  }
+
+  // Another report of the same patient with the same content. Reports with lab
+  // values must match on them (the same panel on another day has near-identical
+  // text); reports without any fall back to the text simhash.
+  async findContentDuplicate(report, { textSimhash, analyteFingerprint }) {
+    const candidates = await Report.find({
+      patient: report.patient,
+      _id: { $ne: report._id },
+      status: 'completed',
+      possibleDuplicateOf: { $exists: false }
+    })
+      .sort({ createdAt: 1 })
+      .select('textSimhash analyteFingerprint');
+
+    for (const candidate of candidates) {
+      if (analyteFingerprint) {
+        if (candidate.analyteFingerprint === analyteFingerprint) {
+          return { report: candidate, reason: 'analytes' };
+        }
+        continue;
+      }
+      if (!candidate.analyteFingerprint && textSimhash && candidate.textSimhash &&
+          this.hammingDistance(textSimhash, candidate.textSimhash) <= MAX_SIMHASH_DISTANCE) {
+        return { report: candidate, reason: 'text' };
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = new DuplicateDetector();
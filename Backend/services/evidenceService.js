@@ -0,0 +1,146 @@
+const FINDING_FIELDS = ['keyFindings', 'abnormalities'];
+// Quotes shorter than this match too easily to count as evidence
+const MIN_QUOTE_LENGTH = 4;
+
+const NUMBER = /\d+(?:[.,]\d+)?/g;
+
+const normalize = text => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+// Drops leading markers such as "⚠️ " or "- " that the finding adds to the passage
+const stripMarkers = text => String(text || '').replace(/^[^\p{L}\p{N}]+/u, '').replace(/(?:\.\.\.|…)$/, '').trim();
+// In canonical form, so "9.10" in a finding matches "9.1" in the report
+const numbersIn = text => (String(text || '').match(NUMBER) || []).map(number => String(parseFloat(number.replace(',', '.'))));
+
+// Links each key finding and abnormality to the passage of extractedText it is
+// based on and flags the ones nothing in the report supports
+class EvidenceService {
+  // Returns one entry per finding, see models/findingEvidenceSchema.js.
+  // analysis.evidence holds the model's quotes: { keyFindings: [], abnormalities: [] }
+  verify(analysis, text, ocrPages = []) {
+    if (!text) return [];
+    const knownNumbers = this.knownNumbers(text, analysis.labResults);
+
+    return FINDING_FIELDS.flatMap(field => (analysis[field] || []).map((finding, index) => {
+      const quote = analysis.evidence?.[field]?.[index] || undefined;
+      const located = this.locateFinding(text, finding, quote, analysis.labResults);
+      const missing = [...new Set(numbersIn(finding).filter(number => !knownNumbers.has(number)))];
+
+      const entry = { field, index, quote, ...located };
+      if (!located) {
+        entry.supported = false;
+        entry.reason = 'No supporting text found in the report';
+      } else if (missing.length > 0) {
+        entry.supported = false;
+        entry.reason = `Values not found in the report: ${missing.join(', ')}`;
+      } else {
+        entry.supported = true;
+      }
+
+      const ocrBox = located && this.locateOcrBox(ocrPages, located.text);
+      if (ocrBox) entry.ocrBox = ocrBox;
+      return entry;
+    }));
+  }
+
+  // { start, end, text, method } or null
+  locateFinding(text, finding, quote, labResults = []) {
+    const quoted = quote && this.locate(text, quote);
+    if (quoted) return { ...quoted, method: 'quote' };
+
+    // A lab value the finding names, with its value, already has a source span
+    const lowerFinding = String(finding).toLowerCase();
+    const result = (labResults || []).find(result =>
+      result.sourceSpan?.text &&
+      lowerFinding.includes(String(result.name).toLowerCase()) &&
+      numbersIn(finding).includes(String(result.value))
+    );
+    if (result) {
+      const { start, end } = result.sourceSpan;
+      return { start, end, text: text.slice(start, end), method: 'lab_result' };
+    }
+
+    const verbatim = this.locate(text, finding);
+    return verbatim ? { ...verbatim, method: 'finding_text' } : null;
+  }
+
+  // Finds passage in text ignoring case and whitespace differences.
+  // Returns { start, end, text } with offsets into text, or null.
+  locate(text, passage) {
+    const needle = normalize(stripMarkers(passage));
+    if (needle.length < MIN_QUOTE_LENGTH) return null;
+
+    // Normalized copy of text plus the original offset of each of its characters
+    let haystack = '';
+    const offsets = [];
+    for (let i = 0; i < text.length; i++) {
+      if (/\s/.test(text[i])) {
+        if (haystack.length === 0 || haystack.endsWith(' ')) continue;
+        haystack += ' ';
+      } else {
+        haystack += text[i].toLowerCase();
+      }
+      offsets.push(i);
+    }
+
+    const index = haystack.indexOf(needle);
+    if (index === -1) return null;
+    const start = offsets[index];
+    const end = offsets[index + needle.length - 1] + 1;
+    return { start, end, text: text.slice(start, end) };
+  }
+
+  // Numbers printed in the report, plus lab values converted from them
+  knownNumbers(text, labResults = []) {
+    const numbers = new Set(numbersIn(text));
+    (labResults || []).forEach(result => {
+      ['value', 'referenceLow', 'referenceHigh', 'normalizedValue', 'normalizedReferenceLow', 'normalizedReferenceHigh']
+        .filter(key => result[key] !== undefined && result[key] !== null)
+        .forEach(key => numbers.add(String(result[key])));
+    });
+    return numbers;
+  }
+
+  // Bounding box, on the first page it appears, of the OCR lines the passage spans
+  locateOcrBox(pages = [], passage) {
+    const wanted = String(passage).split('\n').map(normalize).filter(line => line.length >= MIN_QUOTE_LENGTH);
+    if (wanted.length === 0 || pages.length === 0) return null;
+
+    const lines = pages.flatMap(page => (page.lines || []).map(line => ({ ...line, page: page.page })));
+    const matches = (line, target) => {
+      const lineText = normalize(line.text);
+      return lineText.length >= MIN_QUOTE_LENGTH && (lineText.includes(target) || target.includes(lineText));
+    };
+
+    const first = lines.findIndex(line => line.bbox && matches(line, wanted[0]));
+    if (first === -1) return null;
+
+    const page = lines[first].page;
+    const spanned = lines
+      .slice(first, first + wanted.length)
+      .filter(line => line.page === page && line.bbox && wanted.some(target => matches(line, target)));
+
+    return {
+      page,
+      x0: Math.min(...spanned.map(line => line.bbox.x0)),
+      y0: Math.min(...spanned.map(line => line.bbox.y0)),
+      x1: Math.max(...spanned.map(line => line.bbox.x1)),
+      y1: Math.max(...spanned.map(line => line.bbox.y1))
+    };
+  }
+
+  // The model's quotes back from stored evidence, to verify a copied analysis
+  // against another report's text
+  quotesFrom(findingEvidence = []) {
+    const evidence = { keyFindings: [], abnormalities: [] };
+    findingEvidence.forEach(entry => {
+      if (entry.quote && evidence[entry.field]) evidence[entry.field][entry.index] = entry.quote;
+    });
+    return evidence;
+  }
+
+  // Findings the report text does not support
+  unsupported(findingEvidence = []) {
+    return findingEvidence.filter(entry => !entry.supported);
+  }
+}
+
+module.exports = new EvidenceService();
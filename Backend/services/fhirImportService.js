@@ -0,0 +1,313 @@
+const analytes = require('../config/analytes');
+const labResultService = require('./labResultService');
+
+const LOINC = 'http://loinc.org';
+// v3 ObservationInterpretation codes -> lab result flags
+const INTERPRETATION_FLAGS = {
+  H: 'H',
+  HU: 'critical',
+  HH: 'critical',
+  L: 'L',
+  LU: 'critical',
+  LL: 'critical',
+  AA: 'critical'
+};
+// Resources in these states were never valid results
+const SKIPPED_STATUSES = ['entered-in-error', 'cancelled'];
+const IGNORED_TYPES = ['Patient', 'Organization', 'Practitioner', 'PractitionerRole', 'Encounter', 'Specimen'];
+
+// Reads FHIR R4 Bundles from other systems into historical report drafts:
+// one per DiagnosticReport, plus one per day for Observations no report
+// refers to. Problems are collected per resource instead of failing the
+// whole Bundle, so the valid part of a clinic's history still gets in.
+class FhirImportService {
+  constructor() {
+    this.loincIndex = new Map(analytes.filter(analyte => analyte.loinc).map(analyte => [analyte.loinc, analyte]));
+  }
+
+  // Returns { patient, reports, issues }; throws when the body is not a Bundle.
+  // Issues: { entry, resource, severity: 'error' | 'warning', message }
+  readBundle(bundle) {
+    if (!bundle || bundle.resourceType !== 'Bundle') {
+      throw new Error('Expected a FHIR Bundle resource');
+    }
+    if (!Array.isArray(bundle.entry) || bundle.entry.length === 0) {
+      throw new Error('Bundle has no entries');
+    }
+
+    const issues = [];
+    const items = bundle.entry.map((entry, index) => ({
+      entry: index,
+      fullUrl: entry?.fullUrl,
+      resource: entry?.resource
+    }));
+
+    // References may use the entry fullUrl or the relative 'Type/id' form
+    const byReference = new Map();
+    items.forEach(item => {
+      if (item.fullUrl) byReference.set(item.fullUrl, item);
+      if (item.resource?.resourceType && item.resource.id) {
+        byReference.set(`${item.resource.resourceType}/${item.resource.id}`, item);
+      }
+    });
+
+    const referenced = new Set();
+    const reports = [];
+    let patient = null;
+
+    for (const item of items) {
+      const type = item.resource?.resourceType;
+      if (!type) {
+        issues.push(this.issue(item, 'error', 'Entry has no resource'));
+      } else if (type === 'DiagnosticReport') {
+        const draft = this.readDiagnosticReport(item, byReference, referenced, issues);
+        if (draft) reports.push(draft);
+      } else if (type === 'Patient') {
+        patient = patient || item.resource;
+      } else if (type !== 'Observation' && !IGNORED_TYPES.includes(type)) {
+        issues.push(this.issue(item, 'warning', `${type} resources are not imported`));
+      }
+    }
+
+    // Observations outside any DiagnosticReport, grouped by day
+    const days = new Map();
+    for (const item of items) {
+      if (item.resource?.resourceType !== 'Observation' || referenced.has(item)) continue;
+
+      const observation = this.readObservation(item.resource, item, issues);
+      if (!observation) continue;
+      if (!observation.date) {
+        issues.push(this.issue(item, 'error', 'Observation has no effective date'));
+        continue;
+      }
+      const day = observation.date.toISOString().slice(0, 10);
+      if (!days.has(day)) days.set(day, []);
+      days.get(day).push({ item, observation });
+    }
+
+    days.forEach((grouped, day) => {
+      const observations = grouped.map(({ observation }) => observation);
+      const ids = grouped.map(({ item }) => this.sourceId(item)).filter(Boolean).sort();
+      reports.push(this.buildDraft({
+        title: 'Lab Results',
+        reportDate: observations.map(observation => observation.date).sort((a, b) => a - b)[0],
+        observations,
+        sourceId: ids.length === grouped.length ? `Observations/${day}/${ids.join(',')}` : undefined,
+        resources: grouped.map(({ item }) => item.resource)
+      }));
+    });
+
+    reports.sort((a, b) => a.reportDate - b.reportDate);
+    issues.sort((a, b) => a.entry - b.entry);
+    return { patient, reports, issues };
+  }
+
+  readDiagnosticReport(item, byReference, referenced, issues) {
+    const { resource } = item;
+    if (SKIPPED_STATUSES.includes(resource.status)) {
+      issues.push(this.issue(item, 'warning', `Skipped, status is ${resource.status}`));
+      return null;
+    }
+
+    const contained = new Map((resource.contained || []).filter(child => child?.id).map(child => [child.id, child]));
+    const observations = [];
+    const resources = [resource];
+
+    for (const [index, result] of (resource.result || []).entries()) {
+      const reference = result?.reference;
+      const target = reference?.startsWith('#')
+        ? contained.get(reference.slice(1)) && { ...item, resource: contained.get(reference.slice(1)), path: `result[${index}]` }
+        : byReference.get(reference);
+      if (!target) {
+        issues.push(this.issue(item, 'error', `result[${index}] reference ${reference || '(empty)'} is not in the Bundle`));
+        continue;
+      }
+
+      if (!target.path) {
+        referenced.add(target);
+        resources.push(target.resource);
+      }
+      const observation = this.readObservation(target.resource, target, issues);
+      if (observation) observations.push(observation);
+    }
+
+    const reportDate = this.effectiveDate(resource) ||
+      observations.map(observation => observation.date).filter(Boolean).sort((a, b) => a - b)[0];
+    if (!reportDate) {
+      issues.push(this.issue(item, 'error', 'DiagnosticReport has no effective date'));
+      return null;
+    }
+    if (observations.length === 0 && !resource.conclusion) {
+      issues.push(this.issue(item, 'error', 'DiagnosticReport has no readable results or conclusion'));
+      return null;
+    }
+
+    return this.buildDraft({
+      title: this.codeText(resource.code) || 'Lab Results',
+      reportDate,
+      observations: observations.map(observation => ({ ...observation, date: observation.date || reportDate })),
+      conclusion: resource.conclusion,
+      performer: resource.performer?.[0]?.display,
+      sourceId: this.sourceId(item),
+      resources
+    });
+  }
+
+  // One Observation as { name, date, results, text }, or null when unusable.
+  // Components (e.g. the two blood pressure values) become separate results.
+  readObservation(resource, item, issues) {
+    if (resource.resourceType !== 'Observation') {
+      issues.push(this.issue(item, 'error', `Expected an Observation, found ${resource.resourceType}`));
+      return null;
+    }
+    if (SKIPPED_STATUSES.includes(resource.status)) {
+      issues.push(this.issue(item, 'warning', `Skipped, status is ${resource.status}`));
+      return null;
+    }
+
+    const name = this.codeText(resource.code);
+    if (!name) {
+      issues.push(this.issue(item, 'error', 'Observation code has no text, display or LOINC code we know'));
+      return null;
+    }
+
+    const parts = resource.component?.length
+      ? resource.component.map(component => ({ ...component, name: this.codeText(component.code) }))
+      : [{ ...resource, name }];
+    const results = [];
+    const text = [];
+
+    for (const part of parts) {
+      const value = part.valueQuantity?.value;
+      if (typeof value === 'number' && part.name) {
+        const result = this.toLabResult(part, value);
+        results.push(result);
+        text.push(this.formatLine(result));
+      } else if (part.valueString || part.valueCodeableConcept) {
+        text.push(`${part.name}: ${part.valueString || this.codeText(part.valueCodeableConcept)}`);
+      }
+    }
+
+    if (text.length === 0) {
+      issues.push(this.issue(item, 'error', `Observation "${name}" has no value`));
+      return null;
+    }
+
+    return { name, date: this.effectiveDate(resource), results, text };
+  }
+
+  toLabResult(part, value) {
+    const range = part.referenceRange?.[0];
+    const interpretation = part.interpretation?.[0]?.coding?.map(coding => coding.code).find(Boolean);
+    const input = {
+      name: part.name,
+      value,
+      unit: part.valueQuantity.unit || part.valueQuantity.code,
+      referenceLow: labResultService.toNumber(range?.low?.value),
+      referenceHigh: labResultService.toNumber(range?.high?.value),
+      flag: INTERPRETATION_FLAGS[interpretation]
+    };
+
+    // A LOINC code identifies the analyte even when the clinic's name for it doesn't
+    const analyte = this.loincIndex.get(this.loincCode(part.code));
+    const result = labResultService.buildResult(input);
+    if (!analyte || result.code === analyte.code) return result;
+    return { ...labResultService.buildResult({ ...input, name: analyte.name }), name: part.name };
+  }
+
+  buildDraft({ title, reportDate, observations, conclusion, performer, sourceId, resources }) {
+    const lines = [`Laboratory Report${performer ? ` - ${performer}` : ''}`, title];
+    lines.push(`Date: ${reportDate.toISOString().slice(0, 10)}`, '');
+    observations.forEach(observation => lines.push(...observation.text));
+    if (conclusion) lines.push('', `Conclusion: ${conclusion}`);
+
+    return {
+      title,
+      reportDate,
+      sourceId,
+      performer,
+      text: lines.join('\n'),
+      labResults: observations.flatMap(observation => observation.results),
+      resources
+    };
+  }
+
+  formatLine(result) {
+    const unit = result.unit ? ` ${result.unit}` : '';
+    const flag = result.flag ? ` ${result.flag}` : '';
+    const range = result.referenceLow !== undefined || result.referenceHigh !== undefined
+      ? ` (${result.referenceLow ?? ''} - ${result.referenceHigh ?? ''})`
+      : '';
+    return `${result.name}: ${result.value}${unit}${flag}${range}`;
+  }
+
+  codeText(code) {
+    if (!code) return undefined;
+    const display = code.coding?.find(coding => coding.display)?.display;
+    return code.text || display || this.loincIndex.get(this.loincCode(code))?.name;
+  }
+
+  loincCode(code) {
+    return code?.coding?.find(coding => coding.system === LOINC)?.code;
+  }
+
+  effectiveDate(resource) {
+    const value = resource.effectiveDateTime || resource.effectiveInstant ||
+      resource.effectivePeriod?.start || resource.issued;
+    if (!value) return undefined;
+    const date = new Date(value);
+    return isNaN(date) ? undefined : date;
+  }
+
+  // Stable identity of the source resource, so importing the same Bundle twice
+  // doesn't duplicate the history
+  sourceId(item) {
+    const { resource } = item;
+    const identifier = resource.identifier?.find(id => id.value);
+    if (identifier) return `${identifier.system || ''}|${identifier.value}`;
+    if (resource.id) return `${resource.resourceType}/${resource.id}`;
+    return item.fullUrl;
+  }
+
+  // Differences between the Bundle's Patient and the account it is imported
+  // into (birth date, name); the import is blocked until a doctor confirms them
+  comparePatient(resource, user) {
+    const mismatches = [];
+    if (resource?.birthDate && user.dateOfBirth) {
+      const birthDate = new Date(user.dateOfBirth).toISOString().slice(0, 10);
+      if (resource.birthDate.slice(0, 10) !== birthDate) {
+        mismatches.push(`Bundle patient birth date ${resource.birthDate} does not match ${user.name} (${birthDate})`);
+      }
+    }
+
+    const names = (resource?.name || []).filter(name => name?.family || name?.text);
+    if (names.length > 0 && user.name && !names.some(name => this.sameName(name, user.name))) {
+      mismatches.push(`Bundle patient name ${this.formatName(names[0])} does not match ${user.name}`);
+    }
+    return mismatches;
+  }
+
+  // Family and first given name both appear in the account name, or the text is the same
+  sameName(name, accountName) {
+    const tokens = accountName.toLowerCase().split(/\s+/);
+    if (name.text && name.text.trim().toLowerCase() === accountName.trim().toLowerCase()) return true;
+    if (!name.family) return false;
+    return [name.family, name.given?.[0]]
+      .filter(Boolean)
+      .every(part => part.toLowerCase().split(/\s+/).every(token => tokens.includes(token)));
+  }
+
+  formatName(name) {
+    return name.text || [...(name.given || []), name.family].filter(Boolean).join(' ');
+  }
+
+  issue(item, severity, message) {
+    const { resource } = item;
+    const name = resource?.resourceType
+      ? `${resource.resourceType}${resource.id ? `/${resource.id}` : ''}${item.path ? ` ${item.path}` : ''}`
+      : undefined;
+    return { entry: item.entry, resource: name, severity, message };
+  }
+}
+
+module.exports = new FhirImportService();
@@ -0,0 +1,191 @@
+const path = require('path');
+const unitConversionService = require('./unitConversionService');
+const { getReportType } = require('../config/reportTypes');
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const INTERPRETATION = 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation';
+const DIAGNOSTIC_SERVICE = 'http://terminology.hl7.org/CodeSystem/v2-0074';
+// Namespace for our own identifiers and analyte codes
+const SYSTEM_URI = process.env.FHIR_SYSTEM_URI || 'urn:medical-report-analyzer';
+
+// Catalog units written the way UCUM expects them
+const UCUM_UNITS = {
+  'mL/min/1.73m2': 'mL/min/{1.73_m2}',
+  'mIU/L': 'm[IU]/L',
+  '10^3/uL': '10*3/uL',
+  '10^6/uL': '10*6/uL',
+  '°C': 'Cel',
+  'bpm': '/min'
+};
+// Units printed by labs that are valid UCUM codes as written. Other units
+// (e.g. 'lakhs/cumm', 'gm/dl') are sent as text only, without a UCUM code.
+const UCUM_CODES = new Set([
+  '%', 'g/dL', 'g/L', 'mg/dL', 'mg/L', 'ug/L', 'ng/mL', 'ng/L', 'pg/mL',
+  'mmol/L', 'umol/L', 'mmol/mol', 'meq/L', 'U/L', 'mU/L', 'kg/m2', 'mL/min', '/min',
+  ...Object.values(UCUM_UNITS)
+]);
+const VITAL_SIGNS = ['temperature', 'heart_rate', 'spo2', 'bmi'];
+const REPORT_STATUS = {
+  processing: 'registered',
+  completed: 'final',
+  failed: 'cancelled'
+};
+
+// Renders reports and patients as FHIR R4 resources. baseUrl is the server's
+// public URL, used for attachment links and Bundle fullUrls.
+class FhirService {
+  patientResource(user) {
+    return {
+      resourceType: 'Patient',
+      id: user._id.toString(),
+      identifier: [{ system: `${SYSTEM_URI}:patient`, value: user._id.toString() }],
+      name: [{ text: user.name }],
+      telecom: [
+        user.email && { system: 'email', value: user.email },
+        user.phone && { system: 'phone', value: user.phone }
+      ].filter(Boolean),
+      gender: user.sex || 'unknown',
+      ...(user.dateOfBirth && { birthDate: new Date(user.dateOfBirth).toISOString().slice(0, 10) })
+    };
+  }
+
+  // One lab result as an Observation; LOINC coded when the analyte is in the catalog
+  observationResource(result, index, report, patientId) {
+    const analyte = result.code ? unitConversionService.getAnalyte(result.code) : undefined;
+    const canonical = result.normalizedValue !== undefined && result.normalizedUnit;
+    const unit = canonical ? result.normalizedUnit : result.unit;
+    const low = canonical ? result.normalizedReferenceLow : result.referenceLow;
+    const high = canonical ? result.normalizedReferenceHigh : result.referenceHigh;
+    const interpretation = this.interpretationCode(result, low, high);
+
+    const coding = [];
+    if (analyte?.loinc) {
+      coding.push({ system: LOINC, code: analyte.loinc });
+    }
+    if (result.code) {
+      coding.push({ system: `${SYSTEM_URI}:analyte`, code: result.code });
+    }
+
+    return {
+      resourceType: 'Observation',
+      id: `obs-${index + 1}`,
+      status: 'final',
+      category: [{
+        coding: [{
+          system: OBSERVATION_CATEGORY,
+          code: VITAL_SIGNS.includes(result.code) ? 'vital-signs' : 'laboratory'
+        }]
+      }],
+      code: { coding, text: result.name },
+      subject: { reference: `Patient/${patientId}` },
+      effectiveDateTime: (report.reportDate || report.createdAt).toISOString(),
+      valueQuantity: this.quantity(canonical ? result.normalizedValue : result.value, unit),
+      ...(interpretation && {
+        interpretation: [{ coding: [{ system: INTERPRETATION, code: interpretation }] }]
+      }),
+      ...((low !== undefined || high !== undefined) && {
+        referenceRange: [{
+          ...(low !== undefined && { low: this.quantity(low, unit) }),
+          ...(high !== undefined && { high: this.quantity(high, unit) })
+        }]
+      })
+    };
+  }
+
+  quantity(value, unit) {
+    if (!unit) return { value };
+    const ucum = UCUM_UNITS[unit] || (UCUM_CODES.has(unit) ? unit : undefined);
+    return ucum ? { value, unit, system: UCUM, code: ucum } : { value, unit };
+  }
+
+  // H / L / N, and HH / LL (AA without a range) for critical values
+  interpretationCode(result, low, high) {
+    const value = result.normalizedValue ?? result.value;
+    if (result.flag === 'critical' || result.interpretation === 'critical') {
+      if (high !== undefined && value > high) return 'HH';
+      if (low !== undefined && value < low) return 'LL';
+      return 'AA';
+    }
+    if (result.flag === 'H' || result.interpretation === 'high') return 'H';
+    if (result.flag === 'L' || result.interpretation === 'low') return 'L';
+    if (result.interpretation === 'normal') return 'N';
+    return undefined;
+  }
+
+  diagnosticReportResource(report, baseUrl) {
+    const patientId = (report.patient._id || report.patient).toString();
+    const reportType = getReportType(report.detectedReportType);
+    const observations = (report.labResults || []).map((result, index) =>
+      this.observationResource(result, index, report, patientId)
+    );
+    const radiology = report.detectedReportType === 'radiology' || report.fileType === 'dicom';
+
+    return {
+      resourceType: 'DiagnosticReport',
+      id: report._id.toString(),
+      meta: { lastUpdated: report.updatedAt.toISOString() },
+      identifier: [{ system: `${SYSTEM_URI}:report`, value: report._id.toString() }],
+      contained: observations,
+      status: REPORT_STATUS[report.status] || 'registered',
+      category: [{
+        coding: [{ system: DIAGNOSTIC_SERVICE, code: radiology ? 'RAD' : 'LAB' }]
+      }],
+      code: {
+        ...(reportType?.loinc && {
+          coding: [{ system: LOINC, code: reportType.loinc }]
+        }),
+        text: reportType?.label || report.reportType
+      },
+      subject: { reference: `Patient/${patientId}` },
+      effectiveDateTime: (report.reportDate || report.createdAt).toISOString(),
+      issued: report.updatedAt.toISOString(),
+      result: observations.map(observation => ({ reference: `#${observation.id}` })),
+      ...(report.summary && { conclusion: report.summary }),
+      presentedForm: [{
+        contentType: this.contentType(report),
+        url: `${baseUrl}/uploads/${report.fileName}`,
+        title: report.originalName || report.fileName
+      }]
+    };
+  }
+
+  contentType(report) {
+    if (report.fileType === 'pdf') return 'application/pdf';
+    if (report.fileType === 'dicom') return 'application/dicom';
+    if (report.fileType === 'hl7') return 'x-application/hl7-v2+er7';
+    if (report.fileType === 'fhir') return 'application/fhir+json';
+    return path.extname(report.fileName).toLowerCase() === '.png' ? 'image/png' : 'image/jpeg';
+  }
+
+  // Patient plus all their reports, like Patient/$everything
+  patientBundle(user, reports, baseUrl) {
+    const patient = this.patientResource(user);
+    const entries = [
+      patient,
+      ...reports.map(report => this.diagnosticReportResource(report, baseUrl))
+    ];
+
+    return {
+      resourceType: 'Bundle',
+      type: 'searchset',
+      timestamp: new Date().toISOString(),
+      total: entries.length,
+      entry: entries.map(resource => ({
+        fullUrl: `${baseUrl}/api/fhir/${resource.resourceType}/${resource.id}`,
+        resource,
+        search: { mode: resource.resourceType === 'Patient' ? 'match' : 'include' }
+      }))
+    };
+  }
+
+  operationOutcome(code, diagnostics) {
+    return {
+      resourceType: 'OperationOutcome',
+      issue: [{ severity: 'error', code, diagnostics }]
+    };
+  }
+}
+
+module.exports = new FhirService();
@@ -0,0 +1,333 @@
+const labResultService = require('./labResultService');
+const User = require('../models/User');
+
+// HL7 abnormal flags (table 0078) mapped to the flags used on lab results
+const ABNORMAL_FLAGS = {
+  H: 'H',
+  HH: 'critical',
+  L: 'L',
+  LL: 'critical',
+  AA: 'critical',
+  '>': 'H',
+  '<': 'L'
+};
+// OBX value types carrying a single number
+const NUMERIC_TYPES = ['NM', 'SN'];
+
+// Parses HL7 v2 ORU^R01 result messages into patient details and lab results.
+// Only the segments needed for results are read: MSH, PID, OBR, OBX and NTE.
+class Hl7Service {
+  // Resolves the message into one group per PID segment:
+  // { type, controlId, sendingFacility, groups: [{ patient, orders, segments }] }.
+  // Throws when the text is not an HL7 v2 message.
+  parse(message) {
+    const segments = String(message || '')
+      .split(/\r\n|\r|\n/)
+      .map(segment => segment.trim())
+      .filter(Boolean);
+
+    if (!segments[0]?.startsWith('MSH')) {
+      throw new Error('Message must start with an MSH segment');
+    }
+
+    const msh = segments[0];
+    const separators = {
+      field: msh[3],
+      component: msh[4] || '^',
+      repetition: msh[5] || '~',
+      escape: msh[6] || '\\',
+      subcomponent: msh[7] || '&'
+    };
+    // MSH-1 is the field separator itself, so MSH-n sits at index n - 1
+    const header = ['MSH', separators.field, ...msh.slice(4).split(separators.field)];
+    const reader = this.createReader(separators);
+    const { field, component } = reader;
+
+    const messageType = field(header, 9).split(separators.component);
+    const parsed = {
+      type: `${messageType[0] || ''}^${messageType[1] || ''}`,
+      controlId: field(header, 10),
+      sendingApplication: component(field(header, 3)),
+      sendingFacility: component(field(header, 4)),
+      sentAt: this.parseDateTime(field(header, 7)),
+      version: field(header, 12),
+      groups: []
+    };
+
+    let group = null;
+    let order = null;
+    let observation = null;
+
+    for (const segment of segments.slice(1)) {
+      const fields = segment.split(separators.field);
+      const name = fields[0];
+
+      if (name === 'PID') {
+        group = {
+          patient: this.readPatient(fields, reader),
+          orders: [],
+          segments: [msh, segment]
+        };
+        parsed.groups.push(group);
+        order = null;
+        observation = null;
+        continue;
+      }
+      if (!group) continue;
+      group.segments.push(segment);
+
+      if (name === 'OBR') {
+        order = {
+          placerOrderNumber: component(field(fields, 2)),
+          fillerOrderNumber: component(field(fields, 3)),
+          testCode: component(field(fields, 4), 1),
+          testName: component(field(fields, 4), 2) || component(field(fields, 4), 1),
+          collectedAt: this.parseDateTime(field(fields, 7)),
+          reportedAt: this.parseDateTime(field(fields, 22)),
+          resultStatus: field(fields, 25),
+          observations: [],
+          notes: []
+        };
+        group.orders.push(order);
+        observation = null;
+      } else if (name === 'OBX') {
+        if (!order) {
+          // Some senders omit OBR; keep the results under an unnamed order
+          order = { testName: '', observations: [], notes: [] };
+          group.orders.push(order);
+        }
+        observation = this.readObservation(fields, reader);
+        order.observations.push(observation);
+      } else if (name === 'NTE') {
+        const note = reader.text(field(fields, 3));
+        if (!note) continue;
+        if (observation) {
+          observation.notes.push(note);
+        } else if (order) {
+          order.notes.push(note);
+        }
+      }
+    }
+
+    return parsed;
+  }
+
+  // field(fields, n) reads a raw field, component(value, n) the n-th component
+  // of its first repetition, repetitions(value) the components of every
+  // repetition, text(value) resolves escape sequences
+  createReader(separators) {
+    const text = value => this.unescape(value || '', separators);
+    return {
+      field: (fields, index) => fields[index] || '',
+      component: (value, index = 1) => text(value.split(separators.repetition)[0].split(separators.component)[index - 1]),
+      repetitions: value => value.split(separators.repetition).map(repetition => repetition.split(separators.component).map(text)),
+      text
+    };
+  }
+
+  readPatient(fields, { field, component, repetitions }) {
+    const identifiers = repetitions(field(fields, 3))
+      .map(parts => ({ id: parts[0], type: parts[4] || undefined }))
+      .filter(identifier => identifier.id);
+
+    const familyName = component(field(fields, 5), 1);
+    const givenName = component(field(fields, 5), 2);
+    const middleName = component(field(fields, 5), 3);
+    // PID-13 (XTN): number in component 1 (pre 2.3) or 12 (unformatted), email in 4
+    const contacts = repetitions(field(fields, 13));
+    const phone = contacts.map(parts => parts[11] || parts[0]).find(value => /\d{6,}/.test((value || '').replace(/\D/g, '')));
+    const email = contacts.map(parts => parts[3]).find(value => value?.includes('@'));
+
+    return {
+      identifiers,
+      name: [givenName, middleName, familyName].filter(Boolean).join(' '),
+      familyName,
+      givenName,
+      dateOfBirth: this.parseDateTime(field(fields, 7)),
+      sex: { M: 'male', F: 'female', O: 'other' }[field(fields, 8)] || undefined,
+      phone: phone || undefined,
+      email: email ? email.toLowerCase() : undefined
+    };
+  }
+
+  readObservation(fields, { field, component, repetitions, text }) {
+    const valueType = field(fields, 2);
+    const rawValue = field(fields, 5);
+    // SN values are "<comparator>^<number>", e.g. "^5.2" or ">^100"
+    const value = valueType === 'SN'
+      ? repetitions(rawValue)[0].slice(0, 2).join('').trim()
+      : repetitions(rawValue).map(parts => parts.join(' ').trim()).join('\n');
+
+    return {
+      setId: field(fields, 1),
+      valueType,
+      code: component(field(fields, 3), 1),
+      name: component(field(fields, 3), 2) || component(field(fields, 3), 1),
+      codingSystem: component(field(fields, 3), 3),
+      value,
+      unit: component(field(fields, 6), 1) || undefined,
+      referenceRange: text(field(fields, 7)) || undefined,
+      abnormalFlag: component(field(fields, 8), 1) || undefined,
+      status: field(fields, 11) || undefined,
+      observedAt: this.parseDateTime(field(fields, 14)),
+      notes: []
+    };
+  }
+
+  unescape(value, separators) {
+    if (!value || !value.includes(separators.escape)) return value;
+    const escape = separators.escape;
+    const replacements = {
+      F: separators.field,
+      S: separators.component,
+      T: separators.subcomponent,
+      R: separators.repetition,
+      E: escape,
+      '.br': '\n'
+    };
+    const pattern = new RegExp(`\\${escape}(F|S|T|R|E|\\.br)\\${escape}`, 'g');
+    return value.replace(pattern, (match, code) => replacements[code]);
+  }
+
+  // HL7 timestamps are YYYY[MM[DD[HH[MM[SS]]]]] with an optional offset
+  parseDateTime(value) {
+    const match = value?.match(/^(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(?:\.\d+)?([+-]\d{4})?/);
+    if (!match) return undefined;
+    const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', offset] = match;
+    const iso = `${year}-${month}-${day}T${hour}:${minute}:${second}${offset ? `${offset.slice(0, 3)}:${offset.slice(3)}` : 'Z'}`;
+    const date = new Date(iso);
+    return isNaN(date) ? undefined : date;
+  }
+
+  // Numeric observations as lab results; text observations stay in the report text
+  toLabResults(orders) {
+    return orders
+      .flatMap(order => order.observations)
+      .filter(observation => NUMERIC_TYPES.includes(observation.valueType) || /^[<>]?=?\s*-?\d+\.?\d*$/.test(observation.value))
+      .map(observation => {
+        const value = parseFloat(String(observation.value).replace(/^[<>]=?\s*/, ''));
+        const [low, high] = this.parseRange(observation.referenceRange);
+        return labResultService.buildResult({
+          name: observation.name,
+          value,
+          unit: observation.unit,
+          referenceLow: low,
+          referenceHigh: high,
+          flag: ABNORMAL_FLAGS[observation.abnormalFlag]
+        });
+      })
+      .filter(result => !isNaN(result.value));
+  }
+
+  // "3.5-5.0", "<200" or ">40"
+  parseRange(range) {
+    if (!range) return [undefined, undefined];
+    const between = range.match(/(-?\d+\.?\d*)\s*[-–]\s*(-?\d+\.?\d*)/);
+    if (between) return [parseFloat(between[1]), parseFloat(between[2])];
+    const below = range.match(/^\s*<=?\s*(-?\d+\.?\d*)/);
+    if (below) return [undefined, parseFloat(below[1])];
+    const above = range.match(/^\s*>=?\s*(-?\d+\.?\d*)/);
+    if (above) return [parseFloat(above[1]), undefined];
+    return [undefined, undefined];
+  }
+
+  // Plain text version of a patient group, stored as the report's extracted text
+  // so the AI analysis, chat and search work as for uploaded reports
+  toText(parsed, group) {
+    const lines = [`Laboratory Report${parsed.sendingFacility ? ` - ${parsed.sendingFacility}` : ''}`];
+    lines.push(`Patient: ${group.patient.name}`);
+
+    for (const order of group.orders) {
+      lines.push('');
+      if (order.testName) lines.push(order.testName);
+      const date = order.collectedAt || order.reportedAt;
+      if (date) lines.push(`Collected: ${date.toISOString().slice(0, 10)}`);
+
+      for (const observation of order.observations) {
+        const unit = observation.unit ? ` ${observation.unit}` : '';
+        const flag = observation.abnormalFlag && observation.abnormalFlag !== 'N' ? ` ${observation.abnormalFlag}` : '';
+        const range = observation.referenceRange ? ` (${observation.referenceRange})` : '';
+        lines.push(`${observation.name}: ${observation.value}${unit}${flag}${range}`);
+        observation.notes.forEach(note => lines.push(`  ${note.replace(/\n/g, '\n  ')}`));
+      }
+      order.notes.forEach(note => lines.push(note));
+    }
+
+    return lines.join('\n');
+  }
+
+  // Earliest collection time in the group, used as the report date
+  reportDate(group) {
+    const dates = group.orders
+      .map(order => order.collectedAt || order.reportedAt)
+      .filter(Boolean)
+      .sort((a, b) => a - b);
+    return dates[0];
+  }
+
+  // Find the patient account for a PID. A unique email or phone match also
+  // needs the date of birth or name to agree, as family members often share
+  // a phone number; a unique name + date of birth match is enough on its own.
+  // Resolves to { patient, candidates }; patient is null when there is no
+  // single confident match.
+  async matchPatient(details) {
+    const candidates = new Map();
+    const add = users => users.forEach(user => candidates.set(user._id.toString(), user));
+    const confirmed = users => users.length === 1 &&
+      (this.sameBirthDate(users[0], details) || this.sameName(users[0], details));
+
+    if (details.email) {
+      const byEmail = await User.find({ userType: 'patient', email: details.email });
+      if (confirmed(byEmail)) return { patient: byEmail[0], candidates: byEmail };
+      add(byEmail);
+    }
+
+    const phoneDigits = (details.phone || '').replace(/\D/g, '').slice(-10);
+    if (phoneDigits.length === 10) {
+      // Stored numbers end with these digits, whatever separators they use
+      const phonePattern = new RegExp(`${phoneDigits.split('').join('\\D*')}\\D*$`);
+      const byPhone = await User.find({ userType: 'patient', phone: phonePattern });
+      if (confirmed(byPhone)) return { patient: byPhone[0], candidates: byPhone };
+      add(byPhone);
+    }
+
+    if (details.dateOfBirth && details.familyName) {
+      const start = new Date(details.dateOfBirth);
+      start.setUTCHours(0, 0, 0, 0);
+      const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+      const sameBirthday = await User.find({ userType: 'patient', dateOfBirth: { $gte: start, $lt: end } });
+
+      const byName = sameBirthday.filter(user => this.sameName(user, details));
+      if (byName.length === 1) return { patient: byName[0], candidates: byName };
+      add(byName.length > 0 ? byName : sameBirthday);
+    }
+
+    return { patient: null, candidates: [...candidates.values()] };
+  }
+
+  sameBirthDate(user, details) {
+    if (!user.dateOfBirth || !details.dateOfBirth) return false;
+    return new Date(user.dateOfBirth).toISOString().slice(0, 10) ===
+      new Date(details.dateOfBirth).toISOString().slice(0, 10);
+  }
+
+  // Family and given name from the PID both appear in the account name
+  sameName(user, details) {
+    if (!details.familyName || !user.name) return false;
+    const tokens = user.name.toLowerCase().split(/\s+/);
+    return [details.familyName, details.givenName]
+      .filter(Boolean)
+      .every(name => tokens.includes(name.toLowerCase()));
+  }
+
+  // ACK message returned to the sender: AA accepted, AE error, AR rejected
+  buildAck(parsed, code, text = '') {
+    const timestamp = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    return [
+      `MSH|^~\\&|MEDICAL_REPORT_ANALYZER||${parsed?.sendingApplication || ''}|${parsed?.sendingFacility || ''}|${timestamp}||ACK^R01|ACK${parsed?.controlId || timestamp}|P|${parsed?.version || '2.5'}`,
+      `MSA|${code}|${parsed?.controlId || ''}${text ? `|${text.replace(/[|^~\\&\r\n]/g, ' ')}` : ''}`
+    ].join('\r');
+  }
+}
+
+module.exports = new Hl7Service();
@@ -0,0 +1,154 @@
+const sharp = require('sharp');
+
+const ENABLED = process.env.OCR_PREPROCESS !== 'false';
+// Images narrower than this are upscaled, Tesseract does best at ~300 DPI
+const MIN_WIDTH = parseInt(process.env.OCR_MIN_WIDTH, 10) || 1600;
+const MAX_UPSCALE = 3;
+// Skew search range in degrees; phone photos are rarely more than a few degrees off
+const MAX_SKEW = 15;
+const MIN_SKEW = 0.5;
+// Adaptive threshold: local mean window (blur sigma) and offset below the mean
+const THRESHOLD_SIGMA = 15;
+const THRESHOLD_OFFSET = 10;
+
+const CROP_MARGIN = 20;
+
+const WHITE = { r: 255, g: 255, b: 255, alpha: 1 };
+
+// Cleans up photos and scans before OCR. Every step works on an 8-bit
+// single channel raw buffer and the applied steps are reported back so
+// they can be stored with the report.
+class ImagePreprocessor {
+  async toRaw(pipeline) {
+    // Some operations (normalize, rotate) convert back to sRGB, force one channel
+    const { data, info } = await pipeline.toColourspace('b-w').raw().toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+  }
+
+  fromRaw(image) {
+    return sharp(image.data, { raw: { width: image.width, height: image.height, channels: 1 } });
+  }
+
+  async process(input) {
+    const steps = [];
+    const metadata = await sharp(input).metadata();
+
+    if (!ENABLED) {
+      return { buffer: input, steps, skewAngle: 0, width: metadata.width, height: metadata.height };
+    }
+
+    if (metadata.orientation && metadata.orientation !== 1) {
+      steps.push('auto-rotate');
+    }
+    let image = await this.toRaw(sharp(input).rotate().grayscale());
+    steps.push('grayscale');
+
+    image = await this.toRaw(this.fromRaw(image).normalize());
+    steps.push('normalize');
+
+    if (image.width < MIN_WIDTH) {
+      const factor = Math.min(MAX_UPSCALE, MIN_WIDTH / image.width);
+      image = await this.toRaw(
+        this.fromRaw(image).resize(Math.round(image.width * factor), null, { kernel: 'lanczos3' })
+      );
+      steps.push(`upscale x${factor.toFixed(1)}`);
+    }
+
+    const skewAngle = this.estimateSkew(image);
+    if (Math.abs(skewAngle) >= MIN_SKEW) {
+      image = await this.toRaw(
+        this.fromRaw(image).rotate(-skewAngle, { background: WHITE })
+      );
+      steps.push(`deskew ${skewAngle.toFixed(1)}°`);
+    }
+
+    const cropped = await this.cropBorders(image);
+    if (cropped) {
+      image = cropped;
+      steps.push('crop-borders');
+    }
+
+    image = await this.adaptiveThreshold(image);
+    steps.push('adaptive-threshold');
+
+    const buffer = await this.fromRaw(image).png().toBuffer();
+    return {
+      buffer,
+      steps,
+      skewAngle: Math.abs(skewAngle) >= MIN_SKEW ? skewAngle : 0,
+      width: image.width,
+      height: image.height
+    };
+  }
+
+  // Projection profile method: text lines give the sharpest row histogram
+  // when the page is level. Works on dark pixels of a downscaled copy.
+  estimateSkew(image) {
+    const step = Math.max(1, Math.floor(image.width / 800));
+    const points = [];
+    for (let y = 0; y < image.height; y += step) {
+      for (let x = 0; x < image.width; x += step) {
+        if (image.data[y * image.width + x] < 128) {
+          points.push(x / step, y / step);
+        }
+      }
+    }
+    if (points.length < 200) return 0;
+
+    const score = (angle) => {
+      const radians = angle * Math.PI / 180;
+      const sin = Math.sin(radians);
+      const cos = Math.cos(radians);
+      const rows = new Map();
+      for (let i = 0; i < points.length; i += 2) {
+        const row = Math.round(points[i + 1] * cos - points[i] * sin);
+        rows.set(row, (rows.get(row) || 0) + 1);
+      }
+      let sum = 0;
+      for (const count of rows.values()) sum += count * count;
+      return sum;
+    };
+
+    const search = (from, to, increment) => {
+      let best = { angle: 0, score: -1 };
+      for (let angle = from; angle <= to + 1e-9; angle += increment) {
+        const value = score(angle);
+        if (value > best.score) best = { angle, score: value };
+      }
+      return best.angle;
+    };
+
+    const coarse = search(-MAX_SKEW, MAX_SKEW, 1);
+    return Math.round(search(coarse - 1, coarse + 1, 0.1) * 10) / 10;
+  }
+
+  // Trim uniform margins (scanner bed, table surface); null when nothing was cut
+  async cropBorders(image) {
+    try {
+      // Tesseract needs some margin around text, so pad the trimmed page
+      const trimmed = await this.toRaw(
+        sharp(await this.fromRaw(image).trim({ threshold: 40 }).png().toBuffer())
+          .extend({ top: CROP_MARGIN, bottom: CROP_MARGIN, left: CROP_MARGIN, right: CROP_MARGIN, background: WHITE })
+      );
+      if (trimmed.width === image.width && trimmed.height === image.height) return null;
+      // Ignore crops that would remove most of the page
+      if (trimmed.width * trimmed.height < image.width * image.height * 0.25) return null;
+      return trimmed;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Binarize against the local mean so shadows and uneven lighting don't
+  // wipe out text the way a single global threshold would
+  async adaptiveThreshold(image) {
+    const { data: mean } = await this.toRaw(this.fromRaw(image).blur(THRESHOLD_SIGMA));
+    const output = Buffer.alloc(image.data.length);
+    for (let i = 0; i < image.data.length; i++) {
+      output[i] = image.data[i] < mean[i] - THRESHOLD_OFFSET ? 0 : 255;
+    }
+    return { data: output, width: image.width, height: image.height };
+  }
+}
+
+module.exports = new ImagePreprocessor();
@@ -0,0 +1,148 @@
+const Job = require('../models/Job');
+
+const toInt = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return isNaN(number) ? fallback : number;
+};
+
+// Mongo-backed job queue. Jobs survive restarts; a single worker loop in this
+// process claims due jobs one at a time, retries failures with exponential
+// backoff and moves jobs that exhaust their attempts to the 'dead' state.
+class JobQueue {
+  constructor() {
+    this.handlers = {};
+    this.running = false;
+    this.timer = null;
+    this.pollIntervalMs = toInt(process.env.JOB_POLL_INTERVAL_MS, 2000);
+    this.backoffMs = toInt(process.env.JOB_RETRY_BACKOFF_MS, 30000);
+    this.defaultMaxAttempts = toInt(process.env.JOB_MAX_ATTEMPTS, 3);
+  }
+
+  // handler(job) does the work; options.onDead(job, error) runs once retries are exhausted
+  register(type, handler, options = {}) {
+    this.handlers[type] = { handler, onDead: options.onDead };
+  }
+
+  async enqueue(type, payload = {}, options = {}) {
+    return Job.create({
+      type,
+      payload,
+      report: options.report,
+      maxAttempts: options.maxAttempts || this.defaultMaxAttempts,
+      runAt: options.runAt || new Date()
+    });
+  }
+
+  // Jobs for a report, newest first
+  async getJobsForReport(reportId) {
+    return Job.find({ report: reportId }).sort({ createdAt: -1 });
+  }
+
+  async hasActiveJob(reportId, type) {
+    const count = await Job.countDocuments({
+      report: reportId,
+      type,
+      status: { $in: ['queued', 'running'] }
+    });
+    return count > 0;
+  }
+
+  // Atomically claim the next due job
+  async claimNext() {
+    return Job.findOneAndUpdate(
+      { status: 'queued', runAt: { $lte: new Date() }, type: { $in: Object.keys(this.handlers) } },
+      { status: 'running', startedAt: new Date(), $inc: { attempts: 1 } },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  async runJob(job) {
+    const { handler } = this.handlers[job.type];
+
+    try {
+      await handler(job);
+      job.status = 'completed';
+      job.completedAt = new Date();
+      job.lastError = undefined;
+      await job.save();
+    } catch (error) {
+      console.error(`❌ Job ${job._id} (${job.type}) attempt ${job.attempts} failed:`, error.message);
+
+      job.lastError = error.message;
+      job.errorHistory.push({ attempt: job.attempts, message: error.message, at: new Date() });
+
+      if (job.attempts >= job.maxAttempts) {
+        await this.markDead(job, error);
+      } else {
+        job.status = 'queued';
+        job.runAt = new Date(Date.now() + this.backoffMs * Math.pow(2, job.attempts - 1));
+        await job.save();
+      }
+    }
+  }
+
+  async markDead(job, error) {
+    job.status = 'dead';
+    await job.save();
+
+    const onDead = this.handlers[job.type]?.onDead;
+    if (onDead) {
+      try {
+        await onDead(job, error);
+      } catch (hookError) {
+        console.error(`Dead-letter hook failed for job ${job._id}:`, hookError.message);
+      }
+    }
+  }
+
+  // Process every due job, then schedule the next poll
+  async tick() {
+    try {
+      let job = await this.claimNext();
+      while (job && this.running) {
+        await this.runJob(job);
+        job = await this.claimNext();
+      }
+    } catch (error) {
+      console.error('Job worker error:', error.message);
+    }
+
+    if (this.running) {
+      this.timer = setTimeout(() => this.tick(), this.pollIntervalMs);
+    }
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this.tick();
+    console.log('⚙️  Job worker started');
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+  }
+
+  // Jobs left 'running' by a previous process can never finish. Those with
+  // attempts left go back in the queue; the others are dead, so a job that
+  // takes the process down every time doesn't restart it forever.
+  // Returns { requeued, dead }.
+  async requeueInterrupted() {
+    const exhausted = await Job.find({ status: 'running', $expr: { $gte: ['$attempts', '$maxAttempts'] } });
+    for (const job of exhausted) {
+      const error = new Error('Interrupted by a server restart');
+      job.lastError = error.message;
+      job.errorHistory.push({ attempt: job.attempts, message: error.message, at: new Date() });
+      await this.markDead(job, error);
+    }
+
+    const result = await Job.updateMany(
+      { status: 'running', $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+      { status: 'queued', runAt: new Date() }
+    );
+    return { requeued: result.modifiedCount, dead: exhausted.length };
+  }
+}
+
+module.exports = new JobQueue();
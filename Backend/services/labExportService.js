@@ -0,0 +1,116 @@
+const ExcelJS = require('exceljs');
+const unitConversionService = require('./unitConversionService');
+
+// Spreadsheet columns; `key` is the field of a row built by rows()
+const COLUMNS = [
+  { header: 'Date', key: 'date', width: 12 },
+  { header: 'Report', key: 'report', width: 32 },
+  { header: 'Report Type', key: 'reportType', width: 20 },
+  { header: 'Analyte', key: 'analyte', width: 26 },
+  { header: 'Code', key: 'code', width: 16 },
+  { header: 'LOINC', key: 'loinc', width: 10 },
+  { header: 'Value', key: 'value', width: 10 },
+  { header: 'Unit', key: 'unit', width: 12 },
+  { header: 'Reference Low', key: 'referenceLow', width: 14 },
+  { header: 'Reference High', key: 'referenceHigh', width: 14 },
+  { header: 'Flag', key: 'flag', width: 10 },
+  { header: 'Normalized Value', key: 'normalizedValue', width: 16 },
+  { header: 'Normalized Unit', key: 'normalizedUnit', width: 16 },
+  { header: 'Normalized Reference Low', key: 'normalizedReferenceLow', width: 24 },
+  { header: 'Normalized Reference High', key: 'normalizedReferenceHigh', width: 24 },
+  { header: 'Reference Source', key: 'referenceSource', width: 16 },
+  { header: 'Report ID', key: 'reportId', width: 26 }
+];
+
+// Turns a patient's stored lab results into one row per measurement, as CSV
+// or XLSX. Values are exported as the lab printed them, with the converted
+// canonical value alongside for comparing across labs. The normalized range
+// is the one the flag was set from: the lab's own, or the catalog or clinic
+// range when the lab printed none (Reference Source says which).
+// Reports that duplicate an earlier upload are left out by the caller.
+class LabExportService {
+  // Rows oldest first, by collection date when the sender gave one
+  rows(reports) {
+    return reports
+      .flatMap(report => {
+        const date = report.reportDate || report.createdAt;
+        return (report.labResults || []).map(result => ({
+          date: date.toISOString().slice(0, 10),
+          report: report.originalName || report.fileName,
+          reportType: report.reportType,
+          analyte: result.name,
+          code: result.code,
+          loinc: result.code ? unitConversionService.getAnalyte(result.code)?.loinc : undefined,
+          value: result.value,
+          unit: result.unit,
+          referenceLow: result.referenceLow,
+          referenceHigh: result.referenceHigh,
+          flag: result.flag || (result.interpretation !== 'normal' ? result.interpretation : undefined),
+          normalizedValue: result.normalizedValue,
+          normalizedUnit: result.normalizedUnit,
+          normalizedReferenceLow: result.normalizedReferenceLow,
+          normalizedReferenceHigh: result.normalizedReferenceHigh,
+          referenceSource: result.referenceSource,
+          reportId: report._id.toString(),
+          sortDate: date
+        }));
+      })
+      .sort((a, b) => a.sortDate - b.sortDate)
+      .map(({ sortDate, ...row }) => row);
+  }
+
+  toCsv(rows) {
+    const lines = [
+      COLUMNS.map(column => column.header),
+      ...rows.map(row => COLUMNS.map(column => row[column.key]))
+    ].map(fields => fields.map(field => this.csvField(field)).join(','));
+
+    // BOM so Excel opens the file as UTF-8 (µmol/L, names with accents)
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+  }
+
+  csvField(value) {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    // Spreadsheets run text starting with these as formulas
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  async toXlsx(rows, patient) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+    const sheet = workbook.addWorksheet('Lab Values', {
+      views: [{ state: 'frozen', ySplit: 1 }]
+    });
+
+    sheet.columns = COLUMNS;
+    sheet.addRows(rows.map(row => ({ ...row, date: new Date(row.date) })));
+    sheet.getColumn('date').numFmt = 'yyyy-mm-dd';
+    sheet.getRow(1).font = { bold: true };
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: COLUMNS.length } };
+
+    const info = workbook.addWorksheet('Patient');
+    info.addRows([
+      ['Patient', patient.name],
+      ['Patient ID', patient._id.toString()],
+      ['Exported', new Date().toISOString()],
+      ['Measurements', rows.length]
+    ]);
+    info.getColumn(1).font = { bold: true };
+    info.getColumn(1).width = 16;
+    info.getColumn(2).width = 32;
+
+    return workbook.xlsx.writeBuffer();
+  }
+
+  // e.g. 'lab-values-jane-doe-2024-03-01.xlsx'
+  fileName(patient, format) {
+    const slug = patient.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'patient';
+    return `lab-values-${slug}-${new Date().toISOString().slice(0, 10)}.${format}`;
+  }
+}
+
+module.exports = new LabExportService();
@@ -0,0 +1,205 @@
+const unitConversionService = require('./unitConversionService');
+
+// Units labs commonly print after a value. Anything else that looks like
+// "<something>/<something>" is still captured so it can be flagged as unknown.
+const UNIT = String.raw`(?:mg\/dl|gm?\/dl|g\/l|mmol\/l|mmol\/mol|[µμu]mol\/l|meq\/l|mg%|m?iu\/m?l|[µμu]iu\/ml|ng\/m?l|pg\/ml|10\^\d+\/[µμu]?l|lakhs?\/cu\.?mm|million\/cu\.?mm|cells\/[µμu]l|\/cu\.?mm|\/[µμu]l|ml\/min(?:\/1\.73\s?m2)?|kg\/m2|bpm|°?[fc]|%|[a-z0-9µμ^.]+\/[a-z0-9µμ^.]+)(?![a-z])`;
+
+// Names only match as whole words, so "pCO2" and "pO2" in a blood gas report
+// aren't read as SpO2
+const valueWithUnit = names => new RegExp(String.raw`(?<![a-z0-9])(?:${names})(?![a-z0-9])[:\s]*(\d+\.?\d*)\s*(${UNIT})?`, 'i');
+
+// Known analytes and the regex used to find them in OCR text
+const ANALYTE_PATTERNS = [
+  { name: 'Hemoglobin', pattern: valueWithUnit('hemoglobin|haemoglobin') },
+  { name: 'Glucose', pattern: valueWithUnit('glucose|sugar|fbs|rbs') },
+  { name: 'Cholesterol', pattern: valueWithUnit('(?<!(?:hdl|ldl)[\\s-]?)cholesterol') },
+  { name: 'LDL Cholesterol', pattern: valueWithUnit('ldl(?:[\\s-]?cholesterol)?') },
+  { name: 'HDL Cholesterol', pattern: valueWithUnit('hdl(?:[\\s-]?cholesterol)?') },
+  { name: 'Triglycerides', pattern: valueWithUnit('triglycerides?') },
+  { name: 'Creatinine', pattern: valueWithUnit('creatinine') },
+  { name: 'WBC Count', pattern: valueWithUnit('wbc|white blood cells?') },
+  { name: 'RBC Count', pattern: valueWithUnit('rbc|red blood cells?') },
+  { name: 'Platelet Count', pattern: valueWithUnit('platelets?(?: count)?') },
+  { name: 'Temperature', pattern: valueWithUnit('temp|temperature') },
+  { name: 'Heart Rate', pattern: valueWithUnit('heart rate|pulse|hr(?=\\s*:|\\s*\\d+\\s*(?:bpm|\\/min))') },
+  { name: 'SpO2', pattern: valueWithUnit('spo2|oxygen saturation|o2[\\s-]?sat(?:uration)?') },
+  { name: 'BMI', pattern: valueWithUnit('bmi') },
+  { name: 'Urea', pattern: valueWithUnit('urea') },
+  { name: 'eGFR', pattern: valueWithUnit('e?gfr') },
+  { name: 'Sodium', pattern: valueWithUnit('sodium') },
+  { name: 'Potassium', pattern: valueWithUnit('potassium') },
+  { name: 'Calcium', pattern: valueWithUnit('(?<!ioni[sz]ed[\\s-]?)calcium') },
+  { name: 'Troponin', pattern: valueWithUnit('troponin(?:[\\s-]?i)?') },
+  { name: 'Troponin T', pattern: valueWithUnit('troponin[\\s-]?t|trop[\\s-]?t') },
+  { name: 'Bilirubin', pattern: valueWithUnit('(?<!(?:direct|indirect|conjugated|unconjugated)[\\s-]?)bilirubin') },
+  { name: 'Albumin', pattern: valueWithUnit('albumin') },
+  { name: 'TSH', pattern: valueWithUnit('tsh') },
+  { name: 'HbA1c', pattern: valueWithUnit('hba1c') },
+];
+
+// Flag and reference range that labs print right after the value,
+// e.g. "11.2 g/dl L (13.0 - 17.0)" or "250 mg/dl HIGH 70-110"
+const TAIL_PATTERN = /^\s*(?:\[?(critical|high|low|h|l)\]?(?![a-z]))?\s*(?:\(?\s*(?:ref(?:erence)?(?:\s*range)?[:\s]*)?(\d+\.?\d*)\s*[-–]\s*(\d+\.?\d*)\s*\)?)?/i;
+// Column layouts print the unit after the range: "Sodium 118 135-145 mmol/L"
+const UNIT_AFTER_RANGE = new RegExp(String.raw`^[^\S\n]*(${UNIT})`, 'i');
+
+const FLAGS = ['H', 'L', 'critical'];
+
+class LabResultService {
+  // Extract structured analytes from OCR text using the regex table
+  extractFromText(text) {
+    if (!text) return [];
+
+    const results = [];
+
+    ANALYTE_PATTERNS.forEach(({ name, pattern }) => {
+      const match = text.match(pattern);
+      if (!match) return;
+
+      const start = match.index;
+      let end = start + match[0].trimEnd().length;
+      const tail = text.slice(end).match(TAIL_PATTERN);
+      let unit = match[2];
+      let flag;
+      let referenceLow;
+      let referenceHigh;
+
+      if (tail && tail[0].trim()) {
+        flag = this.normalizeFlag(tail[1]);
+        if (tail[2] !== undefined) {
+          referenceLow = parseFloat(tail[2]);
+          referenceHigh = parseFloat(tail[3]);
+        }
+        end += tail[0].trimEnd().length;
+
+        const trailingUnit = !unit && tail[2] !== undefined ? text.slice(end).match(UNIT_AFTER_RANGE) : null;
+        if (trailingUnit) {
+          unit = trailingUnit[1];
+          end += trailingUnit[0].length;
+        }
+      }
+
+      results.push(this.buildResult({
+        name,
+        value: parseFloat(match[1]),
+        unit,
+        referenceLow,
+        referenceHigh,
+        flag,
+        sourceSpan: { start, end, text: text.slice(start, end) }
+      }));
+    });
+
+    return results;
+  }
+
+  // Clean up lab results returned by the AI and locate them in the source text
+  normalizeAIResults(aiResults, text) {
+    if (!Array.isArray(aiResults)) return [];
+
+    return aiResults
+      .filter(item => item && item.name && item.value !== undefined && item.value !== null)
+      .map(item => {
+        const value = typeof item.value === 'number' ? item.value : parseFloat(String(item.value).replace(',', '.'));
+        return this.buildResult({
+          name: String(item.name).trim(),
+          value,
+          unit: item.unit,
+          referenceLow: this.toNumber(item.referenceLow),
+          referenceHigh: this.toNumber(item.referenceHigh),
+          flag: this.normalizeFlag(item.flag),
+          sourceSpan: this.locateSpan(text, item.name, value)
+        });
+      })
+      .filter(result => !isNaN(result.value));
+  }
+
+  // Find where "<name> ... <value>" appears in the text
+  locateSpan(text, name, value) {
+    if (!text || !name || isNaN(value)) return undefined;
+
+    const lowerText = text.toLowerCase();
+    const lowerName = String(name).toLowerCase();
+    const valueText = String(value);
+    let nameIndex = lowerText.indexOf(lowerName);
+
+    while (nameIndex !== -1) {
+      const valueIndex = text.indexOf(valueText, nameIndex + lowerName.length);
+      if (valueIndex !== -1 && valueIndex - nameIndex <= lowerName.length + 40) {
+        const end = valueIndex + valueText.length;
+        return { start: nameIndex, end, text: text.slice(nameIndex, end) };
+      }
+      nameIndex = lowerText.indexOf(lowerName, nameIndex + 1);
+    }
+
+    return undefined;
+  }
+
+  buildResult({ name, value, unit, referenceLow, referenceHigh, flag, sourceSpan }) {
+    return unitConversionService.normalizeResult({
+      name,
+      value,
+      unit: unit ? String(unit).trim() : undefined,
+      referenceLow,
+      referenceHigh,
+      flag: flag || this.computeFlag(value, referenceLow, referenceHigh),
+      sourceSpan
+    });
+  }
+
+  // Derive H/L from the reference range when the lab didn't print a flag
+  computeFlag(value, referenceLow, referenceHigh) {
+    if (referenceLow !== undefined && value < referenceLow) return 'L';
+    if (referenceHigh !== undefined && value > referenceHigh) return 'H';
+    return undefined;
+  }
+
+  normalizeFlag(flag) {
+    if (!flag) return undefined;
+    const value = String(flag).trim().toLowerCase();
+    if (value === 'h' || value === 'high') return 'H';
+    if (value === 'l' || value === 'low') return 'L';
+    if (value === 'critical') return 'critical';
+    return FLAGS.includes(flag) ? flag : undefined;
+  }
+
+  toNumber(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const number = parseFloat(value);
+    return isNaN(number) ? undefined : number;
+  }
+
+  // Human readable finding, e.g. "Hemoglobin: 11.2 g/dl"
+  formatResult(result) {
+    return `${result.name}: ${result.value}${result.unit ? ' ' + result.unit : ''}`;
+  }
+
+  // e.g. "Hemoglobin: 9.1 g/dl (low, normal 12 - 15.5 g/dL)"
+  formatAbnormality(result) {
+    const prefix = result.flag === 'critical' ? '⚠️ ' : '';
+    const interpretation = result.interpretation || (result.flag === 'H' ? 'high' : result.flag === 'L' ? 'low' : result.flag);
+
+    // Catalog/clinic ranges are in canonical units, so show the converted value with them
+    const useCanonical = result.referenceSource === 'catalog' || result.referenceSource === 'clinic';
+    const finding = useCanonical
+      ? this.formatResult({ name: result.name, value: result.normalizedValue, unit: result.normalizedUnit })
+      : this.formatResult(result);
+    const low = useCanonical ? result.normalizedReferenceLow : result.referenceLow;
+    const high = useCanonical ? result.normalizedReferenceHigh : result.referenceHigh;
+    const unit = useCanonical ? result.normalizedUnit : result.unit;
+    const suffix = unit ? ' ' + unit : '';
+
+    let range = '';
+    if (low !== undefined && high !== undefined) {
+      range = `, normal ${low} - ${high}${suffix}`;
+    } else if (high !== undefined) {
+      range = `, normal below ${high}${suffix}`;
+    } else if (low !== undefined) {
+      range = `, normal above ${low}${suffix}`;
+    }
+
+    return `${prefix}${finding} (${interpretation}${range})`;
+  }
+}
+
+module.exports = new LabResultService();
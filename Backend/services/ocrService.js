@@ -1,10 +1,25 @@
 const Tesseract = require('tesseract.js');
 const fs = require('fs');
 const path = require('path');
+const sharp = require('sharp');
+const imagePreprocessor = require('./imagePreprocessor');
+const dicomService = require('./dicomService');
+const languageConfig = require('../config/languages');
+
+// A PDF whose text layer averages fewer characters per page than this is treated as a scan
+const MIN_TEXT_CHARS_PER_PAGE = parseInt(process.env.OCR_PDF_MIN_CHARS_PER_PAGE, 10) || 30;
+// Resolution used when rasterizing PDF pages for OCR
+const PDF_RENDER_DPI = parseInt(process.env.OCR_PDF_RENDER_DPI, 10) || 200;
+const PDF_MAX_PAGES = parseInt(process.env.OCR_PDF_MAX_PAGES, 10) || 20;
+// Marker put before each page's text, e.g. '--- Page 2 ---'
+const PAGE_MARKER = /--- Page (\d+) ---/;
+// Mean or per-value OCR confidence (0-100) below which a report needs manual review
+const CONFIDENCE_THRESHOLD = parseInt(process.env.OCR_CONFIDENCE_THRESHOLD, 10) || 70;
 
 class OCRService {
   constructor() {
     this.pdfParse = null;
+    this.mupdf = null;
   }
 
   // Lazy load pdf-parse
@@ -24,45 +39,365 @@ class OCRService {
     return this.pdfParse;
   }
 
-  // Extract text from image using Tesseract
-  async extractFromImage(imagePath) {
+  // Lazy load mupdf (ESM only) for rendering PDF pages
+  async loadMupdf() {
+    if (!this.mupdf) {
+      try {
+        const module = await import('mupdf');
+        this.mupdf = module.default || module;
+      } catch (e) {
+        throw new Error('PDF rendering library not available');
+      }
+    }
+    return this.mupdf;
+  }
+
+  // Clean up an image for OCR; the original is used if preprocessing fails
+  async preprocess(input, page = 1) {
     try {
-      const result = await Tesseract.recognize(imagePath, 'eng', {
-        logger: () => {} // Silent logger
-      });
+      const { buffer, steps, skewAngle } = await imagePreprocessor.process(input);
+      return { image: buffer, preprocessing: { page, steps, skewAngle } };
+    } catch (error) {
+      console.warn(`Image preprocessing failed for page ${page}: ${error.message}`);
+      return { image: input, preprocessing: { page, steps: [], skewAngle: 0, error: error.message } };
+    }
+  }
+
+  // Preprocess, OCR and keep the layout of a single page. The cleaned image is
+  // saved next to the upload so word boxes can be drawn over it later.
+  async recognizePage(worker, input, page, filePath) {
+    const { image, preprocessing } = await this.preprocess(input, page);
+    const result = await worker.recognize(image);
+    const saved = await this.savePageImage(image, filePath, page);
 
-      return result.data.text;
+    return {
+      text: result.data.text,
+      preprocessing,
+      layout: this.buildLayout(result.data, page, saved)
+    };
+  }
+
+  async savePageImage(image, filePath, page) {
+    try {
+      const imageFile = `${path.parse(filePath).name}-page${page}.png`;
+      const info = await sharp(image).png().toFile(path.join(path.dirname(filePath), imageFile));
+      return { imageFile, width: info.width, height: info.height };
+    } catch (error) {
+      console.warn(`Could not save OCR page image for page ${page}: ${error.message}`);
+      return {};
+    }
+  }
+
+  // Keep only plain line/word data from Tesseract's (circular) result
+  buildLayout(data, page, { imageFile, width, height }) {
+    const round = (value) => Math.round(value * 10) / 10;
+    const box = ({ x0, y0, x1, y1 }) => ({ x0, y0, x1, y1 });
+
+    return {
+      page,
+      imageFile,
+      width,
+      height,
+      confidence: round(data.confidence),
+      lines: (data.lines || []).map(line => ({
+        text: line.text.trim(),
+        confidence: round(line.confidence),
+        bbox: box(line.bbox),
+        words: line.words.map(word => ({
+          text: word.text,
+          confidence: round(word.confidence),
+          bbox: box(word.bbox)
+        }))
+      }))
+    };
+  }
+
+  // Language data is read from the local tessdata directory only; a missing
+  // file is an error rather than a download
+  async createWorker(languages) {
+    const { tessdataPath, tessdataGzip } = languageConfig;
+    const extension = tessdataGzip ? '.traineddata.gz' : '.traineddata';
+    const missing = languages.filter(code => !fs.existsSync(path.join(tessdataPath, `${code}${extension}`)));
+    if (missing.length > 0) {
+      throw new Error(`OCR language data missing: ${missing.map(code => `${code}${extension}`).join(', ')} not found in ${tessdataPath} (see TESSDATA_PATH)`);
+    }
+
+    return Tesseract.createWorker(languages.join('+'), 1, {
+      langPath: tessdataPath,
+      gzip: tessdataGzip,
+      cacheMethod: 'none',
+      logger: () => {} // Silent logger
+    });
+  }
+
+  // Tesseract languages to load: the document language plus English, which
+  // lab reports mix in for test names and units
+  resolveOcrLanguages(language) {
+    if (language === 'auto') {
+      return [...new Set(['eng', ...languageConfig.autoDetect])];
+    }
+    return [...new Set([language || languageConfig.defaultLanguage, 'eng'])];
+  }
+
+  // Pick the candidate whose script makes up a meaningful share of the letters.
+  // English headers are common in regional reports, so any non-Latin script
+  // above the share wins over English.
+  detectLanguage(text, candidates) {
+    const letters = (text.match(/\p{L}/gu) || []).length;
+    if (letters === 0) return languageConfig.defaultLanguage;
+
+    let best = null;
+    for (const code of candidates) {
+      const language = languageConfig.getLanguage(code);
+      if (!language || language.script === 'Latin') continue;
+
+      const count = (text.match(new RegExp(`\\p{Script=${language.script}}`, 'gu')) || []).length;
+      if (count / letters >= 0.15 && (!best || count > best.count)) {
+        best = { code, count };
+      }
+    }
+    return best ? best.code : languageConfig.defaultLanguage;
+  }
+
+  // Extract text from image using Tesseract
+  async extractFromImage(imagePath, languages) {
+    try {
+      const worker = await this.createWorker(languages);
+      try {
+        const { text, preprocessing, layout } = await this.recognizePage(
+          worker, fs.readFileSync(imagePath), 1, imagePath
+        );
+        return { text, preprocessing: [preprocessing], pages: [layout] };
+      } finally {
+        await worker.terminate();
+      }
     } catch (error) {
       throw new Error(`OCR failed: ${error.message}`);
     }
   }
 
-  // Extract text from PDF
-  async extractFromPDF(pdfPath) {
+  // Extract text from PDF, falling back to OCR of rendered pages for scans
+  async extractFromPDF(pdfPath, languages) {
+    return this.extractFromPDFBuffer(fs.readFileSync(pdfPath), pdfPath, languages);
+  }
+
+  // pdfPath names the rendered page images for scans
+  async extractFromPDFBuffer(dataBuffer, pdfPath, languages) {
+    let text = '';
+    let pageCount = 1;
     try {
       const pdfParse = await this.loadPdfParse();
-      
-      const dataBuffer = fs.readFileSync(pdfPath);
       const data = await pdfParse(dataBuffer);
+      text = data.text || '';
+      pageCount = data.numpages || 1;
+    } catch (error) {
+      console.warn(`PDF text layer unreadable (${error.message}), falling back to OCR`);
+    }
+
+    if (!this.isTextLayerEmpty(text, pageCount)) {
+      return { text, preprocessing: [], pages: [] };
+    }
 
-      return data.text;
+    try {
+      return await this.extractFromScannedPDF(dataBuffer, pdfPath, languages);
     } catch (error) {
-      // Fallback: Return empty text if PDF parsing fails
-      return `PDF file uploaded: ${path.basename(pdfPath)}. Manual text extraction may be needed.`;
+      // Keep whatever the text layer had rather than failing outright
+      if (text.trim()) {
+        return { text, preprocessing: [], pages: [] };
+      }
+      throw new Error(`PDF OCR failed: ${error.message}`);
     }
   }
 
-  // Main extraction method - determines file type and extracts text
-  async extractText(filePath, fileType) {
+  // DICOM: study details from the header followed by the embedded report.
+  // An encapsulated PDF report goes through the PDF path (text layer or OCR);
+  // the image itself is not OCR'd.
+  async extractFromDicom(dicomPath, languages) {
+    const dataSet = dicomService.parse(dicomPath);
+    const metadata = dicomService.readMetadata(dataSet);
+    const embedded = dicomService.readEmbeddedReport(dataSet);
+
+    let reportText = embedded.text;
+    let preprocessing = [];
+    let pages = [];
+    if (embedded.pdf) {
+      try {
+        const result = await this.extractFromPDFBuffer(embedded.pdf, dicomPath, languages);
+        reportText = [result.text.trim(), reportText].filter(Boolean).join('\n\n');
+        preprocessing = result.preprocessing;
+        pages = result.pages;
+      } catch (error) {
+        console.warn(`Encapsulated PDF unreadable (${error.message})`);
+      }
+    }
+
+    return { text: dicomService.describeStudy(metadata, reportText), preprocessing, pages };
+  }
+
+  isTextLayerEmpty(text, pageCount) {
+    const chars = (text || '').replace(/\s/g, '').length;
+    return chars / Math.max(pageCount, 1) < MIN_TEXT_CHARS_PER_PAGE;
+  }
+
+  // Render every page to a PNG and OCR it, joining pages with markers
+  async extractFromScannedPDF(dataBuffer, pdfPath, languages) {
+    const images = await this.renderPdfPages(dataBuffer);
+    const worker = await this.createWorker(languages);
+
     try {
-      if (fileType === 'pdf') {
-        return await this.extractFromPDF(filePath);
-      } else {
-        return await this.extractFromImage(filePath);
+      const texts = [];
+      const preprocessing = [];
+      const pages = [];
+      for (let i = 0; i < images.length; i++) {
+        const result = await this.recognizePage(worker, images[i], i + 1, pdfPath);
+        texts.push(`--- Page ${i + 1} ---\n${result.text.trim()}`);
+        preprocessing.push(result.preprocessing);
+        pages.push(result.layout);
       }
-    } catch (error) {
-      throw error;
+      return { text: texts.join('\n\n'), preprocessing, pages };
+    } finally {
+      await worker.terminate();
+    }
+  }
+
+  async renderPdfPages(dataBuffer) {
+    const mupdf = await this.loadMupdf();
+    const doc = mupdf.Document.openDocument(dataBuffer, 'application/pdf');
+    const scale = PDF_RENDER_DPI / 72;
+
+    try {
+      const pageCount = Math.min(doc.countPages(), PDF_MAX_PAGES);
+      const images = [];
+      for (let i = 0; i < pageCount; i++) {
+        const page = doc.loadPage(i);
+        const pixmap = page.toPixmap(mupdf.Matrix.scale(scale, scale), mupdf.ColorSpace.DeviceGray, false, true);
+        images.push(Buffer.from(pixmap.asPNG()));
+        pixmap.destroy();
+        page.destroy();
+      }
+      return images;
+    } finally {
+      doc.destroy();
+    }
+  }
+
+  // Main extraction method - determines file type and extracts text.
+  // language is a code from config/languages.js or 'auto'.
+  // Resolves to { text, preprocessing, pages, language }: preprocessing lists
+  // the image cleanup steps per OCR'd page, pages holds Tesseract's lines and
+  // words (both empty when a PDF text layer was used) and language is the
+  // document language, detected from the text for 'auto'.
+  async extractText(filePath, fileType, language = languageConfig.defaultLanguage) {
+    const languages = this.resolveOcrLanguages(language);
+
+    let result;
+    if (fileType === 'pdf') {
+      result = await this.extractFromPDF(filePath, languages);
+    } else if (fileType === 'dicom') {
+      result = await this.extractFromDicom(filePath, languages);
+    } else {
+      result = await this.extractFromImage(filePath, languages);
     }
+
+    result.language = language === 'auto' ? this.detectLanguage(result.text, languages) : language;
+    return result;
+  }
+
+  // Extract a report uploaded as several files (pages in order). Page numbers in
+  // the markers, layouts and preprocessing entries run across all files.
+  async extractFromFiles(files, language = languageConfig.defaultLanguage) {
+    if (files.length === 1) {
+      return this.extractText(files[0].filePath, files[0].fileType, language);
+    }
+
+    const texts = [];
+    const preprocessing = [];
+    const pages = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const result = await this.extractText(file.filePath, file.fileType, language);
+      const pageCount = Math.max(result.pages.length, 1);
+
+      // Scanned PDFs already carry markers, renumber them; other files are one page
+      const text = PAGE_MARKER.test(result.text)
+        ? result.text.replace(new RegExp(PAGE_MARKER.source, 'g'), (match, page) => `--- Page ${offset + Number(page)} ---`)
+        : `--- Page ${offset + 1} ---\n${result.text.trim()}`;
+      texts.push(text);
+      preprocessing.push(...result.preprocessing.map(entry => ({ ...entry, page: offset + entry.page })));
+      pages.push(...result.pages.map(layout => ({ ...layout, page: offset + layout.page })));
+
+      offset += pageCount;
+    }
+
+    const text = texts.join('\n\n');
+    return {
+      text,
+      preprocessing,
+      pages,
+      language: language === 'auto' ? this.detectLanguage(text, this.resolveOcrLanguages('auto')) : language
+    };
+  }
+
+  // Mean word confidence over all OCR'd pages, null when nothing was OCR'd
+  meanConfidence(pages = []) {
+    const words = pages.flatMap(page => page.lines.flatMap(line => line.words));
+    if (words.length === 0) return null;
+    const total = words.reduce((sum, word) => sum + word.confidence, 0);
+    return Math.round(total / words.length * 10) / 10;
+  }
+
+  // Find the OCR word each lab value was read from, preferring words on a
+  // line that also mentions the analyte name, and copy its confidence and box
+  attachConfidence(labResults = [], pages = []) {
+    if (pages.length === 0) return labResults;
+
+    const lines = pages.flatMap(page => page.lines.map(line => ({ ...line, page: page.page })));
+
+    return labResults.map(result => {
+      const valueText = String(result.value);
+      const nameToken = result.name.toLowerCase().split(/\s+/)[0];
+      const matchesValue = word => word.text.replace(/,/g, '').includes(valueText);
+
+      let match = null;
+      for (const line of lines) {
+        if (!line.text.toLowerCase().includes(nameToken)) continue;
+        const word = line.words.find(w => parseFloat(w.text.replace(/,/g, '')) === result.value) ||
+          line.words.find(matchesValue);
+        if (word) {
+          match = { word, page: line.page };
+          break;
+        }
+      }
+      if (!match) return result;
+
+      return {
+        ...result,
+        ocrConfidence: match.word.confidence,
+        lowConfidence: match.word.confidence < CONFIDENCE_THRESHOLD,
+        ocrBox: { page: match.page, ...match.word.bbox }
+      };
+    });
+  }
+
+  // Decide whether the report needs a manual check before its values are trusted
+  assessQuality(pages, labResults = []) {
+    const confidence = this.meanConfidence(pages);
+    const reviewReasons = [];
+
+    if (confidence !== null && confidence < CONFIDENCE_THRESHOLD) {
+      reviewReasons.push(`OCR confidence ${confidence}% is below ${CONFIDENCE_THRESHOLD}%`);
+    }
+    const lowValues = labResults.filter(result => result.lowConfidence);
+    if (lowValues.length > 0) {
+      reviewReasons.push(`Low OCR confidence for: ${lowValues.map(result => result.name).join(', ')}`);
+    }
+
+    return {
+      ocrConfidence: confidence,
+      needsReview: reviewReasons.length > 0,
+      reviewReasons
+    };
   }
 
   // Clean and preprocess extracted text
@@ -70,9 +405,10 @@ class OCRService {
     if (!text) return '';
     
     return text
-      .replace(/\s+/g, ' ')           // Replace multiple spaces with single space
-      .replace(/\n+/g, '\n')          // Replace multiple newlines with single newline
-      .replace(/[^\x20-\x7E\n]/g, '') // Remove non-printable characters
+      .normalize('NFC')                       // Compose accents and Indic vowel signs consistently
+      .replace(/[^\S\n]+/g, ' ')              // Replace multiple spaces with single space, keeping line breaks
+      .replace(/ ?\n\s*/g, '\n')               // Replace multiple newlines with single newline
+      .replace(/(?!\n)[\p{Cc}\uFFFD]/gu, '') // Remove control characters and OCR replacement marks
       .trim();
   }
 }
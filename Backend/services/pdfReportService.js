@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+
+// The built-in PDF fonts only cover Latin text. Analyses written in Hindi,
+// Tamil etc. need a TrueType font with those scripts (e.g. Noto Sans).
+const FONT_PATH = process.env.PDF_FONT_PATH;
+const BOLD_FONT_PATH = process.env.PDF_BOLD_FONT_PATH || FONT_PATH;
+const APP_NAME = 'AI Medical Report Analyzer';
+
+const COLORS = {
+  text: '#111827',
+  muted: '#6b7280',
+  reviewed: '#15803d',
+  unreviewed: '#b45309',
+  high: '#b91c1c',
+  medium: '#a16207',
+  low: '#15803d'
+};
+
+// Renders a report's analysis as a printable PDF for patients to take
+// elsewhere, with the review status and a verification ID on every page.
+class PdfReportService {
+  // Fingerprint of everything printed that can change after upload, so a
+  // verification can tell whether the PDF still matches the report
+  contentHash(report) {
+    const content = {
+      summary: report.summary,
+      keyFindings: report.keyFindings,
+      abnormalities: report.abnormalities,
+      recommendations: report.recommendations,
+      riskLevel: report.riskLevel,
+      doctorNotes: report.doctorNotes,
+      reviewedBy: (report.reviewedBy?._id || report.reviewedBy)?.toString(),
+      reviewedAt: report.reviewedAt?.toISOString(),
+      reviewedVersion: report.reviewedVersion,
+      analysisVersion: report.currentAnalysisVersion
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+  }
+
+  // e.g. 'RV-7K2M-Q9XD-4HTA'; no 0/O or 1/I so it can be typed from paper
+  generateVerificationId() {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const bytes = crypto.randomBytes(12);
+    const chars = Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+    return `RV-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+  }
+
+  // "AI-generated, reviewed by Dr. X on <date>" or the unreviewed warning.
+  // A review counts only for the analysis version the doctor saw.
+  reviewStatus(report) {
+    const origin = {
+      unreliable: 'Rule-based analysis (AI output failed validation)',
+      fallback: 'Rule-based analysis (no AI model available)'
+    }[report.analysisStatus] || 'AI-generated analysis';
+    if (report.reviewedBy && report.reviewedAt) {
+      if (report.reviewedVersion === report.currentAnalysisVersion) {
+        return {
+          reviewed: true,
+          text: `${origin}, reviewed by Dr. ${report.reviewedBy.name || 'Unknown'} on ${this.formatDate(report.reviewedAt)}`
+        };
+      }
+      return {
+        reviewed: false,
+        text: `${origin}, this analysis version NOT yet reviewed by a doctor`
+      };
+    }
+    return {
+      reviewed: false,
+      text: `${origin}, NOT yet reviewed by a doctor`
+    };
+  }
+
+  formatDate(date) {
+    return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  }
+
+  // Without a custom font, drop what the built-in fonts can't draw (emoji etc.)
+  clean(text) {
+    const value = String(text ?? '');
+    return FONT_PATH ? value : value.replace(/[^\x09\x0a\x0d\x20-\x7e\xa0-\xff–—‘’“”•]/g, '').trim();
+  }
+
+  // Resolves to the PDF as a Buffer
+  render(report, { verificationId, verifyUrl }) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true, info: { Title: `${report.reportType} - ${APP_NAME}` } });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const regular = FONT_PATH || 'Helvetica';
+      const bold = BOLD_FONT_PATH || 'Helvetica-Bold';
+      const status = this.reviewStatus(report);
+
+      // Header
+      doc.font(bold).fontSize(18).fillColor(COLORS.text).text(APP_NAME);
+      doc.font(regular).fontSize(10).fillColor(COLORS.muted).text('Medical report analysis');
+      doc.moveDown();
+
+      const details = [
+        ['Patient', report.patient?.name],
+        ['Date of birth', report.patient?.dateOfBirth && this.formatDate(report.patient.dateOfBirth)],
+        ['Report', report.originalName],
+        ['Report type', report.reportType],
+        ['Report date', this.formatDate(report.reportDate || report.createdAt)],
+        ['Risk level', report.riskLevel && report.riskLevel.toUpperCase()]
+      ].filter(([, value]) => value);
+      details.forEach(([label, value]) => {
+        doc.font(bold).fontSize(10).fillColor(COLORS.text).text(`${label}: `, { continued: true });
+        doc.font(regular).fillColor(label === 'Risk level' ? COLORS[report.riskLevel] : COLORS.text).text(this.clean(value));
+      });
+      doc.moveDown();
+
+      // Review status banner
+      const bannerY = doc.y;
+      const color = status.reviewed ? COLORS.reviewed : COLORS.unreviewed;
+      doc.rect(50, bannerY, doc.page.width - 100, 28).lineWidth(1).strokeColor(color).stroke();
+      doc.font(bold).fontSize(11).fillColor(color).text(status.text, 60, bannerY + 9, { width: doc.page.width - 120 });
+      doc.x = 50;
+      doc.y = bannerY + 40;
+
+      this.section(doc, 'Summary', report.summary && [report.summary], { regular, bold, list: false });
+      this.section(doc, 'Key Findings', report.keyFindings, { regular, bold });
+      this.section(doc, 'Abnormalities', report.abnormalities, { regular, bold });
+      this.section(doc, 'Recommendations', report.recommendations, { regular, bold });
+      this.section(doc, "Doctor's Notes", report.doctorNotes && [report.doctorNotes], { regular, bold, list: false });
+      if (status.reviewed) {
+        doc.font(regular).fontSize(10).fillColor(COLORS.muted)
+          .text(`Reviewed by Dr. ${this.clean(report.reviewedBy.name)} on ${this.formatDate(report.reviewedAt)}`);
+      }
+
+      doc.moveDown(2);
+      doc.font(regular).fontSize(8).fillColor(COLORS.muted).text(
+        'This analysis was generated by AI from the uploaded report and is not a diagnosis. ' +
+        'Please discuss it with a qualified doctor.'
+      );
+
+      // Footer with the verification ID on every page
+      const range = doc.bufferedPageRange();
+      for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        const footerY = doc.page.height - 40;
+        doc.page.margins.bottom = 0;
+        doc.font(regular).fontSize(8).fillColor(COLORS.muted).text(
+          `Verification ID: ${verificationId}  •  Verify at ${verifyUrl}  •  Page ${i - range.start + 1} of ${range.count}`,
+          50, footerY, { width: doc.page.width - 100, align: 'center', lineBreak: false }
+        );
+      }
+
+      doc.end();
+    });
+  }
+
+  section(doc, title, items, { regular, bold, list = true }) {
+    const lines = (items || []).map(item => this.clean(item)).filter(Boolean);
+    if (lines.length === 0) return;
+
+    doc.font(bold).fontSize(13).fillColor(COLORS.text).text(title);
+    doc.moveDown(0.3);
+    doc.font(regular).fontSize(10).fillColor(COLORS.text);
+    if (list) {
+      doc.list(lines, { bulletRadius: 2, textIndent: 12, paragraphGap: 3 });
+    } else {
+      lines.forEach(line => doc.text(line, { paragraphGap: 3 }));
+    }
+    doc.moveDown();
+  }
+}
+
+module.exports = new PdfReportService();
@@ -0,0 +1,117 @@
+const ReferenceRange = require('../models/ReferenceRange');
+const referenceRanges = require('../config/referenceRanges');
+
+// Patients without a date of birth are treated as adults
+const DEFAULT_AGE = 30;
+
+class ReferenceRangeService {
+  // Age, sex and treating doctor used to pick ranges for a patient
+  getPatientProfile(patient) {
+    if (!patient) {
+      return { age: DEFAULT_AGE, sex: 'any' };
+    }
+
+    let age = DEFAULT_AGE;
+    if (patient.dateOfBirth) {
+      const ageMs = Date.now() - new Date(patient.dateOfBirth).getTime();
+      age = ageMs / (365.25 * 24 * 60 * 60 * 1000);
+    }
+
+    return {
+      age,
+      sex: patient.sex === 'male' || patient.sex === 'female' ? patient.sex : 'any',
+      doctorId: patient.assignedDoctor?._id || patient.assignedDoctor
+    };
+  }
+
+  // Pick the best matching entry: right age band, exact sex before 'any'
+  findRange(entries, { age, sex }) {
+    const inBand = (entries || []).filter(entry =>
+      age >= (entry.minAge ?? 0) && age < (entry.maxAge ?? 200)
+    );
+    return inBand.find(entry => entry.sex === sex) || inBand.find(entry => entry.sex === 'any' || !entry.sex);
+  }
+
+  // Clinic override first, then the default catalog. An override that only
+  // sets low/high keeps the catalog's critical limits, so it can't switch off
+  // critical alerts by leaving them out.
+  resolveRange(code, profile, overrides = []) {
+    const clinicRange = this.findRange(overrides.filter(o => o.code === code), profile);
+    const catalogRange = this.findRange(referenceRanges[code], profile);
+    if (clinicRange) {
+      return {
+        ...clinicRange,
+        criticalLow: clinicRange.criticalLow ?? catalogRange?.criticalLow,
+        criticalHigh: clinicRange.criticalHigh ?? catalogRange?.criticalHigh,
+        source: 'clinic'
+      };
+    }
+
+    if (catalogRange) {
+      return { ...catalogRange, source: 'catalog' };
+    }
+
+    return undefined;
+  }
+
+  // Fill missing ranges and classify a single lab result as normal/low/high/critical
+  classifyResult(result, range) {
+    const classified = { ...result };
+    const hasLabRange = result.referenceLow !== undefined || result.referenceHigh !== undefined;
+    const value = result.normalizedValue;
+
+    if (hasLabRange) {
+      classified.referenceSource = 'lab';
+    } else if (range && value !== undefined) {
+      classified.referenceSource = range.source;
+      classified.normalizedReferenceLow = range.low;
+      classified.normalizedReferenceHigh = range.high;
+      if (!result.flag) {
+        if (range.low !== undefined && value < range.low) classified.flag = 'L';
+        if (range.high !== undefined && value > range.high) classified.flag = 'H';
+      }
+    }
+
+    // Critical limits apply even when the lab printed its own range
+    if (range && value !== undefined) {
+      if ((range.criticalLow !== undefined && value < range.criticalLow) ||
+          (range.criticalHigh !== undefined && value > range.criticalHigh)) {
+        classified.flag = 'critical';
+      }
+    }
+
+    if (classified.flag === 'critical') {
+      classified.interpretation = 'critical';
+    } else if (classified.flag === 'H') {
+      classified.interpretation = 'high';
+    } else if (classified.flag === 'L') {
+      classified.interpretation = 'low';
+    } else if (classified.referenceSource) {
+      classified.interpretation = 'normal';
+    }
+
+    return classified;
+  }
+
+  // Classify every lab result for the given patient
+  async classifyResults(labResults, patient) {
+    if (!labResults || labResults.length === 0) return [];
+
+    const profile = this.getPatientProfile(patient);
+    let overrides = [];
+    if (profile.doctorId) {
+      try {
+        overrides = await ReferenceRange.find({ doctor: profile.doctorId }).lean();
+      } catch (error) {
+        console.error('Failed to load clinic reference ranges:', error.message);
+      }
+    }
+
+    return labResults.map(result => {
+      const range = result.code ? this.resolveRange(result.code, profile, overrides) : undefined;
+      return this.classifyResult(result, range);
+    });
+  }
+}
+
+module.exports = new ReferenceRangeService();
@@ -0,0 +1,122 @@
+const { reportTypes, codes, getReportType } = require('../config/reportTypes');
+const aiService = require('./aiService');
+const deidentificationService = require('./deidentificationService');
+
+const HEADER_WEIGHT = 3;
+const ANALYTE_WEIGHT = 1;
+// Below this rule confidence the AI is asked to confirm (when enabled)
+const AI_CONFIRM_BELOW = parseFloat(process.env.REPORT_TYPE_AI_CONFIRM_BELOW) || 0.6;
+const AI_CONFIRM = process.env.REPORT_TYPE_AI_CONFIRM === 'true';
+
+// Assigns a canonical report type (config/reportTypes.js) from the OCR text
+// and the analytes found in it, independent of what the patient selected.
+class ReportClassifier {
+  constructor() {
+    this.patterns = reportTypes.map(type => ({
+      code: type.code,
+      headers: type.headers.map(source => new RegExp(source, 'i')),
+      analytes: type.analytes
+    }));
+  }
+
+  // Score every type; returns them best first
+  score(text, labResults = []) {
+    const foundCodes = new Set(labResults.map(result => result.code).filter(Boolean));
+
+    return this.patterns
+      .map(type => {
+        const headerHits = type.headers.filter(pattern => pattern.test(text)).length;
+        const analyteHits = type.analytes.filter(code => foundCodes.has(code)).length;
+        return {
+          code: type.code,
+          score: headerHits * HEADER_WEIGHT + analyteHits * ANALYTE_WEIGHT
+        };
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Rule-based classification. confidence is the winner's share of the top two
+  // scores, scaled down when the evidence is weaker than one header hit.
+  classifyByRules(text, labResults = []) {
+    const [best, second] = this.score(text || '', labResults);
+
+    if (!best || best.score === 0) {
+      return { type: 'other', confidence: 0, source: 'rules' };
+    }
+
+    const share = best.score / (best.score + (second?.score || 0));
+    const confidence = share * Math.min(1, best.score / HEADER_WEIGHT);
+    return {
+      type: best.code,
+      confidence: Math.round(confidence * 100) / 100,
+      source: 'rules'
+    };
+  }
+
+  buildPrompt(text, candidate) {
+    const options = reportTypes.map(type => `- ${type.code}: ${type.label}`).join('\n');
+
+    return `
+Classify the following medical report into exactly one of these types:
+${options}
+- other: Anything else
+
+A keyword-based classifier suggested "${candidate}".
+
+REPORT TEXT:
+${text.slice(0, 3000)}
+
+Respond ONLY with the type code, no additional text.
+`;
+  }
+
+  // Adds `redactions` (audit records of the call) when the text went to an external provider
+  async confirmWithAI(text, ruleResult, patient = null) {
+    try {
+      const redaction = deidentificationService.isEnabled()
+        ? deidentificationService.deidentify(text, patient)
+        : null;
+      const call = await aiService.runProviders(this.buildPrompt(text, ruleResult.type), {
+        temperature: 0,
+        maxTokens: 20,
+        externalPrompt: redaction ? this.buildPrompt(redaction.text, ruleResult.type) : undefined,
+        mock: () => ruleResult.type
+      });
+      const record = aiService.auditRecord('classification', call, redaction);
+      const redactions = record ? [record] : [];
+      if (call.provider === 'mock') return ruleResult;
+
+      const answer = String(call.output).toLowerCase().match(/[a-z_0-9]+/g) || [];
+      const type = answer.find(word => codes.includes(word));
+      if (!type) return { ...ruleResult, redactions };
+
+      return {
+        type,
+        confidence: type === ruleResult.type ? Math.max(ruleResult.confidence, 0.9) : 0.7,
+        source: 'ai',
+        redactions
+      };
+    } catch (error) {
+      console.error('Report type AI confirmation failed:', error.message);
+      return ruleResult;
+    }
+  }
+
+  // Resolves to { type, label, confidence, source, redactions? }
+  // patient (optional) is de-identified in the text sent to an external AI
+  async classify(text, labResults = [], patient = null) {
+    let result = this.classifyByRules(text, labResults);
+
+    if (AI_CONFIRM && text && result.confidence < AI_CONFIRM_BELOW) {
+      result = await this.confirmWithAI(text, result, patient);
+    }
+
+    return { ...result, label: this.getLabel(result.type) };
+  }
+
+  getLabel(code) {
+    return getReportType(code)?.label || 'Other';
+  }
+}
+
+module.exports = new ReportClassifier();
@@ -0,0 +1,417 @@
+const Report = require('../models/Report');
+const AnalysisVersion = require('../models/AnalysisVersion');
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const RedactionAudit = require('../models/RedactionAudit');
+const ocrService = require('./ocrService');
+const aiService = require('./aiService');
+const evidenceService = require('./evidenceService');
+const trendService = require('./trendService');
+const criticalValueService = require('./criticalValueService');
+const riskRuleService = require('./riskRuleService');
+const labResultService = require('./labResultService');
+const reportClassifier = require('./reportClassifier');
+const duplicateDetector = require('./duplicateDetector');
+const jobQueue = require('./jobQueue');
+
+const PROCESS_REPORT_JOB = 'processReport';
+// Detected type replaces the patient's choice in the AI prompt from this confidence on
+const TRUSTED_TYPE_CONFIDENCE = 0.6;
+
+// Runs OCR + AI analysis for uploaded reports as background jobs
+class ReportProcessor {
+  constructor() {
+    jobQueue.register(
+      PROCESS_REPORT_JOB,
+      job => this.processReport(job.payload.reportId, job.payload),
+      { onDead: (job, error) => this.markFailed(job.payload.reportId, error) }
+    );
+  }
+
+  // Queue a report for processing
+  // options: rerunOcr (default true), trigger ('upload' | 'reanalyze'), requestedBy (user id)
+  async enqueue(reportId, options = {}) {
+    return jobQueue.enqueue(PROCESS_REPORT_JOB, { reportId, ...options }, { report: reportId });
+  }
+
+  async isProcessing(reportId) {
+    return jobQueue.hasActiveJob(reportId, PROCESS_REPORT_JOB);
+  }
+
+  async processReport(reportId, { rerunOcr = true, trigger = 'upload', requestedBy } = {}) {
+    const report = await Report.findById(reportId);
+    if (!report) {
+      // Report was deleted, nothing to do
+      return;
+    }
+    const patient = await User.findById(report.patient);
+
+    // Step 1: Extract text using OCR (re-analysis may reuse the stored text).
+    // Structured sources come with their text and lab results and skip OCR.
+    const stored = report.toObject();
+    const structured = report.source !== 'upload';
+    // Imported history is analyzed like any report but isn't news to alert about
+    const historical = report.source === 'fhir';
+    let extractedText = stored.extractedText;
+    let ocrPreprocessing = stored.ocrPreprocessing;
+    let ocrPages = stored.ocrPages || [];
+    let detectedLanguage = stored.detectedLanguage;
+    const ocrRerun = !structured && (rerunOcr || !extractedText);
+    if (ocrRerun) {
+      const files = stored.pages?.length
+        ? [...stored.pages].sort((a, b) => a.order - b.order)
+        : [{ filePath: report.filePath, fileType: report.fileType }];
+      const ocr = await ocrService.extractFromFiles(files, report.language);
+      extractedText = ocrService.cleanText(ocr.text);
+      ocrPreprocessing = ocr.preprocessing;
+      ocrPages = ocr.pages;
+      detectedLanguage = ocr.language;
+    }
+
+    // Critical values alert the doctor right away, before the slower AI analysis
+    const textLabResults = structured ? stored.labResults : labResultService.extractFromText(extractedText);
+    if (!historical) {
+      await this.createUrgentAlert(report, patient, extractedText, textLabResults);
+    }
+
+    // Step 2: Classify the report type from its content
+    const classification = await reportClassifier.classify(extractedText, textLabResults, patient);
+    const analysisType = classification.type !== 'other' && classification.confidence >= TRUSTED_TYPE_CONFIDENCE
+      ? classification.label
+      : report.reportType;
+
+    // Step 3: Analyze with AI, or reuse the analysis of a new upload's earlier copy
+    const fingerprints = {
+      textSimhash: duplicateDetector.textSimhash(extractedText),
+      analyteFingerprint: duplicateDetector.analyteFingerprint(textLabResults)
+    };
+    const duplicate = trigger === 'upload' && !historical
+      ? await duplicateDetector.findContentDuplicate(report, fingerprints)
+      : null;
+
+    const analysis = duplicate
+      ? await this.copyAnalysis(duplicate.report._id)
+      : await aiService.analyzeReport(extractedText, analysisType, patient, detectedLanguage, {
+        labResults: structured ? stored.labResults : undefined
+      });
+
+    // Link lab values to the OCR words they came from and check OCR quality
+    analysis.labResults = ocrService.attachConfidence(analysis.labResults, ocrPages);
+    analysis.findingEvidence = evidenceService.verify(analysis, extractedText, ocrPages);
+    const quality = ocrService.assessQuality(ocrPages, analysis.labResults);
+    if (report.dicom?.patientMatch === 'mismatch') {
+      quality.needsReview = true;
+      quality.reviewReasons.push(`DICOM patient name "${report.dicom.patientName}" does not match the uploader`);
+    }
+    const unsupported = evidenceService.unsupported(analysis.findingEvidence);
+    if (analysis.provider !== 'mock' && unsupported.length > 0) {
+      quality.needsReview = true;
+      quality.reviewReasons.push(`${unsupported.length} AI finding${unsupported.length > 1 ? 's have' : ' has'} no supporting text in the report (possibly hallucinated)`);
+    }
+    if (analysis.analysisStatus === 'unreliable') {
+      quality.needsReview = true;
+      quality.reviewReasons.push('AI output failed validation; the analysis shown is the rule-based fallback');
+    }
+    if (analysis.analysisStatus === 'fallback') {
+      quality.needsReview = true;
+      quality.reviewReasons.push('No AI model was available; the analysis shown is the rule-based fallback');
+    }
+    const unchecked = await criticalValueService.uncheckedValues(analysis.labResults, patient);
+    if (unchecked.length > 0) {
+      quality.needsReview = true;
+      quality.reviewReasons.push(`No usable unit for ${unchecked.map(result => labResultService.formatResult(result)).join(', ')}; critical limits could not be checked`);
+    }
+
+    // Final risk from the AI assessment and the doctors' risk rules
+    const rules = await riskRuleService.loadRules(patient?.assignedDoctor);
+    Object.assign(analysis, riskRuleService.combine(analysis, riskRuleService.evaluate(analysis.labResults, rules)));
+
+    // Compare lab values with the patient's earlier reports
+    const trends = await trendService.computeForReport(report, analysis.labResults);
+    const worsening = trendService.worsening(trends);
+
+    // Step 4: Store the run as a new analysis version
+    await this.ensureBaselineVersion(report);
+    const version = await this.saveVersion(report, analysis, {
+      extractedText,
+      ocrRerun,
+      trigger,
+      requestedBy
+    });
+    for (const redaction of [...(classification.redactions || []), ...(analysis.redactions || [])]) {
+      await RedactionAudit.create({
+        report: report._id,
+        analysisVersion: version.version,
+        ...redaction
+      });
+    }
+
+    // Step 5: Update report with results
+    const updatedReport = await Report.findByIdAndUpdate(
+      reportId,
+      {
+        extractedText,
+        ocrPreprocessing,
+        ocrPages,
+        detectedLanguage,
+        ...fingerprints,
+        ...(duplicate && {
+          possibleDuplicateOf: duplicate.report._id,
+          duplicateReason: duplicate.reason
+        }),
+        detectedReportType: classification.type,
+        reportTypeConfidence: classification.confidence,
+        reportTypeSource: classification.source,
+        ocrConfidence: quality.ocrConfidence,
+        needsReview: quality.needsReview,
+        reviewReasons: quality.reviewReasons,
+        summary: analysis.summary,
+        keyFindings: analysis.keyFindings,
+        abnormalities: analysis.abnormalities,
+        riskLevel: analysis.riskLevel,
+        riskScore: analysis.riskScore,
+        riskBreakdown: analysis.riskBreakdown,
+        recommendations: analysis.recommendations,
+        labResults: analysis.labResults,
+        findingEvidence: analysis.findingEvidence,
+        trends,
+        analyzedBy: {
+          provider: analysis.provider,
+          model: analysis.model
+        },
+        analysisStatus: analysis.analysisStatus,
+        analysisErrors: analysis.analysisErrors || [],
+        currentAnalysisVersion: version.version,
+        status: 'completed',
+        processingError: null
+      },
+      { new: true }
+    ).populate('patient', 'name email assignedDoctor');
+
+    // Step 6: Create alert if high risk or worsening (the doctor was already alerted for a duplicate's original)
+    if (!duplicate && !historical &&
+      (analysis.riskLevel === 'high' || analysis.abnormalities.length > 0 || quality.needsReview || worsening.length > 0)) {
+      await this.createAlert(updatedReport, patient);
+    }
+
+    // Emit socket event for real-time update
+    if (global.io) {
+      global.io.emit('reportProcessed', {
+        reportId,
+        status: 'completed',
+        riskLevel: analysis.riskLevel
+      });
+    }
+  }
+
+  // Analysis fields of an earlier report, in the shape aiService.analyzeReport returns
+  async copyAnalysis(reportId) {
+    const original = await Report.findById(reportId).lean();
+
+    return {
+      summary: original.summary,
+      keyFindings: original.keyFindings,
+      abnormalities: original.abnormalities,
+      // The AI's own assessment, rules are applied again
+      riskLevel: original.riskBreakdown?.ai?.level || original.riskLevel,
+      riskScore: original.riskBreakdown?.ai?.score ?? original.riskScore,
+      recommendations: original.recommendations,
+      labResults: original.labResults,
+      evidence: evidenceService.quotesFrom(original.findingEvidence),
+      provider: original.analyzedBy?.provider,
+      model: original.analyzedBy?.model,
+      analysisStatus: original.analysisStatus,
+      analysisErrors: original.analysisErrors
+    };
+  }
+
+  async saveVersion(report, analysis, { extractedText, ocrRerun, trigger, requestedBy }) {
+    const latest = await AnalysisVersion.findOne({ report: report._id }).sort({ version: -1 }).select('version');
+
+    return AnalysisVersion.create({
+      report: report._id,
+      version: (latest?.version || 0) + 1,
+      trigger,
+      requestedBy,
+      ocrRerun,
+      extractedText,
+      summary: analysis.summary,
+      keyFindings: analysis.keyFindings,
+      abnormalities: analysis.abnormalities,
+      riskLevel: analysis.riskLevel,
+      riskScore: analysis.riskScore,
+      riskBreakdown: analysis.riskBreakdown,
+      recommendations: analysis.recommendations,
+      labResults: analysis.labResults,
+      findingEvidence: analysis.findingEvidence,
+      analyzedBy: {
+        provider: analysis.provider,
+        model: analysis.model
+      },
+      analysisStatus: analysis.analysisStatus,
+      analysisErrors: analysis.analysisErrors
+    });
+  }
+
+  // Reports analyzed before versioning existed: keep their analysis as version 1
+  async ensureBaselineVersion(report) {
+    if (report.currentAnalysisVersion || !report.summary) return;
+
+    const exists = await AnalysisVersion.exists({ report: report._id });
+    if (exists) return;
+
+    await AnalysisVersion.create({
+      report: report._id,
+      version: 1,
+      trigger: 'legacy',
+      extractedText: report.extractedText,
+      summary: report.summary,
+      keyFindings: report.keyFindings,
+      abnormalities: report.abnormalities,
+      riskLevel: report.riskLevel,
+      riskScore: report.riskScore,
+      riskBreakdown: report.riskBreakdown,
+      recommendations: report.recommendations,
+      labResults: report.labResults,
+      findingEvidence: report.findingEvidence,
+      analyzedBy: report.analyzedBy,
+      createdAt: report.updatedAt
+    });
+  }
+
+  // Called once all retries are exhausted
+  async markFailed(reportId, error) {
+    console.error(`❌ Processing failed for report ${reportId}:`, error.message);
+
+    // A failed re-analysis keeps the previous analysis available
+    const report = await Report.findById(reportId).select('currentAnalysisVersion');
+    const hasPreviousAnalysis = Boolean(report?.currentAnalysisVersion);
+
+    await Report.findByIdAndUpdate(reportId, {
+      status: hasPreviousAnalysis ? 'completed' : 'failed',
+      processingError: hasPreviousAnalysis ? `Re-analysis failed: ${error.message}` : error.message
+    });
+
+    if (global.io) {
+      global.io.emit('reportProcessed', {
+        reportId,
+        status: 'failed'
+      });
+    }
+  }
+
+  // Create alert for doctor
+  async createAlert(report, user) {
+    try {
+      const patient = await User.findById(user._id).populate('assignedDoctor');
+
+      if (!patient?.assignedDoctor) {
+        return;
+      }
+
+      const worsening = trendService.worsening(report.trends);
+      const alert = await Alert.create({
+        patient: user._id,
+        patientName: user.name,
+        doctor: patient.assignedDoctor._id,
+        report: report._id,
+        reportId: report._id,
+        message: `${report.riskLevel === 'high' ? '🚨 HIGH RISK: ' : '⚠️ '} New ${report.reportType} report from ${user.name}. ${report.abnormalities.length} abnormalities detected.${this.trendNote(worsening)}${this.reviewNote(report)}`,
+        // A worsening trend matters even when this report alone looks low risk
+        severity: report.riskLevel === 'low' && worsening.length > 0 ? 'medium' : report.riskLevel,
+        alertType: this.alertType(report, worsening)
+      });
+
+      // Emit socket event
+      if (global.io) {
+        global.io.to(`doctor_${patient.assignedDoctor._id}`).emit('newAlert', alert);
+      }
+    } catch (error) {
+      console.error('Alert creation failed:', error);
+    }
+  }
+
+  // One 'urgent' alert per report for critical values found in the extracted
+  // text; re-analysis and retries don't repeat it
+  async createUrgentAlert(report, patient, extractedText, labResults) {
+    try {
+      if (!patient?.assignedDoctor) {
+        return;
+      }
+
+      const criticals = await criticalValueService.detect(extractedText, labResults, patient);
+      if (criticals.length === 0 || await Alert.exists({ report: report._id, alertType: 'urgent' })) {
+        return;
+      }
+
+      const values = criticals.map(critical => critical.text);
+      const alert = await Alert.create({
+        patient: patient._id,
+        patientName: patient.name,
+        doctor: patient.assignedDoctor,
+        report: report._id,
+        reportId: report._id,
+        message: `🚨 CRITICAL VALUE${values.length > 1 ? 'S' : ''}: ${values.join(', ')} in new ${report.reportType} report from ${patient.name}. Analysis is still running.`,
+        severity: 'high',
+        alertType: 'urgent',
+        criticalValues: values
+      });
+
+      if (global.io) {
+        global.io.to(`doctor_${patient.assignedDoctor}`).emit('newAlert', alert);
+      }
+    } catch (error) {
+      console.error('Urgent alert creation failed:', error);
+    }
+  }
+
+  alertType(report, worsening) {
+    if (report.riskLevel === 'high') return 'high_risk';
+    if (report.abnormalities.length === 0 && worsening.length > 0) return 'worsening_trend';
+    return 'abnormality';
+  }
+
+  trendNote(worsening) {
+    return worsening.length > 0
+      ? ` Worsening since earlier reports: ${worsening.map(trend => trend.summary).join('; ')}.`
+      : '';
+  }
+
+  // Why the doctor should check the report before relying on the analysis,
+  // from the reasons recorded while processing it
+  reviewNote(report) {
+    const reasons = report.reviewReasons || [];
+    if (reasons.length > 0) {
+      return ` Needs review: ${reasons.join('; ')}. Please verify values against the original.`;
+    }
+    if (report.analysisStatus === 'unreliable') {
+      return ' AI analysis failed validation, please review the report manually.';
+    }
+    if (report.analysisStatus === 'fallback') {
+      return ' No AI model analysed this report, please review it manually.';
+    }
+    return report.needsReview ? ' Flagged for review, please verify values against the original.' : '';
+  }
+
+  // Startup recovery: requeue jobs interrupted by a restart (reports of jobs
+  // out of attempts are marked failed) and re-enqueue reports stuck in
+  // 'processing' without any pending job
+  async recover() {
+    const { requeued, dead } = await jobQueue.requeueInterrupted();
+
+    const stuckReports = await Report.find({ status: 'processing' }).select('_id');
+    let recovered = 0;
+    for (const report of stuckReports) {
+      if (!(await jobQueue.hasActiveJob(report._id, PROCESS_REPORT_JOB))) {
+        await this.enqueue(report._id);
+        recovered++;
+      }
+    }
+
+    if (requeued || dead || recovered) {
+      console.log(`♻️  Requeued ${requeued} interrupted job(s), ${dead} out of attempts, recovered ${recovered} orphaned report(s)`);
+    }
+  }
+}
+
+module.exports = new ReportProcessor();
@@ -0,0 +1,178 @@
+const RiskRule = require('../models/RiskRule');
+const analysisValidator = require('./analysisValidator');
+const { defaultRules, SEVERITY_POINTS, SEVERITY_LEVELS, ANY_ANALYTE } = require('../config/riskRules');
+
+const LEVEL_ORDER = ['low', 'medium', 'high'];
+const higherLevel = (a, b) => (LEVEL_ORDER.indexOf(a) >= LEVEL_ORDER.indexOf(b) ? a : b);
+
+const hasValue = result => result.code && result.normalizedValue != null;
+const COMPARE = {
+  '>': (result, rule) => hasValue(result) && result.normalizedValue > rule.threshold,
+  '>=': (result, rule) => hasValue(result) && result.normalizedValue >= rule.threshold,
+  '<': (result, rule) => hasValue(result) && result.normalizedValue < rule.threshold,
+  '<=': (result, rule) => hasValue(result) && result.normalizedValue <= rule.threshold,
+  flagged: (result, rule) => result.flag === rule.flag
+};
+
+// Deterministic risk scoring from the built-in and doctor-owned rules in the
+// RiskRule collection, combined with the AI's own assessment
+class RiskRuleService {
+  // Adds built-in rules that aren't in the database yet; edited or disabled
+  // copies are left alone
+  async seedDefaults() {
+    const result = await RiskRule.bulkWrite(defaultRules.map(rule => ({
+      updateOne: {
+        filter: { key: rule.key },
+        update: { $setOnInsert: rule },
+        upsert: true
+      }
+    })));
+    // Custom rules from before rules were per doctor belong to their author
+    await RiskRule.updateMany(
+      { key: null, doctor: null, createdBy: { $ne: null } },
+      [{ $set: { doctor: '$createdBy' } }]
+    );
+    return result.upsertedCount;
+  }
+
+  // Query for the built-in rules plus the doctor's own
+  queryFor(doctorId) {
+    return RiskRule.find({ doctor: { $in: doctorId ? [null, doctorId] : [null] } });
+  }
+
+  // Drops built-in rules the doctor has their own copy of
+  withoutOverridden(rules) {
+    const overridden = new Set(rules.filter(rule => rule.overrides).map(rule => rule.overrides));
+    return rules.filter(rule => !(rule.key && overridden.has(rule.key)));
+  }
+
+  // Enabled rules for a patient of the given doctor
+  async loadRules(doctorId) {
+    const rules = await this.queryFor(doctorId).lean();
+    return this.withoutOverridden(rules).filter(rule => rule.enabled);
+  }
+
+  pointsFor(rule) {
+    return rule.points ?? SEVERITY_POINTS[rule.severity];
+  }
+
+  // Returns { evaluated, score, level, fired }. Values are compared in
+  // canonical units; flag rules also cover values in unknown units. When
+  // several rules fire for one analyte only the highest-scoring one counts;
+  // the others are listed with counted: false.
+  evaluate(labResults = [], rules = []) {
+    const results = labResults.filter(result => hasValue(result) || result.flag);
+    const fired = [];
+
+    results.forEach(result => {
+      const analyte = result.code || result.name;
+      const matches = rules
+        .filter(rule => [result.code, ANY_ANALYTE].includes(rule.code) && COMPARE[rule.operator]?.(result, rule))
+        .sort((a, b) => this.pointsFor(b) - this.pointsFor(a));
+
+      matches.forEach((rule, index) => fired.push({
+        rule: rule._id,
+        name: rule.name,
+        code: analyte,
+        analyte: result.name,
+        value: result.normalizedValue ?? result.value,
+        unit: result.normalizedValue != null ? result.normalizedUnit : result.unit,
+        operator: rule.operator,
+        threshold: rule.threshold,
+        flag: rule.flag,
+        severity: rule.severity,
+        points: this.pointsFor(rule),
+        counted: index === 0 && !fired.some(entry => entry.code === analyte && entry.counted)
+      }));
+    });
+
+    const counted = fired.filter(entry => entry.counted);
+    const score = Math.min(100, counted.reduce((sum, entry) => sum + entry.points, 0));
+    const level = counted.reduce(
+      (highest, entry) => higherLevel(highest, SEVERITY_LEVELS[entry.severity]),
+      analysisValidator.levelForScore(score)
+    );
+
+    return { evaluated: results.length, score: this.liftIntoBand(score, level), level, fired };
+  }
+
+  // e.g. "Potassium 6.4 mmol/L > 6" or "Potassium 6.4 mmol/L flagged critical"
+  describeMatch(entry) {
+    const value = `${entry.analyte} ${entry.value}${entry.unit ? ` ${entry.unit}` : ''}`;
+    return entry.operator === 'flagged'
+      ? `${value} flagged ${entry.flag}`
+      : `${value} ${entry.operator} ${entry.threshold}`;
+  }
+
+  // A score at least as high as its level's band starts
+  liftIntoBand(score, level) {
+    return Math.max(score, analysisValidator.scoreBand(level)[0]);
+  }
+
+  // Final riskLevel/riskScore from the AI assessment and the rules, with
+  // riskBreakdown explaining what each contributed. Rules can raise the AI's
+  // assessment but not lower it; the keyword estimate of the rule-based
+  // fallback analyzer is replaced by the rules whenever they had values to check.
+  combine(analysis, rules) {
+    const keywordEstimate = !analysis.provider || ['mock', 'none'].includes(analysis.provider);
+    const ai = {
+      provider: analysis.provider,
+      level: analysis.riskLevel,
+      score: analysis.riskScore
+    };
+    const ruleSummary = {
+      level: rules.level,
+      score: rules.score,
+      evaluated: rules.evaluated,
+      fired: rules.fired
+    };
+    const counted = rules.fired.filter(entry => entry.counted);
+    const firedText = counted.map(entry => `${entry.name}: ${this.describeMatch(entry)} (${entry.severity}, +${entry.points})`);
+    const aiText = keywordEstimate
+      ? `Keyword estimate of the rule-based analyzer: ${ai.level}, score ${ai.score}`
+      : `AI assessment (${ai.provider}): ${ai.level}, score ${ai.score}`;
+
+    let level;
+    let score;
+    let decidedBy;
+    const explanation = [aiText];
+
+    if (rules.evaluated === 0) {
+      level = ai.level;
+      score = ai.score;
+      decidedBy = 'ai';
+      explanation.push('Rules: no lab values to check');
+    } else if (keywordEstimate) {
+      level = rules.level;
+      score = rules.score;
+      decidedBy = 'rules';
+      explanation.push(`Rules: ${rules.level}, score ${rules.score} from ${rules.evaluated} lab value${rules.evaluated === 1 ? '' : 's'}`);
+      explanation.push(...firedText);
+      explanation.push('The rules score replaces the keyword estimate');
+    } else {
+      level = higherLevel(ai.level, rules.level);
+      score = this.liftIntoBand(Math.max(ai.score, rules.score), level);
+      decidedBy = counted.length > 0 && (level !== ai.level || score > ai.score) ? 'rules' : 'ai';
+      explanation.push(counted.length > 0
+        ? `Rules: ${rules.level}, score ${rules.score}`
+        : `Rules: none fired for ${rules.evaluated} lab value${rules.evaluated === 1 ? '' : 's'}`);
+      explanation.push(...firedText);
+      explanation.push(decidedBy === 'rules'
+        ? `Rules raised the risk to ${level}, score ${score}`
+        : 'The AI assessment is kept; rules did not indicate a higher risk');
+    }
+
+    return {
+      riskLevel: level,
+      riskScore: score,
+      riskBreakdown: {
+        ai,
+        rules: ruleSummary,
+        decidedBy,
+        explanation
+      }
+    };
+  }
+}
+
+module.exports = new RiskRuleService();
@@ -0,0 +1,132 @@
+const Report = require('../models/Report');
+
+// Changes smaller than this (percent of the previous value) count as stable
+const STABLE_PERCENT = parseFloat(process.env.TREND_STABLE_PERCENT) || 5;
+// A worsening change at least this large (percent) is significant and alerts the doctor
+const SIGNIFICANT_PERCENT = parseFloat(process.env.TREND_SIGNIFICANT_PERCENT) || 15;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_MONTH = 30.44;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// How far a value is outside its reference range (0 when inside)
+const distanceFromRange = (value, low, high) => {
+  if (high != null && value > high) return value - high;
+  if (low != null && value < low) return low - value;
+  return 0;
+};
+
+// Compares each analyte of a report with the same analyte in the patient's
+// earlier reports. Values are compared in canonical units (normalizedValue).
+class TrendService {
+  // Trend entries for the report's lab values, see models/analyteTrendSchema.js.
+  // Only earlier reports count, by collection date, so an imported historical
+  // report is compared with what came before it.
+  async computeForReport(report, labResults = []) {
+    const current = labResults.filter(result => result.code && result.normalizedValue != null);
+    if (current.length === 0) return [];
+
+    const date = new Date(report.reportDate || report.createdAt);
+    const codes = [...new Set(current.map(result => result.code))];
+    const earlier = await Report.find({
+      patient: report.patient?._id || report.patient,
+      _id: { $ne: report._id },
+      status: 'completed',
+      possibleDuplicateOf: { $exists: false },
+      'labResults.code': { $in: codes }
+    })
+      .select('reportDate createdAt labResults.code labResults.normalizedValue')
+      .lean();
+
+    const history = earlier
+      .map(prior => ({ ...prior, date: new Date(prior.reportDate || prior.createdAt) }))
+      .filter(prior => prior.date < date)
+      .sort((a, b) => b.date - a.date);
+
+    // The first value of an analyte printed twice in one report
+    const byCode = new Map();
+    current.forEach(result => byCode.has(result.code) || byCode.set(result.code, result));
+
+    return [...byCode.values()]
+      .map(result => {
+        const points = history
+          .map(prior => ({
+            report: prior._id,
+            date: prior.date,
+            value: prior.labResults.find(item => item.code === result.code && item.normalizedValue != null)?.normalizedValue
+          }))
+          .filter(point => point.value != null);
+        return points.length > 0 ? this.compare(result, date, points[0], points.length) : null;
+      })
+      .filter(Boolean);
+  }
+
+  // Change from previous to the current result, judged against the current reference range
+  compare(result, date, previous, priorCount) {
+    const value = result.normalizedValue;
+    const change = value - previous.value;
+    const percentChange = previous.value !== 0 ? (change / Math.abs(previous.value)) * 100 : null;
+    const days = Math.max(0, (date - previous.date) / DAY_MS);
+
+    let direction = change > 0 ? 'up' : change < 0 ? 'down' : 'stable';
+    if (percentChange !== null && Math.abs(percentChange) < STABLE_PERCENT) direction = 'stable';
+
+    const low = result.normalizedReferenceLow;
+    const high = result.normalizedReferenceHigh;
+    let assessment = 'unknown';
+    if (low != null || high != null) {
+      const before = distanceFromRange(previous.value, low, high);
+      const now = distanceFromRange(value, low, high);
+      assessment = direction === 'stable' || now === before ? 'stable' : now > before ? 'worsening' : 'improving';
+    }
+
+    const trend = {
+      code: result.code,
+      name: result.name,
+      unit: result.normalizedUnit,
+      value,
+      previousValue: previous.value,
+      previousDate: previous.date,
+      previousReport: previous.report,
+      priorCount,
+      change: round(change),
+      percentChange: percentChange === null ? null : round(percentChange, 1),
+      ratePerMonth: days > 0 ? round((change / days) * DAYS_PER_MONTH) : null,
+      direction,
+      assessment,
+      significant: assessment === 'worsening' &&
+        (percentChange === null || Math.abs(percentChange) >= SIGNIFICANT_PERCENT)
+    };
+    trend.summary = this.describe(trend, days);
+    return trend;
+  }
+
+  // e.g. "HbA1c up 1.2 points in 3 months" or "Glucose stable over 2 weeks"
+  describe(trend, days) {
+    const period = this.describePeriod(days);
+    if (trend.direction === 'stable') {
+      return `${trend.name} stable ${period ? `over ${period}` : 'on the same day'}`;
+    }
+    const amount = round(Math.abs(trend.change), 2);
+    const unit = trend.unit === '%' ? (amount === 1 ? ' point' : ' points') : trend.unit ? ` ${trend.unit}` : '';
+    const percent = trend.percentChange !== null && trend.unit !== '%' ? ` (${Math.abs(trend.percentChange)}%)` : '';
+    return `${trend.name} ${trend.direction} ${amount}${unit}${percent} ${period ? `in ${period}` : 'on the same day'}`;
+  }
+
+  // '' for reports from the same day
+  describePeriod(days) {
+    const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+    if (days < 1) return '';
+    if (days < 14) return plural(Math.round(days), 'day');
+    if (days < 60) return plural(Math.round(days / 7), 'week');
+    if (days < 730) return plural(Math.round(days / DAYS_PER_MONTH), 'month');
+    return plural(Math.round(days / 365.25), 'year');
+  }
+
+  // Significantly worsening analytes, for alerts and the doctor dashboard
+  worsening(trends = []) {
+    return trends.filter(trend => trend.significant);
+  }
+}
+
+module.exports = new TrendService();
@@ -0,0 +1,126 @@
+const analytes = require('../config/analytes');
+
+// Words that make a name a different test from the analyte its other words
+// match: "Direct Bilirubin" is not total bilirubin, "Blood Urea Nitrogen" is
+// not urea, "Ionized Calcium" is not total calcium
+const QUALIFIERS = [
+  'a1c', 'nitrogen', 'direct', 'indirect', 'conjugated', 'unconjugated',
+  'ionized', 'ionised', 'free', 'urine', 'urinary', 'ratio'
+];
+const words = text => text.split(/[^a-z0-9]+/).filter(Boolean);
+
+class UnitConversionService {
+  constructor() {
+    // Lookup table: alias -> analyte definition
+    this.aliasIndex = new Map();
+    analytes.forEach(analyte => {
+      this.aliasIndex.set(analyte.code, analyte);
+      analyte.aliases.forEach(alias => this.aliasIndex.set(alias.toLowerCase(), analyte));
+    });
+  }
+
+  getAnalyte(code) {
+    return analytes.find(analyte => analyte.code === code);
+  }
+
+  // Match a free-text analyte name ("S. Creatinine", "Glucose (Fasting)") to the catalog
+  identifyAnalyte(name) {
+    if (!name) return undefined;
+
+    const cleaned = String(name)
+      .toLowerCase()
+      .replace(/\(.*?\)/g, '')
+      .replace(/[:*]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    if (this.aliasIndex.has(cleaned)) {
+      return this.aliasIndex.get(cleaned);
+    }
+
+    // Fall back to the longest alias contained as a whole word in the name,
+    // unless the rest of the name qualifies it as a different test
+    let best;
+    let bestAlias = '';
+    this.aliasIndex.forEach((analyte, alias) => {
+      if (alias.length <= bestAlias.length || alias.length < 3) return;
+      const escaped = alias.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      if (new RegExp(`(^|[^a-z])${escaped}([^a-z]|$)`).test(cleaned)) {
+        best = analyte;
+        bestAlias = alias;
+      }
+    });
+    const aliasWords = words(bestAlias);
+    const qualified = words(cleaned).some(word => QUALIFIERS.includes(word) && !aliasWords.includes(word));
+    return qualified ? undefined : best;
+  }
+
+  // Normalize a printed unit to a comparable key: "µmol/L" -> "umol/l", "gm/dl" -> "g/dl"
+  unitKey(unit) {
+    if (!unit) return undefined;
+
+    return String(unit)
+      .toLowerCase()
+      .replace(/[µμ]/g, 'u')
+      .replace(/°/g, '')
+      .replace(/\s+/g, '')
+      .replace(/^gm\//, 'g/')
+      .replace(/mg%$/, 'mg/dl')
+      .replace(/x10/, '10')
+      .replace(/\*10/, '10')
+      .replace(/mm3$/, 'ul')
+      .replace(/\/cu\.?mm$/, '/cumm')
+      .replace(/\/cmm$/, '/cumm')
+      .replace(/^meq\/lt?$/, 'meq/l')
+      .replace(/^(\w+)\/ltr?$/, '$1/l');
+  }
+
+  convertValue(value, conversion) {
+    return typeof conversion === 'function' ? conversion(value) : value * conversion;
+  }
+
+  // Add code, canonical value/unit and unit status to an extracted lab result.
+  // The original value and unit are never modified.
+  normalizeResult(result) {
+    const analyte = this.identifyAnalyte(result.name);
+    if (!analyte) {
+      return { ...result, unitStatus: 'unknown_analyte' };
+    }
+
+    const normalized = { ...result, code: analyte.code, normalizedUnit: analyte.canonicalUnit };
+    let key = this.unitKey(result.unit);
+    let unitStatus;
+
+    if (!key) {
+      if (!analyte.defaultUnit) {
+        return { ...normalized, normalizedUnit: undefined, unitStatus: 'missing' };
+      }
+      key = this.unitKey(analyte.defaultUnit);
+      unitStatus = 'assumed';
+    }
+
+    const conversion = analyte.conversions[key];
+    if (conversion === undefined) {
+      return { ...normalized, normalizedUnit: undefined, unitStatus: 'unknown' };
+    }
+
+    if (!unitStatus) {
+      unitStatus = key === this.unitKey(analyte.canonicalUnit) ? 'canonical' : 'converted';
+    }
+
+    const round = number => Math.round(number * 1000) / 1000;
+    return {
+      ...normalized,
+      normalizedValue: round(this.convertValue(result.value, conversion)),
+      normalizedReferenceLow: result.referenceLow !== undefined
+        ? round(this.convertValue(result.referenceLow, conversion))
+        : undefined,
+      normalizedReferenceHigh: result.referenceHigh !== undefined
+        ? round(this.convertValue(result.referenceHigh, conversion))
+        : undefined,
+      unitStatus
+    };
+  }
+}
+
+module.exports = new UnitConversionService();
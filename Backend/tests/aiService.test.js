@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const aiService = require('../services/aiService');
+const MockProvider = require('../services/aiProviders/mockProvider');
+const { fakeProvider, useProviders } = require('./helpers');
+
+const REPORT = 'Patient: Jane Doe\nPhone: 555-123-4567\nHemoglobin: 9.1 g/dL (13.0 - 17.0)\nGlucose: 250 mg/dL (70 - 110)';
+const VALID = {
+  summary: 'Anemia and high glucose for [NAME_1].',
+  keyFindings: ['Hemoglobin 9.1 g/dL'],
+  abnormalities: ['Glucose 250 mg/dL'],
+  riskLevel: 'medium',
+  riskScore: 55,
+  recommendations: ['See your doctor'],
+  labResults: [{ name: 'Glucose', value: 250, unit: 'mg/dL', referenceLow: 70, referenceHigh: 110, flag: 'H' }]
+};
+
+test('repair prompt sent to an external provider is de-identified', async (t) => {
+  // The local model answers the first call with invalid output echoing the
+  // patient's name, then fails so the repair goes to the external provider
+  const local = fakeProvider('ollama', false, call => {
+    if (call > 1) throw new Error('offline');
+    return 'Jane Doe (555-123-4567) has anemia';
+  });
+  const external = fakeProvider('openai', true, () => JSON.stringify(VALID));
+  useProviders(t, [local, external]);
+
+  const analysis = await aiService.analyzeReport(REPORT, 'Blood Test', { name: 'Jane Doe', phone: '5551234567' });
+
+  assert.equal(external.prompts.length, 1);
+  assert.doesNotMatch(external.prompts[0], /Jane|Doe|555-123-4567/);
+  assert.equal(analysis.analysisStatus, 'repaired');
+  assert.equal(analysis.summary, 'Anemia and high glucose for Jane Doe.');
+  assert.deepEqual(analysis.redactions.map(redaction => [redaction.purpose, redaction.provider]), [['repair', 'openai']]);
+});
+
+test('both external calls are recorded for the audit', async (t) => {
+  const external = fakeProvider('openai', true, call => (call === 1 ? 'not json' : JSON.stringify(VALID)));
+  useProviders(t, [external]);
+
+  const analysis = await aiService.analyzeReport(REPORT, 'Blood Test', { name: 'Jane Doe' });
+
+  assert.deepEqual(analysis.redactions.map(redaction => redaction.purpose), ['analysis', 'repair']);
+  assert.ok(external.prompts.every(prompt => !prompt.includes('Jane Doe')));
+});
+
+test('an analysis no model produced is not labelled as valid', async (t) => {
+  const gemini = fakeProvider('gemini', true, () => { throw new Error('quota exceeded'); });
+  useProviders(t, [gemini, new MockProvider()]);
+
+  const analysis = await aiService.analyzeReport(REPORT, 'Blood Test', { name: 'Jane Doe' });
+
+  assert.equal(analysis.provider, 'mock');
+  assert.equal(analysis.analysisStatus, 'fallback');
+  assert.equal(analysis.analysisErrors.length, 1);
+  assert.equal(analysis.redactions, undefined);
+});
+
+test('chatbot questions sent to an external provider come with an audit record', async (t) => {
+  const external = fakeProvider('openai', true, () => 'Ask [NAME_1] to repeat the test.');
+  useProviders(t, [external]);
+
+  const { answer, redaction } = await aiService.chatbotQuery('Is this bad?', { summary: 'Jane Doe has anemia' }, { name: 'Jane Doe' });
+  assert.doesNotMatch(external.prompts[0], /Jane|Doe/);
+  assert.equal(answer, 'Ask Jane Doe to repeat the test.');
+  assert.deepEqual([redaction.purpose, redaction.provider, redaction.deidentified], ['chat', 'openai', true]);
+  assert.deepEqual(redaction.entries.map(entry => entry.original), ['Jane Doe']);
+});
+
+test('chatbot answers from a local model need no audit record', async (t) => {
+  useProviders(t, [fakeProvider('ollama', false, () => 'Fine.')]);
+  assert.deepEqual(await aiService.chatbotQuery('Hello', null, null), { answer: 'Fine.', redaction: null });
+});
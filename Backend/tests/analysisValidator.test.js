@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const analysisValidator = require('../services/analysisValidator');
+
+const valid = {
+  summary: ' Mild anemia. ',
+  keyFindings: ['Hemoglobin 11.2 g/dL'],
+  abnormalities: ['Low hemoglobin'],
+  riskLevel: 'medium',
+  riskScore: 45.4,
+  recommendations: ['Repeat CBC in 4 weeks'],
+  labResults: [{ name: 'Hemoglobin', value: 11.2, unit: 'g/dL', referenceLow: 13, referenceHigh: 17, flag: 'L' }]
+};
+
+test('accepts a complete analysis in a code fence and trims it', () => {
+  const { analysis, errors } = analysisValidator.validate(`\`\`\`json\n${JSON.stringify(valid)}\n\`\`\``);
+  assert.deepEqual(errors, []);
+  assert.equal(analysis.summary, 'Mild anemia.');
+  assert.equal(analysis.riskScore, 45);
+  assert.deepEqual(analysis.evidence, { keyFindings: [], abnormalities: [] });
+});
+
+test('text around the JSON object is rejected', () => {
+  assert.deepEqual(analysisValidator.validate(`Here you go: ${JSON.stringify(valid)}`).errors, ['Response is not a single JSON object']);
+  assert.deepEqual(analysisValidator.validate('').errors, ['Response is empty']);
+  assert.match(analysisValidator.validate('{"summary": }').errors[0], /not valid JSON/);
+});
+
+test('missing fields are errors, not defaults', () => {
+  const { analysis, errors } = analysisValidator.validate({ summary: 'Looks fine' });
+  assert.equal(analysis, undefined);
+  assert.deepEqual(errors, [
+    'keyFindings must be an array of strings',
+    'abnormalities must be an array of strings',
+    'recommendations must be an array of strings',
+    'riskLevel must be one of low, medium, high',
+    'riskScore must be a number from 0 to 100',
+    'labResults must be an array'
+  ]);
+});
+
+test('score and level must agree within the tolerance', () => {
+  assert.deepEqual(analysisValidator.validate({ ...valid, riskLevel: 'low', riskScore: 45 }).errors, []);
+  assert.deepEqual(analysisValidator.validate({ ...valid, riskLevel: 'low', riskScore: 85 }).errors, [
+    'riskScore 85 contradicts riskLevel "low" (expected 0-39)'
+  ]);
+});
+
+test('a critical lab result cannot be low risk', () => {
+  const labResults = [{ ...valid.labResults[0], value: 5.1, flag: 'critical' }];
+  assert.deepEqual(analysisValidator.validate({ ...valid, riskLevel: 'low', riskScore: 20, labResults }).errors, [
+    'riskLevel is "low" although a lab result is flagged critical'
+  ]);
+});
+
+test('lab result fields are checked one by one', () => {
+  const labResults = [{ name: '', value: '11.2', unit: 5, referenceLow: 'n/a', flag: 'LOW' }, null];
+  assert.deepEqual(analysisValidator.validate({ ...valid, labResults }).errors, [
+    'labResults[0].name must be a non-empty string',
+    'labResults[0].value must be a number',
+    'labResults[0].unit must be a string or null',
+    'labResults[0].referenceLow must be a number or null',
+    'labResults[0].flag must be one of H, L, critical or null',
+    'labResults[1] must be an object'
+  ]);
+});
+
+test('levelForScore uses the prompt bands', () => {
+  assert.deepEqual([0, 39, 40, 69, 70, 100].map(score => analysisValidator.levelForScore(score)),
+    ['low', 'low', 'medium', 'medium', 'high', 'high']);
+});
@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockResponse } = require('./helpers');
+const User = require('../models/User');
+const authController = require('../controllers/authController');
+
+test('registering with an unsupported language is rejected with a 400', async (t) => {
+  const create = t.mock.method(User, 'create', async () => ({}));
+  t.mock.method(User, 'findOne', async () => null);
+  const res = mockResponse();
+  await authController.registerPatient({
+    body: { name: 'Jane Doe', email: 'jane@example.com', password: 'secret123', preferredLanguage: 'xyz' }
+  }, res);
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.message, 'Unsupported language');
+  assert.equal(create.mock.callCount(), 0);
+});
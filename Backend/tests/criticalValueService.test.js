@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const labResultService = require('../services/labResultService');
+const criticalValueService = require('../services/criticalValueService');
+
+const detect = text => criticalValueService.detect(text, labResultService.extractFromText(text), null);
+
+test('blood gas report raises no critical values', async () => {
+  const text = 'ARTERIAL BLOOD GAS\npH 7.35\npCO2 40 mmHg\npO2 80 mmHg\nHCO3 24 mmol/L\nSaO2 97 %';
+  assert.deepEqual(await detect(text), []);
+});
+
+test('values beyond the catalog critical limits', async () => {
+  const criticals = await detect('Glucose: 42 mg/dL\nSodium: 138 mmol/L\nPotassium: 6.8 mmol/L');
+  assert.deepEqual(criticals.map(critical => critical.code), ['glucose', 'potassium']);
+  assert.equal(criticals[0].text, 'Glucose: 42 mg/dL');
+});
+
+test('positive qualitative troponin', async () => {
+  const criticals = await detect('Troponin I: Positive');
+  assert.deepEqual(criticals.map(critical => critical.text), ['Troponin: positive']);
+});
+
+test('reference text mentioning "positive" is not a positive result', async () => {
+  assert.deepEqual(await detect('Troponin: negative (positive > 0.04)'), []);
+});
+
+test('column layout with the unit after the printed range', async () => {
+  const criticals = await detect('Sodium 118 135-145 mmol/L');
+  assert.deepEqual(criticals.map(critical => critical.text), ['Sodium: 118 mmol/L']);
+});
+
+test('sodium without a unit uses its default unit', async () => {
+  const criticals = await detect('Sodium: 118');
+  assert.deepEqual(criticals.map(critical => critical.code), ['sodium']);
+});
+
+test('unitless value critical in every unit raises a critical value', async () => {
+  const criticals = await detect('Glucose: 38');
+  assert.deepEqual(criticals.map(critical => critical.code), ['glucose']);
+  assert.match(criticals[0].text, /no unit printed/);
+});
+
+test('unitless value critical in only some units is reported as unchecked', async () => {
+  const results = labResultService.extractFromText('Glucose: 5.4\nCholesterol: 180');
+  assert.deepEqual(await criticalValueService.detect('Glucose: 5.4', results, null), []);
+  const unchecked = await criticalValueService.uncheckedValues(results, null);
+  assert.deepEqual(unchecked.map(result => result.code), ['glucose']);
+});
+
+test('positive troponin T is reported as troponin T', async () => {
+  const criticals = await detect('Trop T: positive');
+  assert.deepEqual(criticals.map(critical => critical.code), ['troponin_t']);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ocrService = require('../services/ocrService');
+const deidentificationService = require('../services/deidentificationService');
+
+// Reports reach de-identification as cleaned OCR text, with column gaps collapsed
+const deidentify = (text, patient) => deidentificationService.deidentify(ocrService.cleanText(text), patient);
+
+test('labelled name followed by a result on the same cleaned line', () => {
+  const { text, entries } = deidentify('Patient: John Doe      Hemoglobin: 11 g/dL');
+  assert.equal(text, 'Patient: [NAME_1] Hemoglobin: 11 g/dL');
+  assert.deepEqual(entries.map(entry => entry.original), ['John Doe']);
+});
+
+test('report header with several fields per line', () => {
+  const { text } = deidentify([
+    'Patient Name: Mary Ann Smith    Age: 45    Sex: F',
+    'Address: 12 Main St, Springfield    Phone: 555-123-4567',
+    'MRN: AB12345    DOB: 03/04/1979',
+    'Glucose: 250 mg/dL'
+  ].join('\n'));
+
+  assert.equal(text, [
+    'Patient Name: [NAME_1] Age: 45 Sex: F',
+    'Address: [ADDRESS_1] Phone: [PHONE_1]',
+    'MRN: [MRN_1] DOB: [DOB_1]',
+    'Glucose: 250 mg/dL'
+  ].join('\n'));
+});
+
+test('"Name:" at the start of a line, not "Test Name:"', () => {
+  const { text } = deidentify('Name: Ravi Kumar Sample: Blood\nTest Name: Lipid Profile');
+  assert.equal(text, 'Name: [NAME_1] Sample: Blood\nTest Name: Lipid Profile');
+});
+
+test('account details are replaced wherever they appear', () => {
+  const patient = { name: 'Jane Doe', phone: '+1 (555) 987-6543', email: 'jane@example.com', dateOfBirth: new Date('1980-01-15') };
+  const { text } = deidentify('Report for jane doe, born 15 Jan 1980. Contact 5559876543 or jane@example.com', patient);
+  assert.doesNotMatch(text, /jane|doe|1980|9876543|example/i);
+});
+
+test('lab values are not mistaken for phone numbers', () => {
+  const { text, entries } = deidentify('Platelets: 250000 /cumm\nWBC: 7.5 10^3/uL');
+  assert.equal(entries.length, 0);
+  assert.equal(text, 'Platelets: 250000 /cumm\nWBC: 7.5 10^3/uL');
+});
+
+test('same value keeps its placeholder, and the originals are restored', () => {
+  const first = deidentify('Patient: John Doe\nMr. John Doe was seen today');
+  assert.equal(first.entries.length, 1);
+
+  const continued = deidentificationService.deidentify('Answer about Patient: John Doe', null, first.entries);
+  assert.equal(continued.text, 'Answer about Patient: [NAME_1]');
+
+  const restored = deidentificationService.reidentifyAnalysis({ summary: '[NAME_1] is well', keyFindings: [] }, first.entries);
+  assert.equal(restored.summary, 'John Doe is well');
+});
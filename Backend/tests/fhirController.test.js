@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockResponse } = require('./helpers');
+const User = require('../models/User');
+const Report = require('../models/Report');
+const fhirController = require('../controllers/fhirController');
+
+const PATIENT = '64b000000000000000000001';
+
+const bundle = {
+  resourceType: 'Bundle',
+  type: 'collection',
+  entry: [
+    { resource: { resourceType: 'Patient', id: 'p1', birthDate: '1975-01-01', name: [{ family: 'Other', given: ['Someone'] }] } },
+    {
+      resource: {
+        resourceType: 'Observation',
+        id: 'glu',
+        status: 'final',
+        code: { text: 'Glucose' },
+        effectiveDateTime: '2024-03-01',
+        valueQuantity: { value: 90, unit: 'mg/dL' }
+      }
+    }
+  ]
+};
+
+const importBundle = async (t, query) => {
+  const patient = { _id: PATIENT, name: 'Priya Sharma', dateOfBirth: new Date('1980-05-12') };
+  t.mock.method(User, 'findOne', async () => patient);
+  const find = t.mock.method(Report, 'find', () => ({ select: async () => [{ sourceId: 'Observations/2024-03-01/Observation/glu' }] }));
+  const res = mockResponse();
+  await fhirController.importPatientBundle({
+    params: { id: PATIENT },
+    query,
+    body: bundle,
+    user: { _id: PATIENT, userType: 'patient' }
+  }, res);
+  return { res, find };
+};
+
+test('a Bundle of another patient is refused until confirmed', async (t) => {
+  const { res, find } = await importBundle(t, {});
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.patientMismatch, true);
+  assert.deepEqual(res.body.issues.map(issue => issue.severity), ['error', 'error']);
+  assert.equal(find.mock.callCount(), 0);
+});
+
+test('a confirmed mismatch imports with warnings', async (t) => {
+  const { res, find } = await importBundle(t, { confirmPatient: 'true' });
+  assert.equal(find.mock.callCount(), 1);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.skipped, 1);
+  assert.deepEqual(res.body.issues.map(issue => issue.severity), ['warning', 'warning']);
+});
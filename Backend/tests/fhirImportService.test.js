@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fhirImportService = require('../services/fhirImportService');
+
+const LOINC = 'http://loinc.org';
+
+const glucose = (id, value, extra = {}) => ({
+  fullUrl: `urn:uuid:${id}`,
+  resource: {
+    resourceType: 'Observation',
+    id,
+    status: 'final',
+    code: { coding: [{ system: LOINC, code: '2345-7' }], text: 'Fasting sugar' },
+    effectiveDateTime: '2024-03-01T08:00:00Z',
+    valueQuantity: { value, unit: 'mg/dL' },
+    referenceRange: [{ low: { value: 70 }, high: { value: 100 } }],
+    ...extra
+  }
+});
+
+const bundle = entry => ({ resourceType: 'Bundle', type: 'collection', entry });
+
+test('rejects anything but a Bundle with entries', () => {
+  assert.throws(() => fhirImportService.readBundle({ resourceType: 'Patient' }), /Expected a FHIR Bundle/);
+  assert.throws(() => fhirImportService.readBundle(bundle([])), /no entries/);
+});
+
+test('DiagnosticReport becomes one draft with its referenced Observations', () => {
+  const { reports, issues } = fhirImportService.readBundle(bundle([
+    {
+      resource: {
+        resourceType: 'DiagnosticReport',
+        id: 'dr1',
+        status: 'final',
+        code: { text: 'Metabolic Panel' },
+        effectiveDateTime: '2024-03-01',
+        result: [{ reference: 'Observation/glu' }]
+      }
+    },
+    glucose('glu', 126, { interpretation: [{ coding: [{ code: 'H' }] }] })
+  ]));
+
+  assert.deepEqual(issues, []);
+  assert.equal(reports.length, 1);
+  assert.equal(reports[0].title, 'Metabolic Panel');
+  assert.equal(reports[0].sourceId, 'DiagnosticReport/dr1');
+  assert.match(reports[0].text, /Fasting sugar: 126 mg\/dL H \(70 - 100\)/);
+  // The LOINC code identifies the analyte although the clinic calls it "Fasting sugar"
+  const [result] = reports[0].labResults;
+  assert.equal(result.code, 'glucose');
+  assert.equal(result.name, 'Fasting sugar');
+  assert.equal(result.flag, 'H');
+});
+
+test('Observations outside a report are grouped per day', () => {
+  const { reports } = fhirImportService.readBundle(bundle([
+    glucose('a', 90),
+    glucose('b', 95, { effectiveDateTime: '2024-03-01T18:00:00Z' }),
+    glucose('c', 99, { effectiveDateTime: '2024-04-10T08:00:00Z' })
+  ]));
+
+  assert.deepEqual(reports.map(report => report.labResults.length), [2, 1]);
+  assert.equal(reports[0].sourceId, 'Observations/2024-03-01/Observation/a,Observation/b');
+});
+
+test('problems are reported per resource without failing the Bundle', () => {
+  const { reports, issues } = fhirImportService.readBundle(bundle([
+    glucose('ok', 90),
+    glucose('gone', 80, { status: 'entered-in-error' }),
+    glucose('empty', undefined, { valueQuantity: undefined }),
+    { resource: { resourceType: 'DiagnosticReport', id: 'dr', status: 'final', effectiveDateTime: '2024-03-01', result: [{ reference: 'Observation/missing' }] } },
+    { resource: { resourceType: 'MedicationRequest', id: 'med' } }
+  ]));
+
+  assert.equal(reports.length, 1);
+  assert.deepEqual(issues.map(issue => [issue.resource, issue.severity]), [
+    ['Observation/gone', 'warning'],
+    ['Observation/empty', 'error'],
+    ['DiagnosticReport/dr', 'error'],
+    ['DiagnosticReport/dr', 'error'],
+    ['MedicationRequest/med', 'warning']
+  ]);
+});
+
+const account = { name: 'Priya Sharma', dateOfBirth: new Date('1980-05-12') };
+
+test('matching birth date and name raise no mismatch', () => {
+  const patient = { birthDate: '1980-05-12', name: [{ family: 'Sharma', given: ['Priya', 'K'] }] };
+  assert.deepEqual(fhirImportService.comparePatient(patient, account), []);
+  assert.deepEqual(fhirImportService.comparePatient({ name: [{ text: 'priya sharma' }] }, account), []);
+});
+
+test('different birth date or name are both reported', () => {
+  const mismatches = fhirImportService.comparePatient(
+    { birthDate: '1981-05-12', name: [{ family: 'Sharma', given: ['Anita'] }] },
+    account
+  );
+  assert.equal(mismatches.length, 2);
+  assert.match(mismatches[0], /birth date 1981-05-12 does not match Priya Sharma \(1980-05-12\)/);
+  assert.match(mismatches[1], /name Anita Sharma does not match Priya Sharma/);
+});
+
+test('a Bundle without patient details cannot be compared', () => {
+  assert.deepEqual(fhirImportService.comparePatient(null, account), []);
+  assert.deepEqual(fhirImportService.comparePatient({ name: [{ use: 'official' }] }, account), []);
+});
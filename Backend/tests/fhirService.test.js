@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fhirService = require('../services/fhirService');
+const labResultService = require('../services/labResultService');
+
+const UCUM = 'http://unitsofmeasure.org';
+
+test('catalog and valid UCUM units carry a UCUM code', () => {
+  assert.deepEqual(fhirService.quantity(5, 'mg/dL'), { value: 5, unit: 'mg/dL', system: UCUM, code: 'mg/dL' });
+  assert.deepEqual(fhirService.quantity(250, '10^3/uL'), { value: 250, unit: '10^3/uL', system: UCUM, code: '10*3/uL' });
+  assert.deepEqual(fhirService.quantity(37, '°C'), { value: 37, unit: '°C', system: UCUM, code: 'Cel' });
+});
+
+test('units that are not UCUM are sent as text only', () => {
+  assert.deepEqual(fhirService.quantity(2.5, 'lakhs/cumm'), { value: 2.5, unit: 'lakhs/cumm' });
+  assert.deepEqual(fhirService.quantity(12, 'gm/dl'), { value: 12, unit: 'gm/dl' });
+  assert.deepEqual(fhirService.quantity(7), { value: 7 });
+});
+
+test('troponin T is exported with its own LOINC code', () => {
+  const report = { reportDate: new Date('2024-03-01'), labResults: [] };
+  const [troponinI, troponinT] = labResultService.extractFromText('Troponin I: 0.02 ng/mL\nTroponin T: 0.05 ng/mL');
+  const loinc = result => fhirService.observationResource(result, 0, report, 'p1').code.coding[0].code;
+  assert.equal(loinc(troponinI), '10839-9');
+  assert.equal(loinc(troponinT), '6598-7');
+});
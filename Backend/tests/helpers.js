@@ -0,0 +1,37 @@
+// Shared by the tests. Not a test file itself: node --test only
+// picks up *.test.js here.
+
+// Stand-in for an Express response; records the status code and the body
+// sent with json() or send()
+const mockResponse = () => {
+  const res = { headers: {} };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  res.send = (body) => { res.body = body; return res; };
+  res.type = (type) => { res.headers['content-type'] = type; return res; };
+  res.attachment = (fileName) => { res.headers['content-disposition'] = `attachment; filename="${fileName}"`; return res; };
+  return res;
+};
+
+// AI provider answering with answer(callNumber) and keeping the prompts it got
+const fakeProvider = (name, external, answer) => ({
+  name,
+  model: `${name}-model`,
+  external,
+  prompts: [],
+  isConfigured: () => true,
+  async complete(prompt) {
+    this.prompts.push(prompt);
+    return answer(this.prompts.length);
+  }
+});
+
+// Replaces aiService's provider chain for one test
+const useProviders = (t, providers) => {
+  const aiService = require('../services/aiService');
+  const original = aiService.providers;
+  aiService.providers = providers;
+  t.after(() => { aiService.providers = original; });
+};
+
+module.exports = { mockResponse, fakeProvider, useProviders };
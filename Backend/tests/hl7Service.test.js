@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const hl7Service = require('../services/hl7Service');
+
+const MESSAGE = [
+  'MSH|^~\\&|LIS|CITYLAB|MRA|CLINIC|20240301120000||ORU^R01|MSG001|P|2.5',
+  'PID|1||12345^^^CITYLAB^MR||Doe^Jane||19800115|F|||||^^^jane@example.com^^^^^^^^5551234567',
+  'OBR|1|ORD1|FIL1|24323-8^Comprehensive metabolic panel|||20240301083000',
+  'OBX|1|NM|2951-2^Sodium^LN||118|mmol/L|135-145|LL|||F',
+  'NTE|1||Repeat sample advised',
+  'OBX|2|SN|2345-7^Glucose^LN||^95|mg/dL|70-100|N|||F',
+  'OBX|3|ST|X^Comment^L||Hemolysed\\.br\\slightly||||||F'
+].join('\r');
+
+test('parses patient, orders and observations', () => {
+  const parsed = hl7Service.parse(MESSAGE);
+  assert.equal(parsed.type, 'ORU^R01');
+  assert.equal(parsed.controlId, 'MSG001');
+  assert.equal(parsed.groups.length, 1);
+
+  const { patient, orders } = parsed.groups[0];
+  assert.equal(patient.name, 'Jane Doe');
+  assert.equal(patient.email, 'jane@example.com');
+  assert.equal(patient.phone, '5551234567');
+  assert.equal(patient.dateOfBirth.toISOString().slice(0, 10), '1980-01-15');
+  assert.equal(orders[0].testName, 'Comprehensive metabolic panel');
+  assert.deepEqual(orders[0].observations[0].notes, ['Repeat sample advised']);
+  assert.equal(orders[0].observations[2].value, 'Hemolysed\nslightly');
+});
+
+test('numeric observations become lab results with flags', () => {
+  const parsed = hl7Service.parse(MESSAGE);
+  const results = hl7Service.toLabResults(parsed.groups[0].orders);
+  assert.deepEqual(results.map(result => [result.code, result.value, result.flag]), [
+    ['sodium', 118, 'critical'],
+    ['glucose', 95, undefined]
+  ]);
+});
+
+test('rejects text that is not an HL7 message', () => {
+  assert.throws(() => hl7Service.parse('PID|1'), /MSH/);
+});
+
+test('parses ranges and timestamps', () => {
+  assert.deepEqual(hl7Service.parseRange('<200'), [undefined, 200]);
+  assert.deepEqual(hl7Service.parseRange('3.5-5.0'), [3.5, 5]);
+  assert.equal(hl7Service.parseDateTime('202403010830+0100').toISOString(), '2024-03-01T07:30:00.000Z');
+});
+
+// User.find stub: answers each query with the users matching its field
+const stubUsers = (t, users) => t.mock.method(User, 'find', async query => users.filter(user => {
+  if (query.email) return user.email === query.email;
+  if (query.phone instanceof RegExp) return query.phone.test(user.phone || '');
+  if (query.dateOfBirth) return user.dateOfBirth >= query.dateOfBirth.$gte && user.dateOfBirth < query.dateOfBirth.$lt;
+  return false;
+}));
+
+const jane = { _id: 'jane', name: 'Jane Doe', email: 'jane@example.com', phone: '555-123-4567', dateOfBirth: new Date('1980-01-15') };
+const john = { _id: 'john', name: 'John Doe', email: 'john@example.com', phone: '(555) 123 4567', dateOfBirth: new Date('1978-06-02') };
+
+test('a shared phone number alone does not match a patient', async (t) => {
+  stubUsers(t, [john]);
+  const { patient, candidates } = await hl7Service.matchPatient({
+    familyName: 'Smith', givenName: 'Anna', phone: '5551234567', dateOfBirth: new Date('2010-04-04')
+  });
+  assert.equal(patient, null);
+  assert.deepEqual(candidates.map(user => user._id), ['john']);
+});
+
+test('phone match confirmed by date of birth', async (t) => {
+  stubUsers(t, [jane]);
+  const { patient } = await hl7Service.matchPatient({ phone: '+1 555 123 4567', dateOfBirth: new Date('1980-01-15') });
+  assert.equal(patient._id, 'jane');
+});
+
+test('email match confirmed by name', async (t) => {
+  stubUsers(t, [jane]);
+  const { patient } = await hl7Service.matchPatient({ email: 'jane@example.com', familyName: 'Doe', givenName: 'Jane' });
+  assert.equal(patient._id, 'jane');
+});
+
+test('two family members on one phone go to review', async (t) => {
+  stubUsers(t, [jane, john]);
+  const { patient, candidates } = await hl7Service.matchPatient({ phone: '5551234567', familyName: 'Doe' });
+  assert.equal(patient, null);
+  assert.equal(candidates.length, 2);
+});
+
+test('unique name and date of birth match on their own', async (t) => {
+  stubUsers(t, [jane, john]);
+  const { patient } = await hl7Service.matchPatient({ familyName: 'Doe', givenName: 'John', dateOfBirth: new Date('1978-06-02') });
+  assert.equal(patient._id, 'john');
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockResponse } = require('./helpers');
+const User = require('../models/User');
+const IncomingResult = require('../models/IncomingResult');
+const integrationController = require('../controllers/integrationController');
+
+const DOCTOR = '64b000000000000000000001';
+const OWN_PATIENT = '64b000000000000000000003';
+const OTHER_PATIENT = '64b000000000000000000004';
+
+const pendingEntry = candidates => ({
+  _id: 'entry1',
+  status: 'pending_review',
+  candidates,
+  toObject() { return { ...this }; }
+});
+
+// The doctor's only patient is OWN_PATIENT
+const stubDoctor = (t) => {
+  t.mock.method(User, 'find', () => ({ select: async () => [{ _id: OWN_PATIENT }] }));
+  t.mock.method(User, 'findById', () => ({ select: async () => ({ patients: [] }) }));
+};
+
+const assign = async (t, entry) => {
+  stubDoctor(t);
+  t.mock.method(IncomingResult, 'findById', async () => entry);
+  const findPatient = t.mock.method(User, 'findOne', async () => ({ _id: OWN_PATIENT, name: 'Own Patient' }));
+  const res = mockResponse();
+  await integrationController.assignIncomingResult({
+    params: { id: 'entry1' },
+    body: { patientId: OWN_PATIENT },
+    user: { _id: DOCTOR, userType: 'doctor' }
+  }, res);
+  return { res, findPatient };
+};
+
+test("results matching another doctor's patient cannot be assigned to your own", async (t) => {
+  const { res, findPatient } = await assign(t, pendingEntry([OTHER_PATIENT]));
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.message, 'These results do not concern your patients');
+  assert.equal(findPatient.mock.callCount(), 0);
+});
+
+test("review queue only lists candidates among the doctor's patients", async (t) => {
+  stubDoctor(t);
+  const entries = [pendingEntry([OWN_PATIENT, OTHER_PATIENT]), pendingEntry([OTHER_PATIENT])];
+  const query = { select: () => query, populate: () => query, sort: async () => entries };
+  t.mock.method(IncomingResult, 'find', () => query);
+  const res = mockResponse();
+  await integrationController.getReviewQueue({ query: {}, user: { _id: DOCTOR, userType: 'doctor' } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.entries.map(entry => entry.candidates), [[OWN_PATIENT]]);
+});
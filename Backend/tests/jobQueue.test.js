@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Job = require('../models/Job');
+const jobQueue = require('../services/jobQueue');
+
+const fakeJob = fields => ({
+  _id: 'job1',
+  type: 'test-job',
+  errorHistory: [],
+  save: async () => {},
+  ...fields
+});
+
+test('interrupted jobs out of attempts are dead instead of requeued', async (t) => {
+  const job = fakeJob({ status: 'running', attempts: 3, maxAttempts: 3 });
+  const find = t.mock.method(Job, 'find', async () => [job]);
+  const updateMany = t.mock.method(Job, 'updateMany', async () => ({ modifiedCount: 2 }));
+  const onDead = t.mock.fn();
+  jobQueue.register('test-job', async () => {}, { onDead });
+  t.after(() => delete jobQueue.handlers['test-job']);
+
+  assert.deepEqual(await jobQueue.requeueInterrupted(), { requeued: 2, dead: 1 });
+  assert.deepEqual(find.mock.calls[0].arguments[0], { status: 'running', $expr: { $gte: ['$attempts', '$maxAttempts'] } });
+  assert.deepEqual(updateMany.mock.calls[0].arguments[0], { status: 'running', $expr: { $lt: ['$attempts', '$maxAttempts'] } });
+  assert.equal(job.status, 'dead');
+  assert.equal(job.lastError, 'Interrupted by a server restart');
+  assert.equal(onDead.mock.callCount(), 1);
+  assert.equal(onDead.mock.calls[0].arguments[0], job);
+});
+
+test('a failing job is retried with backoff until its last attempt', async (t) => {
+  const onDead = t.mock.fn();
+  jobQueue.register('test-job', async () => { throw new Error('OCR failed'); }, { onDead });
+  t.after(() => delete jobQueue.handlers['test-job']);
+
+  const retried = fakeJob({ attempts: 1, maxAttempts: 3 });
+  await jobQueue.runJob(retried);
+  assert.equal(retried.status, 'queued');
+  assert.ok(retried.runAt > new Date());
+
+  const last = fakeJob({ attempts: 3, maxAttempts: 3 });
+  await jobQueue.runJob(last);
+  assert.equal(last.status, 'dead');
+  assert.deepEqual(last.errorHistory.map(entry => entry.message), ['OCR failed']);
+  assert.equal(onDead.mock.callCount(), 1);
+});
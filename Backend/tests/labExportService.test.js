@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const labExportService = require('../services/labExportService');
+
+const report = (id, date, labResults) => ({
+  _id: id,
+  originalName: `${id}.pdf`,
+  reportType: 'Blood Test',
+  createdAt: new Date(date),
+  labResults
+});
+
+test('rows include the range the value was interpreted against', () => {
+  const rows = labExportService.rows([
+    report('later', '2024-04-01', [{
+      name: 'Glucose', code: 'glucose', value: 7, unit: 'mmol/L',
+      normalizedValue: 126.1, normalizedUnit: 'mg/dL',
+      normalizedReferenceLow: 70, normalizedReferenceHigh: 100,
+      referenceSource: 'clinic', flag: 'H', interpretation: 'high'
+    }]),
+    report('earlier', '2024-03-01', [{
+      name: 'Hemoglobin', code: 'hemoglobin', value: 13.5, unit: 'g/dL',
+      referenceLow: 13, referenceHigh: 17, normalizedValue: 13.5, normalizedUnit: 'g/dL',
+      normalizedReferenceLow: 13, normalizedReferenceHigh: 17,
+      referenceSource: 'lab', interpretation: 'normal'
+    }])
+  ]);
+
+  assert.deepEqual(rows.map(row => row.reportId), ['earlier', 'later']);
+  const glucose = rows[1];
+  assert.equal(glucose.referenceLow, undefined);
+  assert.deepEqual(
+    [glucose.normalizedReferenceLow, glucose.normalizedReferenceHigh, glucose.referenceSource, glucose.flag, glucose.loinc],
+    [70, 100, 'clinic', 'H', '2345-7']
+  );
+  assert.equal(rows[0].flag, undefined);
+});
+
+test('CSV neutralizes formulas and quotes separators', () => {
+  const csv = labExportService.toCsv([{ report: '=HYPERLINK("x")', analyte: 'Sodium, serum' }]);
+  const [, line] = csv.replace('\uFEFF', '').split('\r\n');
+  assert.match(line, /"'=HYPERLINK\(""x""\)"/);
+  assert.match(line, /"Sodium, serum"/);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const labResultService = require('../services/labResultService');
+
+const names = text => labResultService.extractFromText(text).map(result => `${result.name} ${result.value}`);
+
+const ABG_REPORT = [
+  'ARTERIAL BLOOD GAS',
+  'pH 7.35',
+  'pCO2 40 mmHg',
+  'pO2 80 mmHg',
+  'HCO3 24 mmol/L',
+  'Collected 08:30 hr 2'
+].join('\n');
+
+test('blood gas values are not read as SpO2 or heart rate', () => {
+  assert.deepEqual(names(ABG_REPORT), []);
+});
+
+test('short aliases still match when labelled', () => {
+  assert.deepEqual(names('HR: 72'), ['Heart Rate 72']);
+  assert.deepEqual(names('HR 72 bpm'), ['Heart Rate 72']);
+  assert.deepEqual(names('O2 sat 91%'), ['SpO2 91']);
+  assert.deepEqual(names('SpO2: 96 %'), ['SpO2 96']);
+});
+
+test('analyte names only match as whole words', () => {
+  assert.deepEqual(names('Hemoglobin: 13.5 g/dL\nTemperature: 38 C'), ['Hemoglobin 13.5', 'Temperature 38']);
+  assert.deepEqual(names('HDL Cholesterol: 45 mg/dL'), ['HDL Cholesterol 45']);
+});
+
+test('flag and printed reference range after the value', () => {
+  const [result] = labResultService.extractFromText('Hemoglobin: 9.1 g/dl L (13.0 - 17.0)');
+  assert.equal(result.flag, 'L');
+  assert.equal(result.referenceLow, 13);
+  assert.equal(result.referenceHigh, 17);
+  assert.equal(result.code, 'hemoglobin');
+});
+
+test('troponin I and troponin T are separate analytes', () => {
+  const results = labResultService.extractFromText('Troponin I: 0.02 ng/mL\nTroponin T: 0.05 ng/mL');
+  assert.deepEqual(results.map(result => [result.code, result.value]), [['troponin', 0.02], ['troponin_t', 0.05]]);
+});
+
+test('direct bilirubin and ionized calcium are not read as the total values', () => {
+  const text = 'Direct Bilirubin: 0.3 mg/dL\nIonized Calcium: 1.1 mmol/L\nTotal Bilirubin: 1.0 mg/dL';
+  assert.deepEqual(names(text), ['Bilirubin 1']);
+});
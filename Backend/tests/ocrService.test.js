@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Tesseract = require('tesseract.js');
+const languageConfig = require('../config/languages');
+const ocrService = require('../services/ocrService');
+
+// Points the language data directory at a temporary one holding `files`
+const useTessdata = (t, files) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tessdata-'));
+  files.forEach(file => fs.writeFileSync(path.join(dir, file), ''));
+  const { tessdataPath, tessdataGzip } = languageConfig;
+  languageConfig.tessdataPath = dir;
+  languageConfig.tessdataGzip = true;
+  t.after(() => {
+    Object.assign(languageConfig, { tessdataPath, tessdataGzip });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return dir;
+};
+
+test('language data defaults to the local tessdata directory', { skip: Boolean(process.env.TESSDATA_PATH) }, () => {
+  assert.equal(languageConfig.tessdataPath, path.join(__dirname, '../tessdata'));
+});
+
+test('missing language data is an error, not a download', async (t) => {
+  const createWorker = t.mock.method(Tesseract, 'createWorker', async () => ({}));
+  const dir = useTessdata(t, ['eng.traineddata.gz']);
+  await assert.rejects(
+    ocrService.createWorker(['hin', 'eng']),
+    new RegExp(`OCR language data missing: hin\\.traineddata\\.gz not found in ${dir}`)
+  );
+  assert.equal(createWorker.mock.callCount(), 0);
+});
+
+test('the worker reads the language data from the local directory', async (t) => {
+  const createWorker = t.mock.method(Tesseract, 'createWorker', async () => ({}));
+  const dir = useTessdata(t, ['eng.traineddata.gz', 'hin.traineddata.gz']);
+  await ocrService.createWorker(['hin', 'eng']);
+  const [languages, , options] = createWorker.mock.calls[0].arguments;
+  assert.equal(languages, 'hin+eng');
+  assert.equal(options.langPath, dir);
+  assert.equal(options.gzip, true);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const pdfReportService = require('../services/pdfReportService');
+
+const reviewed = {
+  reviewedBy: { name: 'Rao' },
+  reviewedAt: new Date('2024-03-01'),
+  reviewedVersion: 2,
+  currentAnalysisVersion: 2
+};
+
+test('review of the current analysis version', () => {
+  const status = pdfReportService.reviewStatus(reviewed);
+  assert.equal(status.reviewed, true);
+  assert.match(status.text, /reviewed by Dr\. Rao/);
+});
+
+test('re-analysis after the review is not reviewed', () => {
+  const status = pdfReportService.reviewStatus({ ...reviewed, currentAnalysisVersion: 3 });
+  assert.equal(status.reviewed, false);
+  assert.doesNotMatch(status.text, /Rao/);
+});
+
+test('re-analysis changes the content hash', () => {
+  assert.notEqual(
+    pdfReportService.contentHash(reviewed),
+    pdfReportService.contentHash({ ...reviewed, currentAnalysisVersion: 3 })
+  );
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockResponse } = require('./helpers');
+const ReferenceRange = require('../models/ReferenceRange');
+const referenceRangeController = require('../controllers/referenceRangeController');
+
+const DOCTOR = '64b000000000000000000001';
+
+const invalidRanges = [
+  [{ low: '3.5', high: 5.1 }, 'low must be a number'],
+  [{ low: 3.5, high: 'abc' }, 'high must be a number'],
+  [{ low: 5.1, high: 3.5 }, 'low must be below high'],
+  [{ low: 3.5, high: 5.1, criticalLow: 4 }, 'criticalLow must not be above low'],
+  [{ low: 3.5, high: 5.1, criticalHigh: 5 }, 'criticalHigh must not be below high'],
+  [{ sex: 'any' }, 'Please provide at least one limit']
+];
+
+for (const [limits, message] of invalidRanges) {
+  test(`range ${JSON.stringify(limits)} is rejected with a 400`, async (t) => {
+    const create = t.mock.method(ReferenceRange, 'create', async () => ({}));
+    const res = mockResponse();
+    await referenceRangeController.createReferenceRange({ body: { code: 'potassium', ...limits }, user: { _id: DOCTOR } }, res);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, message);
+    assert.equal(create.mock.callCount(), 0);
+  });
+}
+
+test('new ranges belong to the doctor who created them', async (t) => {
+  const create = t.mock.method(ReferenceRange, 'create', async fields => fields);
+  const res = mockResponse();
+  await referenceRangeController.createReferenceRange({ body: { code: 'potassium', low: 3.4, high: 5.2 }, user: { _id: DOCTOR } }, res);
+  assert.equal(res.statusCode, 201);
+  assert.equal(create.mock.calls[0].arguments[0].doctor, DOCTOR);
+});
+
+test('an update is checked against the limits already saved', async (t) => {
+  const range = new ReferenceRange({ doctor: DOCTOR, code: 'potassium', low: 3.5, high: 5.1 });
+  const save = t.mock.method(range, 'save', async () => range);
+  t.mock.method(ReferenceRange, 'findOne', async () => range);
+  const res = mockResponse();
+  await referenceRangeController.updateReferenceRange({ params: { id: range._id }, body: { low: 6 }, user: { _id: DOCTOR } }, res);
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.message, 'low must be below high');
+  assert.equal(save.mock.callCount(), 0);
+  assert.equal(range.low, 3.5);
+});
+
+test('a limit can be cleared with null', async (t) => {
+  const range = new ReferenceRange({ doctor: DOCTOR, code: 'potassium', low: 3.5, high: 5.1 });
+  t.mock.method(range, 'save', async () => range);
+  t.mock.method(ReferenceRange, 'findOne', async () => range);
+  const res = mockResponse();
+  await referenceRangeController.updateReferenceRange({ params: { id: range._id }, body: { low: null }, user: { _id: DOCTOR } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(range.low, null);
+  assert.equal(range.high, 5.1);
+});
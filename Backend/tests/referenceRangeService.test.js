@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ReferenceRange = require('../models/ReferenceRange');
+const referenceRangeService = require('../services/referenceRangeService');
+
+const DOCTOR = '64b000000000000000000001';
+const patient = { sex: 'female', dateOfBirth: new Date('1980-01-01'), assignedDoctor: DOCTOR };
+const potassium = value => ({ name: 'Potassium', code: 'potassium', value, unit: 'mmol/L', normalizedValue: value, normalizedUnit: 'mmol/L' });
+
+const stubOverrides = (t, overrides) =>
+  t.mock.method(ReferenceRange, 'find', () => ({ lean: async () => overrides }));
+
+test('clinic override with only low/high keeps the catalog critical limits', async (t) => {
+  stubOverrides(t, [{ doctor: DOCTOR, code: 'potassium', sex: 'any', minAge: 0, maxAge: 200, low: 3.6, high: 5.0 }]);
+  const [normal, high, critical] = await referenceRangeService.classifyResults(
+    [potassium(4.2), potassium(5.3), potassium(6.8)],
+    patient
+  );
+  assert.deepEqual([normal.interpretation, high.interpretation, critical.interpretation], ['normal', 'high', 'critical']);
+  assert.equal(high.referenceSource, 'clinic');
+  assert.equal(high.normalizedReferenceHigh, 5.0);
+});
+
+test("a clinic's own critical limits take precedence", async (t) => {
+  stubOverrides(t, [{ doctor: DOCTOR, code: 'potassium', sex: 'any', minAge: 0, maxAge: 200, low: 3.6, high: 5.0, criticalHigh: 7.0 }]);
+  const [result] = await referenceRangeService.classifyResults([potassium(6.8)], patient);
+  assert.equal(result.interpretation, 'high');
+});
+
+test('catalog range applies without overrides', async (t) => {
+  stubOverrides(t, []);
+  const [result] = await referenceRangeService.classifyResults([potassium(2.4)], patient);
+  assert.deepEqual([result.referenceSource, result.interpretation], ['catalog', 'critical']);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const reportClassifier = require('../services/reportClassifier');
+const { fakeProvider, useProviders } = require('./helpers');
+
+const TEXT = 'Patient: Jane Doe\nHemoglobin: 9.1 g/dL\nWBC: 7.2 10^3/uL';
+const ruleResult = { type: 'cbc', confidence: 0.5, source: 'rules' };
+
+test('type check sent to an external provider is de-identified and audited', async (t) => {
+  const external = fakeProvider('openai', true, () => 'cbc');
+  useProviders(t, [external]);
+
+  const result = await reportClassifier.confirmWithAI(TEXT, ruleResult, { name: 'Jane Doe' });
+  assert.doesNotMatch(external.prompts[0], /Jane|Doe/);
+  assert.equal(result.source, 'ai');
+  assert.deepEqual(result.redactions.map(record => [record.purpose, record.provider, record.deidentified]), [
+    ['classification', 'openai', true]
+  ]);
+  assert.deepEqual(result.redactions[0].entries.map(entry => entry.original), ['Jane Doe']);
+});
+
+test('unusable answer from an external provider is still audited', async (t) => {
+  useProviders(t, [fakeProvider('openai', true, () => 'no idea')]);
+  const result = await reportClassifier.confirmWithAI(TEXT, ruleResult, { name: 'Jane Doe' });
+  assert.equal(result.source, 'rules');
+  assert.equal(result.redactions.length, 1);
+});
+
+test('a local model needs no audit record', async (t) => {
+  useProviders(t, [fakeProvider('ollama', false, () => 'cbc')]);
+  const result = await reportClassifier.confirmWithAI(TEXT, ruleResult, { name: 'Jane Doe' });
+  assert.deepEqual(result.redactions, []);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockResponse } = require('./helpers');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const jobQueue = require('../services/jobQueue');
+const reportController = require('../controllers/reportController');
+
+const DOCTOR = '64b000000000000000000001';
+const OTHER_DOCTOR = '64b000000000000000000002';
+const PATIENT = '64b000000000000000000003';
+
+const getJobs = async (t, assignedDoctor) => {
+  t.mock.method(Report, 'findById', () => ({ select: async () => ({ _id: 'report1', patient: PATIENT, status: 'processing' }) }));
+  t.mock.method(User, 'findById', (id) => ({
+    select: async () => (id === PATIENT ? { assignedDoctor } : { patients: [] })
+  }));
+  const getJobsForReport = t.mock.method(jobQueue, 'getJobsForReport', async () => []);
+  const res = mockResponse();
+  await reportController.getReportJobs({ params: { id: 'report1' }, user: { _id: DOCTOR, userType: 'doctor' } }, res);
+  return { res, getJobsForReport };
+};
+
+test("a doctor can't see the jobs of another doctor's patient", async (t) => {
+  const { res, getJobsForReport } = await getJobs(t, OTHER_DOCTOR);
+  assert.equal(res.statusCode, 403);
+  assert.equal(getJobsForReport.mock.callCount(), 0);
+});
+
+test("the patient's doctor sees the report's jobs", async (t) => {
+  const { res } = await getJobs(t, DOCTOR);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.status, 'processing');
+});
+
+test('lab value export leaves out duplicate reports', async (t) => {
+  t.mock.method(User, 'findOne', async () => ({ _id: PATIENT, name: 'Priya Sharma' }));
+  t.mock.method(User, 'findById', () => ({ select: async () => ({ assignedDoctor: DOCTOR }) }));
+  const find = t.mock.method(Report, 'find', () => ({ select: async () => [] }));
+  const res = mockResponse();
+  await reportController.exportPatientLabValues({
+    params: { patientId: PATIENT },
+    query: { format: 'csv' },
+    user: { _id: DOCTOR, userType: 'doctor' }
+  }, res);
+
+  assert.deepEqual(find.mock.calls[0].arguments[0].possibleDuplicateOf, { $exists: false });
+  assert.match(res.body, /Reference Source/);
+  assert.match(res.headers['content-disposition'], /lab-values-priya-sharma-.*\.csv/);
+});
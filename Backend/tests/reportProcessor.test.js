@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const reportProcessor = require('../services/reportProcessor');
+
+test('review note lists the recorded reasons', () => {
+  const note = reportProcessor.reviewNote({
+    needsReview: true,
+    reviewReasons: [
+      'DICOM patient name "DOE^JOHN" does not match the uploader',
+      'No usable unit for Glucose 38; critical limits could not be checked'
+    ]
+  });
+  assert.equal(note, ' Needs review: DICOM patient name "DOE^JOHN" does not match the uploader; ' +
+    'No usable unit for Glucose 38; critical limits could not be checked. Please verify values against the original.');
+  assert.doesNotMatch(note, /OCR/);
+});
+
+test('no review note for a report that needs no review', () => {
+  assert.equal(reportProcessor.reviewNote({ needsReview: false, reviewReasons: [] }), '');
+});
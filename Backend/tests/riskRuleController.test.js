@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockResponse } = require('./helpers');
+const RiskRule = require('../models/RiskRule');
+const riskRuleController = require('../controllers/riskRuleController');
+
+const DOCTOR = '64b000000000000000000001';
+const OTHER_DOCTOR = '64b000000000000000000002';
+
+const rule = { name: 'Potassium high', code: 'potassium', operator: '>', threshold: 5.5, severity: 'high' };
+
+for (const points of ['abc', -1, 101]) {
+  test(`rule with points ${JSON.stringify(points)} is rejected with a 400`, async (t) => {
+    const create = t.mock.method(RiskRule, 'create', async () => ({}));
+    const res = mockResponse();
+    await riskRuleController.createRiskRule({ body: { ...rule, points }, user: { _id: DOCTOR } }, res);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, 'Points must be a number from 0 to 100');
+    assert.equal(create.mock.callCount(), 0);
+  });
+}
+
+test('new rules belong to the doctor who created them', async (t) => {
+  const create = t.mock.method(RiskRule, 'create', async fields => fields);
+  const res = mockResponse();
+  await riskRuleController.createRiskRule({ body: { ...rule, points: 40 }, user: { _id: DOCTOR } }, res);
+  assert.equal(res.statusCode, 201);
+  assert.equal(create.mock.calls[0].arguments[0].doctor, DOCTOR);
+});
+
+test("another doctor's rule cannot be changed", async (t) => {
+  const save = t.mock.fn();
+  t.mock.method(RiskRule, 'findById', async () => ({ ...rule, doctor: OTHER_DOCTOR, save }));
+  const res = mockResponse();
+  await riskRuleController.updateRiskRule({ params: { id: 'rule' }, body: { enabled: false }, user: { _id: DOCTOR } }, res);
+  assert.equal(res.statusCode, 404);
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test("changing a built-in rule saves the doctor's own copy", async (t) => {
+  const builtIn = new RiskRule({ ...rule, key: 'potassium-high', enabled: true });
+  const builtInSave = t.mock.method(builtIn, 'save', async () => builtIn);
+  t.mock.method(RiskRule, 'findById', async () => builtIn);
+  t.mock.method(RiskRule, 'findOne', async () => null);
+  const saved = [];
+  t.mock.method(RiskRule.prototype, 'save', async function save() {
+    saved.push(this);
+    return this;
+  });
+  const res = mockResponse();
+  await riskRuleController.updateRiskRule({ params: { id: builtIn._id }, body: { enabled: false }, user: { _id: DOCTOR } }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(builtInSave.mock.callCount(), 0);
+  assert.equal(builtIn.enabled, true);
+  assert.equal(saved.length, 1);
+  assert.equal(saved[0].overrides, 'potassium-high');
+  assert.equal(saved[0].doctor.toString(), DOCTOR);
+  assert.equal(saved[0].enabled, false);
+  assert.equal(saved[0].threshold, 5.5);
+});
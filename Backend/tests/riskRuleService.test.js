@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RiskRule = require('../models/RiskRule');
+const riskRuleService = require('../services/riskRuleService');
+
+const DOCTOR = '64b000000000000000000001';
+
+const potassium = {
+  _id: 'builtin', key: 'potassium-critical-high', name: 'Potassium critically high',
+  code: 'potassium', operator: '>', threshold: 6, severity: 'critical', enabled: true
+};
+
+const stubRules = (t, rules) => {
+  const queries = [];
+  t.mock.method(RiskRule, 'find', (query) => {
+    queries.push(query);
+    return { lean: async () => rules };
+  });
+  return queries;
+};
+
+test('loadRules without a doctor reads only the built-in rules', async (t) => {
+  const queries = stubRules(t, [potassium]);
+  const rules = await riskRuleService.loadRules(undefined);
+  assert.deepEqual(queries, [{ doctor: { $in: [null] } }]);
+  assert.deepEqual(rules.map(rule => rule._id), ['builtin']);
+});
+
+test("the doctor's copy replaces the built-in rule", async (t) => {
+  const copy = { ...potassium, _id: 'copy', key: undefined, doctor: DOCTOR, overrides: potassium.key, threshold: 6.5 };
+  const queries = stubRules(t, [potassium, copy]);
+  const rules = await riskRuleService.loadRules(DOCTOR);
+  assert.deepEqual(queries, [{ doctor: { $in: [null, DOCTOR] } }]);
+  assert.deepEqual(rules.map(rule => rule._id), ['copy']);
+});
+
+test('a built-in rule the doctor disabled does not apply to their patients', async (t) => {
+  const copy = { ...potassium, _id: 'copy', key: undefined, doctor: DOCTOR, overrides: potassium.key, enabled: false };
+  stubRules(t, [potassium, copy]);
+  assert.deepEqual(await riskRuleService.loadRules(DOCTOR), []);
+});
+
+test('highest-scoring rule per analyte counts', () => {
+  const rules = [
+    potassium,
+    { _id: 'high', name: 'Potassium high', code: 'potassium', operator: '>', threshold: 5.5, severity: 'medium', enabled: true }
+  ];
+  const result = riskRuleService.evaluate([{ code: 'potassium', name: 'Potassium', normalizedValue: 6.8, normalizedUnit: 'mmol/L' }], rules);
+  assert.deepEqual(result.fired.map(entry => [entry.rule, entry.counted]), [['builtin', true], ['high', false]]);
+  assert.equal(result.level, 'high');
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const unitConversionService = require('../services/unitConversionService');
+
+const normalize = result => unitConversionService.normalizeResult(result);
+
+test('identifies analytes from the names labs print', () => {
+  assert.equal(unitConversionService.identifyAnalyte('S. Creatinine')?.code, 'creatinine');
+  assert.equal(unitConversionService.identifyAnalyte('Glucose (Fasting)')?.code, 'glucose');
+  assert.equal(unitConversionService.identifyAnalyte('HDL Cholesterol')?.code, 'hdl');
+  assert.equal(unitConversionService.identifyAnalyte('Troponin T (hs)')?.code, 'troponin_t');
+  assert.equal(unitConversionService.identifyAnalyte('Vitamin Q'), undefined);
+});
+
+test('qualified names are not read as the plain analyte', () => {
+  assert.equal(unitConversionService.identifyAnalyte('Hemoglobin A1c')?.code, 'hba1c');
+  assert.equal(unitConversionService.identifyAnalyte('Blood Urea Nitrogen'), undefined);
+  assert.equal(unitConversionService.identifyAnalyte('Direct Bilirubin'), undefined);
+  assert.equal(unitConversionService.identifyAnalyte('Ionized Calcium'), undefined);
+  assert.equal(unitConversionService.identifyAnalyte('Urine Creatinine'), undefined);
+  assert.equal(unitConversionService.identifyAnalyte('Total Bilirubin')?.code, 'bilirubin');
+  assert.equal(unitConversionService.identifyAnalyte('Serum Calcium')?.code, 'calcium');
+});
+
+test('ionized calcium in mmol/L is not converted as total calcium', () => {
+  const result = normalize({ name: 'Ionized Calcium', value: 1.1, unit: 'mmol/L' });
+  assert.deepEqual([result.code, result.normalizedValue, result.unitStatus], [undefined, undefined, 'unknown_analyte']);
+});
+
+test('normalizes printed unit spellings', () => {
+  assert.equal(unitConversionService.unitKey('µmol/L'), 'umol/l');
+  assert.equal(unitConversionService.unitKey('gm/dl'), 'g/dl');
+  assert.equal(unitConversionService.unitKey('mg%'), 'mg/dl');
+  assert.equal(unitConversionService.unitKey('x10^3/mm3'), '10^3/ul');
+  assert.equal(unitConversionService.unitKey('mEq/Lt'), 'meq/l');
+});
+
+test('converts value and printed range to the canonical unit', () => {
+  const result = normalize({ name: 'Glucose', value: 7, unit: 'mmol/L', referenceLow: 3.9, referenceHigh: 5.5 });
+  assert.deepEqual(
+    [result.normalizedValue, result.normalizedUnit, result.normalizedReferenceLow, result.normalizedReferenceHigh, result.unitStatus],
+    [126.112, 'mg/dL', 70.262, 99.088, 'converted']
+  );
+  // The printed value and unit are kept
+  assert.deepEqual([result.value, result.unit], [7, 'mmol/L']);
+});
+
+test('regional and function conversions', () => {
+  assert.equal(normalize({ name: 'Platelet Count', value: 2.5, unit: 'lakhs/cumm' }).normalizedValue, 250);
+  assert.equal(normalize({ name: 'Temp', value: 98.6, unit: '°F' }).normalizedValue, 37);
+  assert.equal(normalize({ name: 'Hb', value: 12, unit: 'gm/dl' }).unitStatus, 'canonical');
+});
+
+test('a missing unit is assumed only for analytes with a default unit', () => {
+  const heartRate = normalize({ name: 'Heart Rate', value: 72 });
+  assert.deepEqual([heartRate.normalizedValue, heartRate.normalizedUnit, heartRate.unitStatus], [72, 'bpm', 'assumed']);
+
+  const glucose = normalize({ name: 'Glucose', value: 38 });
+  assert.deepEqual([glucose.normalizedValue, glucose.normalizedUnit, glucose.unitStatus], [undefined, undefined, 'missing']);
+});
+
+test('unknown units and analytes are not converted', () => {
+  const glucose = normalize({ name: 'Glucose', value: 90, unit: 'mg/L' });
+  assert.deepEqual([glucose.code, glucose.normalizedValue, glucose.unitStatus], ['glucose', undefined, 'unknown']);
+  assert.equal(normalize({ name: 'Vitamin Q', value: 1, unit: 'mg' }).unitStatus, 'unknown_analyte');
+});
@@ -0,0 +1,41 @@
+const User = require('../models/User');
+
+// Patients may act on their own records, doctors on records of their patients
+// (assigned to them or in their patients list)
+const canAccessPatient = async (user, patientId) => {
+  const id = patientId.toString();
+
+  if (user.userType === 'patient') {
+    return id === user._id.toString();
+  }
+
+  const patient = await User.findById(id).select('assignedDoctor');
+  if (patient?.assignedDoctor?.toString() === user._id.toString()) {
+    return true;
+  }
+
+  const doctor = await User.findById(user._id).select('patients');
+  return (doctor?.patients || []).some(patient => patient.toString() === id);
+};
+
+// Ids of every patient a doctor can access under the canAccessPatient rule,
+// for filtering lists without a query per entry
+const accessiblePatientIds = async (user) => {
+  if (user.userType === 'patient') {
+    return new Set([user._id.toString()]);
+  }
+
+  const [assigned, doctor] = await Promise.all([
+    User.find({ assignedDoctor: user._id }).select('_id'),
+    User.findById(user._id).select('patients')
+  ]);
+  return new Set([
+    ...assigned.map(patient => patient._id.toString()),
+    ...(doctor?.patients || []).map(patient => patient.toString())
+  ]);
+};
+
+const canAccessReport = (user, report) =>
+  canAccessPatient(user, report.patient._id || report.patient);
+
+module.exports = { canAccessPatient, canAccessReport, accessiblePatientIds };
@@ -17,6 +17,9 @@ import AlertsPage from './pages/AlertsPage'
 import TimelinePage from './pages/TimelinePage'
 import DoctorChatPatient from './pages/DoctorChatPatient'
 import ViewPatients from './pages/ViewPatients'
+import LabResultsQueue from './pages/LabResultsQueue'
+import RiskRulesPage from './pages/RiskRulesPage'
+import ReferenceRangesPage from './pages/ReferenceRangesPage'
 
 import './App.css'
 
@@ -149,6 +152,30 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/doctor/lab-inbox"
+              element={
+                <ProtectedRoute allowedUserType="doctor">
+                  <LabResultsQueue />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/doctor/risk-rules"
+              element={
+                <ProtectedRoute allowedUserType="doctor">
+                  <RiskRulesPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/doctor/reference-ranges"
+              element={
+                <ProtectedRoute allowedUserType="doctor">
+                  <ReferenceRangesPage />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/doctor/chat"
               element={
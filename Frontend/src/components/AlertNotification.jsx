@@ -1,10 +1,12 @@
-import { useState, useEffect } from 'react'
+import { useEffect } from 'react'
 
 const AlertNotification = ({ alert, onClose }) => {
+  // Urgent alerts stay until the doctor closes them
   useEffect(() => {
+    if (alert.type === 'urgent') return
     const timer = setTimeout(onClose, 5000)
     return () => clearTimeout(timer)
-  }, [onClose])
+  }, [alert.type, onClose])
 
   const alertConfig = {
     success: {
@@ -30,6 +32,12 @@ const AlertNotification = ({ alert, onClose }) => {
       border: 'border-blue-200',
       text: 'text-blue-800',
       icon: 'ℹ'
+    },
+    urgent: {
+      bg: 'bg-red-600',
+      border: 'border-red-800 shadow-lg',
+      text: 'text-white',
+      icon: '🚨'
     }
   }
 
@@ -37,10 +45,11 @@ const AlertNotification = ({ alert, onClose }) => {
 
   return (
     <div className={`${config.bg} border ${config.border} ${config.text} px-4 py-3 rounded-lg flex items-center gap-3`}>
-      <span className="text-lg">{config.icon}</span>
+      <span className={`text-lg ${alert.type === 'urgent' ? 'animate-pulse' : ''}`}>{config.icon}</span>
       <div className="flex-1">
         {alert.title && <p className="font-medium">{alert.title}</p>}
         <p className="text-sm">{alert.message}</p>
+        {alert.action}
       </div>
       <button onClick={onClose} className="text-lg font-bold">×</button>
     </div>
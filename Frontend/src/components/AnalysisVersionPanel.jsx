@@ -0,0 +1,118 @@
+import React from 'react'
+
+// Lab values keyed by analyte code (or name when the analyte is unknown)
+const indexLabResults = (labResults = []) => {
+  const index = {}
+  labResults.forEach((result) => {
+    index[result.code || result.name] = result
+  })
+  return index
+}
+
+const formatValue = (result) => {
+  if (!result) return '—'
+  if (result.normalizedValue != null) return `${result.normalizedValue} ${result.normalizedUnit || ''}`.trim()
+  return `${result.value} ${result.unit || ''}`.trim()
+}
+
+// Differences between two analysis versions: risk, abnormalities and lab values
+const diffVersions = (current, previous) => {
+  const added = current.abnormalities.filter(a => !previous.abnormalities.includes(a))
+  const removed = previous.abnormalities.filter(a => !current.abnormalities.includes(a))
+
+  const currentResults = indexLabResults(current.labResults)
+  const previousResults = indexLabResults(previous.labResults)
+  const labChanges = [...new Set([...Object.keys(currentResults), ...Object.keys(previousResults)])]
+    .map((key) => ({
+      key,
+      name: (currentResults[key] || previousResults[key]).name,
+      before: previousResults[key],
+      after: currentResults[key]
+    }))
+    .filter(({ before, after }) =>
+      formatValue(before) !== formatValue(after) || (before?.flag || null) !== (after?.flag || null)
+    )
+
+  return {
+    riskChanged: current.riskLevel !== previous.riskLevel || current.riskScore !== previous.riskScore,
+    added,
+    removed,
+    labChanges
+  }
+}
+
+const AnalysisVersionPanel = ({ versions, selectedVersion, onSelect }) => {
+  if (!versions || versions.length < 2) {
+    return null
+  }
+
+  const selectedIndex = versions.findIndex(v => v.version === selectedVersion)
+  const current = versions[selectedIndex] || versions[0]
+  const previous = versions[versions.indexOf(current) + 1]
+  const diff = previous ? diffVersions(current, previous) : null
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-900">Analysis History</h3>
+        <select
+          value={current.version}
+          onChange={(e) => onSelect(Number(e.target.value))}
+          className="px-3 py-1 border border-gray-300 rounded-lg text-sm"
+        >
+          {versions.map((v, index) => (
+            <option key={v.version} value={v.version}>
+              Version {v.version} • {formatDate(v.createdAt)}
+              {v.analyzedBy?.provider ? ` • ${v.analyzedBy.provider}` : ''}
+              {index === 0 ? ' (latest)' : ''}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {diff ? (
+        <div className="text-sm space-y-2">
+          <p className="text-gray-500">Changes compared to version {previous.version}:</p>
+          {!diff.riskChanged && diff.added.length === 0 && diff.removed.length === 0 && diff.labChanges.length === 0 && (
+            <p className="text-gray-600">No differences in risk, abnormalities or lab values.</p>
+          )}
+          {diff.riskChanged && (
+            <p className="text-gray-800">
+              Risk: <span className="capitalize">{previous.riskLevel}</span> ({previous.riskScore}) →{' '}
+              <span className="capitalize font-medium">{current.riskLevel}</span> ({current.riskScore})
+            </p>
+          )}
+          {diff.added.map((item, index) => (
+            <p key={`added-${index}`} className="text-red-700">+ {item}</p>
+          ))}
+          {diff.removed.map((item, index) => (
+            <p key={`removed-${index}`} className="text-green-700 line-through">− {item}</p>
+          ))}
+          {diff.labChanges.length > 0 && (
+            <ul className="space-y-1">
+              {diff.labChanges.map(change => (
+                <li key={change.key} className="text-gray-800">
+                  {change.name}: {formatValue(change.before)}{change.before?.flag ? ` (${change.before.flag})` : ''} →{' '}
+                  <span className="font-medium">
+                    {formatValue(change.after)}{change.after?.flag ? ` (${change.after.flag})` : ''}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">This is the first analysis of the report.</p>
+      )}
+    </div>
+  )
+}
+
+export default AnalysisVersionPanel
@@ -0,0 +1,122 @@
+import React, { useState } from 'react'
+
+const CHART_WIDTH = 600
+const CHART_HEIGHT = 220
+const PADDING = 40
+
+const AnalyteTrendChart = ({ reports }) => {
+  const [selectedCode, setSelectedCode] = useState('')
+
+  // Group every lab value by analyte code across all reports
+  const series = {}
+  reports.forEach((report) => {
+    (report.labResults || []).forEach((result) => {
+      if (!result.code) return
+      if (!series[result.code]) {
+        series[result.code] = { name: result.name, unit: result.normalizedUnit, points: [], skipped: [] }
+      }
+      const entry = {
+        date: report.reportDate || report.createdAt,
+        fileName: report.fileName,
+        result
+      }
+      if (result.normalizedValue != null) {
+        series[result.code].unit = series[result.code].unit || result.normalizedUnit
+        series[result.code].points.push(entry)
+      } else {
+        series[result.code].skipped.push(entry)
+      }
+    })
+  })
+
+  const codes = Object.keys(series)
+  if (codes.length === 0) {
+    return null
+  }
+
+  const activeCode = series[selectedCode] ? selectedCode : codes[0]
+  const active = series[activeCode]
+  const points = [...active.points].sort((a, b) => new Date(a.date) - new Date(b.date))
+
+  const values = points.map(p => p.result.normalizedValue)
+  const min = Math.min(...values)
+  const max = Math.max(...values)
+  const range = max - min || 1
+
+  const x = (index) => points.length === 1
+    ? CHART_WIDTH / 2
+    : PADDING + (index * (CHART_WIDTH - PADDING * 2)) / (points.length - 1)
+  const y = (value) => CHART_HEIGHT - PADDING - ((value - min) / range) * (CHART_HEIGHT - PADDING * 2)
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    })
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Lab Value Trends</h3>
+        <select
+          value={activeCode}
+          onChange={(e) => setSelectedCode(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-green-500"
+        >
+          {codes.map((code) => (
+            <option key={code} value={code}>{series[code].name}</option>
+          ))}
+        </select>
+      </div>
+
+      {points.length === 0 ? (
+        <p className="text-sm text-gray-500">No comparable values for {active.name}.</p>
+      ) : (
+        <>
+          <p className="text-xs text-gray-500 mb-2">All values shown in {active.unit}</p>
+          <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-56">
+            <line x1={PADDING} y1={CHART_HEIGHT - PADDING} x2={CHART_WIDTH - PADDING} y2={CHART_HEIGHT - PADDING} stroke="#e5e7eb" />
+            <text x={4} y={y(max) + 4} className="text-xs" fill="#6b7280">{max}</text>
+            <text x={4} y={y(min) + 4} className="text-xs" fill="#6b7280">{min}</text>
+            <polyline
+              fill="none"
+              stroke="#16a34a"
+              strokeWidth="2"
+              points={points.map((p, i) => `${x(i)},${y(p.result.normalizedValue)}`).join(' ')}
+            />
+            {points.map((p, i) => (
+              <g key={i}>
+                <circle
+                  cx={x(i)}
+                  cy={y(p.result.normalizedValue)}
+                  r="5"
+                  fill={p.result.flag ? '#dc2626' : '#16a34a'}
+                >
+                  <title>
+                    {`${formatDate(p.date)}: ${p.result.normalizedValue} ${active.unit}` +
+                      (p.result.unitStatus === 'converted' ? ` (reported as ${p.result.value} ${p.result.unit})` : '')}
+                  </title>
+                </circle>
+                <text x={x(i)} y={CHART_HEIGHT - PADDING + 16} textAnchor="middle" className="text-xs" fill="#6b7280">
+                  {formatDate(p.date)}
+                </text>
+              </g>
+            ))}
+          </svg>
+        </>
+      )}
+
+      {active.skipped.length > 0 && (
+        <div className="mt-3 p-3 bg-yellow-50 text-yellow-800 rounded-lg text-sm">
+          ⚠️ {active.skipped.length} value{active.skipped.length !== 1 ? 's' : ''} not plotted because the unit could not be converted:
+          {' '}
+          {active.skipped.map(s => `${s.result.value} ${s.result.unit || '(no unit)'}`).join(', ')}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AnalyteTrendChart
@@ -0,0 +1,57 @@
+import React from 'react'
+import { UPLOADS_URL } from '../services/api'
+
+// Header details and preview of an uploaded DICOM study
+const DicomStudyCard = ({ dicom }) => {
+  if (!dicom) {
+    return null
+  }
+
+  const formatDate = (date) => date ? new Date(date).toLocaleDateString() : null
+
+  const details = [
+    ['Modality', dicom.modality],
+    ['Body Part', dicom.bodyPart],
+    ['Study', dicom.studyDescription],
+    ['Series', dicom.seriesDescription],
+    ['Study Date', formatDate(dicom.studyDate)],
+    ['Institution', dicom.institution],
+    ['Patient', dicom.patientName],
+    ['Patient ID', dicom.patientId],
+    ['Frames', dicom.frames > 1 ? dicom.frames : null]
+  ].filter(([, value]) => value)
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <h3 className="text-lg font-semibold text-gray-900 mb-4">🩻 Imaging Study</h3>
+      {dicom.patientMatch === 'mismatch' && (
+        <div className="mb-4 p-3 bg-orange-50 border border-orange-200 rounded-lg text-sm text-orange-800">
+          The patient name in this file does not match the account it was uploaded from.
+        </div>
+      )}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <dl className="grid grid-cols-3 gap-x-4 gap-y-2 text-sm">
+          {details.map(([label, value]) => (
+            <React.Fragment key={label}>
+              <dt className="text-gray-500">{label}</dt>
+              <dd className="col-span-2 text-gray-900">{value}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+        {dicom.previewFile ? (
+          <img
+            src={`${UPLOADS_URL}/${dicom.previewFile}`}
+            alt="DICOM preview"
+            className="w-full max-h-96 object-contain bg-black rounded-lg"
+          />
+        ) : (
+          <div className="flex items-center justify-center h-48 bg-gray-50 rounded-lg text-sm text-gray-500">
+            Preview not available for this image encoding
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default DicomStudyCard
@@ -1,10 +1,43 @@
 import React, { useState, useRef } from 'react'
 
-const FileUploader = ({ onFileSelect, uploading, acceptedTypes = '.pdf,.png,.jpg,.jpeg' }) => {
+// With `multiple`, files are collected as ordered pages: new files are appended
+// and the list below the drop zone lets the user reorder or remove them.
+// onFileSelect then receives the full page list instead of a single file.
+const FileUploader = ({ onFileSelect, uploading, acceptedTypes = '.pdf,.png,.jpg,.jpeg,.dcm', multiple = false, maxFiles = 20 }) => {
   const [dragOver, setDragOver] = useState(false)
   const [selectedFile, setSelectedFile] = useState(null)
+  const [pages, setPages] = useState([])
   const fileInputRef = useRef(null)
 
+  const updatePages = (nextPages) => {
+    setPages(nextPages)
+    onFileSelect(nextPages)
+  }
+
+  const selectFiles = (fileList) => {
+    const files = Array.from(fileList || [])
+    if (files.length === 0) return
+
+    if (multiple) {
+      updatePages([...pages, ...files].slice(0, maxFiles))
+    } else {
+      setSelectedFile(files[0])
+      onFileSelect(files[0])
+    }
+  }
+
+  const movePage = (index, direction) => {
+    const target = index + direction
+    if (target < 0 || target >= pages.length) return
+    const nextPages = [...pages]
+    ;[nextPages[index], nextPages[target]] = [nextPages[target], nextPages[index]]
+    updatePages(nextPages)
+  }
+
+  const removePage = (index) => {
+    updatePages(pages.filter((_, i) => i !== index))
+  }
+
   const handleDragOver = (e) => {
     e.preventDefault()
     setDragOver(true)
@@ -18,19 +51,13 @@ const FileUploader = ({ onFileSelect, uploading, acceptedTypes = '.pdf,.png,.jpg
   const handleDrop = (e) => {
     e.preventDefault()
     setDragOver(false)
-    const file = e.dataTransfer.files[0]
-    if (file) {
-      setSelectedFile(file)
-      onFileSelect(file)
-    }
+    selectFiles(e.dataTransfer.files)
   }
 
   const handleFileChange = (e) => {
-    const file = e.target.files[0]
-    if (file) {
-      setSelectedFile(file)
-      onFileSelect(file)
-    }
+    selectFiles(e.target.files)
+    // Allow picking the same file again after removing it
+    e.target.value = ''
   }
 
   const handleClick = () => {
@@ -44,7 +71,7 @@ const FileUploader = ({ onFileSelect, uploading, acceptedTypes = '.pdf,.png,.jpg
   }
 
   return (
-    <div className="w-full">
+    <div className="w-full space-y-3">
       <div
         onClick={handleClick}
         onDragOver={handleDragOver}
@@ -61,6 +88,7 @@ const FileUploader = ({ onFileSelect, uploading, acceptedTypes = '.pdf,.png,.jpg
           ref={fileInputRef}
           onChange={handleFileChange}
           accept={acceptedTypes}
+          multiple={multiple}
           className="hidden"
           disabled={uploading}
         />
@@ -70,6 +98,16 @@ const FileUploader = ({ onFileSelect, uploading, acceptedTypes = '.pdf,.png,.jpg
             <div className="w-12 h-12 border-4 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
             <p className="text-gray-600">Uploading and analyzing...</p>
           </div>
+        ) : multiple && pages.length > 0 ? (
+          <div className="flex flex-col items-center gap-3">
+            <div className="text-4xl">📄</div>
+            <p className="font-medium text-gray-900">
+              {pages.length} {pages.length === 1 ? 'page' : 'pages'} selected
+            </p>
+            <p className="text-sm text-blue-600">
+              {pages.length < maxFiles ? 'Click or drop to add more pages' : `Maximum of ${maxFiles} pages reached`}
+            </p>
+          </div>
         ) : selectedFile ? (
           <div className="flex flex-col items-center gap-3">
             <div className="text-4xl">📄</div>
@@ -83,15 +121,61 @@ const FileUploader = ({ onFileSelect, uploading, acceptedTypes = '.pdf,.png,.jpg
           <div className="flex flex-col items-center gap-3">
             <div className="text-4xl">📁</div>
             <div>
-              <p className="font-medium text-gray-900">Drop your file here</p>
+              <p className="font-medium text-gray-900">
+                {multiple ? 'Drop your files here' : 'Drop your file here'}
+              </p>
               <p className="text-sm text-gray-500">or click to browse</p>
             </div>
-            <p className="text-xs text-gray-400">Supports: PDF, PNG, JPG (Max 10MB)</p>
+            <p className="text-xs text-gray-400">
+              Supports: PDF, PNG, JPG, DICOM (Max 10MB{multiple ? ` each, up to ${maxFiles} pages` : ''})
+            </p>
           </div>
         )}
       </div>
+
+      {/* Page order */}
+      {multiple && pages.length > 0 && (
+        <ul className="border border-gray-200 rounded-lg divide-y divide-gray-100">
+          {pages.map((file, index) => (
+            <li key={`${file.name}-${file.lastModified}-${index}`} className="flex items-center gap-3 px-4 py-2">
+              <span className="text-sm text-gray-500 w-14">Page {index + 1}</span>
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-gray-900 truncate">{file.name}</p>
+                <p className="text-xs text-gray-500">{formatFileSize(file.size)}</p>
+              </div>
+              <button
+                type="button"
+                onClick={() => movePage(index, -1)}
+                disabled={uploading || index === 0}
+                className="px-2 py-1 text-gray-600 hover:text-gray-900 disabled:opacity-30"
+                title="Move up"
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                onClick={() => movePage(index, 1)}
+                disabled={uploading || index === pages.length - 1}
+                className="px-2 py-1 text-gray-600 hover:text-gray-900 disabled:opacity-30"
+                title="Move down"
+              >
+                ↓
+              </button>
+              <button
+                type="button"
+                onClick={() => removePage(index)}
+                disabled={uploading}
+                className="px-2 py-1 text-red-500 hover:text-red-700 disabled:opacity-30"
+                title="Remove page"
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   )
 }
 
-export default FileUploader
\ No newline at end of file
+export default FileUploader
@@ -0,0 +1,45 @@
+import React from 'react'
+import { UPLOADS_URL } from '../services/api'
+
+// Shows an OCR'd page image with a box drawn around the given word region
+const OcrPageHighlight = ({ page, box, label, onClose }) => {
+  if (!page?.imageFile || !page.width || !page.height) {
+    return null
+  }
+
+  const toPercent = (value, total) => `${(value / total) * 100}%`
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 space-y-2">
+      <div className="flex items-center justify-between text-sm">
+        <span className="text-gray-700">
+          {label} • Page {page.page}
+          {box?.confidence != null && ` • OCR confidence ${box.confidence}%`}
+        </span>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700">✕</button>
+      </div>
+      <div className="relative max-h-96 overflow-y-auto">
+        <div className="relative">
+          <img
+            src={`${UPLOADS_URL}/${page.imageFile}`}
+            alt={`Page ${page.page}`}
+            className="w-full"
+          />
+          {box && (
+            <div
+              className="absolute border-2 border-red-500 bg-red-500/20"
+              style={{
+                left: toPercent(box.x0, page.width),
+                top: toPercent(box.y0, page.height),
+                width: toPercent(box.x1 - box.x0, page.width),
+                height: toPercent(box.y1 - box.y0, page.height)
+              }}
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default OcrPageHighlight
@@ -0,0 +1,88 @@
+import React, { useState } from 'react'
+
+const CATEGORY_LABELS = {
+  name: 'Name',
+  dob: 'Date of birth',
+  phone: 'Phone',
+  email: 'Email',
+  address: 'Address',
+  mrn: 'Record number'
+}
+
+// Calls other than the analysis itself
+const PURPOSE_LABELS = {
+  repair: 'repair round',
+  classification: 'report type check',
+  chat: 'chatbot question'
+}
+
+// What was replaced with placeholders each time the report went to an external AI provider
+const RedactionAuditPanel = ({ audits }) => {
+  const [expanded, setExpanded] = useState(false)
+
+  if (!audits || audits.length === 0) {
+    return null
+  }
+
+  const latest = audits[0]
+  const formatDate = (dateString) => new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">🔒 Data sent to AI</h3>
+          <p className={`text-sm mt-1 ${latest.deidentified ? 'text-gray-600' : 'text-orange-700'}`}>
+            {latest.deidentified
+              ? `${latest.entries.length} identifier${latest.entries.length !== 1 ? 's' : ''} replaced before sending to ${latest.provider}`
+              : `Sent to ${latest.provider} without de-identification`}
+          </p>
+        </div>
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="text-sm text-green-600 hover:text-green-700"
+        >
+          {expanded ? 'Hide details' : 'Show details'}
+        </button>
+      </div>
+
+      {expanded && (
+        <div className="mt-4 space-y-4">
+          {audits.map((audit) => (
+            <div key={audit._id} className="text-sm">
+              <p className="text-gray-500 mb-2">
+                {formatDate(audit.createdAt)} • {audit.provider}{audit.model ? ` (${audit.model})` : ''}
+                {audit.analysisVersion ? ` • version ${audit.analysisVersion}` : ''}
+                {PURPOSE_LABELS[audit.purpose] ? ` • ${PURPOSE_LABELS[audit.purpose]}` : ''}
+              </p>
+              {audit.entries.length === 0 ? (
+                <p className="text-gray-600">
+                  {audit.deidentified ? 'No identifiers found in the text.' : 'De-identification was turned off.'}
+                </p>
+              ) : (
+                <table className="w-full">
+                  <tbody>
+                    {audit.entries.map((entry) => (
+                      <tr key={entry.placeholder} className="border-t border-gray-100">
+                        <td className="py-1 pr-4 font-mono text-gray-700">{entry.placeholder}</td>
+                        <td className="py-1 pr-4 text-gray-500">{CATEGORY_LABELS[entry.category] || entry.category}</td>
+                        <td className="py-1 text-gray-900">{entry.original}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RedactionAuditPanel
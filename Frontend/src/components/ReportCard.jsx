@@ -22,7 +22,7 @@ const ReportCard = ({ report, showPatientInfo = false }) => {
           </div>
           <div>
             <h3 className="font-semibold text-gray-900">{report.fileName}</h3>
-            <p className="text-sm text-gray-500">{formatDate(report.createdAt)}</p>
+            <p className="text-sm text-gray-500">{formatDate(report.reportDate || report.createdAt)}</p>
           </div>
         </div>
         <RiskBadge level={report.riskLevel} />
@@ -19,6 +19,9 @@ const Sidebar = () => {
     { path: '/doctor/patients', label: 'Patients', icon: '👥' },
     { path: '/doctor/reports', label: 'All Reports', icon: '📋' },
     { path: '/doctor/alerts', label: 'Alerts', icon: '🚨' },
+    { path: '/doctor/lab-inbox', label: 'Lab Inbox', icon: '📥' },
+    { path: '/doctor/risk-rules', label: 'Risk Rules', icon: '⚖️' },
+    { path: '/doctor/reference-ranges', label: 'Reference Ranges', icon: '📏' },
     { path: '/doctor/timeline', label: 'Timeline', icon: '📈' },
     { path: '/doctor/chat', label: 'Messages', icon: '💬' }
   ]
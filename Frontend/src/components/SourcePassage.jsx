@@ -0,0 +1,45 @@
+import React from 'react'
+
+const CONTEXT_CHARS = 160
+
+// Shows the report text a finding was verified against, highlighted within
+// the surrounding extracted text when that is available
+const SourcePassage = ({ evidence, text, label, onClose }) => {
+  if (!evidence) {
+    return null
+  }
+
+  // Offsets only apply to the text they were computed on (not after an OCR re-run)
+  const inText = text && evidence.start != null && text.slice(evidence.start, evidence.end) === evidence.text
+  const before = inText ? text.slice(Math.max(0, evidence.start - CONTEXT_CHARS), evidence.start) : ''
+  const after = inText ? text.slice(evidence.end, evidence.end + CONTEXT_CHARS) : ''
+
+  return (
+    <div className="border border-gray-200 rounded-lg p-3 space-y-2">
+      <div className="flex items-center justify-between text-sm">
+        <span className="text-gray-700">
+          {label}
+          {evidence.supported && evidence.method === 'lab_result' && ' • Matched by lab value'}
+        </span>
+        <button onClick={onClose} className="text-gray-500 hover:text-gray-700">✕</button>
+      </div>
+      {evidence.text ? (
+        <pre className="text-sm text-gray-700 whitespace-pre-wrap font-mono bg-gray-50 p-3 rounded max-h-64 overflow-y-auto">
+          {before && `${evidence.start > CONTEXT_CHARS ? '…' : ''}${before}`}
+          <mark className={evidence.supported ? 'bg-yellow-200' : 'bg-orange-200'}>{evidence.text}</mark>
+          {after && `${after}${evidence.end + CONTEXT_CHARS < text.length ? '…' : ''}`}
+        </pre>
+      ) : (
+        <p className="text-sm text-orange-700">
+          No passage in the report supports this finding.
+          {evidence.quote && ` The AI cited "${evidence.quote}", which does not appear in the extracted text.`}
+        </p>
+      )}
+      {!evidence.supported && evidence.reason && evidence.text && (
+        <p className="text-sm text-orange-700">{evidence.reason}</p>
+      )}
+    </div>
+  )
+}
+
+export default SourcePassage
@@ -47,7 +47,7 @@ const TimelineGraph = ({ reports }) => {
               <div className="flex-1 bg-gray-50 rounded-lg p-4">
                 <div className="flex items-center justify-between mb-2">
                   <h4 className="font-medium text-gray-900">{report.fileName}</h4>
-                  <span className="text-sm text-gray-500">{formatDate(report.createdAt)}</span>
+                  <span className="text-sm text-gray-500">{formatDate(report.reportDate || report.createdAt)}</span>
                 </div>
                 
                 {report.summary && (
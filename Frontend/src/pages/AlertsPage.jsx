@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useContext } from 'react'
 import { Link } from 'react-router-dom'
 import Layout from '../components/Layout'
+import AlertNotification from '../components/AlertNotification'
 import { AuthContext } from '../context/AuthContext'
 import { reportService } from '../services/reportService'
 import { socketService } from '../services/socketService'
@@ -10,6 +11,11 @@ const AlertsPage = () => {
   const [alerts, setAlerts] = useState([])
   const [loading, setLoading] = useState(true)
   const [filter, setFilter] = useState('all')
+  const [notes, setNotes] = useState({})
+  const [noteFor, setNoteFor] = useState(null)
+  const [busyId, setBusyId] = useState(null)
+  const [error, setError] = useState('')
+  const [urgentAlert, setUrgentAlert] = useState(null)
 
   useEffect(() => {
     fetchAlerts()
@@ -36,16 +42,30 @@ const AlertsPage = () => {
     socketService.connect(token)
     socketService.on('newAlert', (alert) => {
       setAlerts(prev => [alert, ...prev])
+      if (alert.alertType === 'urgent') setUrgentAlert(alert)
     })
   }
 
-  const acknowledgeAlert = async (alertId) => {
+  const acknowledgeAlert = async (alert) => {
+    const note = notes[alert._id]?.trim()
+    // Urgent alerts are acknowledged with a note on the action taken
+    if (alert.alertType === 'urgent' && !note) {
+      setNoteFor(alert._id)
+      return
+    }
+
+    setBusyId(alert._id)
+    setError('')
     try {
-      setAlerts(prev => prev.map(alert => 
-        alert._id === alertId ? { ...alert, acknowledged: true } : alert
+      const response = await reportService.acknowledgeAlert(alert._id, note)
+      setAlerts(prev => prev.map(item =>
+        item._id === alert._id ? { ...item, ...response.alert } : item
       ))
-    } catch (error) {
-      console.error('Failed to acknowledge alert:', error)
+      setNoteFor(null)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to acknowledge alert')
+    } finally {
+      setBusyId(null)
     }
   }
 
@@ -53,6 +73,7 @@ const AlertsPage = () => {
     if (filter === 'all') return true
     if (filter === 'pending') return !alert.acknowledged
     if (filter === 'acknowledged') return alert.acknowledged
+    if (filter === 'urgent') return alert.alertType === 'urgent'
     return alert.severity === filter
   })
 
@@ -66,8 +87,11 @@ const AlertsPage = () => {
     })
   }
 
-  const getSeverityConfig = (severity) => {
-    switch (severity) {
+  const getSeverityConfig = (alert) => {
+    if (alert.alertType === 'urgent') {
+      return { bg: 'bg-red-100', border: 'border-red-700', text: 'text-red-900', badge: 'bg-red-700 text-white', icon: '🚨', label: 'URGENT' }
+    }
+    switch (alert.severity) {
       case 'high':
         return { bg: 'bg-red-50', border: 'border-red-500', text: 'text-red-800', icon: '🚨' }
       case 'medium':
@@ -80,6 +104,7 @@ const AlertsPage = () => {
   const stats = {
     total: alerts.length,
     pending: alerts.filter(a => !a.acknowledged).length,
+    urgent: alerts.filter(a => a.alertType === 'urgent' && !a.acknowledged).length,
     high: alerts.filter(a => a.severity === 'high').length,
     medium: alerts.filter(a => a.severity === 'medium').length
   }
@@ -93,6 +118,21 @@ const AlertsPage = () => {
           <p className="text-gray-600">Monitor and manage patient alerts</p>
         </div>
 
+        {urgentAlert && (
+          <AlertNotification
+            alert={{
+              type: 'urgent',
+              title: `Critical value for ${urgentAlert.patientName}`,
+              message: urgentAlert.message
+            }}
+            onClose={() => setUrgentAlert(null)}
+          />
+        )}
+
+        {error && (
+          <div className="p-4 bg-red-50 text-red-700 rounded-lg text-sm">{error}</div>
+        )}
+
         {/* Stats */}
         <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
           <div className="bg-white rounded-lg p-4 shadow-sm border border-gray-200">
@@ -102,6 +142,9 @@ const AlertsPage = () => {
           <div className="bg-white rounded-lg p-4 shadow-sm border-l-4 border-orange-500">
             <p className="text-sm text-gray-500">Pending</p>
             <p className="text-2xl font-bold text-orange-600">{stats.pending}</p>
+            {stats.urgent > 0 && (
+              <p className="text-xs font-medium text-red-700">{stats.urgent} urgent</p>
+            )}
           </div>
           <div className="bg-white rounded-lg p-4 shadow-sm border-l-4 border-red-500">
             <p className="text-sm text-gray-500">High Severity</p>
@@ -116,7 +159,7 @@ const AlertsPage = () => {
         {/* Filter */}
         <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
           <div className="flex flex-wrap gap-2">
-            {['all', 'pending', 'acknowledged', 'high', 'medium', 'low'].map((f) => (
+            {['all', 'pending', 'urgent', 'acknowledged', 'high', 'medium', 'low'].map((f) => (
               <button
                 key={f}
                 onClick={() => setFilter(f)}
@@ -152,7 +195,7 @@ const AlertsPage = () => {
               </div>
             ) : (
               filteredAlerts.map((alert) => {
-                const config = getSeverityConfig(alert.severity)
+                const config = getSeverityConfig(alert)
                 return (
                   <div
                     key={alert._id}
@@ -165,8 +208,8 @@ const AlertsPage = () => {
                         <span className="text-2xl">{config.icon}</span>
                         <div>
                           <div className="flex items-center gap-2 mb-1">
-                            <span className={`px-2 py-0.5 rounded text-xs font-medium ${config.text} ${config.bg}`}>
-                              {alert.severity?.toUpperCase()}
+                            <span className={`px-2 py-0.5 rounded text-xs font-medium ${config.badge || `${config.text} ${config.bg}`}`}>
+                              {config.label || alert.severity?.toUpperCase()}
                             </span>
                             {alert.acknowledged && (
                               <span className="px-2 py-0.5 bg-green-100 text-green-800 rounded text-xs">
@@ -179,6 +222,31 @@ const AlertsPage = () => {
                             <span>Patient: {alert.patientName}</span>
                             <span>{formatDate(alert.createdAt)}</span>
                           </div>
+                          {alert.acknowledged && alert.acknowledgementNote && (
+                            <p className="mt-2 text-sm text-gray-700">
+                              📝 {alert.acknowledgementNote}
+                              {alert.acknowledgedBy?.name && ` — ${alert.acknowledgedBy.name}`}
+                              {alert.acknowledgedAt && `, ${formatDate(alert.acknowledgedAt)}`}
+                            </p>
+                          )}
+                          {!alert.acknowledged && noteFor === alert._id && (
+                            <div className="mt-3 flex gap-2">
+                              <input
+                                type="text"
+                                value={notes[alert._id] || ''}
+                                onChange={(e) => setNotes(prev => ({ ...prev, [alert._id]: e.target.value }))}
+                                placeholder="Action taken, e.g. patient called and sent to ER"
+                                className="w-96 px-3 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-red-500"
+                                autoFocus
+                              />
+                              <button
+                                onClick={() => setNoteFor(null)}
+                                className="px-3 py-1 bg-white border border-gray-300 text-gray-700 rounded text-sm hover:bg-gray-50"
+                              >
+                                Cancel
+                              </button>
+                            </div>
+                          )}
                         </div>
                       </div>
 
@@ -193,8 +261,9 @@ const AlertsPage = () => {
                         )}
                         {!alert.acknowledged && (
                           <button
-                            onClick={() => acknowledgeAlert(alert._id)}
-                            className="px-3 py-1 bg-green-600 text-white rounded text-sm hover:bg-green-700"
+                            onClick={() => acknowledgeAlert(alert)}
+                            disabled={busyId === alert._id}
+                            className="px-3 py-1 bg-green-600 text-white rounded text-sm hover:bg-green-700 disabled:opacity-50"
                           >
                             Acknowledge
                           </button>
@@ -3,6 +3,7 @@ import { Link } from 'react-router-dom'
 import Layout from '../components/Layout'
 import ReportCard from '../components/ReportCard'
 import RiskBadge from '../components/RiskBadge'
+import AlertNotification from '../components/AlertNotification'
 import { AuthContext } from '../context/AuthContext'
 import { reportService } from '../services/reportService'
 import { socketService } from '../services/socketService'
@@ -13,6 +14,7 @@ const DoctorDashboard = () => {
   const [reports, setReports] = useState([])
   const [patients, setPatients] = useState([])
   const [alerts, setAlerts] = useState([])
+  const [urgentAlert, setUrgentAlert] = useState(null)
   const [loading, setLoading] = useState(true)
   const [stats, setStats] = useState({
     totalPatients: 0,
@@ -93,6 +95,7 @@ const DoctorDashboard = () => {
     socketService.on('newAlert', (alert) => {
       setAlerts(prev => [alert, ...prev])
       setStats(prev => ({ ...prev, pendingAlerts: prev.pendingAlerts + 1 }))
+      if (alert.alertType === 'urgent') setUrgentAlert(alert)
     })
 
     socketService.on('newReport', (report) => {
@@ -101,6 +104,12 @@ const DoctorDashboard = () => {
     })
   }
 
+  // Each patient's latest report with a significantly worsening analyte
+  const worseningReports = reports
+    .filter((report, index) => reports.findIndex(r => r.patient?._id === report.patient?._id) === index)
+    .map(report => ({ report, trends: (report.trends || []).filter(trend => trend.significant) }))
+    .filter(({ trends }) => trends.length > 0)
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       month: 'short',
@@ -113,6 +122,22 @@ const DoctorDashboard = () => {
   return (
     <Layout>
       <div className="space-y-6">
+        {urgentAlert && (
+          <AlertNotification
+            alert={{
+              type: 'urgent',
+              title: `Critical value for ${urgentAlert.patientName}`,
+              message: urgentAlert.message,
+              action: (
+                <Link to="/doctor/alerts" className="text-sm font-medium underline">
+                  Acknowledge in Alerts Center →
+                </Link>
+              )
+            }}
+            onClose={() => setUrgentAlert(null)}
+          />
+        )}
+
         {/* Welcome Header */}
         <div className="bg-gradient-to-r from-green-600 to-green-700 rounded-xl p-6 text-white">
           <div className="flex justify-between items-start">
@@ -194,6 +219,7 @@ const DoctorDashboard = () => {
                   <div
                     key={alert._id || index}
                     className={`p-3 rounded-lg border-l-4 ${
+                      alert.alertType === 'urgent' && !alert.acknowledged ? 'border-red-700 bg-red-100' :
                       alert.severity === 'high' ? 'border-red-500 bg-red-50' :
                       alert.severity === 'medium' ? 'border-yellow-500 bg-yellow-50' :
                       'border-blue-500 bg-blue-50'
@@ -287,6 +313,31 @@ const DoctorDashboard = () => {
           </div>
         </div>
 
+        {/* Worsening Trends */}
+        {worseningReports.length > 0 && (
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+            <div className="p-4 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900">📉 Worsening Trends</h2>
+              <p className="text-sm text-gray-500">Lab values moving away from the normal range since earlier reports</p>
+            </div>
+            <div className="p-4 grid grid-cols-1 md:grid-cols-2 gap-3">
+              {worseningReports.map(({ report, trends }) => (
+                <Link
+                  key={report._id}
+                  to={`/report/${report._id}`}
+                  className="block p-3 bg-red-50 rounded-lg hover:bg-red-100 transition-colors"
+                >
+                  <p className="font-medium text-gray-900">{report.patient?.name}</p>
+                  {trends.map((trend) => (
+                    <p key={trend.code} className="text-sm text-red-700">{trend.direction === 'up' ? '↑' : '↓'} {trend.summary}</p>
+                  ))}
+                  <p className="text-xs text-gray-500 mt-1">{formatDate(report.reportDate || report.createdAt)}</p>
+                </Link>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Quick Actions */}
         <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
           <Link
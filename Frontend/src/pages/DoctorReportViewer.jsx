@@ -1,8 +1,9 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, Fragment } from 'react'
 import { Link } from 'react-router-dom'
 import Layout from '../components/Layout'
 import ReportCard from '../components/ReportCard'
 import RiskBadge from '../components/RiskBadge'
+import SourcePassage from '../components/SourcePassage'
 import { reportService } from '../services/reportService'
 
 const DoctorReportViewer = () => {
@@ -11,6 +12,8 @@ const DoctorReportViewer = () => {
   const [searchTerm, setSearchTerm] = useState('')
   const [filterRisk, setFilterRisk] = useState('all')
   const [filterType, setFilterType] = useState('all')
+  const [expandedReport, setExpandedReport] = useState(null)
+  const [selectedAbnormality, setSelectedAbnormality] = useState(null)
 
   useEffect(() => {
     fetchReports()
@@ -28,6 +31,23 @@ const DoctorReportViewer = () => {
     }
   }
 
+  // Labels for the type detected from the report content (Backend/config/reportTypes.js)
+  const detectedTypeLabels = {
+    cbc: 'Complete Blood Count',
+    lipid_panel: 'Lipid Panel',
+    lft: 'Liver Function Test',
+    kft: 'Kidney Function Test',
+    thyroid: 'Thyroid Profile',
+    hba1c: 'HbA1c / Diabetes',
+    urinalysis: 'Urinalysis',
+    radiology: 'Radiology / Imaging',
+    discharge_summary: 'Discharge Summary',
+    other: 'Other'
+  }
+
+  // Reports processed before classification existed only have the patient's choice
+  const typeOf = (report) => detectedTypeLabels[report.detectedReportType] || report.reportType
+
   const filteredReports = reports.filter(report => {
     const matchesSearch = 
       report.fileName?.toLowerCase().includes(searchTerm.toLowerCase()) ||
@@ -35,12 +55,23 @@ const DoctorReportViewer = () => {
       report.abnormalities?.some(a => a.toLowerCase().includes(searchTerm.toLowerCase()))
 
     const matchesRisk = filterRisk === 'all' || report.riskLevel === filterRisk
-    const matchesType = filterType === 'all' || report.reportType === filterType
+    const matchesType = filterType === 'all' || typeOf(report) === filterType
 
     return matchesSearch && matchesRisk && matchesType
   })
 
-  const reportTypes = [...new Set(reports.map(r => r.reportType).filter(Boolean))]
+  const reportTypes = [...new Set(reports.map(typeOf).filter(Boolean))]
+
+  const abnormalityEvidence = (report, index) =>
+    report.findingEvidence?.find(entry => entry.field === 'abnormalities' && entry.index === index)
+
+  const unsupportedCount = (report) =>
+    report.findingEvidence?.filter(entry => entry.field === 'abnormalities' && !entry.supported).length || 0
+
+  const toggleExpanded = (reportId) => {
+    setExpandedReport(expandedReport === reportId ? null : reportId)
+    setSelectedAbnormality(null)
+  }
 
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
@@ -136,49 +167,125 @@ const DoctorReportViewer = () => {
                 </thead>
                 <tbody>
                   {filteredReports.map((report) => (
-                    <tr key={report._id} className="border-b border-gray-100 hover:bg-gray-50">
-                      <td className="py-3 px-4">
-                        <div className="flex items-center gap-3">
-                          <div className="w-8 h-8 bg-blue-100 rounded-full flex items-center justify-center text-sm">
-                            👤
+                    <Fragment key={report._id}>
+                      <tr className="border-b border-gray-100 hover:bg-gray-50">
+                        <td className="py-3 px-4">
+                          <div className="flex items-center gap-3">
+                            <div className="w-8 h-8 bg-blue-100 rounded-full flex items-center justify-center text-sm">
+                              👤
+                            </div>
+                            <span className="font-medium text-gray-900">
+                              {report.patient?.name || 'Unknown'}
+                            </span>
                           </div>
-                          <span className="font-medium text-gray-900">
-                            {report.patient?.name || 'Unknown'}
-                          </span>
-                        </div>
-                      </td>
-                      <td className="py-3 px-4">
-                        <span className="text-gray-900">{report.fileName}</span>
-                      </td>
-                      <td className="py-3 px-4">
-                        <span className="px-2 py-1 bg-gray-100 text-gray-700 rounded text-xs">
-                          {report.reportType}
-                        </span>
-                      </td>
-                      <td className="py-3 px-4">
-                        <RiskBadge level={report.riskLevel} />
-                      </td>
-                      <td className="py-3 px-4">
-                        {report.abnormalities?.length > 0 ? (
-                          <span className="text-red-600 font-medium">
-                            {report.abnormalities.length} found
+                        </td>
+                        <td className="py-3 px-4">
+                          <span className="text-gray-900">{report.fileName}</span>
+                          {report.possibleDuplicateOf && (
+                            <span className="ml-2 px-2 py-0.5 bg-yellow-100 text-yellow-800 rounded text-xs">
+                              Possible duplicate
+                            </span>
+                          )}
+                          {report.analysisStatus === 'unreliable' && (
+                            <span
+                              className="ml-2 px-2 py-0.5 bg-red-100 text-red-800 rounded text-xs"
+                              title={report.analysisErrors?.join('\n')}
+                            >
+                              AI unreliable
+                            </span>
+                          )}
+                          {report.analysisStatus === 'fallback' && (
+                            <span
+                              className="ml-2 px-2 py-0.5 bg-red-100 text-red-800 rounded text-xs"
+                              title={report.analysisErrors?.join('\n')}
+                            >
+                              No AI analysis
+                            </span>
+                          )}
+                          {report.needsReview && (
+                            <span
+                              className="ml-2 px-2 py-0.5 bg-orange-100 text-orange-800 rounded text-xs"
+                              title={report.reviewReasons?.join('\n')}
+                            >
+                              Needs review
+                            </span>
+                          )}
+                        </td>
+                        <td className="py-3 px-4">
+                          <span className="px-2 py-1 bg-gray-100 text-gray-700 rounded text-xs">
+                            {typeOf(report)}
                           </span>
-                        ) : (
-                          <span className="text-green-600">None</span>
-                        )}
-                      </td>
-                      <td className="py-3 px-4 text-gray-500 text-sm">
-                        {formatDate(report.createdAt)}
-                      </td>
-                      <td className="py-3 px-4">
-                        <Link
-                          to={`/report/${report._id}`}
-                          className="bg-green-600 text-white px-3 py-1 rounded text-sm hover:bg-green-700"
-                        >
-                          View
-                        </Link>
-                      </td>
-                    </tr>
+                          {report.detectedReportType && typeOf(report) !== report.reportType && (
+                            <span className="block text-xs text-gray-400 mt-1">
+                              Patient selected: {report.reportType}
+                            </span>
+                          )}
+                        </td>
+                        <td className="py-3 px-4">
+                          <RiskBadge level={report.riskLevel} />
+                        </td>
+                        <td className="py-3 px-4">
+                          {report.abnormalities?.length > 0 ? (
+                            <button
+                              onClick={() => toggleExpanded(report._id)}
+                              className="text-red-600 font-medium hover:underline text-left"
+                            >
+                              {report.abnormalities.length} found {expandedReport === report._id ? '▴' : '▾'}
+                              {unsupportedCount(report) > 0 && (
+                                <span className="block text-xs text-orange-700 font-normal">
+                                  {unsupportedCount(report)} without supporting text
+                                </span>
+                              )}
+                            </button>
+                          ) : (
+                            <span className="text-green-600">None</span>
+                          )}
+                        </td>
+                        <td className="py-3 px-4 text-gray-500 text-sm">
+                          {formatDate(report.createdAt)}
+                        </td>
+                        <td className="py-3 px-4">
+                          <Link
+                            to={`/report/${report._id}`}
+                            className="bg-green-600 text-white px-3 py-1 rounded text-sm hover:bg-green-700"
+                          >
+                            View
+                          </Link>
+                        </td>
+                      </tr>
+                      {expandedReport === report._id && (
+                        <tr className="border-b border-gray-100 bg-gray-50">
+                          <td colSpan={7} className="py-3 px-4 space-y-2">
+                            {report.abnormalities.map((abnormality, index) => {
+                              const evidence = abnormalityEvidence(report, index)
+                              return (
+                                <button
+                                  key={index}
+                                  onClick={() => evidence && setSelectedAbnormality(selectedAbnormality === index ? null : index)}
+                                  className={`block w-full text-left text-sm px-3 py-2 rounded bg-white border ${
+                                    selectedAbnormality === index ? 'border-green-500' : 'border-gray-200'
+                                  } ${evidence ? 'hover:border-green-400' : 'cursor-default'}`}
+                                >
+                                  <span className="text-red-800">{abnormality}</span>
+                                  {evidence && !evidence.supported && (
+                                    <span className="block text-xs text-orange-700" title={evidence.reason}>
+                                      ⚠️ No supporting text in the report, possibly hallucinated
+                                    </span>
+                                  )}
+                                </button>
+                              )
+                            })}
+                            {selectedAbnormality !== null && (
+                              <SourcePassage
+                                evidence={abnormalityEvidence(report, selectedAbnormality)}
+                                label={report.abnormalities[selectedAbnormality]}
+                                onClose={() => setSelectedAbnormality(null)}
+                              />
+                            )}
+                          </td>
+                        </tr>
+                      )}
+                    </Fragment>
                   ))}
                 </tbody>
               </table>
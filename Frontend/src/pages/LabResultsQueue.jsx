@@ -0,0 +1,240 @@
+import React, { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import Layout from '../components/Layout'
+import api from '../services/api'
+import { integrationService } from '../services/integrationService'
+
+const LabResultsQueue = () => {
+  const [entries, setEntries] = useState([])
+  const [patients, setPatients] = useState([])
+  const [status, setStatus] = useState('pending_review')
+  const [loading, setLoading] = useState(true)
+  const [selection, setSelection] = useState({})
+  const [notes, setNotes] = useState({})
+  const [busyId, setBusyId] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    fetchPatients()
+  }, [])
+
+  useEffect(() => {
+    const fetchQueue = async () => {
+      try {
+        setLoading(true)
+        const response = await integrationService.getReviewQueue(status)
+        setEntries(response.entries || [])
+      } catch (error) {
+        console.error('Failed to fetch review queue:', error)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchQueue()
+  }, [status])
+
+  const fetchPatients = async () => {
+    try {
+      const response = await api.get('/auth/my-patients')
+      setPatients(response.data.patients || [])
+    } catch (error) {
+      console.error('Failed to fetch patients:', error)
+    }
+  }
+
+  const handleAssign = async (entry) => {
+    const patientId = selection[entry._id]
+    if (!patientId) {
+      setError('Select the patient these results belong to')
+      return
+    }
+    setBusyId(entry._id)
+    setError('')
+    try {
+      await integrationService.assignIncomingResult(entry._id, patientId, notes[entry._id])
+      setEntries(prev => prev.filter(item => item._id !== entry._id))
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to assign results')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleReject = async (entry) => {
+    setBusyId(entry._id)
+    setError('')
+    try {
+      await integrationService.rejectIncomingResult(entry._id, notes[entry._id])
+      setEntries(prev => prev.filter(item => item._id !== entry._id))
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to reject results')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const formatDate = (dateString) => {
+    if (!dateString) return '—'
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    })
+  }
+
+  // Suggested patients first, then everyone else assigned to this doctor
+  const patientOptions = (entry) => {
+    const candidateIds = new Set((entry.candidates || []).map(candidate => candidate._id))
+    return [
+      ...(entry.candidates || []).map(candidate => ({ ...candidate, suggested: true })),
+      ...patients.filter(patient => !candidateIds.has(patient._id))
+    ]
+  }
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">📥 Lab Results Inbox</h1>
+          <p className="text-gray-600">Results sent by partner labs that could not be matched to a patient</p>
+        </div>
+
+        {/* Filter */}
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+          <div className="flex flex-wrap gap-2">
+            {[
+              { value: 'pending_review', label: 'Needs review' },
+              { value: 'assigned', label: 'Assigned' },
+              { value: 'rejected', label: 'Rejected' },
+              { value: 'matched', label: 'Matched automatically' }
+            ].map((option) => (
+              <button
+                key={option.value}
+                onClick={() => setStatus(option.value)}
+                className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                  status === option.value
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {error && (
+          <div className="p-4 bg-red-50 text-red-700 rounded-lg text-sm">{error}</div>
+        )}
+
+        {loading ? (
+          <div className="flex items-center justify-center h-64">
+            <div className="w-12 h-12 border-4 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : entries.length === 0 ? (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-12 text-center">
+            <div className="text-4xl mb-3">✅</div>
+            <p className="text-gray-600">Nothing here</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {entries.map((entry) => (
+              <div key={entry._id} className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 space-y-4">
+                <div className="flex flex-wrap items-start justify-between gap-4">
+                  <div>
+                    <h3 className="font-semibold text-gray-900">
+                      {entry.testNames?.join(', ') || 'Lab results'}
+                    </h3>
+                    <p className="text-sm text-gray-500">
+                      {entry.sendingFacility || entry.partner} • {entry.resultCount} results • collected {formatDate(entry.reportDate)}
+                    </p>
+                  </div>
+                  <span className="text-xs text-gray-400">Received {formatDate(entry.createdAt)}</span>
+                </div>
+
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm bg-gray-50 rounded-lg p-4">
+                  <div>
+                    <p className="text-gray-500">Patient</p>
+                    <p className="font-medium text-gray-900">{entry.patientDetails?.name || '—'}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-500">Date of birth</p>
+                    <p className="font-medium text-gray-900">{formatDate(entry.patientDetails?.dateOfBirth)}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-500">Contact</p>
+                    <p className="font-medium text-gray-900">
+                      {entry.patientDetails?.email || entry.patientDetails?.phone || '—'}
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-gray-500">Lab patient ID</p>
+                    <p className="font-medium text-gray-900">
+                      {entry.patientDetails?.identifiers?.map(identifier => identifier.id).join(', ') || '—'}
+                    </p>
+                  </div>
+                </div>
+
+                {entry.status === 'pending_review' ? (
+                  <div className="flex flex-col md:flex-row gap-3">
+                    <select
+                      value={selection[entry._id] || ''}
+                      onChange={(e) => setSelection(prev => ({ ...prev, [entry._id]: e.target.value }))}
+                      className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      disabled={busyId === entry._id}
+                    >
+                      <option value="">Select patient</option>
+                      {patientOptions(entry).map((patient) => (
+                        <option key={patient._id} value={patient._id}>
+                          {patient.suggested ? '★ ' : ''}{patient.name}{patient.email ? ` (${patient.email})` : ''}
+                        </option>
+                      ))}
+                    </select>
+                    <input
+                      type="text"
+                      value={notes[entry._id] || ''}
+                      onChange={(e) => setNotes(prev => ({ ...prev, [entry._id]: e.target.value }))}
+                      placeholder="Note (optional)"
+                      className="flex-1 px-4 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      disabled={busyId === entry._id}
+                    />
+                    <button
+                      onClick={() => handleAssign(entry)}
+                      disabled={busyId === entry._id}
+                      className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      Assign
+                    </button>
+                    <button
+                      onClick={() => handleReject(entry)}
+                      disabled={busyId === entry._id}
+                      className="px-4 py-2 bg-white border border-red-300 text-red-600 rounded-lg text-sm font-medium hover:bg-red-50 disabled:opacity-50"
+                    >
+                      Reject
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex items-center justify-between text-sm text-gray-600">
+                    <span>
+                      {entry.reviewedBy ? `Reviewed by ${entry.reviewedBy.name} on ${formatDate(entry.reviewedAt)}` : 'Matched on arrival'}
+                      {entry.reviewNote && ` — ${entry.reviewNote}`}
+                    </span>
+                    {entry.report && (
+                      <Link to={`/report/${entry.report}`} className="text-blue-600 hover:underline">
+                        View report →
+                      </Link>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </Layout>
+  )
+}
+
+export default LabResultsQueue
@@ -10,7 +10,9 @@ const PatientLogin = () => {
     email: '',
     password: '',
     phone: '',
-    dateOfBirth: ''
+    dateOfBirth: '',
+    sex: '',
+    preferredLanguage: 'eng'
   })
   const [error, setError] = useState('')
   const [loading, setLoading] = useState(false)
@@ -154,6 +156,43 @@ const PatientLogin = () => {
                   className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                 />
               </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Sex
+                </label>
+                <select
+                  name="sex"
+                  value={formData.sex}
+                  onChange={handleChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">Prefer not to say</option>
+                  <option value="female">Female</option>
+                  <option value="male">Male</option>
+                  <option value="other">Other</option>
+                </select>
+                <p className="text-xs text-gray-500 mt-1">Used to pick the right normal ranges for your lab results</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Summary Language
+                </label>
+                <select
+                  name="preferredLanguage"
+                  value={formData.preferredLanguage}
+                  onChange={handleChange}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="eng">English</option>
+                  <option value="hin">Hindi</option>
+                  <option value="mar">Marathi</option>
+                  <option value="kan">Kannada</option>
+                  <option value="tam">Tamil</option>
+                  <option value="tel">Telugu</option>
+                  <option value="ben">Bengali</option>
+                </select>
+                <p className="text-xs text-gray-500 mt-1">Language your report summaries are written in</p>
+              </div>
             </>
           )}
 
@@ -0,0 +1,313 @@
+import React, { useState, useEffect } from 'react'
+import Layout from '../components/Layout'
+import { referenceRangeService } from '../services/referenceRangeService'
+
+const LIMITS = ['low', 'high', 'criticalLow', 'criticalHigh']
+
+const EMPTY_RANGE = { code: '', sex: 'any', minAge: 0, maxAge: 200, low: '', high: '', criticalLow: '', criticalHigh: '', notes: '' }
+
+const SEX_LABELS = { any: 'Any sex', male: 'Male', female: 'Female' }
+
+// "Male, 18-200 y: 3.5 - 5.1 (critical < 2.5 / > 6.5)"
+const describeRange = (range, unit) => {
+  const normal = range.low != null && range.high != null
+    ? `${range.low} - ${range.high}`
+    : range.low != null ? `≥ ${range.low}` : range.high != null ? `≤ ${range.high}` : ''
+  const critical = [
+    range.criticalLow != null && `< ${range.criticalLow}`,
+    range.criticalHigh != null && `> ${range.criticalHigh}`
+  ].filter(Boolean).join(' / ')
+  return [
+    `${SEX_LABELS[range.sex] || SEX_LABELS.any}, ${range.minAge ?? 0}-${range.maxAge ?? 200} y:`,
+    normal,
+    unit,
+    critical && `(critical ${critical})`
+  ].filter(Boolean).join(' ')
+}
+
+const ReferenceRangesPage = () => {
+  const [catalog, setCatalog] = useState([])
+  const [overrides, setOverrides] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [form, setForm] = useState(null)
+  const [editingId, setEditingId] = useState(null)
+  const [busyId, setBusyId] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    fetchRanges()
+  }, [])
+
+  const fetchRanges = async () => {
+    try {
+      setLoading(true)
+      const response = await referenceRangeService.getReferenceRanges()
+      setCatalog(response.catalog || [])
+      setOverrides(response.overrides || [])
+    } catch (error) {
+      console.error('Failed to fetch reference ranges:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleDelete = async (range) => {
+    if (!window.confirm('Remove this clinic range? The default range applies again.')) return
+    setBusyId(range._id)
+    setError('')
+    try {
+      await referenceRangeService.deleteReferenceRange(range._id)
+      setOverrides(prev => prev.filter(item => item._id !== range._id))
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to remove range')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const startEdit = (range) => {
+    setEditingId(range._id)
+    setForm({
+      ...EMPTY_RANGE,
+      ...range,
+      ...Object.fromEntries(LIMITS.map(field => [field, range[field] ?? ''])),
+      notes: range.notes || ''
+    })
+  }
+
+  const startCreate = () => {
+    setEditingId(null)
+    setForm({ ...EMPTY_RANGE, code: catalog[0]?.code || '' })
+  }
+
+  const closeForm = () => {
+    setForm(null)
+    setEditingId(null)
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    // Empty limits are cleared (null); empty critical limits fall back to the default ones
+    const range = {
+      code: form.code,
+      sex: form.sex,
+      minAge: Number(form.minAge),
+      maxAge: Number(form.maxAge),
+      ...Object.fromEntries(LIMITS.map(field => [field, form[field] === '' ? null : Number(form[field])])),
+      notes: form.notes
+    }
+    if (LIMITS.every(field => range[field] === null)) {
+      setError('Enter at least one limit')
+      return
+    }
+
+    setBusyId(editingId || 'new')
+    setError('')
+    try {
+      if (editingId) {
+        const response = await referenceRangeService.updateReferenceRange(editingId, range)
+        setOverrides(prev => prev.map(item => (item._id === editingId ? response.range : item)))
+      } else {
+        const response = await referenceRangeService.createReferenceRange(range)
+        setOverrides(prev => [...prev, response.range])
+      }
+      closeForm()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save range')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const analyteFor = (code) => catalog.find(analyte => analyte.code === code)
+
+  const groups = catalog
+    .map(analyte => ({ ...analyte, overrides: overrides.filter(range => range.code === analyte.code) }))
+    .filter(analyte => analyte.overrides.length > 0)
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500'
+  const formAnalyte = form && analyteFor(form.code)
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex flex-wrap items-start justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">📏 Reference Ranges</h1>
+            <p className="text-gray-600">
+              Your clinic's ranges replace the default ones for your own patients when a report prints no range.
+              Critical limits you leave empty keep the default value.
+            </p>
+          </div>
+          <button
+            onClick={startCreate}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700"
+          >
+            + Add Range
+          </button>
+        </div>
+
+        {error && (
+          <div className="p-4 bg-red-50 text-red-700 rounded-lg text-sm">{error}</div>
+        )}
+
+        {form && (
+          <form onSubmit={handleSave} className="bg-white rounded-xl shadow-sm border border-blue-200 p-6 space-y-4">
+            <h2 className="font-semibold text-gray-900">{editingId ? 'Edit range' : 'New range'}</h2>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div className="md:col-span-2">
+                <label className="block text-sm text-gray-600 mb-1">Analyte</label>
+                <select
+                  value={form.code}
+                  onChange={(e) => setForm(prev => ({ ...prev, code: e.target.value }))}
+                  className={inputClass}
+                >
+                  {catalog.map((analyte) => (
+                    <option key={analyte.code} value={analyte.code}>{analyte.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="md:col-span-2">
+                <label className="block text-sm text-gray-600 mb-1">Sex</label>
+                <select
+                  value={form.sex}
+                  onChange={(e) => setForm(prev => ({ ...prev, sex: e.target.value }))}
+                  className={inputClass}
+                >
+                  {Object.entries(SEX_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm text-gray-600 mb-1">From age (years)</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={form.minAge}
+                  onChange={(e) => setForm(prev => ({ ...prev, minAge: e.target.value }))}
+                  className={inputClass}
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm text-gray-600 mb-1">Below age (years)</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={form.maxAge}
+                  onChange={(e) => setForm(prev => ({ ...prev, maxAge: e.target.value }))}
+                  className={inputClass}
+                  required
+                />
+              </div>
+              <div className="md:col-span-2">
+                <label className="block text-sm text-gray-600 mb-1">Notes</label>
+                <input
+                  type="text"
+                  value={form.notes}
+                  onChange={(e) => setForm(prev => ({ ...prev, notes: e.target.value }))}
+                  placeholder="Optional"
+                  className={inputClass}
+                />
+              </div>
+              {[
+                ['low', 'Low'],
+                ['high', 'High'],
+                ['criticalLow', 'Critical low'],
+                ['criticalHigh', 'Critical high']
+              ].map(([field, label]) => (
+                <div key={field}>
+                  <label className="block text-sm text-gray-600 mb-1">
+                    {label} {formAnalyte?.unit && `(${formAnalyte.unit})`}
+                  </label>
+                  <input
+                    type="number"
+                    step="any"
+                    value={form[field]}
+                    onChange={(e) => setForm(prev => ({ ...prev, [field]: e.target.value }))}
+                    placeholder={field.startsWith('critical') ? 'Default' : 'None'}
+                    className={inputClass}
+                  />
+                </div>
+              ))}
+            </div>
+            {formAnalyte?.ranges.length > 0 && (
+              <div className="text-xs text-gray-500">
+                <p className="font-medium">Default ranges</p>
+                {formAnalyte.ranges.map((range, index) => (
+                  <p key={index}>{describeRange(range, formAnalyte.unit)}</p>
+                ))}
+              </div>
+            )}
+            <div className="flex justify-end gap-3">
+              <button
+                type="button"
+                onClick={closeForm}
+                className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-200"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={busyId === (editingId || 'new')}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+              >
+                Save Range
+              </button>
+            </div>
+          </form>
+        )}
+
+        {loading ? (
+          <div className="flex items-center justify-center h-64">
+            <div className="w-12 h-12 border-4 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : groups.length === 0 ? (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-12 text-center">
+            <div className="text-4xl mb-3">📏</div>
+            <p className="text-gray-600">No clinic ranges yet, the default ranges apply to all your patients</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {groups.map((group) => (
+              <div key={group.code} className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                <div className="px-6 py-3 bg-gray-50 border-b border-gray-200">
+                  <h3 className="font-semibold text-gray-900">{group.name}</h3>
+                </div>
+                <div className="divide-y divide-gray-100">
+                  {group.overrides.map((range) => (
+                    <div key={range._id} className="px-6 py-4 flex flex-wrap items-center justify-between gap-4">
+                      <div>
+                        <p className="font-medium text-gray-900">{describeRange(range, group.unit)}</p>
+                        {range.notes && <p className="text-sm text-gray-500">{range.notes}</p>}
+                      </div>
+                      <div className="flex items-center gap-3">
+                        <button
+                          onClick={() => startEdit(range)}
+                          className="px-3 py-1 text-blue-600 rounded-lg text-sm hover:bg-blue-50"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleDelete(range)}
+                          disabled={busyId === range._id}
+                          className="px-3 py-1 text-red-600 rounded-lg text-sm hover:bg-red-50 disabled:opacity-50"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </Layout>
+  )
+}
+
+export default ReferenceRangesPage
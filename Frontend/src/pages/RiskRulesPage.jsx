@@ -0,0 +1,384 @@
+import React, { useState, useEffect } from 'react'
+import Layout from '../components/Layout'
+import { riskRuleService } from '../services/riskRuleService'
+
+const EMPTY_RULE = { name: '', code: '', operator: '>', threshold: '', flag: 'H', severity: 'high', points: '', notes: '' }
+
+const SEVERITY_STYLES = {
+  critical: 'bg-red-100 text-red-700',
+  high: 'bg-orange-100 text-orange-700',
+  medium: 'bg-yellow-100 text-yellow-700',
+  low: 'bg-green-100 text-green-700'
+}
+
+const RiskRulesPage = () => {
+  const [rules, setRules] = useState([])
+  const [options, setOptions] = useState({ analytes: [], operators: [], severities: [], severityPoints: {}, flags: [] })
+  const [loading, setLoading] = useState(true)
+  const [form, setForm] = useState(null)
+  const [editingId, setEditingId] = useState(null)
+  const [busyId, setBusyId] = useState(null)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    fetchRules()
+  }, [])
+
+  const fetchRules = async () => {
+    try {
+      setLoading(true)
+      const response = await riskRuleService.getRiskRules()
+      setRules(response.rules || [])
+      setOptions({
+        analytes: response.analytes || [],
+        operators: response.operators || [],
+        severities: response.severities || [],
+        severityPoints: response.severityPoints || {},
+        flags: response.flags || []
+      })
+    } catch (error) {
+      console.error('Failed to fetch risk rules:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Editing a built-in rule returns the doctor's own copy, with a new id
+  const replaceRule = (id, rule) => {
+    setRules(prev => prev.map(item => (item._id === id ? { ...item, ...rule, updatedBy: item.updatedBy } : item)))
+  }
+
+  const handleToggle = async (rule) => {
+    setBusyId(rule._id)
+    setError('')
+    try {
+      const response = await riskRuleService.updateRiskRule(rule._id, { enabled: !rule.enabled })
+      replaceRule(rule._id, response.rule)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update rule')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const handleDelete = async (rule) => {
+    const question = rule.overrides ? `Reset rule "${rule.name}" to the default?` : `Delete rule "${rule.name}"?`
+    if (!window.confirm(question)) return
+    setBusyId(rule._id)
+    setError('')
+    try {
+      const response = await riskRuleService.deleteRiskRule(rule._id)
+      if (response.rule) {
+        setRules(prev => prev.map(item => (item._id === rule._id ? response.rule : item)))
+      } else {
+        setRules(prev => prev.filter(item => item._id !== rule._id))
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete rule')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const startEdit = (rule) => {
+    setEditingId(rule._id)
+    setForm({
+      ...EMPTY_RULE,
+      ...rule,
+      threshold: rule.threshold ?? '',
+      points: rule.points ?? '',
+      notes: rule.notes || ''
+    })
+  }
+
+  const startCreate = () => {
+    setEditingId(null)
+    setForm({ ...EMPTY_RULE, code: options.analytes[0]?.code || '' })
+  }
+
+  const closeForm = () => {
+    setForm(null)
+    setEditingId(null)
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    const flagged = form.operator === 'flagged'
+    const rule = {
+      name: form.name.trim(),
+      code: form.code,
+      operator: form.operator,
+      threshold: flagged ? undefined : Number(form.threshold),
+      flag: flagged ? form.flag : undefined,
+      severity: form.severity,
+      points: form.points === '' ? null : Number(form.points),
+      notes: form.notes
+    }
+    if (!flagged && (form.threshold === '' || Number.isNaN(rule.threshold))) {
+      setError('Enter a numeric threshold')
+      return
+    }
+
+    setBusyId(editingId || 'new')
+    setError('')
+    try {
+      if (editingId) {
+        const response = await riskRuleService.updateRiskRule(editingId, rule)
+        replaceRule(editingId, response.rule)
+      } else {
+        const response = await riskRuleService.createRiskRule(rule)
+        setRules(prev => [...prev, response.rule])
+      }
+      closeForm()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save rule')
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  const analyteFor = (code) => options.analytes.find(analyte => analyte.code === code)
+
+  const describeCondition = (rule) => {
+    if (rule.operator === 'flagged') return `flagged ${rule.flag}`
+    return `${rule.operator} ${rule.threshold} ${analyteFor(rule.code)?.unit || ''}`.trim()
+  }
+
+  // Analyte-specific rules first, then the '*' rules that apply to every analyte
+  const groups = rules.reduce((acc, rule) => {
+    const label = rule.code === '*' ? 'Any analyte' : analyteFor(rule.code)?.name || rule.code
+    const group = acc.find(item => item.label === label)
+    if (group) group.rules.push(rule)
+    else acc.push({ label, any: rule.code === '*', rules: [rule] })
+    return acc
+  }, []).sort((a, b) => a.any - b.any)
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500'
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex flex-wrap items-start justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">⚖️ Risk Rules</h1>
+            <p className="text-gray-600">
+              Thresholds that set a report's risk score alongside the AI assessment. Rules can raise the risk, never lower it.
+              Your rules and changes to built-in rules apply to your own patients.
+            </p>
+          </div>
+          <button
+            onClick={startCreate}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700"
+          >
+            + Add Rule
+          </button>
+        </div>
+
+        {error && (
+          <div className="p-4 bg-red-50 text-red-700 rounded-lg text-sm">{error}</div>
+        )}
+
+        {form && (
+          <form onSubmit={handleSave} className="bg-white rounded-xl shadow-sm border border-blue-200 p-6 space-y-4">
+            <h2 className="font-semibold text-gray-900">{editingId ? 'Edit rule' : 'New rule'}</h2>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="md:col-span-3">
+                <label className="block text-sm text-gray-600 mb-1">Name</label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                  placeholder="e.g. Severe hyperkalemia"
+                  className={inputClass}
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm text-gray-600 mb-1">Analyte</label>
+                <select
+                  value={form.code}
+                  onChange={(e) => setForm(prev => ({ ...prev, code: e.target.value }))}
+                  className={inputClass}
+                  disabled={Boolean(form.key)}
+                >
+                  <option value="*">Any analyte</option>
+                  {options.analytes.map((analyte) => (
+                    <option key={analyte.code} value={analyte.code}>{analyte.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm text-gray-600 mb-1">Condition</label>
+                <select
+                  value={form.operator}
+                  onChange={(e) => setForm(prev => ({ ...prev, operator: e.target.value }))}
+                  className={inputClass}
+                >
+                  {options.operators.map((operator) => (
+                    <option key={operator} value={operator}>{operator === 'flagged' ? 'flagged as' : operator}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                {form.operator === 'flagged' ? (
+                  <>
+                    <label className="block text-sm text-gray-600 mb-1">Flag</label>
+                    <select
+                      value={form.flag}
+                      onChange={(e) => setForm(prev => ({ ...prev, flag: e.target.value }))}
+                      className={inputClass}
+                    >
+                      {options.flags.map((flag) => (
+                        <option key={flag} value={flag}>{flag}</option>
+                      ))}
+                    </select>
+                  </>
+                ) : (
+                  <>
+                    <label className="block text-sm text-gray-600 mb-1">
+                      Threshold {analyteFor(form.code)?.unit && `(${analyteFor(form.code).unit})`}
+                    </label>
+                    <input
+                      type="number"
+                      step="any"
+                      value={form.threshold}
+                      onChange={(e) => setForm(prev => ({ ...prev, threshold: e.target.value }))}
+                      className={inputClass}
+                    />
+                  </>
+                )}
+              </div>
+              <div>
+                <label className="block text-sm text-gray-600 mb-1">Severity</label>
+                <select
+                  value={form.severity}
+                  onChange={(e) => setForm(prev => ({ ...prev, severity: e.target.value }))}
+                  className={inputClass}
+                >
+                  {options.severities.map((severity) => (
+                    <option key={severity} value={severity}>{severity}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm text-gray-600 mb-1">Points</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={form.points}
+                  onChange={(e) => setForm(prev => ({ ...prev, points: e.target.value }))}
+                  placeholder={`Default ${options.severityPoints[form.severity] ?? ''}`}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm text-gray-600 mb-1">Notes</label>
+                <input
+                  type="text"
+                  value={form.notes}
+                  onChange={(e) => setForm(prev => ({ ...prev, notes: e.target.value }))}
+                  placeholder="Optional"
+                  className={inputClass}
+                />
+              </div>
+            </div>
+            <div className="flex justify-end gap-3">
+              <button
+                type="button"
+                onClick={closeForm}
+                className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-200"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={busyId === (editingId || 'new')}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+              >
+                Save Rule
+              </button>
+            </div>
+          </form>
+        )}
+
+        {loading ? (
+          <div className="flex items-center justify-center h-64">
+            <div className="w-12 h-12 border-4 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : groups.length === 0 ? (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-12 text-center">
+            <div className="text-4xl mb-3">⚖️</div>
+            <p className="text-gray-600">No risk rules yet</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {groups.map((group) => (
+              <div key={group.label} className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+                <div className="px-6 py-3 bg-gray-50 border-b border-gray-200">
+                  <h3 className="font-semibold text-gray-900">{group.label}</h3>
+                </div>
+                <div className="divide-y divide-gray-100">
+                  {group.rules.map((rule) => (
+                    <div
+                      key={rule._id}
+                      className={`px-6 py-4 flex flex-wrap items-center justify-between gap-4 ${rule.enabled ? '' : 'opacity-50'}`}
+                    >
+                      <div>
+                        <p className="font-medium text-gray-900">
+                          {rule.name}
+                          {rule.key && <span className="ml-2 text-xs text-gray-400">built-in</span>}
+                          {rule.overrides && <span className="ml-2 text-xs text-gray-400">built-in, customized</span>}
+                        </p>
+                        <p className="text-sm text-gray-500">
+                          {describeCondition(rule)}
+                          {rule.notes && ` — ${rule.notes}`}
+                        </p>
+                        {rule.updatedBy?.name && (
+                          <p className="text-xs text-gray-400">Last changed by {rule.updatedBy.name}</p>
+                        )}
+                      </div>
+                      <div className="flex items-center gap-3">
+                        <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${SEVERITY_STYLES[rule.severity]}`}>
+                          {rule.severity}
+                        </span>
+                        <span className="text-sm text-gray-600 w-16 text-right">
+                          +{rule.points ?? options.severityPoints[rule.severity]} pts
+                        </span>
+                        <button
+                          onClick={() => handleToggle(rule)}
+                          disabled={busyId === rule._id}
+                          className="px-3 py-1 bg-gray-100 text-gray-700 rounded-lg text-sm hover:bg-gray-200 disabled:opacity-50"
+                        >
+                          {rule.enabled ? 'Disable' : 'Enable'}
+                        </button>
+                        <button
+                          onClick={() => startEdit(rule)}
+                          className="px-3 py-1 text-blue-600 rounded-lg text-sm hover:bg-blue-50"
+                        >
+                          Edit
+                        </button>
+                        {!rule.key && (
+                          <button
+                            onClick={() => handleDelete(rule)}
+                            disabled={busyId === rule._id}
+                            className="px-3 py-1 text-red-600 rounded-lg text-sm hover:bg-red-50 disabled:opacity-50"
+                          >
+                            {rule.overrides ? 'Reset to default' : 'Delete'}
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </Layout>
+  )
+}
+
+export default RiskRulesPage
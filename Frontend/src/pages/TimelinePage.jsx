@@ -1,8 +1,10 @@
 import React, { useState, useEffect } from 'react'
 import Layout from '../components/Layout'
 import TimelineGraph from '../components/TimelineGraph'
+import AnalyteTrendChart from '../components/AnalyteTrendChart'
 import RiskBadge from '../components/RiskBadge'
 import { reportService } from '../services/reportService'
+import { exportService } from '../services/exportService'
 
 const TimelinePage = () => {
   const [reports, setReports] = useState([])
@@ -38,7 +40,7 @@ const TimelinePage = () => {
     : reports
 
   const sortedReports = [...filteredReports].sort(
-    (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
+    (a, b) => new Date(b.reportDate || b.createdAt) - new Date(a.reportDate || a.createdAt)
   )
 
   const getRiskTrend = () => {
@@ -63,6 +65,20 @@ const TimelinePage = () => {
             <h1 className="text-2xl font-bold text-gray-900">📈 Patient Timeline</h1>
             <p className="text-gray-600">Track patient health progression over time</p>
           </div>
+          {selectedPatient && (
+            <div className="flex items-center gap-2">
+              {['csv', 'xlsx'].map((format) => (
+                <button
+                  key={format}
+                  onClick={() => exportService.downloadLabValues(selectedPatient._id, format)
+                    .catch(error => console.error('Lab value export failed:', error))}
+                  className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  Export {format.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          )}
         </div>
 
         {/* Patient Selector */}
@@ -133,6 +149,11 @@ const TimelinePage = () => {
           <TimelineGraph reports={sortedReports} />
         )}
 
+        {/* Lab value trends (only meaningful for a single patient) */}
+        {selectedPatient && sortedReports.length > 0 && (
+          <AnalyteTrendChart reports={sortedReports} />
+        )}
+
         {/* Risk Distribution */}
         {sortedReports.length > 0 && (
           <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
@@ -3,17 +3,24 @@ import { useNavigate } from 'react-router-dom'
 import Layout from '../components/Layout'
 import FileUploader from '../components/FileUploader'
 import { ReportContext } from '../context/ReportContext'
+import { AuthContext } from '../context/AuthContext'
 import { reportService } from '../services/reportService'
+import { authService } from '../services/authService'
 
 const UploadReports = () => {
-  const [selectedFile, setSelectedFile] = useState(null)
+  const [selectedFiles, setSelectedFiles] = useState([])
   const [reportType, setReportType] = useState('')
   const [notes, setNotes] = useState('')
+  const [language, setLanguage] = useState('auto')
   const [uploading, setUploading] = useState(false)
   const [error, setError] = useState('')
   const [success, setSuccess] = useState(false)
+  const [duplicateMessage, setDuplicateMessage] = useState('')
+  const [warning, setWarning] = useState('')
   
   const { addReport } = useContext(ReportContext)
+  const { user, token, login } = useContext(AuthContext)
+  const [summaryLanguage, setSummaryLanguage] = useState(user?.preferredLanguage || 'eng')
   const navigate = useNavigate()
 
   const reportTypes = [
@@ -31,15 +38,25 @@ const UploadReports = () => {
     'Other'
   ]
 
-  const handleFileSelect = (file) => {
-    setSelectedFile(file)
+  const languages = [
+    { code: 'eng', name: 'English' },
+    { code: 'hin', name: 'Hindi' },
+    { code: 'mar', name: 'Marathi' },
+    { code: 'kan', name: 'Kannada' },
+    { code: 'tam', name: 'Tamil' },
+    { code: 'tel', name: 'Telugu' },
+    { code: 'ben', name: 'Bengali' }
+  ]
+
+  const handleFileSelect = (files) => {
+    setSelectedFiles(files)
     setError('')
   }
 
   const handleSubmit = async (e) => {
     e.preventDefault()
     
-    if (!selectedFile) {
+    if (selectedFiles.length === 0) {
       setError('Please select a file to upload')
       return
     }
@@ -54,18 +71,36 @@ const UploadReports = () => {
 
     try {
       const formData = new FormData()
-      formData.append('file', selectedFile)
+      // Several files are uploaded as the pages of one report, in the chosen order
+      selectedFiles.forEach((file) => {
+        formData.append(selectedFiles.length > 1 ? 'files' : 'file', file)
+      })
       formData.append('reportType', reportType)
       formData.append('notes', notes)
+      formData.append('language', language)
 
-      const response = await reportService.uploadReport(formData)
-      
-      addReport(response.report)
+      // The summary language is a patient preference, save it before analysis starts
+      if (summaryLanguage !== (user?.preferredLanguage || 'eng')) {
+        await authService.updatePreferences({ preferredLanguage: summaryLanguage })
+        login({ ...user, preferredLanguage: summaryLanguage }, token)
+      }
+
+      const response = selectedFiles.length > 1
+        ? await reportService.uploadReportBatch(formData)
+        : await reportService.uploadReport(formData)
+
+      // Same file as an earlier upload: the server links to that report instead
+      if (response.duplicate) {
+        setDuplicateMessage(response.message)
+      } else {
+        addReport(response.report)
+        setWarning(response.warning || '')
+      }
       setSuccess(true)
       
       setTimeout(() => {
         navigate(`/report/${response.report._id}`)
-      }, 2000)
+      }, response.warning ? 5000 : 2000)
     } catch (err) {
       setError(err.response?.data?.message || 'Failed to upload report. Please try again.')
     } finally {
@@ -87,9 +122,21 @@ const UploadReports = () => {
 
           {success ? (
             <div className="text-center py-8">
-              <div className="text-6xl mb-4">✅</div>
-              <h2 className="text-xl font-bold text-green-600 mb-2">Upload Successful!</h2>
-              <p className="text-gray-600 mb-4">Your report is being analyzed by AI...</p>
+              <div className="text-6xl mb-4">{duplicateMessage ? '📑' : '✅'}</div>
+              {duplicateMessage ? (
+                <>
+                  <h2 className="text-xl font-bold text-yellow-600 mb-2">Already Uploaded</h2>
+                  <p className="text-gray-600 mb-4">{duplicateMessage}. Opening the existing report...</p>
+                </>
+              ) : (
+                <>
+                  <h2 className="text-xl font-bold text-green-600 mb-2">Upload Successful!</h2>
+                  <p className="text-gray-600 mb-4">Your report is being analyzed by AI...</p>
+                  {warning && (
+                    <p className="text-sm text-orange-700 bg-orange-50 rounded-lg p-3 mb-4">⚠️ {warning}</p>
+                  )}
+                </>
+              )}
               <div className="w-12 h-12 border-4 border-blue-600 border-t-transparent rounded-full animate-spin mx-auto"></div>
             </div>
           ) : (
@@ -105,10 +152,14 @@ const UploadReports = () => {
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Upload File *
                 </label>
+                <p className="text-xs text-gray-500 mb-2">
+                  Photographed a report page by page? Add all pages and put them in order, they will be analyzed as one report.
+                </p>
                 <FileUploader
                   onFileSelect={handleFileSelect}
                   uploading={uploading}
-                  acceptedTypes=".pdf,.png,.jpg,.jpeg"
+                  acceptedTypes=".pdf,.png,.jpg,.jpeg,.dcm,.dicom"
+                  multiple
                 />
               </div>
 
@@ -130,6 +181,41 @@ const UploadReports = () => {
                 </select>
               </div>
 
+              {/* Languages */}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Report Language
+                  </label>
+                  <select
+                    value={language}
+                    onChange={(e) => setLanguage(e.target.value)}
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    disabled={uploading}
+                  >
+                    <option value="auto">Detect automatically</option>
+                    {languages.map((lang) => (
+                      <option key={lang.code} value={lang.code}>{lang.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Summary Language
+                  </label>
+                  <select
+                    value={summaryLanguage}
+                    onChange={(e) => setSummaryLanguage(e.target.value)}
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    disabled={uploading}
+                  >
+                    {languages.map((lang) => (
+                      <option key={lang.code} value={lang.code}>{lang.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
               {/* Notes */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -160,7 +246,7 @@ const UploadReports = () => {
               {/* Submit Button */}
               <button
                 type="submit"
-                disabled={uploading || !selectedFile}
+                disabled={uploading || selectedFiles.length === 0}
                 className="w-full bg-blue-600 text-white py-3 rounded-lg font-medium hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
               >
                 {uploading ? (
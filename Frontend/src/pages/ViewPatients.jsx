@@ -3,6 +3,8 @@ import { Link } from 'react-router-dom'
 import Layout from '../components/Layout'
 import { AuthContext } from '../context/AuthContext'
 import api from '../services/api'
+import { exportService } from '../services/exportService'
+import { reportService } from '../services/reportService'
 
 const ViewPatients = () => {
   const { user } = useContext(AuthContext)
@@ -12,6 +14,8 @@ const ViewPatients = () => {
   const [patientReports, setPatientReports] = useState([])
   const [loadingReports, setLoadingReports] = useState(false)
   const [searchTerm, setSearchTerm] = useState('')
+  const [importing, setImporting] = useState(false)
+  const [importResult, setImportResult] = useState(null)
 
   useEffect(() => {
     fetchPatients()
@@ -29,11 +33,16 @@ const ViewPatients = () => {
     }
   }
 
-  const handleSelectPatient = async (patient) => {
+  const handleSelectPatient = (patient) => {
     setSelectedPatient(patient)
+    setImportResult(null)
+    fetchPatientReports(patient._id)
+  }
+
+  const fetchPatientReports = async (patientId) => {
     setLoadingReports(true)
     try {
-      const response = await api.get(`/reports/patient/${patient._id}`)
+      const response = await api.get(`/reports/patient/${patientId}`)
       setPatientReports(response.data.reports || [])
     } catch (error) {
       console.error('Failed to fetch patient reports:', error)
@@ -43,6 +52,42 @@ const ViewPatients = () => {
     }
   }
 
+  const handleImportFhir = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    setImporting(true)
+    setImportResult(null)
+    try {
+      const bundle = JSON.parse(await file.text())
+      let result
+      try {
+        result = await reportService.importFhirBundle(selectedPatient._id, bundle)
+      } catch (error) {
+        // The Bundle's patient differs in birth date or name; import only if the doctor confirms
+        const mismatch = error.response?.data
+        if (!mismatch?.patientMismatch) throw error
+        const differences = mismatch.issues.filter(issue => issue.resource?.startsWith('Patient/')).map(issue => issue.message)
+        if (!window.confirm(`${differences.join('\n')}\n\nImport these results into ${selectedPatient.name}'s record anyway?`)) throw error
+        result = await reportService.importFhirBundle(selectedPatient._id, bundle, true)
+      }
+      setImportResult(result)
+      fetchPatientReports(selectedPatient._id)
+    } catch (error) {
+      setImportResult({
+        success: false,
+        message: error instanceof SyntaxError
+          ? 'This file is not valid JSON'
+          : error.response?.data?.message || 'Import failed',
+        error: error.response?.data?.error,
+        issues: error.response?.data?.issues || []
+      })
+    } finally {
+      setImporting(false)
+    }
+  }
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -152,14 +197,64 @@ const ViewPatients = () => {
                         )}
                       </div>
                     </div>
-                    <Link
-                      to={`/doctor/chat?patient=${selectedPatient._id}`}
-                      className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors flex items-center gap-2"
-                    >
-                      💬 Chat
-                    </Link>
+                    <div className="flex items-center gap-2">
+                      <button
+                        onClick={() => exportService.downloadFhirPatientBundle(selectedPatient._id)
+                          .catch(error => console.error('FHIR export failed:', error))}
+                        className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors"
+                      >
+                        Export FHIR
+                      </button>
+                      <select
+                        value=""
+                        onChange={(e) => exportService.downloadLabValues(selectedPatient._id, e.target.value)
+                          .catch(error => console.error('Lab value export failed:', error))}
+                        className="bg-white border border-gray-300 text-gray-700 px-3 py-2 rounded-lg hover:bg-gray-50 transition-colors"
+                      >
+                        <option value="" disabled>Export Lab Values</option>
+                        <option value="csv">CSV</option>
+                        <option value="xlsx">Excel (XLSX)</option>
+                      </select>
+                      <label className={`bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors ${importing ? 'opacity-50 cursor-wait' : 'cursor-pointer'}`}>
+                        {importing ? 'Importing...' : 'Import FHIR'}
+                        <input
+                          type="file"
+                          accept=".json,application/json,application/fhir+json"
+                          onChange={handleImportFhir}
+                          disabled={importing}
+                          className="hidden"
+                        />
+                      </label>
+                      <Link
+                        to={`/doctor/chat?patient=${selectedPatient._id}`}
+                        className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors flex items-center gap-2"
+                      >
+                        💬 Chat
+                      </Link>
+                    </div>
                   </div>
                   
+                  {importResult && (
+                    <div className={`mt-4 p-3 rounded-lg border text-sm ${importResult.success ? 'bg-green-50 border-green-200 text-green-800' : 'bg-red-50 border-red-200 text-red-700'}`}>
+                      <div className="flex items-start justify-between gap-2">
+                        <p className="font-medium">
+                          {importResult.message}
+                          {importResult.error && <span className="font-normal"> — {importResult.error}</span>}
+                        </p>
+                        <button onClick={() => setImportResult(null)} className="text-gray-400 hover:text-gray-600">✕</button>
+                      </div>
+                      {importResult.issues?.length > 0 && (
+                        <ul className="mt-2 space-y-1 max-h-40 overflow-y-auto">
+                          {importResult.issues.map((issue, index) => (
+                            <li key={index} className={issue.severity === 'error' ? 'text-red-700' : 'text-yellow-700'}>
+                              {issue.severity === 'error' ? '✕' : '⚠️'} {issue.resource || `Entry ${issue.entry + 1}`}: {issue.message}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  )}
+
                   <div className="grid grid-cols-3 gap-4 mt-6 pt-4 border-t border-gray-200">
                     <div className="text-center">
                       <p className="text-2xl font-bold text-gray-900">{patientReports.length}</p>
@@ -212,7 +307,9 @@ const ViewPatients = () => {
                                   <p className="font-medium text-gray-900">{report.fileName || report.reportType}</p>
                                 </div>
                                 <p className="text-sm text-gray-500 mt-1">
-                                  {report.reportType} • Uploaded {formatDate(report.createdAt)}
+                                  {report.reportType} • {report.source === 'upload' || !report.reportDate
+                                    ? `Uploaded ${formatDate(report.createdAt)}`
+                                    : `Collected ${formatDate(report.reportDate)}`}
                                 </p>
                                 {report.analysis?.summary && (
                                   <p className="text-xs text-gray-400 mt-2 line-clamp-2">
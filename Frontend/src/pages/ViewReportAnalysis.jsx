@@ -1,16 +1,33 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useContext } from 'react'
 import { useParams, Link } from 'react-router-dom'
 import Layout from '../components/Layout'
 import RiskBadge from '../components/RiskBadge'
 import ChatbotWidget from '../components/ChatbotWidget'
+import AnalysisVersionPanel from '../components/AnalysisVersionPanel'
+import OcrPageHighlight from '../components/OcrPageHighlight'
+import DicomStudyCard from '../components/DicomStudyCard'
+import RedactionAuditPanel from '../components/RedactionAuditPanel'
+import SourcePassage from '../components/SourcePassage'
+import { AuthContext } from '../context/AuthContext'
 import { reportService } from '../services/reportService'
+import { exportService } from '../services/exportService'
 
 const ViewReportAnalysis = () => {
   const { reportId } = useParams()
+  const { user } = useContext(AuthContext)
   const [report, setReport] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState('')
   const [activeTab, setActiveTab] = useState('summary')
+  const [jobs, setJobs] = useState([])
+  const [versions, setVersions] = useState([])
+  const [selectedVersion, setSelectedVersion] = useState(null)
+  const [rerunOcr, setRerunOcr] = useState(false)
+  const [reanalyzing, setReanalyzing] = useState(false)
+  const [reanalyzeError, setReanalyzeError] = useState('')
+  const [highlight, setHighlight] = useState(null)
+  const [selectedFinding, setSelectedFinding] = useState(null)
+  const [redactions, setRedactions] = useState([])
 
   useEffect(() => {
     fetchReport()
@@ -21,6 +38,21 @@ const ViewReportAnalysis = () => {
       setLoading(true)
       const response = await reportService.getReportById(reportId)
       setReport(response.report)
+
+      // Show background job progress until analysis is done
+      if (response.report?.status !== 'completed') {
+        const jobResponse = await reportService.getReportJobs(reportId)
+        setJobs(jobResponse.jobs || [])
+      }
+
+      const versionResponse = await reportService.getReportAnalyses(reportId)
+      setVersions(versionResponse.versions || [])
+      setSelectedVersion(null)
+
+      if (user?.userType === 'doctor') {
+        const redactionResponse = await reportService.getReportRedactions(reportId)
+        setRedactions(redactionResponse.audits || [])
+      }
     } catch (err) {
       setError('Failed to load report')
     } finally {
@@ -28,6 +60,35 @@ const ViewReportAnalysis = () => {
     }
   }
 
+  const handleExportFhir = async () => {
+    try {
+      await exportService.downloadFhirReport(reportId)
+    } catch (err) {
+      console.error('FHIR export failed:', err)
+    }
+  }
+
+  const handleDownloadPdf = async () => {
+    try {
+      await exportService.downloadReportPdf(reportId)
+    } catch (err) {
+      console.error('PDF download failed:', err)
+    }
+  }
+
+  const handleReanalyze = async () => {
+    try {
+      setReanalyzing(true)
+      setReanalyzeError('')
+      await reportService.reanalyzeReport(reportId, { rerunOcr })
+      await fetchReport()
+    } catch (err) {
+      setReanalyzeError(err.response?.data?.message || 'Failed to start re-analysis')
+    } finally {
+      setReanalyzing(false)
+    }
+  }
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -63,6 +124,69 @@ const ViewReportAnalysis = () => {
     )
   }
 
+  // Older versions are shown in place of the report's current analysis
+  const analysis = versions.find(v => v.version === selectedVersion) || report
+
+  const evidenceFor = (field, index) =>
+    analysis.findingEvidence?.find(entry => entry.field === field && entry.index === index)
+
+  const toggleFinding = (field, index, label) => {
+    const isSelected = selectedFinding?.field === field && selectedFinding.index === index
+    setSelectedFinding(isSelected ? null : { field, index, label })
+  }
+
+  // Source passage of the clicked finding, and its place on the page image for OCR'd reports
+  const renderSelectedFinding = (field) => {
+    if (selectedFinding?.field !== field) return null
+    const evidence = evidenceFor(field, selectedFinding.index)
+
+    return (
+      <div className="space-y-3">
+        <SourcePassage
+          evidence={evidence}
+          text={report.extractedText}
+          label={selectedFinding.label}
+          onClose={() => setSelectedFinding(null)}
+        />
+        {evidence?.ocrBox && (
+          <OcrPageHighlight
+            page={report.ocrPages?.find(p => p.page === evidence.ocrBox.page)}
+            box={evidence.ocrBox}
+            label={selectedFinding.label}
+            onClose={() => setSelectedFinding(null)}
+          />
+        )}
+      </div>
+    )
+  }
+
+  // Trends are computed per report run, against the patient's earlier reports
+  const trendFor = (code) => report.trends?.find(trend => trend.code === code)
+  const worseningTrends = (report.trends || []).filter(trend => trend.significant)
+
+  const renderTrend = (trend) => {
+    if (!trend) return <span className="text-gray-400 text-xs">—</span>
+    const color = trend.assessment === 'worsening' ? 'text-red-600' :
+      trend.assessment === 'improving' ? 'text-green-600' :
+      'text-gray-500'
+    const arrow = trend.direction === 'up' ? '↑' : trend.direction === 'down' ? '↓' : '→'
+
+    return (
+      <span
+        className={`text-xs ${color}`}
+        title={`Previous: ${trend.previousValue} ${trend.unit || ''} on ${new Date(trend.previousDate).toLocaleDateString()}`}
+      >
+        {arrow} {trend.summary}
+      </span>
+    )
+  }
+
+  const unsupportedNote = (evidence) => evidence && !evidence.supported && (
+    <span className="block text-xs text-orange-700 font-normal mt-1" title={evidence.reason}>
+      ⚠️ No supporting text in the report, possibly hallucinated
+    </span>
+  )
+
   return (
     <Layout>
       <div className="max-w-4xl mx-auto space-y-6">
@@ -75,18 +199,137 @@ const ViewReportAnalysis = () => {
               </div>
               <div>
                 <h1 className="text-xl font-bold text-gray-900">{report.fileName}</h1>
-                <p className="text-sm text-gray-500">{report.reportType} • {formatDate(report.createdAt)}</p>
+                <p className="text-sm text-gray-500">
+                  {report.reportType} • {formatDate(report.reportDate || report.createdAt)}
+                  {report.pages?.length > 1 && ` • ${report.pages.length} pages`}
+                </p>
               </div>
             </div>
-            <RiskBadge level={report.riskLevel} />
+            <div className="flex flex-col items-end gap-2">
+              <RiskBadge level={analysis.riskLevel} />
+              <button
+                onClick={handleExportFhir}
+                className="px-3 py-1 bg-white border border-gray-300 text-gray-700 rounded text-sm hover:bg-gray-50"
+              >
+                Export FHIR
+              </button>
+              {report.status === 'completed' && (
+                <button
+                  onClick={handleDownloadPdf}
+                  className="px-3 py-1 bg-white border border-gray-300 text-gray-700 rounded text-sm hover:bg-gray-50"
+                >
+                  Download PDF
+                </button>
+              )}
+            </div>
           </div>
         </div>
 
+        {/* Processing Status */}
+        {report.status !== 'completed' && (
+          <div className={`rounded-xl border p-4 flex items-start justify-between ${
+            report.status === 'failed' ? 'bg-red-50 border-red-200' : 'bg-blue-50 border-blue-200'
+          }`}>
+            <div>
+              {report.status === 'failed' ? (
+                <>
+                  <p className="font-medium text-red-800">❌ Processing failed</p>
+                  {report.processingError && (
+                    <p className="text-sm text-red-700 mt-1">{report.processingError}</p>
+                  )}
+                </>
+              ) : (
+                <>
+                  <p className="font-medium text-blue-800">
+                    ⏳ {report.currentAnalysisVersion ? 'Re-analysis in progress, showing the previous analysis...' : 'Your report is being analyzed...'}
+                  </p>
+                  {jobs[0] && (
+                    <p className="text-sm text-blue-700 mt-1">
+                      {jobs[0].status === 'running' && `Processing (attempt ${jobs[0].attempts} of ${jobs[0].maxAttempts})`}
+                      {jobs[0].status === 'queued' && jobs[0].attempts === 0 && 'Waiting in queue'}
+                      {jobs[0].status === 'queued' && jobs[0].attempts > 0 &&
+                        `Attempt ${jobs[0].attempts} failed, retrying at ${new Date(jobs[0].runAt).toLocaleTimeString()}`}
+                    </p>
+                  )}
+                </>
+              )}
+            </div>
+            <button
+              onClick={fetchReport}
+              className="px-3 py-1 bg-white border border-gray-300 text-gray-700 rounded text-sm hover:bg-gray-50"
+            >
+              Refresh
+            </button>
+          </div>
+        )}
+
+        {report.status === 'completed' && report.processingError && (
+          <div className="rounded-xl border p-4 bg-yellow-50 border-yellow-200">
+            <p className="text-sm text-yellow-800">⚠️ {report.processingError}</p>
+          </div>
+        )}
+
+        {report.possibleDuplicateOf && (
+          <div className="rounded-xl border p-4 bg-yellow-50 border-yellow-200">
+            <p className="text-sm text-yellow-800">
+              📑 Possible duplicate of{' '}
+              <Link to={`/report/${report.possibleDuplicateOf._id}`} className="font-medium underline">
+                {report.possibleDuplicateOf.originalName || report.possibleDuplicateOf.reportType}
+              </Link>
+              {' '}uploaded {formatDate(report.possibleDuplicateOf.createdAt)}
+              {report.duplicateReason === 'analytes' ? ' (same lab values)' : ' (same report text)'}.
+              The earlier analysis was reused.
+            </p>
+          </div>
+        )}
+
+        {analysis.analysisStatus === 'unreliable' && (
+          <div className="rounded-xl border p-4 bg-red-50 border-red-200">
+            <p className="font-medium text-red-800">⚠️ AI analysis unreliable</p>
+            <p className="text-sm text-red-700 mt-1">
+              The AI response failed validation twice, so the summary and risk level below come from
+              the rule-based analyzer. Check the values against the original report.
+            </p>
+          </div>
+        )}
+
+        {analysis.analysisStatus === 'fallback' && (
+          <div className="rounded-xl border p-4 bg-red-50 border-red-200">
+            <p className="font-medium text-red-800">⚠️ No AI analysis</p>
+            <p className="text-sm text-red-700 mt-1">
+              No AI model was available, so the summary and risk level below come from the
+              rule-based analyzer. Check the values against the original report.
+            </p>
+          </div>
+        )}
+
+        {report.needsReview && (
+          <div className="rounded-xl border p-4 bg-orange-50 border-orange-200">
+            <p className="font-medium text-orange-800">🔍 Manual review recommended</p>
+            {report.reviewReasons?.map((reason, index) => (
+              <p key={index} className="text-sm text-orange-700 mt-1">{reason}</p>
+            ))}
+          </div>
+        )}
+
+        <DicomStudyCard dicom={report.dicom} />
+
+        <RedactionAuditPanel audits={redactions} />
+
+        <AnalysisVersionPanel
+          versions={versions}
+          selectedVersion={selectedVersion}
+          onSelect={(version) => {
+            setSelectedVersion(version === versions[0]?.version ? null : version)
+            setSelectedFinding(null)
+          }}
+        />
+
         {/* Tabs */}
         <div className="bg-white rounded-xl shadow-sm border border-gray-200">
           <div className="border-b border-gray-200">
             <div className="flex">
-              {['summary', 'findings', 'abnormalities', 'extracted'].map((tab) => (
+              {['summary', 'findings', 'results', 'abnormalities', 'extracted'].map((tab) => (
                 <button
                   key={tab}
                   onClick={() => setActiveTab(tab)}
@@ -96,7 +339,7 @@ const ViewReportAnalysis = () => {
                       : 'text-gray-500 hover:text-gray-700'
                   }`}
                 >
-                  {tab === 'extracted' ? 'Extracted Text' : tab}
+                  {tab === 'extracted' ? 'Extracted Text' : tab === 'results' ? 'Lab Results' : tab}
                 </button>
               ))}
             </div>
@@ -109,31 +352,69 @@ const ViewReportAnalysis = () => {
                 <h3 className="text-lg font-semibold text-gray-900">AI Summary</h3>
                 <div className="bg-blue-50 rounded-lg p-4">
                   <p className="text-gray-800 leading-relaxed">
-                    {report.summary || 'No summary available for this report.'}
+                    {analysis.summary || 'No summary available for this report.'}
                   </p>
                 </div>
+                {analysis.analyzedBy?.provider && (
+                  <p className="text-xs text-gray-500">
+                    {analysis.analyzedBy.provider === 'mock'
+                      ? 'Generated by the rule-based analyzer (AI service unavailable)'
+                      : `Generated by ${analysis.analyzedBy.provider}${analysis.analyzedBy.model ? ` (${analysis.analyzedBy.model})` : ''}`}
+                  </p>
+                )}
+
+                {worseningTrends.length > 0 && (
+                  <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                    <p className="font-medium text-red-800">📉 Worsening since earlier reports</p>
+                    {worseningTrends.map((trend) => (
+                      <p key={trend.code} className="text-sm text-red-700 mt-1">{trend.summary}</p>
+                    ))}
+                  </div>
+                )}
 
                 {/* Risk Score Details */}
                 <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-6">
                   <div className="bg-gray-50 rounded-lg p-4 text-center">
                     <p className="text-sm text-gray-500">Risk Level</p>
                     <p className={`text-2xl font-bold capitalize ${
-                      report.riskLevel === 'high' ? 'text-red-600' :
-                      report.riskLevel === 'medium' ? 'text-yellow-600' :
+                      analysis.riskLevel === 'high' ? 'text-red-600' :
+                      analysis.riskLevel === 'medium' ? 'text-yellow-600' :
                       'text-green-600'
                     }`}>
-                      {report.riskLevel}
+                      {analysis.riskLevel}
                     </p>
                   </div>
                   <div className="bg-gray-50 rounded-lg p-4 text-center">
                     <p className="text-sm text-gray-500">Risk Score</p>
-                    <p className="text-2xl font-bold text-gray-900">{report.riskScore}/100</p>
+                    <p className="text-2xl font-bold text-gray-900">{analysis.riskScore}/100</p>
                   </div>
                   <div className="bg-gray-50 rounded-lg p-4 text-center">
                     <p className="text-sm text-gray-500">Abnormalities</p>
-                    <p className="text-2xl font-bold text-gray-900">{report.abnormalities?.length || 0}</p>
+                    <p className="text-2xl font-bold text-gray-900">{analysis.abnormalities?.length || 0}</p>
                   </div>
                 </div>
+
+                {analysis.riskBreakdown?.explanation?.length > 0 && (
+                  <div className="border border-gray-200 rounded-lg p-4">
+                    <div className="flex items-center justify-between mb-2">
+                      <p className="font-medium text-gray-900">How the risk score was reached</p>
+                      <span className="text-xs text-gray-500">
+                        Decided by {analysis.riskBreakdown.decidedBy === 'rules' ? 'risk rules' : 'AI assessment'}
+                      </span>
+                    </div>
+                    <ul className="space-y-1">
+                      {analysis.riskBreakdown.explanation.map((line, index) => (
+                        <li key={index} className="text-sm text-gray-700">• {line}</li>
+                      ))}
+                    </ul>
+                    {analysis.riskBreakdown.rules?.fired?.some(entry => !entry.counted) && (
+                      <p className="text-xs text-gray-500 mt-2">
+                        Also matched (not counted, a higher rule already scored the same analyte):{' '}
+                        {analysis.riskBreakdown.rules.fired.filter(entry => !entry.counted).map(entry => entry.name).join(', ')}
+                      </p>
+                    )}
+                  </div>
+                )}
               </div>
             )}
 
@@ -141,18 +422,120 @@ const ViewReportAnalysis = () => {
             {activeTab === 'findings' && (
               <div className="space-y-4">
                 <h3 className="text-lg font-semibold text-gray-900">Key Findings</h3>
-                {report.keyFindings && report.keyFindings.length > 0 ? (
+                {analysis.keyFindings && analysis.keyFindings.length > 0 ? (
                   <ul className="space-y-3">
-                    {report.keyFindings.map((finding, index) => (
-                      <li key={index} className="flex items-start gap-3 bg-gray-50 p-4 rounded-lg">
-                        <span className="text-blue-600 mt-1">•</span>
-                        <span className="text-gray-800">{finding}</span>
-                      </li>
-                    ))}
+                    {analysis.keyFindings.map((finding, index) => {
+                      const evidence = evidenceFor('keyFindings', index)
+                      return (
+                        <li
+                          key={index}
+                          className={`flex items-start gap-3 bg-gray-50 p-4 rounded-lg ${evidence ? 'cursor-pointer hover:bg-gray-100' : ''}`}
+                          onClick={() => evidence && toggleFinding('keyFindings', index, finding)}
+                        >
+                          <span className="text-blue-600 mt-1">•</span>
+                          <span className="text-gray-800">
+                            {finding}
+                            {unsupportedNote(evidence)}
+                          </span>
+                        </li>
+                      )
+                    })}
                   </ul>
                 ) : (
                   <p className="text-gray-500">No key findings extracted from this report.</p>
                 )}
+                {renderSelectedFinding('keyFindings')}
+              </div>
+            )}
+
+            {/* Lab Results Tab */}
+            {activeTab === 'results' && (
+              <div className="space-y-4">
+                <h3 className="text-lg font-semibold text-gray-900">Lab Results</h3>
+                {analysis.labResults && analysis.labResults.length > 0 ? (
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead className="bg-gray-50 border-b border-gray-200">
+                        <tr>
+                          <th className="text-left py-2 px-3 font-medium text-gray-600">Test</th>
+                          <th className="text-left py-2 px-3 font-medium text-gray-600">Value</th>
+                          <th className="text-left py-2 px-3 font-medium text-gray-600">Reference Range</th>
+                          <th className="text-left py-2 px-3 font-medium text-gray-600">Flag</th>
+                          <th className="text-left py-2 px-3 font-medium text-gray-600">Trend</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {analysis.labResults.map((result, index) => (
+                          <tr
+                            key={index}
+                            className={`border-b border-gray-100 ${result.ocrBox ? 'cursor-pointer hover:bg-gray-50' : ''}`}
+                            title={result.sourceSpan?.text}
+                            onClick={() => result.ocrBox && setHighlight({
+                              label: result.name,
+                              box: { ...result.ocrBox, confidence: result.ocrConfidence }
+                            })}
+                          >
+                            <td className="py-2 px-3 text-gray-900">{result.name}</td>
+                            <td className="py-2 px-3 text-gray-900 font-medium">
+                              {result.value} {result.unit}
+                              {result.unitStatus === 'converted' && (
+                                <span className="block text-xs text-gray-500 font-normal">
+                                  = {result.normalizedValue} {result.normalizedUnit}
+                                </span>
+                              )}
+                              {result.unitStatus === 'unknown' && (
+                                <span className="block text-xs text-yellow-700 font-normal">⚠️ Unrecognized unit</span>
+                              )}
+                              {result.lowConfidence && (
+                                <span className="block text-xs text-orange-700 font-normal">
+                                  🔍 Low OCR confidence ({result.ocrConfidence}%), verify on the original
+                                </span>
+                              )}
+                            </td>
+                            <td className="py-2 px-3 text-gray-500">
+                              {result.referenceLow != null || result.referenceHigh != null
+                                ? `${result.referenceLow ?? ''} - ${result.referenceHigh ?? ''}`
+                                : result.normalizedReferenceLow != null || result.normalizedReferenceHigh != null
+                                  ? `${result.normalizedReferenceLow ?? ''} - ${result.normalizedReferenceHigh ?? ''} ${result.normalizedUnit || ''}`
+                                  : '—'}
+                              {(result.referenceSource === 'catalog' || result.referenceSource === 'clinic') && (
+                                <span className="block text-xs text-gray-400">
+                                  {result.referenceSource === 'clinic' ? 'Clinic range' : 'Standard range for age/sex'}
+                                </span>
+                              )}
+                            </td>
+                            <td className="py-2 px-3">
+                              {result.flag ? (
+                                <span className={`px-2 py-0.5 rounded text-xs font-medium ${
+                                  result.flag === 'critical' ? 'bg-red-600 text-white' :
+                                  result.flag === 'H' ? 'bg-red-100 text-red-800' :
+                                  'bg-yellow-100 text-yellow-800'
+                                }`}>
+                                  {result.flag === 'critical' ? 'CRITICAL' : result.flag}
+                                </span>
+                              ) : (
+                                <span className="text-green-600 text-xs">Normal</span>
+                              )}
+                            </td>
+                            <td className="py-2 px-3">
+                              {renderTrend(trendFor(result.code))}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                ) : (
+                  <p className="text-gray-500">No structured lab values were extracted from this report.</p>
+                )}
+                {highlight && (
+                  <OcrPageHighlight
+                    page={report.ocrPages?.find(p => p.page === highlight.box.page)}
+                    box={highlight.box}
+                    label={highlight.label}
+                    onClose={() => setHighlight(null)}
+                  />
+                )}
               </div>
             )}
 
@@ -160,13 +543,23 @@ const ViewReportAnalysis = () => {
             {activeTab === 'abnormalities' && (
               <div className="space-y-4">
                 <h3 className="text-lg font-semibold text-gray-900">Detected Abnormalities</h3>
-                {report.abnormalities && report.abnormalities.length > 0 ? (
+                {analysis.abnormalities && analysis.abnormalities.length > 0 ? (
                   <div className="space-y-3">
-                    {report.abnormalities.map((abnormality, index) => (
-                      <div key={index} className="bg-red-50 border-l-4 border-red-500 p-4 rounded-r-lg">
-                        <p className="text-red-800 font-medium">{abnormality}</p>
-                      </div>
-                    ))}
+                    {analysis.abnormalities.map((abnormality, index) => {
+                      const evidence = evidenceFor('abnormalities', index)
+                      return (
+                        <div
+                          key={index}
+                          className={`bg-red-50 border-l-4 border-red-500 p-4 rounded-r-lg ${evidence ? 'cursor-pointer hover:bg-red-100' : ''}`}
+                          onClick={() => evidence && toggleFinding('abnormalities', index, abnormality)}
+                        >
+                          <p className="text-red-800 font-medium">
+                            {abnormality}
+                            {unsupportedNote(evidence)}
+                          </p>
+                        </div>
+                      )
+                    })}
                   </div>
                 ) : (
                   <div className="bg-green-50 p-6 rounded-lg text-center">
@@ -175,6 +568,7 @@ const ViewReportAnalysis = () => {
                     <p className="text-green-600 text-sm">All values appear to be within normal ranges</p>
                   </div>
                 )}
+                {renderSelectedFinding('abnormalities')}
               </div>
             )}
 
@@ -182,6 +576,21 @@ const ViewReportAnalysis = () => {
             {activeTab === 'extracted' && (
               <div className="space-y-4">
                 <h3 className="text-lg font-semibold text-gray-900">Extracted Text (OCR)</h3>
+                {report.ocrConfidence != null && (
+                  <p className="text-xs text-gray-500">Mean OCR confidence: {report.ocrConfidence}%</p>
+                )}
+                {report.ocrPreprocessing?.length > 0 && (
+                  <div className="text-xs text-gray-500 space-y-1">
+                    {report.ocrPreprocessing.map((entry) => (
+                      <p key={entry.page}>
+                        {report.ocrPreprocessing.length > 1 && `Page ${entry.page}: `}
+                        {entry.steps.length > 0
+                          ? `Image cleanup: ${entry.steps.join(', ')}`
+                          : 'Image cleanup skipped'}
+                      </p>
+                    ))}
+                  </div>
+                )}
                 <div className="bg-gray-50 rounded-lg p-4 max-h-96 overflow-y-auto">
                   <pre className="text-sm text-gray-700 whitespace-pre-wrap font-mono">
                     {report.extractedText || 'No text extracted from this report.'}
@@ -192,6 +601,30 @@ const ViewReportAnalysis = () => {
           </div>
         </div>
 
+        {/* Re-analysis */}
+        {report.status !== 'processing' && (
+          <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 flex items-center justify-between gap-4">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={rerunOcr}
+                onChange={(e) => setRerunOcr(e.target.checked)}
+              />
+              Re-run OCR on the original file
+            </label>
+            <div className="flex items-center gap-3">
+              {reanalyzeError && <span className="text-sm text-red-600">{reanalyzeError}</span>}
+              <button
+                onClick={handleReanalyze}
+                disabled={reanalyzing}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+              >
+                {reanalyzing ? 'Queuing...' : '🔄 Re-analyze'}
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Actions */}
         <div className="flex gap-4">
           <Link
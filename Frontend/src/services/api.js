@@ -36,4 +36,7 @@ api.interceptors.response.use(
   }
 )
 
+// Uploaded files and OCR page images are served by the backend outside /api
+export const UPLOADS_URL = `${API_BASE_URL.replace(/\/api\/?$/, '')}/uploads`
+
 export default api
\ No newline at end of file
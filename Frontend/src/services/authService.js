@@ -25,6 +25,11 @@ export const authService = {
     return response.data
   },
 
+  updatePreferences: async (preferences) => {
+    const response = await api.put('/auth/preferences', preferences)
+    return response.data
+  },
+
   getProfile: async () => {
     const response = await api.get('/auth/profile')
     return response.data
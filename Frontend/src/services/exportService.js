@@ -0,0 +1,46 @@
+import api from './api'
+
+// Hand a downloaded blob to the browser as a file
+const saveFile = (blob, fileName) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+const saveJson = (data, fileName) => {
+  saveFile(new Blob([JSON.stringify(data, null, 2)], { type: 'application/fhir+json' }), fileName)
+}
+
+export const exportService = {
+  // FHIR R4 DiagnosticReport with its Observations
+  downloadFhirReport: async (reportId) => {
+    const response = await api.get(`/fhir/DiagnosticReport/${reportId}`)
+    saveJson(response.data, `report-${reportId}.fhir.json`)
+  },
+
+  // Printable analysis with review status and a verification ID
+  downloadReportPdf: async (reportId) => {
+    const response = await api.get(`/reports/${reportId}/pdf`, { responseType: 'blob' })
+    saveFile(response.data, `analysis-${reportId}.pdf`)
+  },
+
+  // Patient and all their reports as a FHIR Bundle
+  downloadFhirPatientBundle: async (patientId) => {
+    const response = await api.get(`/fhir/Patient/${patientId}/$everything`)
+    saveJson(response.data, `patient-${patientId}.fhir.json`)
+  },
+
+  // One row per lab measurement, format 'csv' or 'xlsx'
+  downloadLabValues: async (patientId, format = 'csv') => {
+    const response = await api.get(`/reports/patient/${patientId}/lab-values`, {
+      params: { format },
+      responseType: 'blob'
+    })
+    saveFile(response.data, `lab-values-${patientId}.${format}`)
+  }
+}
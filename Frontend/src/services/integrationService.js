@@ -0,0 +1,19 @@
+import api from './api'
+
+// Results pushed by partner labs that still need a patient match
+export const integrationService = {
+  getReviewQueue: async (status = 'pending_review') => {
+    const response = await api.get('/integrations/review-queue', { params: { status } })
+    return response.data
+  },
+
+  assignIncomingResult: async (entryId, patientId, note) => {
+    const response = await api.post(`/integrations/review-queue/${entryId}/assign`, { patientId, note })
+    return response.data
+  },
+
+  rejectIncomingResult: async (entryId, note) => {
+    const response = await api.post(`/integrations/review-queue/${entryId}/reject`, { note })
+    return response.data
+  }
+}
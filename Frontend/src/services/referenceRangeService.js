@@ -0,0 +1,24 @@
+import api from './api'
+
+// Default reference ranges and the doctor's clinic overrides of them
+export const referenceRangeService = {
+  getReferenceRanges: async () => {
+    const response = await api.get('/reference-ranges')
+    return response.data
+  },
+
+  createReferenceRange: async (range) => {
+    const response = await api.post('/reference-ranges', range)
+    return response.data
+  },
+
+  updateReferenceRange: async (rangeId, changes) => {
+    const response = await api.put(`/reference-ranges/${rangeId}`, changes)
+    return response.data
+  },
+
+  deleteReferenceRange: async (rangeId) => {
+    const response = await api.delete(`/reference-ranges/${rangeId}`)
+    return response.data
+  }
+}
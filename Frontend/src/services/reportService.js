@@ -10,6 +10,28 @@ export const reportService = {
     return response.data
   },
 
+  // Several files uploaded as the pages of one report, in the order appended
+  uploadReportBatch: async (formData) => {
+    const response = await api.post('/reports/upload-batch', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      }
+    })
+    return response.data
+  },
+
+  // Earlier results from another system, as a FHIR R4 Bundle (parsed JSON).
+  // Fails with 409 when the Bundle's patient differs, unless confirmPatient is set.
+  importFhirBundle: async (patientId, bundle, confirmPatient = false) => {
+    const response = await api.post(`/fhir/Patient/${patientId}/import`, bundle, {
+      params: confirmPatient ? { confirmPatient: true } : undefined,
+      headers: {
+        'Content-Type': 'application/fhir+json'
+      }
+    })
+    return response.data
+  },
+
   getMyReports: async () => {
     const response = await api.get('/reports/my-reports')
     return response.data
@@ -20,6 +42,27 @@ export const reportService = {
     return response.data
   },
 
+  getReportJobs: async (reportId) => {
+    const response = await api.get(`/reports/${reportId}/jobs`)
+    return response.data
+  },
+
+  reanalyzeReport: async (reportId, options = {}) => {
+    const response = await api.post(`/reports/${reportId}/reanalyze`, options)
+    return response.data
+  },
+
+  getReportAnalyses: async (reportId) => {
+    const response = await api.get(`/reports/${reportId}/analyses`)
+    return response.data
+  },
+
+  // Identifiers replaced before the report went to an external AI (doctors only)
+  getReportRedactions: async (reportId) => {
+    const response = await api.get(`/reports/${reportId}/redactions`)
+    return response.data
+  },
+
   deleteReport: async (reportId) => {
     const response = await api.delete(`/reports/${reportId}`)
     return response.data
@@ -38,5 +81,11 @@ export const reportService = {
   getAlerts: async () => {
     const response = await api.get('/alerts')
     return response.data
+  },
+
+  // note is required for urgent alerts
+  acknowledgeAlert: async (alertId, note) => {
+    const response = await api.put(`/alerts/${alertId}/acknowledge`, { note })
+    return response.data
   }
 }
\ No newline at end of file
@@ -0,0 +1,24 @@
+import api from './api'
+
+// Rules the risk score is computed from (built-in ones plus the doctor's own)
+export const riskRuleService = {
+  getRiskRules: async () => {
+    const response = await api.get('/risk-rules')
+    return response.data
+  },
+
+  createRiskRule: async (rule) => {
+    const response = await api.post('/risk-rules', rule)
+    return response.data
+  },
+
+  updateRiskRule: async (ruleId, changes) => {
+    const response = await api.put(`/risk-rules/${ruleId}`, changes)
+    return response.data
+  },
+
+  deleteRiskRule: async (ruleId) => {
+    const response = await api.delete(`/risk-rules/${ruleId}`)
+    return response.data
+  }
+}